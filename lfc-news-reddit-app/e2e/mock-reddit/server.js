@@ -0,0 +1,140 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Local mock Reddit server replaying recorded JSON fixtures.
+ *              WHY: Lets `npm run start:offline` and the Playwright suites run without
+ *              network access or third-party CORS proxies, with deterministic content.
+ *
+ *              Routes (an optional leading /reddit.com prefix is ignored so that specs
+ *              intercepting '**\/reddit.com/**' keep working against the mock):
+ *              - GET /r/:subreddit/:sort.json          -> fixtures/listing.json
+ *              - GET /r/:subreddit/search.json?q=...   -> listing filtered by title/selftext
+ *              - GET [/r/:subreddit]/comments/:id.json -> [post listing, comments-:id.json || comments.json]
+ *              - GET /r/:subreddit/comments/:id/_/:commentId.json -> the same, narrowed to that comment
+ *              - GET /api/morechildren.json?children=  -> things from morechildren.json with those ids
+ *              - GET /api/info.json?id=t3_:id          -> listing containing that post
+ *              - GET /health                           -> { ok: true }
+ *
+ *              Usage: node e2e/mock-reddit/server.js  (MOCK_REDDIT_PORT defaults to 3001)
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.env.MOCK_REDDIT_PORT) || 3001;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+/**
+ * @param {string} name - Fixture file name without extension
+ * @return {Object|null} Parsed fixture, or null if it doesn't exist
+ */
+const readFixture = (name) => {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+};
+
+/**
+ * @param {Object[]} children - Listing children
+ * @return {Object} Reddit listing envelope
+ */
+const toListing = (children) => ({
+  kind: 'Listing',
+  data: { after: null, before: null, dist: children.length, children }
+});
+
+/**
+ * @param {string} id - Post id without t3_ prefix
+ * @return {Object|null} Listing child for the post
+ */
+const findPost = (id) => {
+  const listing = readFixture('listing');
+  return listing.data.children.find(child => child.data.id === id) || null;
+};
+
+/**
+ * @param {Object[]} children - Listing children of a comment tree
+ * @param {string} id - Comment id without t1_ prefix
+ * @return {Object|null} The comment's listing child, searched depth-first
+ */
+const findComment = (children, id) => {
+  for (const child of children) {
+    if (child.data.id === id) return child;
+    const found = findComment(child.data.replies?.data?.children || [], id);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * @param {string} pathname - Request path with any /reddit.com prefix removed
+ * @param {URLSearchParams} params - Request query parameters
+ * @return {{status: number, body: Object}} Response to send
+ */
+const route = (pathname, params) => {
+  if (pathname === '/health') {
+    return { status: 200, body: { ok: true } };
+  }
+
+  if (pathname === '/api/info.json') {
+    const ids = (params.get('id') || '').split(',').map(id => id.replace(/^t3_/, ''));
+    return { status: 200, body: toListing(ids.map(findPost).filter(Boolean)) };
+  }
+
+  if (pathname === '/api/morechildren.json') {
+    const ids = (params.get('children') || '').split(',');
+    const things = (readFixture('morechildren') || []).filter(thing => ids.includes(thing.data.id));
+    return { status: 200, body: { json: { errors: [], data: { things } } } };
+  }
+
+  // WHY (?:\/_\/...): "continue this thread" links open the permalink of the parent comment
+  const comments = pathname.match(/^(?:\/r\/[^/]+)?\/comments\/([a-z0-9]+)(?:\/_\/([a-z0-9]+)|\/[^/]*)?\.json$/i);
+  if (comments) {
+    const post = findPost(comments[1]);
+    if (!post) {
+      return { status: 404, body: { message: 'Not Found', error: 404 } };
+    }
+    const thread = readFixture(`comments-${comments[1]}`) || readFixture('comments');
+    if (comments[2]) {
+      const comment = findComment(thread.data.children, comments[2]);
+      return { status: 200, body: [toListing([post]), toListing(comment ? [comment] : [])] };
+    }
+    return { status: 200, body: [toListing([post]), thread] };
+  }
+
+  if (/^\/r\/[^/]+\/search\.json$/.test(pathname)) {
+    const query = (params.get('q') || '').toLowerCase();
+    const children = readFixture('listing').data.children.filter(({ data }) =>
+      `${data.title} ${data.selftext}`.toLowerCase().includes(query)
+    );
+    return { status: 200, body: toListing(children) };
+  }
+
+  if (/^\/r\/[^/]+\/[a-z]+\.json$/.test(pathname)) {
+    return { status: 200, body: readFixture('listing') };
+  }
+
+  return { status: 404, body: { message: 'Not Found', error: 404 } };
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const pathname = url.pathname.replace(/^\/reddit\.com(?=\/)/, '');
+  const { status, body } = route(pathname, url.searchParams);
+
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    // WHY: The app is served from a different origin (localhost:3000)
+    'Access-Control-Allow-Origin': '*'
+  });
+  res.end(JSON.stringify(body));
+});
+
+if (require.main === module) {
+  server.listen(PORT, () => {
+    console.log(`Mock Reddit server listening on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = { server, route };
@@ -89,11 +89,27 @@ module.exports = defineConfig({
     },
   ],
 
-  // Run local dev server before starting the tests
-  webServer: {
-    command: 'npm start',
-    url: 'http://localhost:3000',
-    reuseExistingServer: !process.env.CI,
-    timeout: 120 * 1000,
-  },
+  // Run the mock Reddit server and the dev server before starting the tests
+  // WHY: Specs run against recorded fixtures by default so they don't depend on
+  // reddit.com or public CORS proxies. Set E2E_LIVE=1 to test against live Reddit.
+  webServer: [
+    ...(process.env.E2E_LIVE ? [] : [{
+      command: 'node e2e/mock-reddit/server.js',
+      url: 'http://localhost:3001/health',
+      reuseExistingServer: !process.env.CI,
+      timeout: 30 * 1000,
+    }]),
+    {
+      command: 'npm start',
+      url: 'http://localhost:3000',
+      reuseExistingServer: !process.env.CI,
+      timeout: 120 * 1000,
+      env: process.env.E2E_LIVE ? { BROWSER: 'none' } : {
+        BROWSER: 'none',
+        REACT_APP_REDDIT_SOURCE: 'local',
+        // WHY /reddit.com prefix: keeps page.route('**/reddit.com/**') interceptions working
+        REACT_APP_REDDIT_LOCAL_URL: 'http://localhost:3001/reddit.com',
+      },
+    },
+  ],
 });
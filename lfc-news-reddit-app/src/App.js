@@ -5,17 +5,25 @@
  *              Orchestrates header, filters, post list, and post detail modal.
  */
 
-import React, { useEffect, Suspense, lazy } from 'react';
+import React, { Suspense, lazy, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import './App.css';
 import Header from './components/Header/Header';
 import SubredditFilter from './components/SubredditFilter/SubredditFilter';
 import PostList from './components/PostList/PostList';
+import NewPostsBanner from './components/NewPostsBanner/NewPostsBanner';
 import PostListSkeleton from './components/SkeletonLoader/SkeletonLoader';
 import ErrorMessage from './components/ErrorMessage/ErrorMessage';
 import BottomNav from './components/BottomNav/BottomNav';
 import ErrorBoundary from './components/ErrorBoundary/ErrorBoundary';
-import { fetchPosts } from './redux/actions/posts';
+import Settings from './components/Settings/Settings';
+import KeyboardShortcuts from './components/KeyboardShortcuts/KeyboardShortcuts';
+import AuthorProfile from './components/AuthorProfile/AuthorProfile';
+import { fetchPosts, mergeNewPosts } from './redux/actions/posts';
+import { useUrlSync } from './hooks/useUrlSync';
+import { useServiceWorkerUpdate } from './hooks/useServiceWorkerUpdate';
+import { useSavedLimitNotice } from './hooks/useSavedLimitNotice';
+import { applyTheme, watchSystemTheme, SYSTEM_THEME } from './utils/theme';
 
 // Code splitting: Lazy load PostDetail since it's only needed when viewing a post
 const PostDetail = lazy(() => import('./components/PostDetail/PostDetail'));
@@ -27,14 +35,26 @@ const PostDetail = lazy(() => import('./components/PostDetail/PostDetail'));
 function App() {
   const dispatch = useDispatch();
   const { selected: selectedSubreddit } = useSelector(state => state.subreddits);
-  const { loading, error, currentPost } = useSelector(state => state.posts);
+  const { loading, error, currentPost, pendingPosts } = useSelector(state => state.posts);
+  const { viewing: viewingSaved } = useSelector(state => state.saved);
+  const theme = useSelector(state => state.settings.theme);
+  const customTheme = useSelector(state => state.settings.customTheme);
+
+  // WHY: Initial posts fetch is driven by the URL (sort, time range, open post) so
+  // deep links load the right listing; subreddit switches fetch from their own handlers
+  useUrlSync();
+  useServiceWorkerUpdate();
+  useSavedLimitNotice();
 
   /**
-   * @constructs - Fetches initial posts when component mounts or subreddit changes
+   * @listens theme - Applies the chosen theme wherever it was changed from, and re-applies
+   *                  "system" when the device switches between light and dark
    */
   useEffect(() => {
-    dispatch(fetchPosts(selectedSubreddit));
-  }, [dispatch, selectedSubreddit]);
+    applyTheme(theme, customTheme);
+    if (theme !== SYSTEM_THEME) return undefined;
+    return watchSystemTheme(() => applyTheme(theme, customTheme));
+  }, [theme, customTheme]);
 
   return (
     <div className="App">
@@ -47,10 +67,18 @@ function App() {
         <nav role="navigation" aria-label="Subreddit filters">
           <SubredditFilter />
         </nav>
-        {loading && <PostListSkeleton />}
-        {error && <ErrorMessage message={error} onRetry={() => dispatch(fetchPosts(selectedSubreddit))} />}
-        {!loading && !error && (
+        {/* WHY: Saved posts are stored locally, so they show even while the feed is loading or offline */}
+        {viewingSaved && (
+          <ErrorBoundary>
+            <PostList source="saved" />
+          </ErrorBoundary>
+        )}
+        {!viewingSaved && loading && <PostListSkeleton />}
+        {!viewingSaved && error && <ErrorMessage message={error} onRetry={() => dispatch(fetchPosts(selectedSubreddit))} />}
+        {!viewingSaved && !loading && !error && (
           <ErrorBoundary>
+            {/* WHY: Merging only prepends items, so PostList keeps its scroll position and page size */}
+            <NewPostsBanner count={pendingPosts.length} onShow={() => dispatch(mergeNewPosts())} />
             <PostList />
           </ErrorBoundary>
         )}
@@ -62,6 +90,10 @@ function App() {
           </ErrorBoundary>
         </Suspense>
       )}
+      <Settings />
+      {/* WHY after PostDetail: an author is often opened from a post, and the panel goes on top */}
+      <AuthorProfile />
+      <KeyboardShortcuts />
       {/* Mobile bottom navigation - only visible on screens < 768px */}
       <BottomNav />
     </div>
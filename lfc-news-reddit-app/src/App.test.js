@@ -4,12 +4,13 @@
  * @description Basic smoke tests for App component rendering.
  */
 
-import { render, screen } from '@testing-library/react';
+import { render, screen, act } from '@testing-library/react';
 import { Provider } from 'react-redux';
 import { createStore, applyMiddleware } from 'redux';
 import thunk from 'redux-thunk';
 import App from './App';
 import rootReducer from './redux/reducers';
+import { ToastProvider } from './components/Toast';
 
 // Create a mock store for testing
 const createMockStore = (initialState = {}) => {
@@ -20,7 +21,9 @@ test('renders LFC Reddit Viewer header', () => {
   const store = createMockStore();
   render(
     <Provider store={store}>
-      <App />
+      <ToastProvider>
+        <App />
+      </ToastProvider>
     </Provider>
   );
   const headerElement = screen.getByText(/LFC Reddit Viewer/i);
@@ -31,7 +34,9 @@ test('renders skip to content link for accessibility', () => {
   const store = createMockStore();
   render(
     <Provider store={store}>
-      <App />
+      <ToastProvider>
+        <App />
+      </ToastProvider>
     </Provider>
   );
   const skipLink = screen.getByText(/Skip to main content/i);
@@ -42,9 +47,228 @@ test('renders Liverpool FC community subtitle', () => {
   const store = createMockStore();
   render(
     <Provider store={store}>
-      <App />
+      <ToastProvider>
+        <App />
+      </ToastProvider>
     </Provider>
   );
   const subtitleElement = screen.getByText(/Liverpool FC Community Posts/i);
   expect(subtitleElement).toBeInTheDocument();
 });
+
+describe('URL routing', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+  });
+
+  test('hydrates sort, time range and filters from the URL on load', () => {
+    window.history.replaceState(null, '', '/?sort=top&t=week&flair=Tier%201&media=videos');
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    const { posts } = store.getState();
+    expect(posts.sortBy).toBe('top');
+    expect(posts.timeRange).toBe('week');
+    expect(posts.activeFlairFilters).toEqual(['Tier 1']);
+    expect(posts.activeMediaFilter).toBe('videos');
+  });
+
+  test('opens an already loaded post from /post/:id and reflects it in the URL', () => {
+    window.history.replaceState(null, '', '/post/abc123');
+    const post = { id: 'abc123', title: 'Deep linked', author: 'a', subreddit: 'LiverpoolFC', score: 1, numComments: 0, created: 0 };
+    const store = createMockStore({
+      posts: { ...rootReducer(undefined, { type: '@@INIT' }).posts, items: [post] }
+    });
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    expect(store.getState().posts.currentPost).toEqual(post);
+    expect(window.location.pathname).toBe('/post/abc123');
+  });
+
+  test('updates the URL when a filter changes', () => {
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'SET_MEDIA_FILTER', payload: 'images' });
+    });
+
+    expect(window.location.search).toBe('?media=images');
+  });
+
+  test('closes the open post when navigating back', () => {
+    const post = { id: 'abc123', title: 'Opened', author: 'a', subreddit: 'LiverpoolFC', score: 1, numComments: 0, created: 0 };
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'SET_CURRENT_POST', payload: post });
+    });
+    expect(window.location.pathname).toBe('/post/abc123');
+
+    act(() => {
+      window.history.replaceState(null, '', '/');
+      window.dispatchEvent(new PopStateEvent('popstate'));
+    });
+
+    expect(store.getState().posts.currentPost).toBeNull();
+  });
+});
+
+describe('Refreshing the feed', () => {
+  test('keeps the cached list on screen while a listing is refetched', () => {
+    const post = { id: 'cached1', title: 'Cached post stays put', author: 'a', subreddit: 'LiverpoolFC', score: 1, numComments: 0, created: 0 };
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'FETCH_POSTS_SUCCESS', payload: [post], meta: { after: null, listing: 'LiverpoolFC/hot/' } });
+    });
+    const article = screen.getByRole('article', { name: /Cached post stays put/ });
+
+    act(() => {
+      store.dispatch({ type: 'FETCH_POSTS_REQUEST', meta: { listing: 'LiverpoolFC/hot/' } });
+    });
+
+    expect(article).toBeInTheDocument();
+    expect(screen.getByRole('article', { name: /Cached post stays put/ })).toBe(article);
+  });
+
+  test('shows the loading skeleton while switching to another listing', () => {
+    const post = { id: 'cached1', title: 'Hot post', author: 'a', subreddit: 'LiverpoolFC', score: 1, numComments: 0, created: 0 };
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'FETCH_POSTS_SUCCESS', payload: [post], meta: { after: null, listing: 'LiverpoolFC/hot/' } });
+    });
+    act(() => {
+      store.dispatch({ type: 'FETCH_POSTS_REQUEST', meta: { listing: 'LiverpoolFC/new/' } });
+    });
+
+    expect(screen.queryByRole('article', { name: /Hot post/ })).not.toBeInTheDocument();
+  });
+});
+
+describe('Settings', () => {
+  afterEach(() => {
+    window.history.replaceState(null, '', '/');
+    document.documentElement.removeAttribute('data-theme');
+    delete window.matchMedia;
+  });
+
+  test('opens a bare URL with the default sort from settings', () => {
+    const store = createMockStore();
+    act(() => {
+      store.dispatch({ type: 'UPDATE_SETTINGS', payload: { defaultSort: 'new' } });
+    });
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    expect(store.getState().posts.sortBy).toBe('new');
+    // WHY spelled out: the link must open as "new" for someone whose own default differs
+    expect(window.location.search).toBe('?sort=new');
+  });
+
+  test('follows the sort in a shared link over the default from settings', () => {
+    window.history.replaceState(null, '', '/?sort=top&t=week');
+    const store = createMockStore();
+    act(() => {
+      store.dispatch({ type: 'UPDATE_SETTINGS', payload: { defaultSort: 'new', defaultTimeRange: 'month' } });
+    });
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    expect(store.getState().posts.sortBy).toBe('top');
+    expect(store.getState().posts.timeRange).toBe('week');
+    expect(window.location.search).toBe('?sort=top&t=week');
+  });
+
+  test('applies the theme from settings to the document', () => {
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'UPDATE_SETTINGS', payload: { theme: 'green' } });
+    });
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+  });
+
+  test('re-applies the system theme when the device colour scheme changes', () => {
+    const query = { matches: false, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+    window.matchMedia = jest.fn(() => query);
+    const store = createMockStore();
+    render(
+      <Provider store={store}>
+        <ToastProvider>
+          <App />
+        </ToastProvider>
+      </Provider>
+    );
+
+    act(() => {
+      store.dispatch({ type: 'UPDATE_SETTINGS', payload: { theme: 'system' } });
+    });
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+
+    query.matches = true;
+    act(() => {
+      query.addEventListener.mock.calls[0][1]();
+    });
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('white');
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description An author's name that opens their profile panel, shared by PostItem, PostDetail
+ *              and comments. Authors without a profile ([deleted]) stay plain text.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { isProfileUsername } from '../../utils/authorProfile';
+import styles from './AuthorButton.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.username - Reddit username
+ * @param {Function} [props.onOpen] - Called with the username; without it the name is plain text
+ * @param {string} [props.className] - Text styling from the parent
+ * @param {React.ReactNode} [props.children] - Label; defaults to u/username
+ * @return {JSX.Element}
+ * @constructor
+ */
+const AuthorButton = ({ username, onOpen, className = '', children }) => {
+  const label = children ?? `u/${username}`;
+
+  if (!onOpen || !isProfileUsername(username)) {
+    return <span className={className}>{label}</span>;
+  }
+
+  // WHY stopPropagation: on a feed card the name is inside the clickable card, which would
+  // open the post underneath the profile panel
+  const handleClick = (e) => {
+    e.stopPropagation();
+    onOpen(username);
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+  };
+
+  return (
+    <button
+      type="button"
+      className={`${styles.authorButton} ${className}`.trim()}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      aria-haspopup="dialog"
+      title={`View u/${username}'s LFC activity`}
+    >
+      {label}
+    </button>
+  );
+};
+
+AuthorButton.propTypes = {
+  // Reddit username
+  username: PropTypes.string.isRequired,
+  // Called with the username to open the profile panel
+  onOpen: PropTypes.func,
+  // Text styling from the parent (author colour, OP highlight)
+  className: PropTypes.string,
+  // Label to show instead of u/username (e.g. with find highlights)
+  children: PropTypes.node
+};
+
+export default React.memo(AuthorButton);
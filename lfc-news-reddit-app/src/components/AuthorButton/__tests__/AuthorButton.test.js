@@ -0,0 +1,47 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the clickable author name.
+ *              WHY: It sits inside PostItem's clickable card, so opening a profile must not
+ *              also open the post.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import AuthorButton from '../AuthorButton';
+
+describe('AuthorButton Component', () => {
+  it('opens the author without reaching the parent', () => {
+    const onOpen = jest.fn();
+    const onParentClick = jest.fn();
+    const onParentKeyDown = jest.fn();
+    render(
+      <div onClick={onParentClick} onKeyDown={onParentKeyDown}>
+        <AuthorButton username="Kopite" onOpen={onOpen} />
+      </div>
+    );
+
+    const button = screen.getByRole('button', { name: 'u/Kopite' });
+    fireEvent.click(button);
+    fireEvent.keyDown(button, { key: 'Enter' });
+
+    expect(onOpen).toHaveBeenCalledWith('Kopite');
+    expect(onParentClick).not.toHaveBeenCalled();
+    expect(onParentKeyDown).not.toHaveBeenCalled();
+  });
+
+  it('shows a custom label', () => {
+    render(<AuthorButton username="Kopite" onOpen={jest.fn()}>Kopite <span>OP</span></AuthorButton>);
+
+    expect(screen.getByRole('button')).toHaveTextContent('Kopite OP');
+  });
+
+  it('stays plain text for deleted authors or without onOpen', () => {
+    const { rerender } = render(<AuthorButton username="[deleted]" onOpen={jest.fn()} />);
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+    expect(screen.getByText('u/[deleted]')).toBeInTheDocument();
+
+    rerender(<AuthorButton username="Kopite" />);
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+});
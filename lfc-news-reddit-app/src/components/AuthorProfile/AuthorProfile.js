@@ -0,0 +1,269 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Author profile panel, opened by clicking an author's name: account age, karma
+ *              earned in the LFC subreddits and the author's recent posts and comments there.
+ *              WHY: In the transfer window, whether an "ITK" poster has a track record in these
+ *              subreddits is the first thing worth knowing about their claim.
+ *              In spoiler-safe mode, titles the feed would blur are blurred here too.
+ */
+
+import React, { useEffect, useMemo, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Avatar from '../Avatar';
+import Icon from '../Icon/Icon';
+import LoadingSpinner from '../LoadingSpinner/LoadingSpinner';
+import ErrorMessage from '../ErrorMessage/ErrorMessage';
+import { openAuthorProfile, closeAuthorProfile } from '../../redux/actions/authorProfile';
+import { setCurrentPost, fetchPostDetails } from '../../redux/actions/posts';
+import { fetchComments } from '../../redux/actions/comments';
+import { markPostRead } from '../../redux/actions/readPosts';
+import { selectSpoilerReason } from '../../redux/reducers/spoilers';
+import { summariseLfcKarma } from '../../utils/authorProfile';
+import { formatRelativeTime, formatAccountAge } from '../../utils/formatTime';
+import { stripMarkdown, decodeHtml } from '../../utils/markdown';
+import styles from './AuthorProfile.module.css';
+
+// WHY 10: Enough to judge a track record without scrolling past a screenful
+const RECENT_LIMIT = 10;
+
+// WHY: Comment snippets are one or two lines, like the feed's post previews on mobile
+const SNIPPET_LENGTH = 140;
+
+/**
+ * @param {string} body - Comment markdown
+ * @return {string} Plain-text snippet
+ */
+const toSnippet = (body) => {
+  const text = stripMarkdown(decodeHtml(body || ''));
+  return text.length > SNIPPET_LENGTH ? `${text.substring(0, SNIPPET_LENGTH)}...` : text;
+};
+
+/**
+ * @param {string} title - Thread title
+ * @param {boolean} hidden - Whether spoiler-safe mode hides it
+ * @param {string} className - Class for the visible title
+ * @return {JSX.Element} The title, or a blurred one announced as hidden
+ */
+const renderTitle = (title, hidden, className) => (hidden ? (
+  <>
+    <span className={`${className} ${styles.blurred}`} aria-hidden="true">{title}</span>
+    <span className="visually-hidden">title hidden to avoid spoilers</span>
+  </>
+) : <span className={className}>{title}</span>);
+
+/**
+ * @return {JSX.Element|null}
+ * @constructor
+ */
+const AuthorProfile = () => {
+  const dispatch = useDispatch();
+  const { username, profile, loading, error } = useSelector(state => state.authorProfile);
+  const loadedPosts = useSelector(state => state.posts.items);
+  const spoilers = useSelector(state => state.spoilers);
+  const karma = useMemo(() => (profile ? summariseLfcKarma(profile.posts, profile.comments) : null), [profile]);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  /**
+   * @listens username - Focuses the panel when it opens and restores focus when it closes
+   */
+  useEffect(() => {
+    if (!username) return;
+    const previouslyFocused = document.activeElement;
+    closeButtonRef.current?.focus();
+    return () => previouslyFocused?.focus?.();
+  }, [username]);
+
+  if (!username) return null;
+
+  const handleClose = () => dispatch(closeAuthorProfile());
+
+  /**
+   * Opens a thread the same way PostItem does, loading the post first when it isn't to hand
+   * @param {string} postId - Thread to open
+   * @param {string} subreddit - Subreddit the thread is in
+   * @param {Object} [post] - The post, when the profile or feed already has it
+   */
+  const openThread = (postId, subreddit, post) => {
+    handleClose();
+    sessionStorage.setItem('postListScrollPosition', window.scrollY.toString());
+    if (post) {
+      dispatch(markPostRead(post));
+      dispatch(setCurrentPost(post));
+    } else {
+      dispatch(fetchPostDetails(postId));
+    }
+    dispatch(fetchComments(postId, subreddit));
+  };
+
+  /**
+   * @param {Object} comment - Profile comment
+   * @return {Object|undefined} Its thread's post, if the profile or feed has it
+   */
+  const findThreadPost = (comment) => (
+    profile.posts.find(post => post.id === comment.postId) ||
+    loadedPosts.find(post => post.id === comment.postId)
+  );
+
+  // WHY on the dialog, every key: the panel sits over the feed or an open post, whose
+  // shortcuts (Escape, arrows, r) must not act behind it
+  const handleDialogKeyDown = (e) => {
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      handleClose();
+    }
+
+    // Focus trap - keep focus within the panel
+    if (e.key === 'Tab' && dialogRef.current) {
+      const focusableElements = dialogRef.current.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])');
+      const firstElement = focusableElements[0];
+      const lastElement = focusableElements[focusableElements.length - 1];
+
+      if (e.shiftKey && document.activeElement === firstElement) {
+        e.preventDefault();
+        lastElement.focus();
+      } else if (!e.shiftKey && document.activeElement === lastElement) {
+        e.preventDefault();
+        firstElement.focus();
+      }
+    }
+  };
+
+  const hasActivity = profile && (profile.posts.length > 0 || profile.comments.length > 0);
+
+  return (
+    <div className={styles.overlay} onClick={handleClose}>
+      <div
+        className={styles.panel}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="author-profile-title"
+        aria-busy={loading}
+        ref={dialogRef}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleDialogKeyDown}
+      >
+        <div className={styles.header}>
+          <Avatar username={username} size="lg" />
+          <h2 id="author-profile-title" className={styles.title}>u/{username}</h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={handleClose}
+            ref={closeButtonRef}
+            aria-label="Close profile"
+          >
+            <Icon name="X" size="md" ariaHidden={true} />
+          </button>
+        </div>
+
+        {loading && <LoadingSpinner />}
+        {error && <ErrorMessage message={error} onRetry={() => dispatch(openAuthorProfile(username))} />}
+
+        {profile && (
+          <>
+            <dl className={styles.stats}>
+              <div className={styles.stat}>
+                <dt>Account age</dt>
+                <dd>{profile.created ? formatAccountAge(profile.created) : 'Unknown'}</dd>
+              </div>
+              <div className={styles.stat}>
+                <dt>LFC karma</dt>
+                <dd>{karma.total.toLocaleString()}</dd>
+              </div>
+              <div className={styles.stat}>
+                <dt>LFC posts</dt>
+                <dd>{profile.posts.length}</dd>
+              </div>
+              <div className={styles.stat}>
+                <dt>LFC comments</dt>
+                <dd>{profile.comments.length}</dd>
+              </div>
+            </dl>
+            <p className={styles.note}>Counted from their latest 100 posts and 100 comments on Reddit.</p>
+
+            {karma.bySubreddit.length > 0 && (
+              <ul className={styles.subreddits} aria-label="Karma by subreddit">
+                {karma.bySubreddit.map(summary => (
+                  <li key={summary.name} className={styles.subreddit}>
+                    <span>{summary.label}</span>
+                    <span className={styles.subredditKarma}>{summary.karma.toLocaleString()} karma</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {!hasActivity && (
+              <p className={styles.empty}>No recent posts or comments in the LFC subreddits.</p>
+            )}
+
+            {profile.posts.length > 0 && (
+              <section className={styles.section} aria-labelledby="author-profile-posts">
+                <h3 id="author-profile-posts" className={styles.sectionTitle}>Recent posts</h3>
+                <ul className={styles.activityList}>
+                  {profile.posts.slice(0, RECENT_LIMIT).map(post => (
+                    <li key={post.id}>
+                      <button
+                        type="button"
+                        className={styles.activity}
+                        onClick={() => openThread(post.id, post.subreddit, post)}
+                      >
+                        {renderTitle(post.title, Boolean(selectSpoilerReason(spoilers, post)), styles.activityTitle)}
+                        <span className={styles.activityMeta}>
+                          r/{post.subreddit} · {post.score} points · {formatRelativeTime(post.created)}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            {profile.comments.length > 0 && (
+              <section className={styles.section} aria-labelledby="author-profile-comments">
+                <h3 id="author-profile-comments" className={styles.sectionTitle}>Recent comments</h3>
+                <ul className={styles.activityList}>
+                  {profile.comments.slice(0, RECENT_LIMIT).map(comment => (
+                    <li key={comment.id}>
+                      <button
+                        type="button"
+                        className={styles.activity}
+                        onClick={() => openThread(comment.postId, comment.subreddit, findThreadPost(comment))}
+                      >
+                        <span className={styles.activityText}>{toSnippet(comment.body)}</span>
+                        <span className={styles.activityMeta}>
+                          on {renderTitle(
+                            decodeHtml(comment.postTitle || ''),
+                            Boolean(selectSpoilerReason(spoilers, findThreadPost(comment) || {
+                              id: comment.postId,
+                              title: decodeHtml(comment.postTitle || ''),
+                              created: comment.created
+                            }))
+                          )} · r/{comment.subreddit} · {comment.score} points · {formatRelativeTime(comment.created)}
+                        </span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            )}
+
+            <a
+              className={styles.redditLink}
+              href={`https://www.reddit.com/user/${username}`}
+              target="_blank"
+              rel="noopener noreferrer"
+            >
+              <Icon name="ExternalLink" size="sm" ariaHidden={true} />
+              Full profile on Reddit
+            </a>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(AuthorProfile);
@@ -0,0 +1,198 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the author profile panel.
+ *              WHY: The panel is how fans judge an "ITK" claim, so the LFC-only figures must be
+ *              right, and it opens over posts whose keyboard shortcuts must not fire behind it.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import AuthorProfile from '../AuthorProfile';
+import * as authorProfileActions from '../../../redux/actions/authorProfile';
+import * as postsActions from '../../../redux/actions/posts';
+import * as commentsActions from '../../../redux/actions/comments';
+import * as readPostsActions from '../../../redux/actions/readPosts';
+
+const mockStore = configureStore([thunk]);
+
+jest.mock('../../../redux/actions/authorProfile', () => ({
+  openAuthorProfile: jest.fn(),
+  closeAuthorProfile: jest.fn()
+}));
+
+jest.mock('../../../redux/actions/posts', () => ({
+  setCurrentPost: jest.fn(),
+  fetchPostDetails: jest.fn()
+}));
+
+jest.mock('../../../redux/actions/comments', () => ({
+  fetchComments: jest.fn()
+}));
+
+jest.mock('../../../redux/actions/readPosts', () => ({
+  markPostRead: jest.fn()
+}));
+
+const NOW = 1737457200;
+
+const profile = {
+  username: 'ITK_Scouser',
+  created: NOW - 3 * 365 * 86400,
+  posts: [
+    { id: 'p1', title: 'Here we go', subreddit: 'LiverpoolFC', score: 250, created: NOW - 7200 }
+  ],
+  comments: [
+    {
+      id: 'c1',
+      body: '**Medical** booked for Monday',
+      score: 40,
+      created: NOW - 3600,
+      subreddit: 'LFCWomen',
+      postId: 'p9',
+      postTitle: 'Transfer thread'
+    }
+  ]
+};
+
+// Store state for the slices AuthorProfile reads
+const createStoreState = (authorProfile = {}) => ({
+  authorProfile: { username: 'ITK_Scouser', profile, loading: false, error: null, ...authorProfile },
+  posts: { items: [] },
+  spoilers: { enabled: false, windowHours: 12, revealed: {} }
+});
+
+const renderWithStore = (state) => {
+  const store = mockStore(state);
+  return { ...render(<Provider store={store}><AuthorProfile /></Provider>), store };
+};
+
+describe('AuthorProfile Component', () => {
+  const originalDateNow = Date.now;
+
+  beforeEach(() => {
+    Date.now = jest.fn(() => NOW * 1000);
+    authorProfileActions.openAuthorProfile.mockImplementation(username => ({ type: 'OPEN_AUTHOR_PROFILE', payload: username }));
+    authorProfileActions.closeAuthorProfile.mockImplementation(() => ({ type: 'CLOSE_AUTHOR_PROFILE' }));
+    postsActions.setCurrentPost.mockImplementation(post => ({ type: 'SET_CURRENT_POST', payload: post }));
+    postsActions.fetchPostDetails.mockImplementation(postId => ({ type: 'FETCH_POST_DETAILS', payload: postId }));
+    commentsActions.fetchComments.mockImplementation(postId => ({ type: 'FETCH_COMMENTS', payload: postId }));
+    readPostsActions.markPostRead.mockImplementation(post => ({ type: 'MARK_POST_READ', payload: post.id }));
+  });
+
+  afterEach(() => {
+    Date.now = originalDateNow;
+  });
+
+  it('renders nothing while closed', () => {
+    renderWithStore(createStoreState({ username: null, profile: null }));
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('shows account age, LFC karma and recent activity', () => {
+    renderWithStore(createStoreState());
+
+    const dialog = screen.getByRole('dialog', { name: 'u/ITK_Scouser' });
+    expect(within(dialog).getByText('Account age').nextSibling).toHaveTextContent('3 years');
+    expect(within(dialog).getByText('LFC karma').nextSibling).toHaveTextContent('290');
+    expect(within(screen.getByRole('list', { name: 'Karma by subreddit' })).getAllByRole('listitem')[0])
+      .toHaveTextContent('r/LiverpoolFC250 karma');
+    expect(screen.getByRole('button', { name: /Here we go/ })).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: /Medical booked for Monday/ })).toHaveTextContent('on Transfer thread');
+    expect(screen.getByRole('link', { name: /Full profile on Reddit/ }))
+      .toHaveAttribute('href', 'https://www.reddit.com/user/ITK_Scouser');
+  });
+
+  it('blurs result titles in spoiler-safe mode', () => {
+    const spoilerProfile = {
+      ...profile,
+      posts: [{ id: 'p2', title: 'Post-Match Thread: Liverpool 3-1 Everton', subreddit: 'LiverpoolFC', score: 90, created: NOW - 3600 }],
+      comments: [{ ...profile.comments[0], postId: 'p2', postTitle: 'Post-Match Thread: Liverpool 3-1 Everton' }]
+    };
+    renderWithStore({
+      ...createStoreState({ profile: spoilerProfile }),
+      spoilers: { enabled: true, windowHours: 12, revealed: {} }
+    });
+
+    const [post, comment] = screen.getAllByRole('button', { name: /title hidden to avoid spoilers/ });
+    expect(post).not.toHaveAccessibleName(/3-1/);
+    expect(within(post).getByText(/3-1/)).toHaveAttribute('aria-hidden', 'true');
+    expect(comment).toHaveAccessibleName(/Medical booked for Monday/);
+    expect(comment).not.toHaveAccessibleName(/3-1/);
+  });
+
+  it('focuses the close button when opened', () => {
+    renderWithStore(createStoreState());
+
+    expect(screen.getByRole('button', { name: 'Close profile' })).toHaveFocus();
+  });
+
+  it('says so when there is no LFC activity', () => {
+    renderWithStore(createStoreState({ profile: { ...profile, created: null, posts: [], comments: [] } }));
+
+    expect(screen.getByText('No recent posts or comments in the LFC subreddits.')).toBeInTheDocument();
+    expect(screen.getByText('Account age').nextSibling).toHaveTextContent('Unknown');
+  });
+
+  it('shows loading, and errors with a retry', () => {
+    const { unmount } = renderWithStore(createStoreState({ profile: null, loading: true }));
+    expect(screen.getByRole('status')).toBeInTheDocument();
+    unmount();
+
+    const { store } = renderWithStore(createStoreState({ profile: null, error: 'Rate limit exceeded' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Try Again' }));
+
+    expect(screen.getByText('Rate limit exceeded')).toBeInTheDocument();
+    expect(store.getActions()).toContainEqual({ type: 'OPEN_AUTHOR_PROFILE', payload: 'ITK_Scouser' });
+  });
+
+  it('opens a recent post and closes the panel', () => {
+    const { store } = renderWithStore(createStoreState());
+
+    fireEvent.click(screen.getByRole('button', { name: /Here we go/ }));
+
+    expect(authorProfileActions.closeAuthorProfile).toHaveBeenCalled();
+    expect(postsActions.setCurrentPost).toHaveBeenCalledWith(profile.posts[0]);
+    expect(commentsActions.fetchComments).toHaveBeenCalledWith('p1', 'LiverpoolFC');
+    expect(readPostsActions.markPostRead).toHaveBeenCalledWith(profile.posts[0]);
+    expect(store.getActions().map(action => action.type)).toEqual([
+      'CLOSE_AUTHOR_PROFILE', 'MARK_POST_READ', 'SET_CURRENT_POST', 'FETCH_COMMENTS'
+    ]);
+  });
+
+  it('loads the thread of a comment whose post is not to hand', () => {
+    renderWithStore(createStoreState());
+
+    fireEvent.click(screen.getByRole('button', { name: /Medical booked/ }));
+
+    expect(postsActions.fetchPostDetails).toHaveBeenCalledWith('p9');
+    expect(commentsActions.fetchComments).toHaveBeenCalledWith('p9', 'LFCWomen');
+  });
+
+  it('closes on Escape without the key reaching the page behind', () => {
+    const onDocumentKeyDown = jest.fn();
+    document.addEventListener('keydown', onDocumentKeyDown);
+    const { store } = renderWithStore(createStoreState());
+
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Close profile' }), { key: 'Escape' });
+    fireEvent.keyDown(screen.getByRole('button', { name: 'Close profile' }), { key: 'ArrowRight' });
+
+    expect(store.getActions()).toContainEqual({ type: 'CLOSE_AUTHOR_PROFILE' });
+    expect(onDocumentKeyDown).not.toHaveBeenCalled();
+    document.removeEventListener('keydown', onDocumentKeyDown);
+  });
+
+  it('closes when the backdrop is clicked but not the panel', () => {
+    const { store, container } = renderWithStore(createStoreState());
+
+    fireEvent.click(screen.getByRole('dialog'));
+    expect(store.getActions()).toEqual([]);
+
+    fireEvent.click(container.firstChild);
+    expect(store.getActions()).toEqual([{ type: 'CLOSE_AUTHOR_PROFILE' }]);
+  });
+});
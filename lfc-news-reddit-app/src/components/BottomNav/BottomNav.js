@@ -1,24 +1,26 @@
 /**
  * @author Tom Butler
  * @date 2026-01-18
- * @description Mobile-only bottom navigation bar with quick actions for Home, Search, Theme, and Scroll to Top.
+ * @description Mobile-only bottom navigation bar with quick actions for Home, Search, Saved, Theme, Settings, and Scroll to Top.
  *              Provides easy access to core navigation features on small screens where header space is limited.
  *              WHY bottom nav: Mobile users need thumb-friendly navigation positioned in the "thumb zone" at bottom of screen.
  *              WHY these 4 actions: Most common mobile tasks based on user flow analysis - quick access without scrolling.
  */
 
-import React, { useState } from 'react';
+import React from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import Icon from '../Icon/Icon';
 import { clearCurrentPost } from '../../redux/actions/posts';
-import { setSelectedSubreddit } from '../../redux/actions/subreddits';
-import { fetchPosts } from '../../redux/actions/posts';
 import { clearComments } from '../../redux/actions/comments';
+import { setSavedView } from '../../redux/actions/saved';
+import { updateSettings, setSettingsOpen } from '../../redux/actions/settings';
+import { goHome } from '../../redux/actions/navigation';
+import { getNextTheme } from '../../utils/theme';
 import styles from './BottomNav.module.css';
 
 /**
  * Mobile bottom navigation component
- * Renders 4 action buttons: Home, Search, Theme, Scroll to Top
+ * Renders 6 action buttons: Home, Search, Saved, Theme, Settings, Scroll to Top
  * Only visible on mobile (< 768px) via CSS media query
  *
  * @return {JSX.Element}
@@ -27,12 +29,10 @@ import styles from './BottomNav.module.css';
 const BottomNav = () => {
   const dispatch = useDispatch();
 
-  // Track current theme for cycling
-  const [currentTheme, setCurrentTheme] = useState(() => localStorage.getItem('lfc-theme') || 'red');
-
   // Get current state from Redux
   const { currentPost } = useSelector(state => state.posts);
-  const { selected: selectedSubreddit } = useSelector(state => state.subreddits);
+  const { items: savedPosts, viewing: viewingSaved } = useSelector(state => state.saved);
+  const currentTheme = useSelector(state => state.settings.theme);
 
   /**
    * Handle Home button click
@@ -40,20 +40,7 @@ const BottomNav = () => {
    * Common mobile use case: Quick return to main feed after deep navigation
    */
   const handleHomeClick = () => {
-    // Close modal if open
-    if (currentPost) {
-      dispatch(clearCurrentPost());
-      dispatch(clearComments());
-    }
-
-    // Reset to LiverpoolFC subreddit if not already there
-    if (selectedSubreddit !== 'LiverpoolFC') {
-      dispatch(setSelectedSubreddit('LiverpoolFC'));
-      dispatch(fetchPosts('LiverpoolFC'));
-    }
-
-    // Scroll to top
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+    dispatch(goHome());
   };
 
   /**
@@ -71,26 +58,38 @@ const BottomNav = () => {
     }
   };
 
+  /**
+   * Handle Saved button click
+   * WHY: Toggles between the feed and bookmarked posts; closes an open post so the list is visible
+   */
+  const handleSavedClick = () => {
+    if (currentPost) {
+      dispatch(clearCurrentPost());
+      dispatch(clearComments());
+    }
+    dispatch(setSavedView(!viewingSaved));
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
   /**
    * Handle Theme button click
-   * WHY: Cycle through 3 LFC kit themes (red → white → green)
-   * Matches ThemeSwitcher pattern but optimized for mobile single-tap cycling
+   * WHY: Cycle through every registry theme in the order ThemeSwitcher lists them
+   * Same settings update as ThemeSwitcher, optimized for mobile single-tap cycling
    */
   const handleThemeClick = () => {
-    const themes = ['red', 'white', 'green'];
-    const currentIndex = themes.indexOf(currentTheme);
-    const nextTheme = themes[(currentIndex + 1) % 3];
-
-    setCurrentTheme(nextTheme);
-    localStorage.setItem('lfc-theme', nextTheme);
-
-    // Apply theme to document root (matches ThemeSwitcher implementation)
-    const root = document.documentElement;
-    if (nextTheme === 'red') {
-      root.removeAttribute('data-theme');
-    } else {
-      root.setAttribute('data-theme', nextTheme);
+    dispatch(updateSettings({ theme: getNextTheme(currentTheme) }));
+  };
+
+  /**
+   * Handle Settings button click
+   * WHY: Closes an open post first so the Settings screen isn't stacked on another dialog
+   */
+  const handleSettingsClick = () => {
+    if (currentPost) {
+      dispatch(clearCurrentPost());
+      dispatch(clearComments());
     }
+    dispatch(setSettingsOpen(true));
   };
 
   /**
@@ -130,6 +129,21 @@ const BottomNav = () => {
         <span className={styles.buttonLabel}>Search</span>
       </button>
 
+      {/* Saved button - toggle the saved posts view */}
+      <button
+        onClick={handleSavedClick}
+        className={`${styles.navButton} ${viewingSaved ? styles.navButtonActive : ''}`}
+        aria-label={viewingSaved ? 'Back to feed' : `Show saved posts (${savedPosts.length})`}
+        aria-pressed={viewingSaved}
+        type="button"
+      >
+        <Icon name={viewingSaved ? 'BookmarkCheck' : 'Bookmark'} size="md" ariaHidden={true} />
+        <span className={styles.buttonLabel}>Saved</span>
+        {savedPosts.length > 0 && (
+          <span className={styles.badge} aria-hidden="true">{savedPosts.length}</span>
+        )}
+      </button>
+
       {/* Theme button - cycle through themes */}
       <button
         onClick={handleThemeClick}
@@ -141,6 +155,17 @@ const BottomNav = () => {
         <span className={styles.buttonLabel}>Theme</span>
       </button>
 
+      {/* Settings button - open the Settings screen */}
+      <button
+        onClick={handleSettingsClick}
+        className={styles.navButton}
+        aria-label="Open settings"
+        type="button"
+      >
+        <Icon name="Settings" size="md" ariaHidden={true} />
+        <span className={styles.buttonLabel}>Settings</span>
+      </button>
+
       {/* Scroll to top button */}
       <button
         onClick={handleScrollToTopClick}
@@ -31,9 +31,20 @@ jest.mock('../../../redux/actions/comments', () => ({
   clearComments: jest.fn(() => () => Promise.resolve())
 }));
 
+jest.mock('../../../redux/actions/saved', () => ({
+  setSavedView: jest.fn()
+}));
+
+jest.mock('../../../redux/actions/settings', () => ({
+  updateSettings: jest.fn(),
+  setSettingsOpen: jest.fn()
+}));
+
 import * as postsActions from '../../../redux/actions/posts';
 import * as subredditsActions from '../../../redux/actions/subreddits';
 import * as commentsActions from '../../../redux/actions/comments';
+import * as savedActions from '../../../redux/actions/saved';
+import * as settingsActions from '../../../redux/actions/settings';
 
 // Default state for tests
 const createDefaultState = (overrides = {}) => ({
@@ -44,6 +55,15 @@ const createDefaultState = (overrides = {}) => ({
   subreddits: {
     selected: 'LiverpoolFC',
     ...overrides.subreddits
+  },
+  saved: {
+    items: [],
+    viewing: false,
+    ...overrides.saved
+  },
+  settings: {
+    theme: 'red',
+    ...overrides.settings
   }
 });
 
@@ -56,17 +76,6 @@ const renderWithStore = (store) => {
   );
 };
 
-// Mock localStorage
-const localStorageMock = {
-  store: {},
-  getItem: jest.fn((key) => localStorageMock.store[key] || null),
-  setItem: jest.fn((key, value) => { localStorageMock.store[key] = value; }),
-  removeItem: jest.fn((key) => { delete localStorageMock.store[key]; }),
-  clear: jest.fn(() => { localStorageMock.store = {}; })
-};
-
-Object.defineProperty(window, 'localStorage', { value: localStorageMock });
-
 // Mock scrollTo
 Object.defineProperty(window, 'scrollTo', {
   value: jest.fn(),
@@ -78,8 +87,8 @@ describe('BottomNav Component', () => {
 
   beforeEach(() => {
     jest.clearAllMocks();
-    localStorageMock.clear();
-    localStorageMock.store['lfc-theme'] = 'red';
+    settingsActions.updateSettings.mockImplementation((changes) => ({ type: 'UPDATE_SETTINGS', payload: changes }));
+    settingsActions.setSettingsOpen.mockImplementation((open) => ({ type: 'SET_SETTINGS_OPEN', payload: open }));
     store = mockStore(createDefaultState());
   });
 
@@ -111,6 +120,13 @@ describe('BottomNav Component', () => {
       expect(screen.getByText('Theme')).toBeInTheDocument();
     });
 
+    it('renders Settings button', () => {
+      renderWithStore(store);
+
+      expect(screen.getByRole('button', { name: 'Open settings' })).toBeInTheDocument();
+      expect(screen.getByText('Settings')).toBeInTheDocument();
+    });
+
     it('renders Scroll to Top button', () => {
       renderWithStore(store);
 
@@ -118,11 +134,47 @@ describe('BottomNav Component', () => {
       expect(screen.getByText('Top')).toBeInTheDocument();
     });
 
-    it('renders all four navigation buttons', () => {
+    it('renders all six navigation buttons', () => {
       renderWithStore(store);
 
       const buttons = screen.getAllByRole('button');
-      expect(buttons).toHaveLength(4);
+      expect(buttons).toHaveLength(6);
+    });
+  });
+
+  describe('Saved Button', () => {
+    beforeEach(() => {
+      savedActions.setSavedView.mockImplementation((viewing) => ({ type: 'SET_SAVED_VIEW', payload: viewing }));
+    });
+
+    it('shows the saved post count', () => {
+      store = mockStore(createDefaultState({
+        saved: { items: [{ id: 'a' }, { id: 'b' }] }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByRole('button', { name: 'Show saved posts (2)' })).toHaveAttribute('aria-pressed', 'false');
+      expect(screen.getByText('2')).toBeInTheDocument();
+    });
+
+    it('opens the Saved view', () => {
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: /Show saved posts/ }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SAVED_VIEW', payload: true });
+    });
+
+    it('returns to the feed when pressed again', () => {
+      store = mockStore(createDefaultState({ saved: { viewing: true } }));
+      renderWithStore(store);
+
+      const savedButton = screen.getByRole('button', { name: 'Back to feed' });
+      expect(savedButton).toHaveAttribute('aria-pressed', 'true');
+
+      fireEvent.click(savedButton);
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SAVED_VIEW', payload: false });
     });
   });
 
@@ -175,50 +227,49 @@ describe('BottomNav Component', () => {
 
   describe('Theme Button', () => {
     it('cycles from red to white theme', () => {
-      localStorageMock.store['lfc-theme'] = 'red';
       renderWithStore(store);
 
       const themeButton = screen.getByRole('button', { name: /Switch theme.*red/i });
       fireEvent.click(themeButton);
 
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('lfc-theme', 'white');
-      expect(document.documentElement.getAttribute('data-theme')).toBe('white');
+      expect(store.getActions()).toContainEqual({ type: 'UPDATE_SETTINGS', payload: { theme: 'white' } });
     });
 
-    it('cycles through themes when clicked multiple times', () => {
-      localStorageMock.store['lfc-theme'] = 'red';
+    it('cycles from white to green theme', () => {
+      store = mockStore(createDefaultState({ settings: { theme: 'white' } }));
       renderWithStore(store);
 
-      // Find theme button
-      const themeButton = screen.getByText('Theme').closest('button');
+      fireEvent.click(screen.getByText('Theme').closest('button'));
 
-      // First click: red -> white
-      fireEvent.click(themeButton);
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('lfc-theme', 'white');
+      expect(store.getActions()).toContainEqual({ type: 'UPDATE_SETTINGS', payload: { theme: 'green' } });
+    });
 
-      // Second click: white -> green
-      fireEvent.click(themeButton);
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('lfc-theme', 'green');
+    it('cycles from green to the system theme', () => {
+      store = mockStore(createDefaultState({ settings: { theme: 'green' } }));
+      renderWithStore(store);
 
-      // Third click: green -> red (only 3 themes now)
-      fireEvent.click(themeButton);
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('lfc-theme', 'red');
-    });
+      fireEvent.click(screen.getByText('Theme').closest('button'));
 
-    it('removes data-theme attribute when cycling to red theme', () => {
-      localStorageMock.store['lfc-theme'] = 'red';
-      document.documentElement.setAttribute('data-theme', 'green');
+      expect(store.getActions()).toContainEqual({ type: 'UPDATE_SETTINGS', payload: { theme: 'system' } });
+    });
 
+    it('wraps from the custom theme back to red', () => {
+      store = mockStore(createDefaultState({ settings: { theme: 'custom' } }));
       renderWithStore(store);
 
-      const themeButton = screen.getByText('Theme').closest('button');
+      fireEvent.click(screen.getByText('Theme').closest('button'));
 
-      // Click 3 times to cycle through and back to red (only 3 themes)
-      fireEvent.click(themeButton); // white
-      fireEvent.click(themeButton); // green
-      fireEvent.click(themeButton); // red
+      expect(store.getActions()).toContainEqual({ type: 'UPDATE_SETTINGS', payload: { theme: 'red' } });
+    });
+  });
 
-      expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+  describe('Settings Button', () => {
+    it('opens the Settings screen', () => {
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Open settings' }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SETTINGS_OPEN', payload: true });
     });
   });
 
@@ -240,6 +291,7 @@ describe('BottomNav Component', () => {
       expect(screen.getByLabelText('Go to home')).toBeInTheDocument();
       expect(screen.getByLabelText('Focus search')).toBeInTheDocument();
       expect(screen.getByLabelText(/Switch theme/)).toBeInTheDocument();
+      expect(screen.getByLabelText('Open settings')).toBeInTheDocument();
       expect(screen.getByLabelText('Scroll to top')).toBeInTheDocument();
     });
 
@@ -260,7 +312,6 @@ describe('BottomNav Component', () => {
     });
 
     it('theme button shows current theme in aria-label', () => {
-      localStorageMock.store['lfc-theme'] = 'red';
       renderWithStore(store);
 
       // Initial theme is red
@@ -275,17 +326,17 @@ describe('BottomNav Component', () => {
       expect(screen.getByText('Home')).toBeInTheDocument();
       expect(screen.getByText('Search')).toBeInTheDocument();
       expect(screen.getByText('Theme')).toBeInTheDocument();
+      expect(screen.getByText('Settings')).toBeInTheDocument();
       expect(screen.getByText('Top')).toBeInTheDocument();
     });
   });
 
-  describe('Default Theme', () => {
-    it('defaults to red theme when localStorage is empty', () => {
-      localStorageMock.store = {}; // Clear localStorage
-
+  describe('Current Theme', () => {
+    it('reflects the theme from settings', () => {
+      store = mockStore(createDefaultState({ settings: { theme: 'green' } }));
       renderWithStore(store);
 
-      expect(screen.getByRole('button', { name: /current: red/i })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: /current: green/i })).toBeInTheDocument();
     });
   });
 });
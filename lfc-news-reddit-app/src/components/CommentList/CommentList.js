@@ -6,9 +6,12 @@
  *              Uses virtualization for large comment threads (> 20 comments) to improve performance.
  *              WHY virtualization: With up to 500 comments per post, rendering all DOM nodes causes
  *              severe performance issues on mobile. Virtualization only renders visible comments.
+ *              Comments matching the mute list collapse (with their replies) into a placeholder.
+ *              Inline media in an NSFW post's thread follows the content policy passed as mediaPolicy.
+ *              Find-in-thread hits (findQuery) are highlighted, and the active one is opened and scrolled to.
  */
 
-import React, { useState, useMemo, useCallback, useEffect } from 'react';
+import React, { useState, useMemo, useCallback, useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
@@ -17,6 +20,11 @@ import { formatRelativeTime } from '../../utils/formatTime';
 import { sanitizeUrl } from '../../utils/sanitize';
 import Icon from '../Icon/Icon';
 import Avatar from '../Avatar';
+import AuthorButton from '../AuthorButton/AuthorButton';
+import MutedPlaceholder from '../MutedPlaceholder/MutedPlaceholder';
+import ContentWarning from '../ContentWarning/ContentWarning';
+import { findMutedComments } from '../../utils/muteFilter';
+import { createFindPattern, splitByPattern, rehypeFindMatches } from '../../utils/threadSearch';
 import styles from './CommentList.module.css';
 
 /**
@@ -32,6 +40,18 @@ const VIRTUALIZATION_THRESHOLD = 999;
  */
 const ESTIMATED_COMMENT_HEIGHT = 120;
 
+/**
+ * Comment sort options shown in the selector, keyed by Reddit's sort parameter
+ */
+const COMMENT_SORT_OPTIONS = [
+  { value: 'confidence', label: 'Best' },
+  { value: 'top', label: 'Top' },
+  { value: 'new', label: 'New' },
+  { value: 'controversial', label: 'Controversial' },
+  { value: 'old', label: 'Old' },
+  { value: 'qa', label: 'Q&A' }
+];
+
 /**
  * Count total number of replies (including nested) for a comment
  * WHY: Used to display "X replies" on collapse buttons
@@ -43,16 +63,17 @@ const countReplies = (comment) => {
     return 0;
   }
 
-  let count = comment.replies.length;
+  let count = 0;
   comment.replies.forEach(reply => {
-    count += countReplies(reply);
+    // WHY: A "more" stub stands in for `count` replies that haven't been loaded yet
+    count += reply.isMore ? reply.count : 1 + countReplies(reply);
   });
 
   return count;
 };
 
 /**
- * Maximum nesting level for visual display
+ * Default maximum nesting level for visual display (the comment depth setting overrides it)
  * WHY: Per comment-threading-polish.md spec, flatten threads beyond depth 6
  * Comments at depth 7, 8, 9+ all render at depth 6 indent to prevent excessive nesting
  */
@@ -63,18 +84,22 @@ const MAX_NESTING_LEVEL = 6;
  * WHY: react-window can only render linear lists, so we convert the tree structure
  * @param {Object[]} comments - Array of comment objects with nested replies
  * @param {Object} collapsedState - Map of comment IDs to collapsed state
- * @return {Object[]} Flattened array of comments with their level preserved (capped at MAX_NESTING_LEVEL)
+ * @param {Map<string, string>} [hiddenMuted=new Map()] - Muted, unrevealed comment IDs mapped to their reason
+ * @param {number} [maxNestingLevel=MAX_NESTING_LEVEL] - Deepest level rendered with its own indent
+ * @return {Object[]} Flattened array of comments with their level preserved (capped at maxNestingLevel);
+ *                    hidden muted comments carry `mutedReason`
  */
-const flattenComments = (comments, collapsedState = {}) => {
+const flattenComments = (comments, collapsedState = {}, hiddenMuted = new Map(), maxNestingLevel = MAX_NESTING_LEVEL) => {
   const flattened = [];
 
   const traverse = (commentList, level = 0) => {
     commentList.forEach(comment => {
-      // Cap level at MAX_NESTING_LEVEL to prevent excessive visual nesting
-      flattened.push({ ...comment, level: Math.min(level, MAX_NESTING_LEVEL) });
+      const mutedReason = hiddenMuted.get(comment.id);
+      // Cap level at maxNestingLevel to prevent excessive visual nesting
+      flattened.push({ ...comment, level: Math.min(level, maxNestingLevel), ...(mutedReason && { mutedReason }) });
 
-      // Only include replies if this comment is not collapsed
-      if (!collapsedState[comment.id] && comment.replies && comment.replies.length > 0) {
+      // Only include replies if this comment is not collapsed (a muted placeholder hides its branch too)
+      if (!mutedReason && !collapsedState[comment.id] && comment.replies && comment.replies.length > 0) {
         traverse(comment.replies, level + 1);
       }
     });
@@ -84,6 +109,55 @@ const flattenComments = (comments, collapsedState = {}) => {
   return flattened;
 };
 
+/**
+ * @param {number} level - Comment nesting depth
+ * @return {number} Left indent in pixels, capped by screen size
+ */
+const getLevelIndent = (level) => {
+  const isMobile = window.innerWidth < 768;
+  return isMobile
+    ? Math.min(level * 16, 64)
+    : Math.min(level * 24, 120);
+};
+
+/**
+ * Placeholder for replies Reddit left out of the response ("load more" / "continue this thread")
+ * @param {Object} props
+ * @param {Object} props.stub - Normalised "more" node with count, children, loading and error
+ * @param {Function} props.onLoadMore - Called with the stub when the button is clicked
+ * @return {JSX.Element|null}
+ * @constructor
+ */
+const MoreComments = ({ stub, onLoadMore }) => {
+  const isContinueThread = stub.children.length === 0;
+  // WHY: A childless stub under the post itself has nothing to continue to
+  if (!onLoadMore || (isContinueThread && !stub.parentId?.startsWith('t1_'))) return null;
+
+  const noun = stub.parentId?.startsWith('t3_') ? 'comment' : 'reply';
+  const label = isContinueThread
+    ? 'Continue this thread'
+    : `Load ${stub.count} more ${stub.count === 1 ? noun : noun === 'reply' ? 'replies' : 'comments'}`;
+
+  return (
+    <div className={styles.moreComments} style={{ marginLeft: `${getLevelIndent(stub.level)}px` }}>
+      <button
+        className={styles.moreCommentsButton}
+        onClick={() => onLoadMore(stub)}
+        disabled={stub.loading}
+        aria-busy={stub.loading || undefined}
+      >
+        <Icon name={isContinueThread ? 'CornerDownRight' : 'Plus'} size="sm" ariaHidden={true} />
+        <span>{stub.loading ? 'Loading...' : label}</span>
+      </button>
+      {stub.error && !stub.loading && (
+        <span className={styles.moreCommentsError} role="alert">
+          Couldn't load replies. Try again.
+        </span>
+      )}
+    </div>
+  );
+};
+
 /**
  * @param {Object} props
  * @param {Object} props.comment - Comment object with body, author, score, and nested replies
@@ -91,20 +165,26 @@ const flattenComments = (comments, collapsedState = {}) => {
  * @param {boolean} props.collapsed - Whether this comment is collapsed (for virtualized mode)
  * @param {string} props.postId - Post ID for constructing Reddit URLs (optional)
  * @param {string} props.subreddit - Subreddit name for constructing Reddit URLs (optional)
+ * @param {boolean} props.isNew - Whether this comment arrived in the latest live poll (optional)
+ * @param {string} props.mediaPolicy - NSFW policy for inline media: 'hide', 'blur' or 'show' (optional)
+ * @param {Function} props.onRevealMedia - Called when the user taps to show blurred media (optional)
+ * @param {RegExp} props.findPattern - Find-in-thread pattern to highlight (optional)
+ * @param {boolean} props.isActiveMatch - Whether this is the find match being shown (optional)
+ * @param {Function} props.onAuthorClick - Called with the author's name to open their profile (optional)
  * @return {JSX.Element}
  * @constructor
  */
-const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) => {
+const Comment = ({
+  comment, onToggleCollapse, collapsed, postId, subreddit, isNew, mediaPolicy = 'show', onRevealMedia,
+  findPattern, isActiveMatch, onAuthorClick
+}) => {
   // WHY: Track copy state to show feedback when user copies permalink
   const [copied, setCopied] = useState(false);
   // Cap indentation based on screen size to prevent excessive nesting pushing content off-screen
   // WHY: Per comment-threading-polish.md spec, indent 16px mobile / 24px desktop
   // Mobile (< 768px): 16px per level, max 64px (4 levels visible indent)
   // Desktop (>= 768px): 24px per level, max 120px (5 levels visible indent)
-  const isMobile = window.innerWidth < 768;
-  const levelIndent = isMobile
-    ? Math.min(comment.level * 16, 64)
-    : Math.min(comment.level * 24, 120);
+  const levelIndent = getLevelIndent(comment.level);
 
   // Show collapse button and count of hidden replies
   const hasReplies = comment.replies && comment.replies.length > 0;
@@ -121,9 +201,30 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
   ];
   const threadColor = threadColors[Math.min(comment.level || 0, threadColors.length - 1)];
 
+  /**
+   * @param {JSX.Element} image - Inline image element
+   * @return {JSX.Element} The image, or the content warning standing in for / over it
+   */
+  const guardImage = (image) => {
+    if (mediaPolicy === 'hide') return <ContentWarning policy="hide" label="NSFW image" />;
+    if (mediaPolicy !== 'blur') return image;
+    return (
+      <span className={styles.nsfwMedia}>
+        <span className={styles.nsfwBlurred} aria-hidden="true">{image}</span>
+        <ContentWarning policy="blur" label="NSFW image" onReveal={onRevealMedia} overlay />
+      </span>
+    );
+  };
+
+  // WHY no blurred video: its controls would stay focusable under the blur, so it isn't rendered at all
+  const videoWarning = mediaPolicy !== 'show' && (
+    <ContentWarning policy={mediaPolicy} label="NSFW video" onReveal={onRevealMedia} />
+  );
+
   return (
     <div
-      className={`${styles.comment} ${comment.level % 2 === 1 ? styles.commentOddDepth : ''}`}
+      className={`${styles.comment} ${comment.level % 2 === 1 ? styles.commentOddDepth : ''} ${isNew ? styles.commentNew : ''} ${isActiveMatch ? styles.commentFindActive : ''}`}
+      data-comment-id={comment.id}
       style={{
         marginLeft: `${levelIndent}px`,
         '--thread-color': threadColor
@@ -162,10 +263,18 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
           borderColor={threadColor}
           className={styles.commentAvatar}
         />
-        <span className={`${styles.author} ${comment.isSubmitter ? styles.op : ''}`}>
-          {comment.author}
+        <AuthorButton
+          username={comment.author}
+          onOpen={onAuthorClick}
+          className={`${styles.author} ${comment.isSubmitter ? styles.op : ''}`.trim()}
+        >
+          {splitByPattern(comment.author, findPattern).map((segment, index) => (
+            segment.match
+              ? <mark key={index} className={styles.findMatch}>{segment.text}</mark>
+              : <React.Fragment key={index}>{segment.text}</React.Fragment>
+          ))}
           {comment.isSubmitter && <span className={styles.opBadge}>OP</span>}
-        </span>
+        </AuthorButton>
         <span className={styles.score}>{comment.score} upvotes</span>
         <span className={styles.time}>{formatRelativeTime(comment.created)}</span>
         {comment.stickied && <span className={styles.stickied}>Pinned</span>}
@@ -183,12 +292,14 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
         {!collapsed && (
           <ReactMarkdown
             remarkPlugins={[remarkGfm]}
+            rehypePlugins={findPattern ? [[rehypeFindMatches, { pattern: findPattern, className: styles.findMatch }]] : []}
             components={{
               a: ({ href, children }) => {
                 if (!href) return <span>{children}</span>;
 
                 // Pattern 1: Detect video URLs by extension or known video hosting domains
                 if (/\.(mp4|webm|mov)$/i.test(href) || href.includes('v.redd.it') || href.includes('gfycat.com') || href.includes('redgifs.com')) {
+                  if (videoWarning) return videoWarning;
                   return (
                     <div className={styles.videoLinkContainer}>
                       <video
@@ -215,12 +326,14 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
                 if (/\.(jpg|jpeg|png|gif|webp)$/i.test(href)) {
                   return (
                     <div className={styles.imageLinkContainer}>
-                      <img
-                        src={sanitizeUrl(href)}
-                        alt=""
-                        className={styles.commentImage}
-                        loading="lazy"
-                      />
+                      {guardImage(
+                        <img
+                          src={sanitizeUrl(href)}
+                          alt=""
+                          className={styles.commentImage}
+                          loading="lazy"
+                        />
+                      )}
                     </div>
                   );
                 }
@@ -246,18 +359,21 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
                 if (/\.(gif|gifv)$/i.test(src)) {
                   return (
                     <div className={styles.gifContainer}>
-                      <img
-                        src={sanitizeUrl(src)}
-                        alt={alt}
-                        className={styles.commentGif}
-                        loading="lazy"
-                      />
+                      {guardImage(
+                        <img
+                          src={sanitizeUrl(src)}
+                          alt={alt}
+                          className={styles.commentGif}
+                          loading="lazy"
+                        />
+                      )}
                     </div>
                   );
                 }
 
                 // Type 2: Reddit-hosted videos
                 if (src.includes('v.redd.it')) {
+                  if (videoWarning) return videoWarning;
                   return (
                     <div className={styles.videoContainer}>
                       <video
@@ -274,7 +390,7 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
                 }
 
                 // Type 3: Standard images
-                return (
+                return guardImage(
                   <img
                     src={sanitizeUrl(src)}
                     alt={alt}
@@ -339,9 +455,33 @@ const Comment = ({ comment, onToggleCollapse, collapsed, postId, subreddit }) =>
  * @return {JSX.Element}
  */
 const VirtualizedRow = ({ index, style, data }) => {
-  const { flatComments, collapsedState, onToggleCollapse, postId, subreddit } = data;
+  const {
+    flatComments, collapsedState, onToggleCollapse, postId, subreddit, highlighted, onLoadMore, onReveal,
+    mediaPolicy, onRevealMedia, findPattern, activeFindId, onAuthorClick
+  } = data;
   const comment = flatComments[index];
 
+  if (comment.mutedReason) {
+    return (
+      <div style={style}>
+        <MutedPlaceholder
+          label="Muted comment"
+          reason={comment.mutedReason}
+          onReveal={() => onReveal(comment.id)}
+          style={{ marginLeft: `${getLevelIndent(comment.level)}px` }}
+        />
+      </div>
+    );
+  }
+
+  if (comment.isMore) {
+    return (
+      <div style={style}>
+        <MoreComments stub={comment} onLoadMore={onLoadMore} />
+      </div>
+    );
+  }
+
   return (
     <div style={style}>
       <Comment
@@ -350,6 +490,12 @@ const VirtualizedRow = ({ index, style, data }) => {
         collapsed={collapsedState[comment.id]}
         postId={postId}
         subreddit={subreddit}
+        isNew={highlighted.has(comment.id)}
+        mediaPolicy={mediaPolicy}
+        onRevealMedia={onRevealMedia}
+        findPattern={findPattern}
+        isActiveMatch={comment.id === activeFindId}
+        onAuthorClick={onAuthorClick}
       />
     </div>
   );
@@ -370,14 +516,41 @@ const getTopLevelCommentIds = (comments) => {
  * @param {Object[]} props.comments - Array of top-level comment objects
  * @param {string} props.postId - Post ID for constructing Reddit URLs (optional)
  * @param {string} props.subreddit - Subreddit name for constructing Reddit URLs (optional)
+ * @param {string[]} props.highlightedIds - Ids of comments to highlight as new (optional)
+ * @param {string} props.sort - Current comment sort (optional, shown with onSortChange)
+ * @param {Function} props.onSortChange - Called with the chosen sort value (optional)
+ * @param {Function} props.onLoadMore - Called with a "more" stub to load its replies (optional)
+ * @param {Object} props.muteRules - Compiled mute rules from compileMuteRules (optional)
+ * @param {string} props.mediaPolicy - NSFW policy for inline media (optional, defaults to 'show')
+ * @param {Function} props.onRevealMedia - Called when the user taps to show blurred media (optional)
+ * @param {number} props.maxNestingLevel - Deepest level indented further (optional, defaults to 6)
+ * @param {string} props.findQuery - Find-in-thread text to highlight (optional)
+ * @param {Object} props.activeFindMatch - Match from findThreadMatches to open and scroll to (optional)
+ * @param {Function} props.onAuthorClick - Called with an author's name to open their profile (optional)
  * @return {JSX.Element}
  * @constructor
  */
-const CommentList = ({ comments, postId, subreddit }) => {
+const CommentList = ({
+  comments, postId, subreddit, highlightedIds, sort, onSortChange, onLoadMore, muteRules,
+  mediaPolicy = 'show', onRevealMedia, maxNestingLevel = MAX_NESTING_LEVEL, findQuery, activeFindMatch,
+  onAuthorClick
+}) => {
   // ALL HOOKS MUST BE CALLED BEFORE ANY CONDITIONAL RETURNS
   const [collapsedState, setCollapsedState] = useState({});
+  // Ids of muted comments the user chose to show anyway
+  const [revealedMuted, setRevealedMuted] = useState({});
+
+  // WHY Set: checked once per rendered comment, which can be hundreds in a match thread
+  const highlighted = useMemo(() => new Set(highlightedIds || []), [highlightedIds]);
   const [windowHeight, setWindowHeight] = useState(window.innerHeight);
 
+  const findPattern = useMemo(() => createFindPattern(findQuery), [findQuery]);
+  const activeFindId = activeFindMatch ? activeFindMatch.id : null;
+  const wrapperRef = useRef(null);
+  const listRef = useRef(null);
+  // The find match last scrolled to, so re-renders don't keep pulling the thread back to it
+  const scrolledMatchRef = useRef(null);
+
   // WHY: Track initial render to apply staggered animations only on first load
   // This prevents re-animation when collapse/expand state changes
   const [hasAnimated, setHasAnimated] = useState(false);
@@ -407,13 +580,56 @@ const CommentList = ({ comments, postId, subreddit }) => {
     }
   }, [comments, hasAnimated]);
 
+  // WHY useMemo: a match thread can hold hundreds of comments to test against every rule
+  const hiddenMuted = useMemo(() => {
+    const muted = findMutedComments(comments || [], muteRules);
+    Object.keys(revealedMuted).forEach(id => muted.delete(id));
+    return muted;
+  }, [comments, muteRules, revealedMuted]);
+
   // Flatten the comment tree based on collapsed state
   // WHY: useMemo prevents recalculation on every render, only when comments or collapsed state changes
   const flatComments = useMemo(
-    () => comments ? flattenComments(comments, collapsedState) : [],
-    [comments, collapsedState]
+    () => comments ? flattenComments(comments, collapsedState, hiddenMuted, maxNestingLevel) : [],
+    [comments, collapsedState, hiddenMuted, maxNestingLevel]
   );
 
+  /**
+   * @listens activeFindMatch - Expands the match and every collapsed comment above it
+   */
+  useEffect(() => {
+    if (!activeFindMatch) return;
+    const branch = [...activeFindMatch.ancestorIds, activeFindMatch.id];
+    setCollapsedState(prev => {
+      if (!branch.some(id => prev[id])) return prev;
+      const next = { ...prev };
+      branch.forEach(id => delete next[id]);
+      return next;
+    });
+  }, [activeFindMatch]);
+
+  /**
+   * @listens activeFindMatch, flatComments - Scrolls to the match once its branch is open
+   */
+  useEffect(() => {
+    if (!activeFindMatch || scrolledMatchRef.current === activeFindMatch) return;
+
+    const index = flatComments.findIndex(comment => comment.id === activeFindMatch.id);
+    if (index === -1) return;
+    scrolledMatchRef.current = activeFindMatch;
+    if (flatComments.length >= VIRTUALIZATION_THRESHOLD) {
+      listRef.current?.scrollToItem(index, 'center');
+    } else {
+      const element = wrapperRef.current?.querySelector(`[data-comment-id="${activeFindMatch.id}"]`);
+      // WHY optional call: jsdom has no scrollIntoView
+      element?.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+    }
+  }, [activeFindMatch, flatComments]);
+
+  const handleRevealMuted = useCallback((commentId) => {
+    setRevealedMuted(prev => ({ ...prev, [commentId]: true }));
+  }, []);
+
   /**
    * Toggle collapse state for a comment and all its children
    * WHY: When a comment is collapsed, we hide all its replies from the flattened list
@@ -462,25 +678,97 @@ const CommentList = ({ comments, postId, subreddit }) => {
       collapsedState,
       onToggleCollapse: handleToggleCollapse,
       postId,
-      subreddit
+      subreddit,
+      highlighted,
+      onLoadMore,
+      onReveal: handleRevealMuted,
+      mediaPolicy,
+      onRevealMedia,
+      findPattern,
+      activeFindId,
+      onAuthorClick
     }),
-    [flatComments, collapsedState, handleToggleCollapse, postId, subreddit]
+    [
+      flatComments, collapsedState, handleToggleCollapse, postId, subreddit, highlighted, onLoadMore,
+      handleRevealMuted, mediaPolicy, onRevealMedia, findPattern, activeFindId, onAuthorClick
+    ]
+  );
+
+  const sortControl = onSortChange && (
+    <div className={styles.sortControl}>
+      <label className={styles.sortLabel} htmlFor="comment-sort-select">Sort:</label>
+      <select
+        id="comment-sort-select"
+        className={styles.sortSelect}
+        value={sort}
+        onChange={(e) => onSortChange(e.target.value)}
+      >
+        {COMMENT_SORT_OPTIONS.map(option => (
+          <option key={option.value} value={option.value}>{option.label}</option>
+        ))}
+      </select>
+    </div>
   );
 
   // NOW we can do conditional returns after all hooks are called
   if (!comments || comments.length === 0) {
+    // WHY keep the selector: some sorts (e.g. Q&A) can legitimately come back empty
     return (
-      <div className={styles.noComments}>
-        No comments yet. Be the first to comment on Reddit!
+      <div className={styles.commentListWrapper}>
+        {sortControl && <div className={styles.commentActions}>{sortControl}</div>}
+        <div className={styles.noComments}>
+          No comments yet. Be the first to comment on Reddit!
+        </div>
       </div>
     );
   }
 
+  // WHY: A top-level "more" stub isn't a comment
+  const topLevelCount = comments.filter(comment => !comment.isMore).length;
+
+  // WHY shared: both the recursive and virtualized layouts show the same toolbar
+  const commentActions = (
+    <div className={styles.commentActions}>
+      <button
+        className={styles.collapseAllButton}
+        onClick={hasAnyCollapsed ? handleExpandAll : handleCollapseAll}
+        aria-label={hasAnyCollapsed ? 'Expand all top-level comments' : 'Collapse all top-level comments'}
+      >
+        <Icon name={hasAnyCollapsed ? 'ChevronsDown' : 'ChevronsUp'} size="sm" ariaHidden={true} />
+        <span>{hasAnyCollapsed ? 'Expand All' : 'Collapse All'}</span>
+      </button>
+      {sortControl}
+      <span className={styles.commentCount}>
+        {topLevelCount} {topLevelCount === 1 ? 'comment' : 'comments'}
+      </span>
+    </div>
+  );
+
   // Use regular rendering for small lists (< 20 comments total)
   // WHY: Virtualization overhead isn't worth it for small lists
   if (flatComments.length < VIRTUALIZATION_THRESHOLD) {
     // Render comments recursively for non-virtualized mode
-    const RecursiveComment = ({ comment }) => {
+    const RecursiveComment = ({ comment: nestedComment }) => {
+      // WHY: Same depth cap as the flattened list; only deep comments need a copy
+      const comment = nestedComment.level > maxNestingLevel
+        ? { ...nestedComment, level: maxNestingLevel }
+        : nestedComment;
+
+      if (comment.isMore) {
+        return <MoreComments stub={comment} onLoadMore={onLoadMore} />;
+      }
+
+      if (hiddenMuted.has(comment.id)) {
+        return (
+          <MutedPlaceholder
+            label="Muted comment"
+            reason={hiddenMuted.get(comment.id)}
+            onReveal={() => handleRevealMuted(comment.id)}
+            style={{ marginLeft: `${getLevelIndent(comment.level)}px` }}
+          />
+        );
+      }
+
       const collapsed = collapsedState[comment.id] || false;
 
       return (
@@ -491,6 +779,12 @@ const CommentList = ({ comments, postId, subreddit }) => {
             collapsed={collapsed}
             postId={postId}
             subreddit={subreddit}
+            isNew={highlighted.has(comment.id)}
+            mediaPolicy={mediaPolicy}
+            onRevealMedia={onRevealMedia}
+            findPattern={findPattern}
+            isActiveMatch={comment.id === activeFindId}
+            onAuthorClick={onAuthorClick}
           />
           {!collapsed && comment.replies && comment.replies.length > 0 && (
             <div className={styles.replies}>
@@ -504,20 +798,8 @@ const CommentList = ({ comments, postId, subreddit }) => {
     };
 
     return (
-      <div className={styles.commentListWrapper}>
-        <div className={styles.commentActions}>
-          <button
-            className={styles.collapseAllButton}
-            onClick={hasAnyCollapsed ? handleExpandAll : handleCollapseAll}
-            aria-label={hasAnyCollapsed ? 'Expand all top-level comments' : 'Collapse all top-level comments'}
-          >
-            <Icon name={hasAnyCollapsed ? 'ChevronsDown' : 'ChevronsUp'} size="sm" ariaHidden={true} />
-            <span>{hasAnyCollapsed ? 'Expand All' : 'Collapse All'}</span>
-          </button>
-          <span className={styles.commentCount}>
-            {comments.length} {comments.length === 1 ? 'comment' : 'comments'}
-          </span>
-        </div>
+      <div className={styles.commentListWrapper} ref={wrapperRef}>
+        {commentActions}
         <div className={styles.commentList}>
           {comments.map((comment, index) => {
             // WHY: Apply staggered animation only for first 15 items and only on initial render
@@ -546,22 +828,11 @@ const CommentList = ({ comments, postId, subreddit }) => {
 
   return (
     <div className={styles.commentListWrapper}>
-      <div className={styles.commentActions}>
-        <button
-          className={styles.collapseAllButton}
-          onClick={hasAnyCollapsed ? handleExpandAll : handleCollapseAll}
-          aria-label={hasAnyCollapsed ? 'Expand all top-level comments' : 'Collapse all top-level comments'}
-        >
-          <Icon name={hasAnyCollapsed ? 'ChevronsDown' : 'ChevronsUp'} size="sm" ariaHidden={true} />
-          <span>{hasAnyCollapsed ? 'Expand All' : 'Collapse All'}</span>
-        </button>
-        <span className={styles.commentCount}>
-          {comments.length} {comments.length === 1 ? 'comment' : 'comments'}
-        </span>
-      </div>
+      {commentActions}
       <div className={styles.commentListContainer}>
         {/* WHY: Height capped at 600px or 50% viewport to fit well within modal context */}
         <List
+          ref={listRef}
           height={Math.min(windowHeight * 0.5, 600)}
           itemCount={flatComments.length}
           itemSize={ESTIMATED_COMMENT_HEIGHT}
@@ -576,23 +847,70 @@ const CommentList = ({ comments, postId, subreddit }) => {
   );
 };
 
+// Normalised "more" placeholder from api.processMoreData
+const moreStubShape = PropTypes.shape({
+  id: PropTypes.string.isRequired,
+  isMore: PropTypes.oneOf([true]).isRequired,
+  parentId: PropTypes.string,
+  count: PropTypes.number.isRequired,
+  children: PropTypes.arrayOf(PropTypes.string).isRequired,
+  level: PropTypes.number,
+  loading: PropTypes.bool,
+  error: PropTypes.string
+});
+
 CommentList.propTypes = {
-  // Array of comment objects with body, author, score, and nested replies
+  // Array of comment objects with body, author, score, and nested replies, or "more" stubs
   comments: PropTypes.arrayOf(
-    PropTypes.shape({
-      id: PropTypes.string.isRequired,
-      author: PropTypes.string.isRequired,
-      body: PropTypes.string.isRequired,
-      score: PropTypes.number,
-      created: PropTypes.number,
-      replies: PropTypes.array,
-      level: PropTypes.number
-    })
+    PropTypes.oneOfType([
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        author: PropTypes.string.isRequired,
+        body: PropTypes.string.isRequired,
+        score: PropTypes.number,
+        created: PropTypes.number,
+        replies: PropTypes.array,
+        level: PropTypes.number
+      }),
+      moreStubShape
+    ])
   ).isRequired,
   // Post ID for constructing Reddit URLs (optional)
   postId: PropTypes.string,
   // Subreddit name for constructing Reddit URLs (optional)
-  subreddit: PropTypes.string
+  subreddit: PropTypes.string,
+  // Ids of comments that arrived in the latest live poll (optional)
+  highlightedIds: PropTypes.arrayOf(PropTypes.string),
+  // Current Reddit comment sort value (optional)
+  sort: PropTypes.oneOf(COMMENT_SORT_OPTIONS.map(option => option.value)),
+  // Called with the chosen sort; the selector is hidden without it (optional)
+  onSortChange: PropTypes.func,
+  // Called with a "more" stub; stubs are hidden without it (optional)
+  onLoadMore: PropTypes.func,
+  // Compiled mute rules; matching comments collapse into placeholders (optional)
+  muteRules: PropTypes.object,
+  // NSFW content policy for inline media, already resolved for the post (optional)
+  mediaPolicy: PropTypes.oneOf(['hide', 'blur', 'show']),
+  // Called when the user taps to show blurred media (optional)
+  onRevealMedia: PropTypes.func,
+  // Deepest nesting level that gets its own indent, from the comment depth setting (optional)
+  maxNestingLevel: PropTypes.number,
+  // Find-in-thread text; hits in bodies and author names are highlighted (optional)
+  findQuery: PropTypes.string,
+  // Current find match from findThreadMatches; its branch is expanded and scrolled into view (optional)
+  activeFindMatch: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    ancestorIds: PropTypes.arrayOf(PropTypes.string).isRequired
+  }),
+  // Called with an author's name; names are plain text without it (optional)
+  onAuthorClick: PropTypes.func
+};
+
+MoreComments.propTypes = {
+  // "More" placeholder to render
+  stub: moreStubShape.isRequired,
+  // Called with the stub when clicked
+  onLoadMore: PropTypes.func
 };
 
 Comment.propTypes = {
@@ -614,7 +932,19 @@ Comment.propTypes = {
   // Post ID for constructing Reddit URLs (optional)
   postId: PropTypes.string,
   // Subreddit name for constructing Reddit URLs (optional)
-  subreddit: PropTypes.string
+  subreddit: PropTypes.string,
+  // Whether the comment arrived in the latest live poll
+  isNew: PropTypes.bool,
+  // NSFW content policy for inline media
+  mediaPolicy: PropTypes.oneOf(['hide', 'blur', 'show']),
+  // Called when the user taps to show blurred media
+  onRevealMedia: PropTypes.func,
+  // Find-in-thread pattern from createFindPattern, highlighted in the author and body
+  findPattern: PropTypes.instanceOf(RegExp),
+  // Whether this is the find match currently shown
+  isActiveMatch: PropTypes.bool,
+  // Called with the author's name to open their profile
+  onAuthorClick: PropTypes.func
 };
 
 export default React.memo(CommentList);
\ No newline at end of file
@@ -10,6 +10,7 @@
 import React from 'react';
 import { render, screen, fireEvent, within } from '@testing-library/react';
 import CommentList from '../CommentList';
+import { compileMuteRules } from '../../../utils/muteFilter';
 
 // Mock window.innerWidth for consistent testing
 const mockInnerWidth = (width) => {
@@ -290,6 +291,152 @@ describe('CommentList Component', () => {
     });
   });
 
+  describe('Sort Selector', () => {
+    it('is hidden without onSortChange', () => {
+      render(<CommentList comments={createNestedComments()} />);
+
+      expect(screen.queryByLabelText('Sort:')).not.toBeInTheDocument();
+    });
+
+    it('shows the current sort and reports changes', () => {
+      const onSortChange = jest.fn();
+      render(<CommentList comments={createNestedComments()} sort="top" onSortChange={onSortChange} />);
+
+      const select = screen.getByLabelText('Sort:');
+      expect(select).toHaveValue('top');
+
+      fireEvent.change(select, { target: { value: 'new' } });
+      expect(onSortChange).toHaveBeenCalledWith('new');
+    });
+
+    it('offers every Reddit comment sort', () => {
+      render(<CommentList comments={createNestedComments()} sort="confidence" onSortChange={jest.fn()} />);
+
+      const labels = within(screen.getByLabelText('Sort:')).getAllByRole('option').map(option => option.textContent);
+      expect(labels).toEqual(['Best', 'Top', 'New', 'Controversial', 'Old', 'Q&A']);
+    });
+
+    it('stays available when a sort returns no comments', () => {
+      render(<CommentList comments={[]} sort="qa" onSortChange={jest.fn()} />);
+
+      expect(screen.getByLabelText('Sort:')).toHaveValue('qa');
+      expect(screen.getByText(/No comments yet/)).toBeInTheDocument();
+    });
+  });
+
+  describe('More Comments Stubs', () => {
+    const createStub = (overrides = {}) => ({
+      id: 'more_t1_comment1',
+      isMore: true,
+      parentId: 't1_comment1',
+      count: 5,
+      children: ['a', 'b', 'c', 'd', 'e'],
+      level: 1,
+      replies: [],
+      ...overrides
+    });
+
+    const withStub = (stub) => [
+      createMockComment({ id: 'comment1', replies: [stub] })
+    ];
+
+    it('renders a load-more button that passes the stub', () => {
+      const onLoadMore = jest.fn();
+      const stub = createStub();
+      render(<CommentList comments={withStub(stub)} onLoadMore={onLoadMore} />);
+
+      fireEvent.click(screen.getByRole('button', { name: /Load 5 more replies/ }));
+
+      expect(onLoadMore).toHaveBeenCalledWith(stub);
+    });
+
+    it('renders continue-thread stubs', () => {
+      render(<CommentList comments={withStub(createStub({ count: 0, children: [] }))} onLoadMore={jest.fn()} />);
+
+      expect(screen.getByRole('button', { name: /Continue this thread/ })).toBeInTheDocument();
+    });
+
+    it('labels top-level stubs as comments and leaves them out of the count', () => {
+      const comments = [
+        createMockComment(),
+        createStub({ id: 'more_t3_post1', parentId: 't3_post1', count: 1, level: 0 })
+      ];
+      render(<CommentList comments={comments} onLoadMore={jest.fn()} />);
+
+      expect(screen.getByRole('button', { name: /Load 1 more comment$/ })).toBeInTheDocument();
+      expect(screen.getByText('1 comment')).toBeInTheDocument();
+    });
+
+    it('shows loading and error states', () => {
+      const { rerender } = render(
+        <CommentList comments={withStub(createStub({ loading: true }))} onLoadMore={jest.fn()} />
+      );
+      expect(screen.getByRole('button', { name: /Loading/ })).toBeDisabled();
+
+      rerender(<CommentList comments={withStub(createStub({ error: 'Network error' }))} onLoadMore={jest.fn()} />);
+      expect(screen.getByRole('alert')).toHaveTextContent(/Couldn't load replies/);
+    });
+
+    it('counts unloaded replies in the collapse button', () => {
+      render(<CommentList comments={withStub(createStub())} onLoadMore={jest.fn()} />);
+
+      expect(screen.getByRole('button', { name: /Toggle comment thread with 5 replies/ })).toBeInTheDocument();
+    });
+  });
+
+  describe('Live Highlighting', () => {
+    it('highlights comments listed in highlightedIds, including replies', () => {
+      const comments = createNestedComments();
+      const { container } = render(<CommentList comments={comments} highlightedIds={['nested-reply1']} />);
+
+      const highlighted = container.querySelectorAll('[class*="commentNew"]');
+      expect(highlighted).toHaveLength(1);
+      expect(within(highlighted[0]).getByText('Nested reply')).toBeInTheDocument();
+    });
+
+    it('highlights nothing without highlightedIds', () => {
+      const comments = createNestedComments();
+      const { container } = render(<CommentList comments={comments} />);
+
+      expect(container.querySelectorAll('[class*="commentNew"]')).toHaveLength(0);
+    });
+  });
+
+  describe('Muted Comments', () => {
+    const rules = compileMuteRules({ authors: ['user1'], keywords: ['comment 2'] });
+
+    it('collapses a muted comment and its replies into a placeholder', () => {
+      render(<CommentList comments={createNestedComments()} muteRules={rules} />);
+
+      expect(screen.queryByText('Top level comment 1')).not.toBeInTheDocument();
+      expect(screen.queryByText('Reply to comment 1')).not.toBeInTheDocument();
+      expect(screen.getByText('(u/user1)')).toBeInTheDocument();
+    });
+
+    it('mutes comments by keyword', () => {
+      render(<CommentList comments={createNestedComments()} muteRules={rules} />);
+
+      expect(screen.queryByText('Top level comment 2')).not.toBeInTheDocument();
+      expect(screen.getByText('(keyword "comment 2")')).toBeInTheDocument();
+    });
+
+    it('reveals a muted comment with its replies', () => {
+      render(<CommentList comments={createNestedComments()} muteRules={rules} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show muted comment muted by u/user1' }));
+
+      expect(screen.getByText('Top level comment 1')).toBeInTheDocument();
+      expect(screen.getByText('Reply to comment 1')).toBeInTheDocument();
+      expect(screen.getAllByText('Muted comment')).toHaveLength(1);
+    });
+
+    it('renders everything without mute rules', () => {
+      render(<CommentList comments={createNestedComments()} />);
+
+      expect(screen.queryByText('Muted comment')).not.toBeInTheDocument();
+    });
+  });
+
   describe('Responsive Behaviour', () => {
     it('applies desktop indentation on wide screens', () => {
       mockInnerWidth(1024);
@@ -370,6 +517,65 @@ describe('CommentList Component', () => {
     });
   });
 
+  describe('Comment Depth', () => {
+    it('stops indenting past the configured depth', () => {
+      mockInnerWidth(1024);
+      render(<CommentList comments={createNestedComments()} maxNestingLevel={1} />);
+
+      const reply = screen.getByText('Reply to comment 1').closest('[style*="margin-left"]');
+      const nested = screen.getByText('Nested reply').closest('[style*="margin-left"]');
+      expect(nested.style.marginLeft).toBe(reply.style.marginLeft);
+    });
+  });
+
+  describe('Author Profile', () => {
+    it('opens the author\'s profile from their name', () => {
+      const onAuthorClick = jest.fn();
+      render(<CommentList comments={[createMockComment({ author: 'Kopite' })]} onAuthorClick={onAuthorClick} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Kopite' }));
+
+      expect(onAuthorClick).toHaveBeenCalledWith('Kopite');
+    });
+
+    it('shows names as plain text without a handler', () => {
+      render(<CommentList comments={[createMockComment({ author: 'Kopite' })]} />);
+
+      expect(screen.getByText('Kopite')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Kopite' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Find in Thread', () => {
+    it('highlights hits in author names, ignoring case', () => {
+      const { container } = render(<CommentList comments={createNestedComments()} findQuery="USER3" />);
+
+      expect([...container.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual(['user3']);
+    });
+
+    it('leaves authors unmarked without a query', () => {
+      const { container } = render(<CommentList comments={createNestedComments()} findQuery="  " />);
+
+      expect(container.querySelector('mark')).toBeNull();
+      expect(container.querySelector('.commentFindActive')).toBeNull();
+    });
+
+    it('opens collapsed comments above the active match and marks it', () => {
+      const comments = createNestedComments();
+      const { rerender } = render(<CommentList comments={comments} findQuery="nested" />);
+      fireEvent.click(screen.getAllByRole('button', { name: /Toggle comment thread/ })[0]);
+      expect(screen.queryByText('Nested reply', { exact: false })).not.toBeInTheDocument();
+
+      const match = { id: 'nested-reply1', ancestorIds: ['comment1', 'reply1'] };
+      rerender(<CommentList comments={comments} findQuery="nested" activeFindMatch={match} />);
+
+      const active = document.querySelector('[data-comment-id="nested-reply1"]');
+      expect(active).toHaveClass('commentFindActive');
+      expect(within(active).getByText('Nested reply')).toBeInTheDocument();
+      expect(screen.getAllByRole('button', { name: /Toggle comment thread/ })[0]).toHaveAttribute('aria-expanded', 'true');
+    });
+  });
+
   describe('Thread Lines', () => {
     it('applies thread colours based on comment depth', () => {
       const comments = [
@@ -0,0 +1,56 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description NSFW notice shown in place of (or over) media by the content policy.
+ *              With policy "hide" it only explains that media was withheld; with "blur" it offers
+ *              a button to show it. The parent owns the reveal state and any blurring.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Icon from '../Icon/Icon';
+import styles from './ContentWarning.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.policy - 'hide' or 'blur'
+ * @param {string} [props.label='NSFW media'] - What is being withheld, e.g. "NSFW video"
+ * @param {Function} [props.onReveal] - Called when the user chooses to show blurred media
+ * @param {boolean} [props.overlay=false] - Position over blurred media instead of in the flow
+ * @return {JSX.Element}
+ * @constructor
+ */
+const ContentWarning = ({ policy, label = 'NSFW media', onReveal, overlay = false }) => {
+  // WHY stopPropagation: the warning can sit inside clickable cards and gallery wrappers
+  const handleReveal = (e) => {
+    e.stopPropagation();
+    onReveal();
+  };
+
+  // WHY span: comment images are rendered inside markdown paragraphs, where a div is invalid
+  return (
+    <span className={`${styles.contentWarning} ${overlay ? styles.overlay : ''}`.trim()} role="note">
+      <Icon name="EyeOff" size="sm" ariaHidden={true} />
+      {policy === 'blur' && onReveal ? (
+        <button type="button" className={styles.revealButton} onClick={handleReveal}>
+          Show {label}
+        </button>
+      ) : (
+        <span>{label} hidden by your content settings</span>
+      )}
+    </span>
+  );
+};
+
+ContentWarning.propTypes = {
+  // Policy being applied to the media
+  policy: PropTypes.oneOf(['hide', 'blur']).isRequired,
+  // What is being withheld
+  label: PropTypes.string,
+  // Reveals blurred media
+  onReveal: PropTypes.func,
+  // Position over blurred media
+  overlay: PropTypes.bool
+};
+
+export default React.memo(ContentWarning);
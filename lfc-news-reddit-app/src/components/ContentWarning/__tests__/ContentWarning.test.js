@@ -0,0 +1,35 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for ContentWarning component.
+ *              WHY: Hidden media must explain itself, and blurred media must be revealable
+ *              without triggering the card or gallery it sits in.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ContentWarning from '../ContentWarning';
+
+describe('ContentWarning Component', () => {
+  it('explains hidden media without offering a reveal', () => {
+    render(<ContentWarning policy="hide" label="NSFW video" onReveal={jest.fn()} />);
+
+    expect(screen.getByText('NSFW video hidden by your content settings')).toBeInTheDocument();
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+  });
+
+  it('reveals blurred media without clicking through to the parent', () => {
+    const onReveal = jest.fn();
+    const onParentClick = jest.fn();
+    render(
+      <div onClick={onParentClick}>
+        <ContentWarning policy="blur" onReveal={onReveal} />
+      </div>
+    );
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show NSFW media' }));
+
+    expect(onReveal).toHaveBeenCalledTimes(1);
+    expect(onParentClick).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,60 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Colour pickers for the custom kit theme. The rest of the palette is derived from
+ *              these three colours (see buildCustomThemeProperties), so a low-contrast pick is
+ *              flagged here rather than silently producing unreadable text.
+ */
+
+import React from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { updateSettings } from '../../redux/actions/settings';
+import { getContrastRatio } from '../../utils/theme';
+import styles from './CustomThemeEditor.module.css';
+
+const COLOR_FIELDS = [
+  { key: 'primary', label: 'Accent colour' },
+  { key: 'background', label: 'Background colour' },
+  { key: 'text', label: 'Text colour' }
+];
+
+// WHY 4.5: WCAG AA minimum for body text
+const MIN_TEXT_CONTRAST = 4.5;
+
+/**
+ * @return {JSX.Element}
+ * @constructor
+ */
+const CustomThemeEditor = () => {
+  const dispatch = useDispatch();
+  const customTheme = useSelector(state => state.settings.customTheme);
+  const contrast = getContrastRatio(customTheme.text, customTheme.background);
+
+  const handleChange = (key, value) => {
+    dispatch(updateSettings({ customTheme: { ...customTheme, [key]: value.toLowerCase() } }));
+  };
+
+  return (
+    <fieldset className={styles.customThemeEditor}>
+      <legend className={styles.legend}>Custom kit colours</legend>
+      {COLOR_FIELDS.map(field => (
+        <label key={field.key} className={styles.field}>
+          {field.label}
+          <input
+            type="color"
+            className={styles.colorInput}
+            value={customTheme[field.key]}
+            onChange={(e) => handleChange(field.key, e.target.value)}
+          />
+        </label>
+      ))}
+      {contrast < MIN_TEXT_CONTRAST && (
+        <p className={styles.warning} role="status">
+          Text may be hard to read: contrast is {contrast.toFixed(1)}:1, aim for at least {MIN_TEXT_CONTRAST}:1.
+        </p>
+      )}
+    </fieldset>
+  );
+};
+
+export default React.memo(CustomThemeEditor);
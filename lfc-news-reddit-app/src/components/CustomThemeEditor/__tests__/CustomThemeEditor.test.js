@@ -0,0 +1,65 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the custom kit colour pickers.
+ *              WHY: Every other colour is derived from these three, so each pick must be saved
+ *              and an unreadable text/background pair must be called out.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
+import CustomThemeEditor from '../CustomThemeEditor';
+import settingsReducer, { SETTINGS_STORAGE_KEY } from '../../../redux/reducers/settings';
+import { DEFAULT_SETTINGS } from '../../../utils/settingsSchema';
+
+const renderWithStore = (customTheme = DEFAULT_SETTINGS.customTheme) => {
+  const store = createStore(
+    combineReducers({ settings: settingsReducer }),
+    { settings: { ...DEFAULT_SETTINGS, theme: 'custom', customTheme, open: true } },
+    applyMiddleware(thunk)
+  );
+  render(
+    <Provider store={store}>
+      <CustomThemeEditor />
+    </Provider>
+  );
+  return store;
+};
+
+describe('CustomThemeEditor Component', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('shows the current colours', () => {
+    renderWithStore({ primary: '#00a651', background: '#101010', text: '#fafafa' });
+
+    expect(screen.getByLabelText('Accent colour')).toHaveValue('#00a651');
+    expect(screen.getByLabelText('Background colour')).toHaveValue('#101010');
+    expect(screen.getByLabelText('Text colour')).toHaveValue('#fafafa');
+  });
+
+  it('saves a picked colour with the others', () => {
+    const store = renderWithStore();
+
+    fireEvent.input(screen.getByLabelText('Accent colour'), { target: { value: '#00a651' } });
+
+    expect(store.getState().settings.customTheme).toEqual({ ...DEFAULT_SETTINGS.customTheme, primary: '#00a651' });
+    expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)).customTheme.primary).toBe('#00a651');
+  });
+
+  it('warns when text and background are too close', () => {
+    renderWithStore({ primary: '#c8102e', background: '#333333', text: '#555555' });
+
+    expect(screen.getByRole('status')).toHaveTextContent('Text may be hard to read');
+  });
+
+  it('stays quiet for readable colours', () => {
+    renderWithStore();
+
+    expect(screen.queryByRole('status')).not.toBeInTheDocument();
+  });
+});
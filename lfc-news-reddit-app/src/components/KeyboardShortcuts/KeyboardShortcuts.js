@@ -0,0 +1,182 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Wires the keyboard shortcuts to the app and renders the "?" overlay listing them.
+ *              Which shortcuts are live depends on context: feed shortcuts with no post open,
+ *              post shortcuts while PostDetail is showing, and none behind the Settings dialog.
+ *              Opening and saving the focused post are handled by PostItem itself.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Icon from '../Icon/Icon';
+import { useKeyboardShortcuts } from '../../hooks/useKeyboardShortcuts';
+import { goHome, openAdjacentPost, setShortcutsHelpOpen } from '../../redux/actions/navigation';
+import { SHORTCUTS, SHORTCUT_SCOPES } from '../../utils/shortcuts';
+import styles from './KeyboardShortcuts.module.css';
+
+const POST_CARD_SELECTOR = 'article[data-post-id]';
+
+const KEY_LABELS = {
+  Enter: 'Enter',
+  Escape: 'Esc',
+  ArrowLeft: '←',
+  ArrowRight: '→'
+};
+
+/**
+ * Moves focus to the post card before or after the focused one (the first card if none is)
+ * @param {number} offset - 1 for the next card, -1 for the previous one
+ */
+const focusAdjacentPost = (offset) => {
+  const cards = Array.from(document.querySelectorAll(POST_CARD_SELECTOR));
+  if (cards.length === 0) return;
+
+  const current = cards.indexOf(document.activeElement?.closest(POST_CARD_SELECTOR));
+  const next = current === -1 ? 0 : Math.min(Math.max(current + offset, 0), cards.length - 1);
+  // WHY focus alone: the browser scrolls the card into view, and the virtualised list
+  // renders the rows around it
+  cards[next].focus();
+};
+
+const focusSearch = () => {
+  document.getElementById('search-input')?.focus();
+};
+
+/**
+ * @param {string[]} keys - Bindings from SHORTCUTS
+ * @return {JSX.Element[]} Each binding as <kbd> keys, sequences joined by "then"
+ */
+const renderKeys = (keys) => keys.map((binding, i) => (
+  <span key={binding} className={styles.binding}>
+    {i > 0 && <span className={styles.separator}>or</span>}
+    {binding.split(' ').map((key, j) => (
+      <React.Fragment key={key}>
+        {j > 0 && <span className={styles.separator}>then</span>}
+        <kbd className={styles.key}>{KEY_LABELS[key] || key}</kbd>
+      </React.Fragment>
+    ))}
+  </span>
+));
+
+/**
+ * @return {JSX.Element|null}
+ * @constructor
+ */
+const KeyboardShortcuts = () => {
+  const dispatch = useDispatch();
+  const hasOpenPost = useSelector(state => Boolean(state.posts.currentPost));
+  const settingsOpen = useSelector(state => state.settings.open);
+  const helpOpen = useSelector(state => state.navigation.shortcutsHelpOpen);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  const showHelp = () => dispatch(setShortcutsHelpOpen(true));
+  const handleClose = () => dispatch(setShortcutsHelpOpen(false));
+
+  let handlers;
+  if (settingsOpen) {
+    handlers = {};
+  } else if (helpOpen) {
+    handlers = { showHelp: handleClose };
+  } else if (hasOpenPost) {
+    handlers = {
+      nextInDetail: () => dispatch(openAdjacentPost(1)),
+      previousInDetail: () => dispatch(openAdjacentPost(-1)),
+      goHome: () => dispatch(goHome()),
+      showHelp
+    };
+  } else {
+    handlers = {
+      nextPost: () => focusAdjacentPost(1),
+      previousPost: () => focusAdjacentPost(-1),
+      focusSearch,
+      goHome: () => dispatch(goHome()),
+      showHelp
+    };
+  }
+  useKeyboardShortcuts(handlers);
+
+  /**
+   * @listens helpOpen - Focuses the overlay on open and restores focus on close
+   */
+  useEffect(() => {
+    if (!helpOpen) return;
+    const previouslyFocused = document.activeElement;
+    closeButtonRef.current?.focus();
+    return () => previouslyFocused?.focus?.();
+  }, [helpOpen]);
+
+  if (!helpOpen) return null;
+
+  // WHY on the dialog rather than the document: stopping the event here keeps Escape from
+  // also closing a post open underneath
+  const handleDialogKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      e.stopPropagation();
+      handleClose();
+    }
+
+    // Focus trap - keep focus within the dialog
+    if (e.key === 'Tab' && dialogRef.current) {
+      const focusableElements = dialogRef.current.querySelectorAll('button, [href], [tabindex]:not([tabindex="-1"])');
+      const firstElement = focusableElements[0];
+      const lastElement = focusableElements[focusableElements.length - 1];
+
+      e.stopPropagation();
+      if (e.shiftKey && document.activeElement === firstElement) {
+        e.preventDefault();
+        lastElement.focus();
+      } else if (!e.shiftKey && document.activeElement === lastElement) {
+        e.preventDefault();
+        firstElement.focus();
+      }
+    }
+  };
+
+  return (
+    <div className={styles.overlay} onClick={handleClose}>
+      <div
+        className={styles.dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="shortcuts-title"
+        ref={dialogRef}
+        onClick={(e) => e.stopPropagation()}
+        onKeyDown={handleDialogKeyDown}
+      >
+        <div className={styles.header}>
+          <h2 id="shortcuts-title" className={styles.title}>
+            <Icon name="Keyboard" size="md" ariaHidden={true} />
+            Keyboard shortcuts
+          </h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={handleClose}
+            ref={closeButtonRef}
+            aria-label="Close keyboard shortcuts"
+          >
+            <Icon name="X" size="md" ariaHidden={true} />
+          </button>
+        </div>
+
+        {SHORTCUT_SCOPES.map(scope => (
+          <section key={scope.id} className={styles.section} aria-labelledby={`shortcuts-${scope.id}`}>
+            <h3 id={`shortcuts-${scope.id}`} className={styles.sectionTitle}>{scope.label}</h3>
+            <dl className={styles.list}>
+              {SHORTCUTS.filter(shortcut => shortcut.scope === scope.id).map(shortcut => (
+                <div key={shortcut.id} className={styles.row}>
+                  <dt className={styles.keys}>{renderKeys(shortcut.keys)}</dt>
+                  <dd className={styles.description}>{shortcut.description}</dd>
+                </div>
+              ))}
+            </dl>
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(KeyboardShortcuts);
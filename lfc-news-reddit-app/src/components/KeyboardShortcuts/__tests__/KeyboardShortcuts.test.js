@@ -0,0 +1,164 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the keyboard shortcuts wiring and the "?" overlay.
+ *              WHY: Shortcuts change with context (feed, open post, Settings), and the overlay
+ *              is the only place they are documented.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import KeyboardShortcuts from '../KeyboardShortcuts';
+import * as navigationActions from '../../../redux/actions/navigation';
+
+const mockStore = configureStore([thunk]);
+
+jest.mock('../../../redux/actions/navigation', () => ({
+  goHome: jest.fn(),
+  openAdjacentPost: jest.fn(),
+  setShortcutsHelpOpen: jest.fn()
+}));
+
+// Store state for the slices KeyboardShortcuts reads
+const createStoreState = (overrides = {}) => ({
+  posts: { currentPost: null, ...overrides.posts },
+  settings: { open: false, ...overrides.settings },
+  navigation: { feedOrder: [], shortcutsHelpOpen: false, ...overrides.navigation }
+});
+
+const renderWithStore = (store) => render(
+  <Provider store={store}>
+    <KeyboardShortcuts />
+    <input id="search-input" type="text" aria-label="Search" />
+    <article data-post-id="a" tabIndex={0}>Post A</article>
+    <article data-post-id="b" tabIndex={0}>Post B</article>
+  </Provider>
+);
+
+describe('KeyboardShortcuts Component', () => {
+  beforeEach(() => {
+    navigationActions.goHome.mockImplementation(() => ({ type: 'GO_HOME' }));
+    navigationActions.openAdjacentPost.mockImplementation((offset) => ({ type: 'OPEN_ADJACENT_POST', payload: offset }));
+    navigationActions.setShortcutsHelpOpen.mockImplementation((open) => ({ type: 'SET_SHORTCUTS_HELP_OPEN', payload: open }));
+  });
+
+  describe('Feed', () => {
+    it('moves focus between posts with j and k', () => {
+      renderWithStore(mockStore(createStoreState()));
+
+      fireEvent.keyDown(document.body, { key: 'j' });
+      expect(screen.getByText('Post A')).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement, { key: 'j' });
+      expect(screen.getByText('Post B')).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement, { key: 'j' });
+      expect(screen.getByText('Post B')).toHaveFocus();
+
+      fireEvent.keyDown(document.activeElement, { key: 'k' });
+      expect(screen.getByText('Post A')).toHaveFocus();
+    });
+
+    it('focuses the search box with /', () => {
+      renderWithStore(mockStore(createStoreState()));
+
+      fireEvent.keyDown(document.body, { key: '/' });
+
+      expect(screen.getByLabelText('Search')).toHaveFocus();
+    });
+
+    it('goes home with g then h', () => {
+      const store = mockStore(createStoreState());
+      renderWithStore(store);
+
+      fireEvent.keyDown(document.body, { key: 'g' });
+      fireEvent.keyDown(document.body, { key: 'h' });
+
+      expect(store.getActions()).toEqual([{ type: 'GO_HOME' }]);
+    });
+
+    it('ignores letters typed into the search box', () => {
+      renderWithStore(mockStore(createStoreState()));
+      const search = screen.getByLabelText('Search');
+      search.focus();
+
+      fireEvent.keyDown(search, { key: 'j' });
+
+      expect(search).toHaveFocus();
+    });
+  });
+
+  describe('Open Post', () => {
+    it('steps to the next and previous post with n and p', () => {
+      const store = mockStore(createStoreState({ posts: { currentPost: { id: 'a' } } }));
+      renderWithStore(store);
+
+      fireEvent.keyDown(document.body, { key: 'n' });
+      fireEvent.keyDown(document.body, { key: 'p' });
+
+      expect(store.getActions()).toEqual([
+        { type: 'OPEN_ADJACENT_POST', payload: 1 },
+        { type: 'OPEN_ADJACENT_POST', payload: -1 }
+      ]);
+    });
+
+    it('leaves j to the feed', () => {
+      renderWithStore(mockStore(createStoreState({ posts: { currentPost: { id: 'a' } } })));
+
+      fireEvent.keyDown(document.body, { key: 'j' });
+
+      expect(screen.getByText('Post A')).not.toHaveFocus();
+    });
+  });
+
+  it('turns shortcuts off behind the Settings dialog', () => {
+    const store = mockStore(createStoreState({ settings: { open: true } }));
+    renderWithStore(store);
+
+    fireEvent.keyDown(document.body, { key: '?' });
+    fireEvent.keyDown(document.body, { key: 'j' });
+
+    expect(store.getActions()).toEqual([]);
+    expect(screen.getByText('Post A')).not.toHaveFocus();
+  });
+
+  describe('Help Overlay', () => {
+    it('opens with ?', () => {
+      const store = mockStore(createStoreState());
+      renderWithStore(store);
+
+      fireEvent.keyDown(document.body, { key: '?' });
+
+      expect(store.getActions()).toEqual([{ type: 'SET_SHORTCUTS_HELP_OPEN', payload: true }]);
+    });
+
+    it('lists the bindings by context and focuses the close button', () => {
+      renderWithStore(mockStore(createStoreState({ navigation: { shortcutsHelpOpen: true } })));
+
+      expect(screen.getByRole('dialog', { name: 'Keyboard shortcuts' })).toBeInTheDocument();
+      expect(screen.getByRole('heading', { name: 'Feed' })).toBeInTheDocument();
+      expect(screen.getByText('Move to the next post')).toBeInTheDocument();
+      expect(screen.getByText('Go home to r/LiverpoolFC')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Close keyboard shortcuts' })).toHaveFocus();
+    });
+
+    it('closes with Escape without the key reaching an open post', () => {
+      const store = mockStore(createStoreState({
+        posts: { currentPost: { id: 'a' } },
+        navigation: { shortcutsHelpOpen: true }
+      }));
+      const documentListener = jest.fn();
+      document.addEventListener('keydown', documentListener);
+      renderWithStore(store);
+
+      fireEvent.keyDown(screen.getByRole('dialog'), { key: 'Escape' });
+
+      expect(store.getActions()).toEqual([{ type: 'SET_SHORTCUTS_HELP_OPEN', payload: false }]);
+      expect(documentListener).not.toHaveBeenCalled();
+      document.removeEventListener('keydown', documentListener);
+    });
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Editor for the mute list: add keywords, regex patterns, users, domains or flairs,
+ *              and remove them again. Muted posts and comments collapse to placeholders in
+ *              PostList and CommentList.
+ */
+
+import React, { useState } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import { addMute, removeMute } from '../../redux/actions/mutes';
+import {
+  MUTE_TYPES,
+  MAX_MUTE_PATTERN_LENGTH,
+  normaliseMuteValue,
+  isValidMutePattern
+} from '../../utils/muteFilter';
+import Icon from '../Icon/Icon';
+import styles from './MuteSettings.module.css';
+
+// Labels for each mute type; `noun` reads naturally in "Unmute <noun> <value>"
+const MUTE_TYPE_LABELS = {
+  keywords: { option: 'Keyword', noun: 'keyword', placeholder: 'e.g. spoiler' },
+  patterns: { option: 'Regex', noun: 'pattern', placeholder: 'e.g. ^\\[rumou?r\\]' },
+  authors: { option: 'User', noun: 'user', placeholder: 'e.g. u/someone' },
+  domains: { option: 'Domain', noun: 'domain', placeholder: 'e.g. example.com' },
+  flairs: { option: 'Flair', noun: 'flair', placeholder: 'e.g. Rumour' }
+};
+
+/**
+ * @param {string} type - Mute type
+ * @param {string} value - Stored value
+ * @return {string} Value as shown on its chip
+ */
+const formatMuteValue = (type, value) => {
+  if (type === 'authors') return `u/${value}`;
+  if (type === 'patterns') return `/${value}/`;
+  return value;
+};
+
+/**
+ * @return {JSX.Element}
+ * @constructor
+ */
+const MuteSettings = () => {
+  const dispatch = useDispatch();
+  const mutes = useSelector(state => state.mutes);
+  const [type, setType] = useState('keywords');
+  const [value, setValue] = useState('');
+  const [error, setError] = useState('');
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const normalised = normaliseMuteValue(type, value);
+
+    // WHY validate here as well as in addMute: the user needs to know why nothing was added
+    if (!normalised) {
+      setError('Enter something to mute.');
+      return;
+    }
+    if (type === 'patterns' && normalised.length > MAX_MUTE_PATTERN_LENGTH) {
+      setError(`Keep patterns to ${MAX_MUTE_PATTERN_LENGTH} characters or fewer.`);
+      return;
+    }
+    if (type === 'patterns' && !isValidMutePattern(normalised)) {
+      setError('That regular expression is not valid, or would be too slow to run.');
+      return;
+    }
+    if (mutes[type].includes(normalised)) {
+      setError(`That ${MUTE_TYPE_LABELS[type].noun} is already muted.`);
+      return;
+    }
+
+    dispatch(addMute(type, value));
+    setValue('');
+    setError('');
+  };
+
+  const entries = MUTE_TYPES.flatMap(muteType => mutes[muteType].map(muted => ({ type: muteType, value: muted })));
+
+  return (
+    <div className={styles.muteSettings}>
+      <form className={styles.muteForm} onSubmit={handleSubmit}>
+        <label className="visually-hidden" htmlFor="mute-type-select">Mute type</label>
+        <select
+          id="mute-type-select"
+          className={styles.typeSelect}
+          value={type}
+          onChange={(e) => {
+            setType(e.target.value);
+            setError('');
+          }}
+        >
+          {MUTE_TYPES.map(muteType => (
+            <option key={muteType} value={muteType}>{MUTE_TYPE_LABELS[muteType].option}</option>
+          ))}
+        </select>
+        <label className="visually-hidden" htmlFor="mute-value-input">Value to mute</label>
+        <input
+          id="mute-value-input"
+          className={styles.valueInput}
+          type="text"
+          value={value}
+          placeholder={MUTE_TYPE_LABELS[type].placeholder}
+          onChange={(e) => setValue(e.target.value)}
+          aria-invalid={Boolean(error)}
+          aria-describedby={error ? 'mute-error' : undefined}
+        />
+        <button type="submit" className={styles.addButton}>
+          <Icon name="Plus" size="sm" ariaHidden={true} />
+          Mute
+        </button>
+      </form>
+
+      {error && (
+        <p id="mute-error" className={styles.error} role="alert">{error}</p>
+      )}
+
+      {entries.length > 0 ? (
+        <ul className={styles.muteList} aria-label="Muted items">
+          {entries.map(entry => (
+            <li key={`${entry.type}:${entry.value}`} className={styles.muteChip}>
+              <span className={styles.chipType}>{MUTE_TYPE_LABELS[entry.type].option}</span>
+              <span className={styles.chipValue}>{formatMuteValue(entry.type, entry.value)}</span>
+              <button
+                type="button"
+                className={styles.removeButton}
+                onClick={() => dispatch(removeMute(entry.type, entry.value))}
+                aria-label={`Unmute ${MUTE_TYPE_LABELS[entry.type].noun} ${entry.value}`}
+              >
+                <Icon name="X" size="sm" ariaHidden={true} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className={styles.emptyMessage}>Nothing muted yet.</p>
+      )}
+    </div>
+  );
+};
+
+export default React.memo(MuteSettings);
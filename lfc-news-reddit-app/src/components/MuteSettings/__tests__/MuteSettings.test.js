@@ -0,0 +1,99 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for MuteSettings component.
+ *              WHY: Users must be told when a mute is rejected (empty, duplicate, bad regex),
+ *              and every muted item needs a labelled way to remove it.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import MuteSettings from '../MuteSettings';
+import { addMute, removeMute } from '../../../redux/actions/mutes';
+
+jest.mock('../../../redux/actions/mutes', () => ({
+  addMute: jest.fn(),
+  removeMute: jest.fn()
+}));
+
+const mockStore = configureStore([thunk]);
+
+const renderSettings = (mutes = {}) => {
+  const store = mockStore({
+    mutes: { keywords: [], patterns: [], authors: [], domains: [], flairs: [], ...mutes }
+  });
+  render(
+    <Provider store={store}>
+      <MuteSettings />
+    </Provider>
+  );
+  return store;
+};
+
+describe('MuteSettings Component', () => {
+  beforeEach(() => {
+    addMute.mockImplementation((type, value) => ({ type: 'ADD_MUTE', payload: { type, value } }));
+    removeMute.mockImplementation((type, value) => ({ type: 'REMOVE_MUTE', payload: { type, value } }));
+  });
+
+  it('adds a mute of the chosen type and clears the input', () => {
+    const store = renderSettings();
+
+    fireEvent.change(screen.getByLabelText('Mute type'), { target: { value: 'authors' } });
+    fireEvent.change(screen.getByLabelText('Value to mute'), { target: { value: 'u/troll' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Mute' }));
+
+    expect(store.getActions()).toEqual([{ type: 'ADD_MUTE', payload: { type: 'authors', value: 'u/troll' } }]);
+    expect(screen.getByLabelText('Value to mute')).toHaveValue('');
+  });
+
+  it('explains why an invalid regex was not added', () => {
+    const store = renderSettings();
+
+    fireEvent.change(screen.getByLabelText('Mute type'), { target: { value: 'patterns' } });
+    fireEvent.change(screen.getByLabelText('Value to mute'), { target: { value: '(unclosed' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Mute' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('not valid');
+    expect(store.getActions()).toEqual([]);
+  });
+
+  it('explains why an overlong regex was not added', () => {
+    const store = renderSettings();
+
+    fireEvent.change(screen.getByLabelText('Mute type'), { target: { value: 'patterns' } });
+    fireEvent.change(screen.getByLabelText('Value to mute'), { target: { value: 'a'.repeat(101) } });
+    fireEvent.click(screen.getByRole('button', { name: 'Mute' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('100 characters or fewer');
+    expect(store.getActions()).toEqual([]);
+  });
+
+  it('rejects a value that is already muted', () => {
+    const store = renderSettings({ keywords: ['spoiler'] });
+
+    fireEvent.change(screen.getByLabelText('Value to mute'), { target: { value: 'Spoiler' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Mute' }));
+
+    expect(screen.getByRole('alert')).toHaveTextContent('already muted');
+    expect(store.getActions()).toEqual([]);
+  });
+
+  it('lists muted items and removes them', () => {
+    const store = renderSettings({ keywords: ['spoiler'], authors: ['troll'] });
+
+    expect(screen.getByText('u/troll')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Unmute keyword spoiler' }));
+
+    expect(store.getActions()).toEqual([{ type: 'REMOVE_MUTE', payload: { type: 'keywords', value: 'spoiler' } }]);
+  });
+
+  it('shows an empty message when nothing is muted', () => {
+    renderSettings();
+
+    expect(screen.getByText('Nothing muted yet.')).toBeInTheDocument();
+  });
+});
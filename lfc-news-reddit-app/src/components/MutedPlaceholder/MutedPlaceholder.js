@@ -0,0 +1,53 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Collapsed stand-in for a muted post or comment, shared by PostList and CommentList.
+ *              WHY not remove muted items: a broad keyword can catch a post the user actually
+ *              wants, so the placeholder says why it was muted and lets them reveal it.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Icon from '../Icon/Icon';
+import styles from './MutedPlaceholder.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.label - What was muted, e.g. "Muted post"
+ * @param {string} props.reason - Matching rule from getPostMuteReason / getCommentMuteReason
+ * @param {Function} props.onReveal - Called when the user chooses to show the item
+ * @param {Object} [props.style] - Inline style from the parent (e.g. comment indent)
+ * @return {JSX.Element}
+ * @constructor
+ */
+const MutedPlaceholder = ({ label, reason, onReveal, style }) => {
+  return (
+    <div className={styles.mutedPlaceholder} style={style}>
+      <Icon name="EyeOff" size="sm" ariaHidden={true} />
+      <span className={styles.text}>
+        {label} <span className={styles.reason}>({reason})</span>
+      </span>
+      <button
+        type="button"
+        className={styles.revealButton}
+        onClick={onReveal}
+        aria-label={`Show ${label.toLowerCase()} muted by ${reason}`}
+      >
+        Show
+      </button>
+    </div>
+  );
+};
+
+MutedPlaceholder.propTypes = {
+  // What was muted, e.g. "Muted post" or "Muted comment"
+  label: PropTypes.string.isRequired,
+  // Human-readable matching rule
+  reason: PropTypes.string.isRequired,
+  // Reveals the muted item
+  onReveal: PropTypes.func.isRequired,
+  // Inline style from the parent
+  style: PropTypes.object
+};
+
+export default React.memo(MutedPlaceholder);
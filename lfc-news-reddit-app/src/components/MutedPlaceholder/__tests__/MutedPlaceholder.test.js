@@ -0,0 +1,29 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for MutedPlaceholder component.
+ *              WHY: The placeholder is the only way back to a muted item, so it must say why
+ *              the item was muted and reveal it on request.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import MutedPlaceholder from '../MutedPlaceholder';
+
+describe('MutedPlaceholder Component', () => {
+  it('shows what was muted and why', () => {
+    render(<MutedPlaceholder label="Muted post" reason='keyword "spoiler"' onReveal={jest.fn()} />);
+
+    expect(screen.getByText('Muted post')).toBeInTheDocument();
+    expect(screen.getByText('(keyword "spoiler")')).toBeInTheDocument();
+  });
+
+  it('calls onReveal when Show is clicked', () => {
+    const onReveal = jest.fn();
+    render(<MutedPlaceholder label="Muted comment" reason="u/troll" onReveal={onReveal} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Show muted comment muted by u/troll' }));
+
+    expect(onReveal).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,45 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Non-intrusive "N new posts" pill shown above the feed when a background
+ *              refresh finds posts the reader hasn't seen yet.
+ *              WHY: Inserting posts automatically would shift the list under the reader's
+ *              thumb, so new posts wait until they ask for them.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Icon from '../Icon/Icon';
+import styles from './NewPostsBanner.module.css';
+
+/**
+ * @param {Object} props
+ * @param {number} props.count - Number of new posts waiting to be shown
+ * @param {Function} props.onShow - Callback to merge the new posts into the feed
+ * @return {JSX.Element|null}
+ * @constructor
+ */
+const NewPostsBanner = ({ count, onShow }) => {
+  if (!count) return null;
+
+  const label = `${count} new ${count === 1 ? 'post' : 'posts'}`;
+
+  return (
+    // WHY role="status": announced politely without stealing focus from the feed
+    <div className={styles.bannerContainer} role="status">
+      <button className={styles.banner} onClick={onShow} aria-label={`Show ${label}`}>
+        <Icon name="ArrowUp" size="sm" ariaHidden={true} />
+        {label}
+      </button>
+    </div>
+  );
+};
+
+NewPostsBanner.propTypes = {
+  // Number of new posts found by the background refresh
+  count: PropTypes.number.isRequired,
+  // Merges the new posts into the feed
+  onShow: PropTypes.func.isRequired
+};
+
+export default React.memo(NewPostsBanner);
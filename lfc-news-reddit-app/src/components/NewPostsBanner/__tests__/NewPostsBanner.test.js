@@ -0,0 +1,46 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for NewPostsBanner component.
+ *              WHY: The banner is the only way posts found by a background refresh reach
+ *              the feed, so it must appear with the right count and merge on click.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import NewPostsBanner from '../NewPostsBanner';
+
+describe('NewPostsBanner Component', () => {
+  it('renders nothing when there are no new posts', () => {
+    const { container } = render(<NewPostsBanner count={0} onShow={jest.fn()} />);
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it('renders the number of new posts', () => {
+    render(<NewPostsBanner count={3} onShow={jest.fn()} />);
+
+    expect(screen.getByRole('button', { name: 'Show 3 new posts' })).toBeInTheDocument();
+  });
+
+  it('uses the singular for one post', () => {
+    render(<NewPostsBanner count={1} onShow={jest.fn()} />);
+
+    expect(screen.getByText('1 new post')).toBeInTheDocument();
+  });
+
+  it('calls onShow when clicked', () => {
+    const onShow = jest.fn();
+    render(<NewPostsBanner count={2} onShow={onShow} />);
+
+    fireEvent.click(screen.getByRole('button'));
+
+    expect(onShow).toHaveBeenCalledTimes(1);
+  });
+
+  it('announces politely via role="status"', () => {
+    render(<NewPostsBanner count={2} onShow={jest.fn()} />);
+
+    expect(screen.getByRole('status')).toBeInTheDocument();
+  });
+});
@@ -3,22 +3,51 @@
  * @date 2025-10-22
  * @description Modal displaying full post content with media, markdown rendering, and threaded comments.
  *              Handles Reddit videos, images, and external links with sanitisation.
+ *              Match threads get a live mode that polls comments newest-first.
+ *              In spoiler-safe mode, result posts stay blurred (comments included) until revealed.
+ *              NSFW media (gallery, images, video and comment embeds) follows the content policy.
+ *              Previous/next controls (buttons, arrow keys outside galleries, horizontal swipes) step
+ *              through the posts PostList is showing, prefetching the thread ahead.
+ *              A find bar (ThreadFind, or the f key) steps through the comments matching a query.
+ *              Author names (the post's and each comment's) open the author profile panel.
  */
 
-import React, { useEffect, useRef, useState, useCallback } from 'react';
-import { useDispatch, useSelector } from 'react-redux';
+import React, { useEffect, useRef, useState, useCallback, useMemo } from 'react';
+import { useDispatch, useSelector, shallowEqual } from 'react-redux';
 import { clearCurrentPost } from '../../redux/actions/posts';
-import { clearComments } from '../../redux/actions/comments';
+import { clearComments, setCommentSort, loadMoreComments, prefetchComments } from '../../redux/actions/comments';
+import { openAdjacentPost } from '../../redux/actions/navigation';
+import { openAuthorProfile } from '../../redux/actions/authorProfile';
+import { isMatchRelated } from '../../redux/reducers/posts';
+import { selectThread } from '../../redux/reducers/comments';
+import { selectSpoilerReason } from '../../redux/reducers/spoilers';
+import { selectAdjacentPosts } from '../../redux/reducers/navigation';
+import { useLiveComments } from '../../hooks/useLiveComments';
 import { formatDateTime } from '../../utils/formatTime';
+import { compileMuteRules, findMutedComments } from '../../utils/muteFilter';
+import { findThreadMatches } from '../../utils/threadSearch';
+import { getMediaPolicy } from '../../utils/contentPolicy';
+import { isShortcut, isTypingTarget } from '../../utils/shortcuts';
 import CommentList from '../CommentList/CommentList';
+import ThreadFind, { THREAD_FIND_INPUT_ID } from '../ThreadFind/ThreadFind';
 import { CommentsSkeleton } from '../SkeletonLoader/SkeletonLoader';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
 import { sanitizeUrl } from '../../utils/sanitize';
 import Icon from '../Icon/Icon';
 import VideoPlayer from '../VideoPlayer/VideoPlayer';
+import SaveButton from '../SaveButton/SaveButton';
+import AuthorButton from '../AuthorButton/AuthorButton';
+import SpoilerReveal from '../SpoilerReveal/SpoilerReveal';
+import ContentWarning from '../ContentWarning/ContentWarning';
 import styles from './PostDetail.module.css';
 
+// WHY 60px: Deliberate enough that a slightly diagonal scroll never changes post
+const SWIPE_THRESHOLD = 60;
+
+// Room left above the last viewed card when the feed scroll is restored (clears the sticky header)
+const FEED_SCROLL_MARGIN = 80;
+
 /**
  * @return {JSX.Element|null}
  * @constructor
@@ -26,12 +55,40 @@ import styles from './PostDetail.module.css';
 const PostDetail = () => {
   const dispatch = useDispatch();
   const { currentPost } = useSelector(state => state.posts);
-  const { items: comments, loading: commentsLoading } = useSelector(state => state.comments);
+  const {
+    postId: commentsPostId,
+    loading,
+    sort: commentSort,
+    newCommentIds,
+    pollError
+  } = useSelector(state => state.comments);
+  // WHY keyed on currentPost: a late response for another post can never show here
+  const comments = useSelector(state => selectThread(state.comments, currentPost?.id));
+  const commentsLoading = loading && commentsPostId === currentPost?.id;
+  const mutes = useSelector(state => state.mutes);
+  const muteRules = useMemo(() => compileMuteRules(mutes), [mutes]);
+  const spoilerReason = useSelector(state => (currentPost ? selectSpoilerReason(state.spoilers, currentPost) : null));
+  const nsfwPolicy = useSelector(state => state.contentPolicy.nsfw);
+  const { commentDepth, autoplayMedia } = useSelector(state => state.settings);
+  const { previous: previousPost, next: nextPost, index: feedIndex, total: feedTotal } = useSelector(
+    state => selectAdjacentPosts(state.navigation, currentPost?.id),
+    shallowEqual
+  );
+  // WHY an id rather than a flag: revealing one NSFW post must not carry over to the next one opened
+  const [nsfwRevealedId, setNsfwRevealedId] = useState(null);
+  const mediaPolicy = currentPost && nsfwRevealedId !== currentPost.id
+    ? getMediaPolicy(currentPost, nsfwPolicy)
+    : 'show';
+  const revealNsfw = useCallback(() => setNsfwRevealedId(currentPost?.id), [currentPost]);
   const modalRef = useRef(null);
   const closeButtonRef = useRef(null);
   const previouslyFocusedElement = useRef(null);
+  const touchStartRef = useRef(null);
+  const viewedPostIdRef = useRef(null);
+  const feedIndexRef = useRef(-1);
 
-  // WHY: Swipe gestures removed per user preference - X button only for closing
+  // WHY: Swipe-to-close stays removed per user preference (X button only); horizontal swipes
+  // step between posts instead
 
   // WHY: Track closing state to trigger exit animations before Redux state clears
   // This allows CSS animations to complete (200ms) before modal is unmounted
@@ -46,6 +103,43 @@ const PostDetail = () => {
   // Gallery state (WHY: manages current image index and navigation for multi-image posts)
   const [currentGalleryIndex, setCurrentGalleryIndex] = useState(0);
 
+  // Live match-thread mode (WHY: fans follow games through the match thread, so it refreshes itself)
+  const isMatchThread = currentPost ? isMatchRelated(currentPost) : false;
+  const [livePaused, setLivePaused] = useState(false);
+  // WHY: A match thread stays newest-first, live or paused, until another sort is picked for it,
+  // so the selector always shows the order the comments are actually in
+  const [matchThreadSort, setMatchThreadSort] = useState(null);
+  const appliedCommentSort = isMatchThread ? matchThreadSort || 'new' : commentSort;
+
+  // Find in thread (WHY: a 500-comment match thread can't be scanned by eye)
+  const [findQuery, setFindQuery] = useState('');
+  const [findIndex, setFindIndex] = useState(0);
+  // WHY muted skipped: stepping to a match would otherwise reveal what the user muted
+  const findMatches = useMemo(
+    () => (findQuery.trim() ? findThreadMatches(comments, findQuery, findMutedComments(comments || [], muteRules)) : []),
+    [comments, findQuery, muteRules]
+  );
+  // WHY clamped: live updates and loaded replies change the matches under the current position
+  const activeFindIndex = Math.min(findIndex, Math.max(findMatches.length - 1, 0));
+  const activeFindMatch = findMatches[activeFindIndex];
+
+  const handleFindQueryChange = useCallback((query) => {
+    setFindQuery(query);
+    setFindIndex(0);
+  }, []);
+
+  const handleFindStep = useCallback((direction) => {
+    const count = findMatches.length;
+    if (count) setFindIndex((activeFindIndex + direction + count) % count);
+  }, [findMatches, activeFindIndex]);
+
+  useLiveComments({
+    postId: currentPost?.id,
+    subreddit: currentPost?.subreddit,
+    // WHY wait for the initial load: the first poll diffs against it to find new comments
+    active: isMatchThread && !livePaused && !commentsLoading
+  });
+
   // WHY useCallback: Memoizes handleClose to prevent unnecessary re-renders of child components
   // and ensures stable reference for event listeners and dependencies in useEffect
   // WHY: Two-phase close - trigger animation first (200ms), then clear Redux state
@@ -76,7 +170,32 @@ const PostDetail = () => {
     }, 200); // Match the exit animation duration
   }, [dispatch, isClosing]);
 
-  // WHY: Touch handlers removed - swipe gestures disabled per user preference
+  const goToAdjacentPost = useCallback((offset) => {
+    dispatch(openAdjacentPost(offset));
+  }, [dispatch]);
+
+  const handleTouchStart = useCallback((e) => {
+    // WHY: The gallery pages its own images, so swipes there never change post
+    if (e.target.closest?.(`.${styles.galleryContainer}`)) {
+      touchStartRef.current = null;
+      return;
+    }
+    const touch = e.touches[0];
+    touchStartRef.current = { x: touch.clientX, y: touch.clientY };
+  }, []);
+
+  const handleTouchEnd = useCallback((e) => {
+    const start = touchStartRef.current;
+    touchStartRef.current = null;
+    if (!start) return;
+
+    const touch = e.changedTouches[0];
+    const deltaX = touch.clientX - start.x;
+    const deltaY = touch.clientY - start.y;
+    // WHY mostly-horizontal only: reading the thread is vertical scrolling
+    if (Math.abs(deltaX) < SWIPE_THRESHOLD || Math.abs(deltaX) < Math.abs(deltaY) * 2) return;
+    goToAdjacentPost(deltaX < 0 ? 1 : -1);
+  }, [goToAdjacentPost]);
 
   // WHY useCallback: Memoizes toggle function to prevent re-renders of reading mode button
   // and maintains stable reference for keyboard shortcut handler
@@ -84,28 +203,76 @@ const PostDetail = () => {
     setReadingMode(prev => !prev);
   }, []);
 
+  const toggleLivePaused = useCallback(() => {
+    setLivePaused(prev => !prev);
+    // Live updates arrive newest-first, so resuming goes back to that order
+    setMatchThreadSort(null);
+  }, []);
+
+  const handleCommentSortChange = useCallback((sort) => {
+    if (isMatchThread) {
+      // WHY: Live mode is newest-first, so choosing new resumes it rather than saving new as
+      // the sort for every other thread; any other order pauses it
+      if (sort === 'new') {
+        setLivePaused(false);
+        setMatchThreadSort(null);
+        return;
+      }
+      setLivePaused(true);
+      setMatchThreadSort(sort);
+    }
+    dispatch(setCommentSort(sort, currentPost?.id, currentPost?.subreddit));
+  }, [dispatch, isMatchThread, currentPost]);
+
+  const handleLoadMore = useCallback((stub) => {
+    dispatch(loadMoreComments(currentPost.id, currentPost.subreddit, stub));
+  }, [dispatch, currentPost]);
+
+  const handleAuthorOpen = useCallback((username) => {
+    dispatch(openAuthorProfile(username));
+  }, [dispatch]);
+
   // Focus trap and keyboard handling for modal
   // Must be called before any conditional returns (hooks rules)
   useEffect(() => {
     // Only run effects if modal is open
     if (!currentPost) return;
-    // Store the previously focused element
-    previouslyFocusedElement.current = document.activeElement;
-
-    // Focus the close button when modal opens
-    if (closeButtonRef.current) {
-      closeButtonRef.current.focus();
+    // WHY: Stepping to another post keeps focus where it was (e.g. on the Next button)
+    const isStepping = Boolean(modalRef.current?.contains(document.activeElement));
+    if (!isStepping) {
+      // Store the previously focused element
+      previouslyFocusedElement.current = document.activeElement;
+
+      // Focus the close button when modal opens
+      if (closeButtonRef.current) {
+        closeButtonRef.current.focus();
+      }
     }
 
     // Reset gallery index when post changes (WHY: each post should start from first image)
     setCurrentGalleryIndex(0);
+    // Each match thread opens live, even if the previous one was paused
+    setLivePaused(false);
+    setMatchThreadSort(null);
+    // A find belongs to the thread it was typed in
+    setFindQuery('');
+    setFindIndex(0);
 
     // Handle keyboard shortcuts
     const handleKeyDown = (e) => {
-      if (e.key === 'Escape') {
+      // WHY defaultPrevented: Escape in the find bar clears the find first
+      if (e.key === 'Escape' && !e.defaultPrevented) {
         handleClose();
       }
 
+      if (isShortcut(e, 'findInThread') && !isTypingTarget(e.target)) {
+        const findInput = document.getElementById(THREAD_FIND_INPUT_ID);
+        if (findInput) {
+          e.preventDefault();
+          findInput.focus();
+        }
+      }
+
       // Toggle reading mode with 'R' key (WHY: keyboard shortcut for quick access to distraction-free reading)
       if (e.key === 'r' || e.key === 'R') {
         // Don't trigger if user is typing in an input/textarea
@@ -116,17 +283,21 @@ const PostDetail = () => {
       }
 
       // Gallery navigation with arrow keys (WHY: keyboard navigation for gallery posts)
-      if (currentPost.isGallery && currentPost.galleryData) {
-        const totalImages = currentPost.galleryData.items?.length || 0;
-        if (totalImages > 1) {
-          if (e.key === 'ArrowLeft') {
-            e.preventDefault();
-            setCurrentGalleryIndex(prev => (prev - 1 + totalImages) % totalImages);
-          } else if (e.key === 'ArrowRight') {
-            e.preventDefault();
-            setCurrentGalleryIndex(prev => (prev + 1) % totalImages);
-          }
+      const totalImages = currentPost.isGallery && currentPost.galleryData
+        ? currentPost.galleryData.items?.length || 0
+        : 0;
+      if (totalImages > 1) {
+        if (e.key === 'ArrowLeft') {
+          e.preventDefault();
+          setCurrentGalleryIndex(prev => (prev - 1 + totalImages) % totalImages);
+        } else if (e.key === 'ArrowRight') {
+          e.preventDefault();
+          setCurrentGalleryIndex(prev => (prev + 1) % totalImages);
         }
+      } else if (isShortcut(e, 'adjacentPost') && !isTypingTarget(e.target)) {
+        // Post navigation with arrow keys when there is no gallery to page through
+        e.preventDefault();
+        goToAdjacentPost(e.key === 'ArrowRight' ? 1 : -1);
       }
 
       // Focus trap - keep focus within modal
@@ -153,7 +324,46 @@ const PostDetail = () => {
       document.removeEventListener('keydown', handleKeyDown);
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [currentPost, handleClose, toggleReadingMode]);
+  }, [currentPost, handleClose, toggleReadingMode, goToAdjacentPost]);
+
+  /**
+   * @listens currentPost - After stepping to another post, starts it from the top and moves the
+   *                        feed behind to its card, so closing lands on the last viewed post
+   */
+  useEffect(() => {
+    const postId = currentPost?.id || null;
+    const stepped = postId && viewedPostIdRef.current && viewedPostIdRef.current !== postId;
+    viewedPostIdRef.current = postId;
+    if (!stepped) return;
+
+    if (modalRef.current) {
+      modalRef.current.scrollTop = 0;
+    }
+    const card = document.querySelector(`article[data-post-id="${postId}"]`);
+    // WHY: A virtualised card may not be rendered; the original position is kept then
+    if (card) {
+      previouslyFocusedElement.current = card;
+      const top = card.getBoundingClientRect().top + window.scrollY - FEED_SCROLL_MARGIN;
+      sessionStorage.setItem('postListScrollPosition', String(Math.max(0, Math.round(top))));
+    }
+  }, [currentPost]);
+
+  /**
+   * @listens feedIndex - Prefetches the thread of the post the reader is heading to
+   * WHY one direction: keeps the rate-limit budget for browsing rather than both neighbours
+   */
+  useEffect(() => {
+    if (feedIndex === -1) {
+      feedIndexRef.current = -1;
+      return;
+    }
+    const goingBack = feedIndexRef.current !== -1 && feedIndex < feedIndexRef.current;
+    feedIndexRef.current = feedIndex;
+    const upcoming = goingBack ? previousPost : nextPost;
+    if (upcoming) {
+      dispatch(prefetchComments(upcoming.id, upcoming.subreddit));
+    }
+  }, [dispatch, feedIndex, previousPost, nextPost]);
 
   // Reading progress tracking (WHY: provides visual feedback for position in long posts)
   useEffect(() => {
@@ -259,6 +469,11 @@ const PostDetail = () => {
 
     if (images.length === 0) return null;
 
+    if (mediaPolicy === 'hide') {
+      return <ContentWarning policy="hide" label="NSFW gallery" />;
+    }
+    const blurred = mediaPolicy === 'blur';
+
     const currentImage = images[currentGalleryIndex];
     const totalImages = images.length;
 
@@ -268,9 +483,10 @@ const PostDetail = () => {
           <img
             src={currentImage.url}
             alt={`${currentGalleryIndex + 1} of ${totalImages}: ${currentPost.title}`}
-            className={styles.galleryImage}
+            className={`${styles.galleryImage} ${blurred ? styles.nsfwBlurred : ''}`.trim()}
             loading="lazy"
           />
+          {blurred && <ContentWarning policy="blur" label="NSFW gallery" onReveal={revealNsfw} overlay />}
 
           {/* Navigation arrows */}
           {totalImages > 1 && (
@@ -315,6 +531,7 @@ const PostDetail = () => {
                   src={image.url}
                   alt=""
                   loading="lazy"
+                  className={blurred ? styles.nsfwBlurred : undefined}
                 />
               </button>
             ))}
@@ -324,6 +541,34 @@ const PostDetail = () => {
     );
   };
 
+  /**
+   * @param {string} src - Decoded image URL
+   * @return {JSX.Element} Post image, withheld or blurred according to the NSFW content policy
+   */
+  const renderPostImage = (src) => {
+    if (mediaPolicy === 'hide') {
+      return <ContentWarning policy="hide" label="NSFW image" />;
+    }
+
+    const blurred = mediaPolicy === 'blur';
+    const image = (
+      <img
+        src={src}
+        alt={currentPost.title}
+        className={`${styles.media} ${blurred ? styles.nsfwBlurred : ''}`.trim()}
+        loading="lazy"
+      />
+    );
+
+    if (!blurred) return image;
+    return (
+      <div className={styles.nsfwMedia}>
+        {image}
+        <ContentWarning policy="blur" label="NSFW image" onReveal={revealNsfw} overlay />
+      </div>
+    );
+  };
+
   /**
    * Renders appropriate media element based on post content type
    * Priority: Gallery > Reddit video (with HLS for audio) > Preview images > Direct image URLs
@@ -346,6 +591,9 @@ const PostDetail = () => {
             videoData={videoData}
             className={styles.media}
             title={currentPost.title}
+            contentPolicy={mediaPolicy}
+            onReveal={revealNsfw}
+            autoPlay={autoplayMedia}
           />
           {/* WHY: Show fallback link for videos that might not play in browser */}
           {hasAudio && videoData.hls_url && (
@@ -371,31 +619,29 @@ const PostDetail = () => {
                        image.resolutions[image.resolutions.length - 1].url : null);
 
       if (imageUrl) {
-        return (
-          <img
-            src={imageUrl.replace(/&amp;/g, '&')}
-            alt={currentPost.title}
-            className={styles.media}
-            loading="lazy"
-          />
-        );
+        return renderPostImage(imageUrl.replace(/&amp;/g, '&'));
       }
     }
 
     if (currentPost.url && /\.(jpg|jpeg|png|gif|webp)($|\?)/i.test(currentPost.url)) {
-      return (
-        <img
-          src={currentPost.url.replace(/&amp;/g, '&')}
-          alt={currentPost.title}
-          className={styles.media}
-          loading="lazy"
-        />
-      );
+      return renderPostImage(currentPost.url.replace(/&amp;/g, '&'));
     }
 
     return null;
   };
 
+  /**
+   * @return {string} Status line for the live match-thread bar
+   */
+  const getLiveStatus = () => {
+    if (livePaused) return 'Live updates paused';
+    if (pollError) return 'Live updates delayed - retrying';
+    if (newCommentIds.length > 0) {
+      return `Live - ${newCommentIds.length} new ${newCommentIds.length === 1 ? 'comment' : 'comments'}`;
+    }
+    return 'Live - newest first';
+  };
+
   // WHY: Dynamically build class names for exit animation state
   const overlayClasses = isClosing
     ? `${styles.modalOverlay} ${styles.modalOverlayExiting}`
@@ -418,9 +664,11 @@ const PostDetail = () => {
       <div
         className={contentClasses}
         onClick={stopPropagation}
+        onTouchStart={handleTouchStart}
+        onTouchEnd={handleTouchEnd}
         ref={modalRef}
       >
-        {/* WHY: Drag handle hidden - swipe gestures removed, X button only */}
+        {/* WHY: Drag handle hidden - swipe-to-close removed, X button only */}
         <div
           className={styles.dragHandle}
           aria-hidden="true"
@@ -462,18 +710,62 @@ const PostDetail = () => {
           <Icon name={readingMode ? "BookOpen" : "Book"} size="md" ariaHidden={true} />
         </button>
 
+        {/* WHY: Only for posts opened from the list - a deep-linked post has no neighbours */}
+        {feedIndex !== -1 && (
+          <div className={styles.postNav} role="group" aria-label="Post navigation">
+            <button
+              type="button"
+              className={styles.postNavButton}
+              onClick={() => goToAdjacentPost(-1)}
+              disabled={!previousPost}
+              aria-label="Previous post"
+              title="Previous post (P)"
+            >
+              <Icon name="ChevronLeft" size="md" ariaHidden={true} />
+            </button>
+            <span className={styles.postPosition}>
+              {feedIndex + 1} / {feedTotal}
+            </span>
+            <button
+              type="button"
+              className={styles.postNavButton}
+              onClick={() => goToAdjacentPost(1)}
+              disabled={!nextPost}
+              aria-label="Next post"
+              title="Next post (N)"
+            >
+              <Icon name="ChevronRight" size="md" ariaHidden={true} />
+            </button>
+          </div>
+        )}
+
         <div className={`${styles.postDetailContent} ${readingMode ? styles.readingMode : ''}`}>
           {!readingMode && (
             <div className={styles.postHeader}>
               <span className={styles.subreddit}>r/{currentPost.subreddit}</span>
-              <span className={styles.author}>Posted by u/{currentPost.author}</span>
+              <span className={styles.author}>
+                Posted by <AuthorButton username={currentPost.author} onOpen={handleAuthorOpen} />
+              </span>
               <span className={styles.time}>{formatDateTime(currentPost.created)}</span>
             </div>
           )}
 
-          <h1 id="modal-title" className={styles.title}>{currentPost.title}</h1>
-          
-          {currentPost.selftext && (
+          {spoilerReason && (
+            <SpoilerReveal postId={currentPost.id} reason={spoilerReason} className={styles.spoilerReveal} />
+          )}
+
+          <h1 id="modal-title" className={styles.title}>
+            {/* WHY: Blurred text would still be read out, so screen readers get a placeholder instead */}
+            {spoilerReason ? (
+              <>
+                <span className="visually-hidden">Post hidden to avoid spoilers</span>
+                <span className={styles.blurred} aria-hidden="true">{currentPost.title}</span>
+              </>
+            ) : currentPost.title}
+          </h1>
+
+          {/* WHY skip rather than blur: the body holds links and players that must not stay focusable */}
+          {!spoilerReason && currentPost.selftext && (
             <div className={styles.content}>
               <ReactMarkdown
                 remarkPlugins={[remarkGfm]}
@@ -499,9 +791,9 @@ const PostDetail = () => {
             </div>
           )}
           
-          {renderMedia()}
+          {!spoilerReason && renderMedia()}
           
-          {currentPost.url && !currentPost.selftext && !renderMedia() && (
+          {!spoilerReason && currentPost.url && !currentPost.selftext && !renderMedia() && (
             <a
               href={sanitizeUrl(currentPost.url)}
               target="_blank"
@@ -522,14 +814,61 @@ const PostDetail = () => {
                 <span className={styles.stat}>
                   <strong>{currentPost.numComments}</strong> comments
                 </span>
+                <SaveButton post={currentPost} showLabel className={styles.saveButton} />
               </div>
 
               <div className={styles.commentsSection}>
                 <h2 className={styles.commentsTitle}>Comments</h2>
-                {commentsLoading ? (
+                {isMatchThread && (
+                  <div className={styles.liveBar}>
+                    <span
+                      className={`${styles.liveIndicator} ${livePaused ? styles.liveIndicatorPaused : ''}`}
+                      aria-hidden="true"
+                    />
+                    <span className={styles.liveStatus} aria-live="polite">
+                      {getLiveStatus()}
+                    </span>
+                    <button
+                      className={styles.liveToggle}
+                      onClick={toggleLivePaused}
+                      aria-pressed={!livePaused}
+                      aria-label={livePaused ? 'Resume live updates' : 'Pause live updates'}
+                    >
+                      <Icon name={livePaused ? 'Play' : 'Pause'} size="sm" ariaHidden={true} />
+                      <span>{livePaused ? 'Resume' : 'Pause'}</span>
+                    </button>
+                  </div>
+                )}
+                {spoilerReason ? (
+                  <p className={styles.commentsHidden}>Comments are hidden until you reveal this post.</p>
+                ) : commentsLoading ? (
                   <CommentsSkeleton />
                 ) : (
-                  <CommentList comments={comments} />
+                  <>
+                    {comments?.length > 0 && (
+                      <ThreadFind
+                        query={findQuery}
+                        onQueryChange={handleFindQueryChange}
+                        matchCount={findMatches.length}
+                        activeIndex={activeFindIndex}
+                        onStep={handleFindStep}
+                      />
+                    )}
+                    <CommentList
+                      comments={comments}
+                      highlightedIds={isMatchThread ? newCommentIds : undefined}
+                      sort={appliedCommentSort}
+                      onSortChange={handleCommentSortChange}
+                      onLoadMore={handleLoadMore}
+                      muteRules={muteRules}
+                      mediaPolicy={mediaPolicy}
+                      onRevealMedia={revealNsfw}
+                      maxNestingLevel={commentDepth}
+                      findQuery={findQuery}
+                      activeFindMatch={activeFindMatch}
+                      onAuthorClick={handleAuthorOpen}
+                    />
+                  </>
                 )}
               </div>
             </>
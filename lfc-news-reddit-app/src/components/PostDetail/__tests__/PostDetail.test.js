@@ -14,6 +14,7 @@ import { Provider } from 'react-redux';
 import configureStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import PostDetail from '../PostDetail';
+import * as navigationActions from '../../../redux/actions/navigation';
 
 // Create mock store with thunk middleware
 const mockStore = configureStore([thunk]);
@@ -21,6 +22,7 @@ const mockStore = configureStore([thunk]);
 // Mock the Redux actions modules
 jest.mock('../../../redux/actions/posts');
 jest.mock('../../../redux/actions/comments');
+jest.mock('../../../redux/actions/navigation');
 
 // Import mocked modules for assertions
 import * as postsActions from '../../../redux/actions/posts';
@@ -39,10 +41,20 @@ jest.mock('../../VideoPlayer/VideoPlayer', () => {
 
 // Mock CommentList component
 jest.mock('../../CommentList/CommentList', () => {
-  return function MockCommentList({ comments }) {
+  return function MockCommentList({ comments, sort, onSortChange, muteRules, mediaPolicy, onRevealMedia, findQuery, activeFindMatch }) {
     return (
-      <div data-testid="comment-list">
+      <div
+        data-testid="comment-list"
+        data-sort={sort}
+        data-muted={muteRules ? muteRules.keywords.join(',') : ''}
+        data-media-policy={mediaPolicy}
+        data-find-query={findQuery}
+        data-active-match={activeFindMatch?.id || ''}
+      >
         {comments?.length || 0} comments
+        {onSortChange && <button onClick={() => onSortChange('top')}>Sort by top</button>}
+        {onSortChange && <button onClick={() => onSortChange('new')}>Sort by new</button>}
+        {onRevealMedia && <button onClick={onRevealMedia}>Reveal comment media</button>}
       </div>
     );
   };
@@ -106,17 +118,62 @@ const createMockPost = (overrides = {}) => ({
 });
 
 // Helper to create Redux store state
-const createStoreState = (overrides = {}) => ({
-  posts: {
-    currentPost: null,
-    ...overrides.posts
-  },
-  comments: {
-    items: [],
-    loading: false,
-    ...overrides.comments
-  }
-});
+// WHY items: threads are stored per post id, so test items are filed under the current post
+const createStoreState = (overrides = {}) => {
+  const { items = [], ...comments } = overrides.comments || {};
+  const currentPost = overrides.posts?.currentPost || null;
+  return {
+    posts: {
+      currentPost: null,
+      ...overrides.posts
+    },
+    comments: {
+      byPostId: currentPost ? { [currentPost.id]: items } : {},
+      postId: currentPost ? currentPost.id : null,
+      loading: false,
+      newCommentIds: [],
+      ...comments
+    },
+    saved: {
+      items: [],
+      ...overrides.saved
+    },
+    mutes: {
+      keywords: [],
+      patterns: [],
+      authors: [],
+      domains: [],
+      flairs: [],
+      ...overrides.mutes
+    },
+    spoilers: {
+      enabled: false,
+      windowHours: 12,
+      revealed: {},
+      ...overrides.spoilers
+    },
+    contentPolicy: {
+      nsfw: 'blur',
+      ...overrides.contentPolicy
+    },
+    settings: {
+      defaultSort: 'hot',
+      defaultTimeRange: 'day',
+      pageSize: 20,
+      commentDepth: 6,
+      autoplayMedia: false,
+      theme: 'red',
+      filtersExpanded: false,
+      open: false,
+      ...overrides.settings
+    },
+    navigation: {
+      feedOrder: [],
+      shortcutsHelpOpen: false,
+      ...overrides.navigation
+    }
+  };
+};
 
 // Helper to render with Redux provider
 const renderWithStore = (storeState) => {
@@ -144,6 +201,14 @@ describe('PostDetail Component', () => {
     commentsActions.clearComments.mockImplementation(() => ({
       type: 'CLEAR_COMMENTS'
     }));
+    commentsActions.prefetchComments.mockImplementation((postId) => ({
+      type: 'PREFETCH_COMMENTS',
+      payload: postId
+    }));
+    navigationActions.openAdjacentPost.mockImplementation((offset) => ({
+      type: 'OPEN_ADJACENT_POST',
+      payload: offset
+    }));
   });
 
   afterEach(() => {
@@ -194,7 +259,7 @@ describe('PostDetail Component', () => {
       renderWithStore(storeState);
 
       expect(screen.getByText('r/LiverpoolFC')).toBeInTheDocument();
-      expect(screen.getByText(/Posted by u\/kopfan/)).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'u/kopfan' }).parentElement).toHaveTextContent('Posted by u/kopfan');
     });
 
     it('renders post stats with score and comment count', () => {
@@ -209,6 +274,19 @@ describe('PostDetail Component', () => {
       expect(screen.getByText('comments')).toBeInTheDocument();
     });
 
+    it('renders a save button reflecting the saved state', () => {
+      const post = createMockPost();
+      const storeState = createStoreState({
+        posts: { currentPost: post },
+        saved: { items: [post] }
+      });
+      renderWithStore(storeState);
+
+      expect(screen.getByRole('button', { name: `Remove from saved: ${post.title}` }))
+        .toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByText('Saved')).toBeInTheDocument();
+    });
+
     it('renders close button with accessible label', () => {
       const storeState = createStoreState({
         posts: { currentPost: createMockPost() }
@@ -428,6 +506,39 @@ describe('PostDetail Component', () => {
       expect(screen.getByText('1 comments')).toBeInTheDocument();
     });
 
+    it('passes the compiled mute list to CommentList', () => {
+      const storeState = createStoreState({
+        posts: { currentPost: createMockPost() },
+        comments: { items: [{ id: 'c1', body: 'Test comment' }] },
+        mutes: { keywords: ['spoiler'] }
+      });
+      renderWithStore(storeState);
+
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-muted', 'spoiler');
+    });
+
+    it('shows only the current post\'s thread', () => {
+      const storeState = createStoreState({
+        posts: { currentPost: createMockPost() },
+        comments: { items: [{ id: 'c1', body: 'Mine' }] }
+      });
+      storeState.comments.byPostId.other = [{ id: 'c2' }, { id: 'c3' }];
+      renderWithStore(storeState);
+
+      expect(screen.getByText('1 comments')).toBeInTheDocument();
+    });
+
+    it('does not show the skeleton for another post\'s pending request', () => {
+      const storeState = createStoreState({
+        posts: { currentPost: createMockPost() },
+        comments: { items: [{ id: 'c1', body: 'Cached' }], postId: 'other', loading: true }
+      });
+      renderWithStore(storeState);
+
+      expect(screen.queryByTestId('comments-skeleton')).not.toBeInTheDocument();
+      expect(screen.getByText('1 comments')).toBeInTheDocument();
+    });
+
     it('renders comments section heading', () => {
       const storeState = createStoreState({
         posts: { currentPost: createMockPost() },
@@ -439,6 +550,238 @@ describe('PostDetail Component', () => {
     });
   });
 
+  describe('Live Match Thread Mode', () => {
+    const matchThreadState = (comments = {}) => createStoreState({
+      posts: { currentPost: createMockPost({ title: 'Match Thread: Liverpool vs Everton', linkFlair: 'Match Thread' }) },
+      comments: { items: [], loading: false, newCommentIds: [], ...comments }
+    });
+
+    beforeEach(() => {
+      commentsActions.pollComments.mockImplementation(() => ({ type: 'POLL_COMMENTS_REQUEST' }));
+    });
+
+    it('does not show live controls for ordinary posts', () => {
+      renderWithStore(createStoreState({ posts: { currentPost: createMockPost() } }));
+
+      expect(screen.queryByRole('button', { name: 'Pause live updates' })).not.toBeInTheDocument();
+      expect(commentsActions.pollComments).not.toHaveBeenCalled();
+    });
+
+    it('polls comments straight away for match threads', () => {
+      renderWithStore(matchThreadState());
+
+      expect(commentsActions.pollComments).toHaveBeenCalledWith('post123', 'LiverpoolFC');
+      expect(screen.getByText('Live - newest first')).toBeInTheDocument();
+    });
+
+    it('polls again after the interval', async () => {
+      renderWithStore(matchThreadState());
+      // Let the first poll's await settle before advancing to the next one
+      await Promise.resolve();
+
+      jest.advanceTimersByTime(30000);
+
+      expect(commentsActions.pollComments).toHaveBeenCalledTimes(2);
+    });
+
+    it('shows how many comments arrived in the last poll', () => {
+      renderWithStore(matchThreadState({ newCommentIds: ['c1', 'c2'] }));
+
+      expect(screen.getByText('Live - 2 new comments')).toBeInTheDocument();
+    });
+
+    it('pauses and resumes polling', async () => {
+      renderWithStore(matchThreadState());
+      await Promise.resolve();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Pause live updates' }));
+      expect(screen.getByText('Live updates paused')).toBeInTheDocument();
+
+      jest.advanceTimersByTime(60000);
+      expect(commentsActions.pollComments).toHaveBeenCalledTimes(1);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Resume live updates' }));
+      expect(commentsActions.pollComments).toHaveBeenCalledTimes(2);
+    });
+
+    it('waits for the initial comments to load before polling', () => {
+      renderWithStore(matchThreadState({ loading: true }));
+
+      expect(commentsActions.pollComments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Spoiler-safe Mode', () => {
+    const spoilerState = (spoilers = {}) => createStoreState({
+      posts: { currentPost: createMockPost({ spoiler: true, selftext: 'Salah scored twice' }) },
+      comments: { items: [{ id: 'c1', body: 'What a game' }] },
+      spoilers: { enabled: true, ...spoilers }
+    });
+
+    it('hides the body and comments of a spoiler post until revealed', () => {
+      renderWithStore(spoilerState());
+
+      expect(screen.getByText('Post hidden to avoid spoilers')).toBeInTheDocument();
+      expect(screen.queryByText('Salah scored twice')).not.toBeInTheDocument();
+      expect(screen.queryByTestId('comment-list')).not.toBeInTheDocument();
+      expect(screen.getByText(/Comments are hidden/)).toBeInTheDocument();
+    });
+
+    it('dispatches a reveal for the current post', () => {
+      const { store } = renderWithStore(spoilerState());
+
+      fireEvent.click(screen.getByRole('button', { name: 'Spoiler hidden - reveal post' }));
+
+      expect(store.getActions()).toContainEqual({ type: 'REVEAL_SPOILER', payload: 'post123' });
+    });
+
+    it('shows everything once revealed', () => {
+      renderWithStore(spoilerState({ revealed: { post123: true } }));
+
+      expect(screen.getByText('Salah scored twice')).toBeInTheDocument();
+      expect(screen.getByTestId('comment-list')).toBeInTheDocument();
+    });
+  });
+
+  describe('Comment Sort', () => {
+    beforeEach(() => {
+      commentsActions.setCommentSort.mockImplementation(() => ({ type: 'SET_COMMENT_SORT' }));
+      commentsActions.pollComments.mockImplementation(() => ({ type: 'POLL_COMMENTS_REQUEST' }));
+    });
+
+    it('passes the remembered sort to the comment list', () => {
+      renderWithStore(createStoreState({
+        posts: { currentPost: createMockPost() },
+        comments: { sort: 'old' }
+      }));
+
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-sort', 'old');
+    });
+
+    it('changes the sort for the open post', () => {
+      renderWithStore(createStoreState({ posts: { currentPost: createMockPost() } }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Sort by top' }));
+
+      expect(commentsActions.setCommentSort).toHaveBeenCalledWith('top', 'post123', 'LiverpoolFC');
+    });
+
+    it('shows newest first while a match thread is live and pauses it for other sorts', () => {
+      renderWithStore(createStoreState({
+        posts: { currentPost: createMockPost({ title: 'Match Thread: Liverpool vs Everton', linkFlair: 'Match Thread' }) },
+        comments: { sort: 'confidence', newCommentIds: [] }
+      }));
+
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-sort', 'new');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Sort by top' }));
+
+      expect(screen.getByText('Live updates paused')).toBeInTheDocument();
+    });
+
+    it('resumes live mode for newest first in a match thread without saving it as the sort', () => {
+      renderWithStore(createStoreState({
+        posts: { currentPost: createMockPost({ title: 'Match Thread: Liverpool vs Everton', linkFlair: 'Match Thread' }) },
+        comments: { sort: 'confidence', newCommentIds: [] }
+      }));
+      fireEvent.click(screen.getByRole('button', { name: 'Pause live updates' }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Sort by new' }));
+
+      expect(screen.getByText('Live - newest first')).toBeInTheDocument();
+      expect(commentsActions.setCommentSort).not.toHaveBeenCalled();
+    });
+
+    it('keeps showing newest first in a paused match thread until another sort is picked', () => {
+      renderWithStore(createStoreState({
+        posts: { currentPost: createMockPost({ title: 'Match Thread: Liverpool vs Everton', linkFlair: 'Match Thread' }) },
+        comments: { sort: 'confidence', newCommentIds: [] }
+      }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Pause live updates' }));
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-sort', 'new');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Sort by top' }));
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-sort', 'top');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Resume live updates' }));
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-sort', 'new');
+    });
+  });
+
+  describe('Find in Comments', () => {
+    const findComments = [
+      { id: 'c1', author: 'Kopite', body: 'Salah again', replies: [{ id: 'c2', author: 'RedMan', body: 'Spoiler: salah scores', replies: [] }] },
+      { id: 'c3', author: 'salah_fan', body: 'GOAT', replies: [] }
+    ];
+
+    const renderWithThread = (overrides = {}) => renderWithStore(createStoreState({
+      posts: { currentPost: createMockPost() },
+      comments: { items: findComments },
+      ...overrides
+    }));
+
+    it('counts matching comments and passes the current one to CommentList', () => {
+      renderWithThread();
+
+      fireEvent.change(screen.getByRole('searchbox', { name: 'Find in comments' }), { target: { value: 'salah' } });
+
+      expect(screen.getByText('1 of 3')).toBeInTheDocument();
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-find-query', 'salah');
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-active-match', 'c1');
+    });
+
+    it('steps through matches and wraps around at either end', () => {
+      renderWithThread();
+      const input = screen.getByRole('searchbox', { name: 'Find in comments' });
+      fireEvent.change(input, { target: { value: 'salah' } });
+
+      fireEvent.keyDown(input, { key: 'Enter', shiftKey: true });
+      expect(screen.getByText('3 of 3')).toBeInTheDocument();
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-active-match', 'c3');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Next match' }));
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-active-match', 'c1');
+    });
+
+    it('does not count muted comments', () => {
+      renderWithThread({ mutes: { keywords: ['spoiler'] } });
+
+      fireEvent.change(screen.getByRole('searchbox', { name: 'Find in comments' }), { target: { value: 'salah' } });
+
+      expect(screen.getByText('1 of 2')).toBeInTheDocument();
+    });
+
+    it('focuses the find bar on F', () => {
+      renderWithThread();
+
+      fireEvent.keyDown(document, { key: 'f' });
+
+      expect(screen.getByRole('searchbox', { name: 'Find in comments' })).toHaveFocus();
+    });
+
+    it('clears the find on the first Escape and closes on the next', () => {
+      renderWithThread();
+      const input = screen.getByRole('searchbox', { name: 'Find in comments' });
+      fireEvent.change(input, { target: { value: 'salah' } });
+
+      fireEvent.keyDown(input, { key: 'Escape' });
+      jest.advanceTimersByTime(200);
+      expect(input).toHaveValue('');
+      expect(postsActions.clearCurrentPost).not.toHaveBeenCalled();
+
+      fireEvent.keyDown(input, { key: 'Escape' });
+      jest.advanceTimersByTime(200);
+      expect(postsActions.clearCurrentPost).toHaveBeenCalled();
+    });
+
+    it('is hidden until there are comments', () => {
+      renderWithThread({ comments: { items: [] } });
+
+      expect(screen.queryByRole('searchbox', { name: 'Find in comments' })).not.toBeInTheDocument();
+    });
+  });
+
   describe('Media Rendering', () => {
     it('renders video player for video posts', () => {
       const storeState = createStoreState({
@@ -532,6 +875,50 @@ describe('PostDetail Component', () => {
     });
   });
 
+  describe('NSFW Content Policy', () => {
+    const createNsfwState = (nsfw) => createStoreState({
+      posts: {
+        currentPost: createMockPost({
+          over18: true,
+          preview: { images: [{ source: { url: 'https://example.com/image.jpg' } }] }
+        })
+      },
+      contentPolicy: { nsfw }
+    });
+
+    it('blurs NSFW images until the reader chooses to show them', () => {
+      renderWithStore(createNsfwState('blur'));
+
+      expect(screen.getByRole('img')).toHaveClass('nsfwBlurred');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show NSFW image' }));
+
+      expect(screen.getByRole('img')).not.toHaveClass('nsfwBlurred');
+      expect(screen.queryByRole('button', { name: 'Show NSFW image' })).not.toBeInTheDocument();
+    });
+
+    it('applies the policy to comment media and reveals it with the post', () => {
+      renderWithStore({
+        ...createNsfwState('blur'),
+        comments: { ...createNsfwState('blur').comments, items: [{ id: 'c1', body: 'Test comment' }] }
+      });
+
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-media-policy', 'blur');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Reveal comment media' }));
+
+      expect(screen.getByTestId('comment-list')).toHaveAttribute('data-media-policy', 'show');
+      expect(screen.getByRole('img')).not.toHaveClass('nsfwBlurred');
+    });
+
+    it('withholds NSFW images when the policy hides them', () => {
+      renderWithStore(createNsfwState('hide'));
+
+      expect(screen.queryByRole('img')).not.toBeInTheDocument();
+      expect(screen.getByText('NSFW image hidden by your content settings')).toBeInTheDocument();
+    });
+  });
+
   describe('Gallery Posts', () => {
     const createGalleryPost = () => createMockPost({
       isGallery: true,
@@ -683,6 +1070,122 @@ describe('PostDetail Component', () => {
     });
   });
 
+  describe('Post Navigation', () => {
+    const feedOrder = [
+      createMockPost({ id: 'first', subreddit: 'LiverpoolFC' }),
+      createMockPost({ id: 'post123' }),
+      createMockPost({ id: 'third', subreddit: 'soccer' })
+    ];
+
+    const renderInFeed = (post = createMockPost(), order = feedOrder) => renderWithStore(
+      createStoreState({ posts: { currentPost: post }, navigation: { feedOrder: order } })
+    );
+
+    const dispatchedOffsets = (store) => store.getActions()
+      .filter(action => action.type === 'OPEN_ADJACENT_POST')
+      .map(action => action.payload);
+
+    it('shows previous and next buttons with the position in the feed', () => {
+      renderInFeed();
+
+      const group = screen.getByRole('group', { name: 'Post navigation' });
+      expect(within(group).getByRole('button', { name: 'Previous post' })).toBeEnabled();
+      expect(within(group).getByRole('button', { name: 'Next post' })).toBeEnabled();
+      expect(group).toHaveTextContent('2 / 3');
+    });
+
+    it('has no post navigation for a post that is not in the feed', () => {
+      renderWithStore(createStoreState({ posts: { currentPost: createMockPost() } }));
+
+      expect(screen.queryByRole('group', { name: 'Post navigation' })).not.toBeInTheDocument();
+    });
+
+    it('disables the button at either end of the feed', () => {
+      renderInFeed(feedOrder[0]);
+
+      expect(screen.getByRole('button', { name: 'Previous post' })).toBeDisabled();
+      expect(screen.getByRole('button', { name: 'Next post' })).toBeEnabled();
+    });
+
+    it('steps to the adjacent post when a button is clicked', () => {
+      const { store } = renderInFeed();
+
+      fireEvent.click(screen.getByRole('button', { name: 'Next post' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Previous post' }));
+
+      expect(dispatchedOffsets(store)).toEqual([1, -1]);
+    });
+
+    it('steps with the arrow keys when the post has no gallery', () => {
+      const { store } = renderInFeed();
+
+      fireEvent.keyDown(document, { key: 'ArrowRight' });
+      fireEvent.keyDown(document, { key: 'ArrowLeft' });
+
+      expect(dispatchedOffsets(store)).toEqual([1, -1]);
+    });
+
+    it('leaves the arrow keys to the gallery in gallery posts', () => {
+      const gallery = createMockPost({
+        isGallery: true,
+        galleryData: { items: [{ media_id: 'img1' }, { media_id: 'img2' }] },
+        mediaMetadata: {
+          img1: { s: { u: 'https://example.com/image1.jpg', x: 800, y: 600 } },
+          img2: { s: { u: 'https://example.com/image2.jpg', x: 800, y: 600 } }
+        }
+      });
+      const { store } = renderInFeed(gallery);
+
+      fireEvent.keyDown(document, { key: 'ArrowRight' });
+
+      expect(screen.getByText('2 of 2')).toBeInTheDocument();
+      expect(dispatchedOffsets(store)).toEqual([]);
+    });
+
+    it('steps on a horizontal swipe but not a vertical scroll', () => {
+      const { store } = renderInFeed();
+      const content = screen.getByRole('heading', { name: 'Test Post Title' });
+
+      fireEvent.touchStart(content, { touches: [{ clientX: 300, clientY: 200 }] });
+      fireEvent.touchEnd(content, { changedTouches: [{ clientX: 150, clientY: 210 }] });
+      fireEvent.touchStart(content, { touches: [{ clientX: 100, clientY: 200 }] });
+      fireEvent.touchEnd(content, { changedTouches: [{ clientX: 250, clientY: 190 }] });
+      fireEvent.touchStart(content, { touches: [{ clientX: 200, clientY: 400 }] });
+      fireEvent.touchEnd(content, { changedTouches: [{ clientX: 130, clientY: 100 }] });
+
+      expect(dispatchedOffsets(store)).toEqual([1, -1]);
+    });
+
+    it('prefetches the comments of the next post', () => {
+      const { store } = renderInFeed();
+
+      expect(commentsActions.prefetchComments).toHaveBeenCalledWith('third', 'soccer');
+      expect(store.getActions()).toContainEqual({ type: 'PREFETCH_COMMENTS', payload: 'third' });
+    });
+
+    it('moves the feed position and focus target to the post stepped to', () => {
+      const card = document.createElement('article');
+      card.setAttribute('data-post-id', 'third');
+      card.tabIndex = 0;
+      card.getBoundingClientRect = () => ({ top: 600 });
+      document.body.appendChild(card);
+
+      const store = mockStore(createStoreState({ posts: { currentPost: feedOrder[1] }, navigation: { feedOrder } }));
+      const { rerender } = render(<Provider store={store}><PostDetail /></Provider>);
+
+      const steppedStore = mockStore(createStoreState({ posts: { currentPost: feedOrder[2] }, navigation: { feedOrder } }));
+      rerender(<Provider store={steppedStore}><PostDetail /></Provider>);
+
+      expect(sessionStorageMock.setItem).toHaveBeenCalledWith('postListScrollPosition', '520');
+
+      fireEvent.click(screen.getByRole('button', { name: 'Close post detail' }));
+      jest.runAllTimers();
+      expect(card).toHaveFocus();
+
+      card.remove();
+    });
+  });
+
   describe('Reading Progress', () => {
     it('shows progress bar for long posts', () => {
       const longText = 'A'.repeat(3000); // Over 2000 characters
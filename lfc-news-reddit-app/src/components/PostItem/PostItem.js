@@ -3,17 +3,31 @@
  * @date 2025-10-22
  * @description Individual Reddit post card with thumbnail, score, metadata, and spiciness indicator.
  *              Handles thumbnail resolution selection and HTML entity decoding.
+ *              Posts the user has opened are dimmed and show how many comments arrived since.
+ *              In spoiler-safe mode, result posts have their title, preview and thumbnail blurred.
+ *              NSFW thumbnails follow the content policy (hidden, blurred or shown).
+ *              The author's name opens their profile panel (AuthorProfile).
  */
 
 import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { useDispatch } from 'react-redux';
+import { useDispatch, useSelector } from 'react-redux';
 import { setCurrentPost } from '../../redux/actions/posts';
 import { fetchComments } from '../../redux/actions/comments';
+import { markPostRead } from '../../redux/actions/readPosts';
+import { toggleSavedPost } from '../../redux/actions/saved';
+import { openAuthorProfile } from '../../redux/actions/authorProfile';
+import { selectReadInfo, getNewCommentCount } from '../../redux/reducers/readPosts';
+import { selectSpoilerReason } from '../../redux/reducers/spoilers';
+import { getMediaPolicy } from '../../utils/contentPolicy';
 import { formatRelativeTime } from '../../utils/formatTime';
 import { formatDuration } from '../../utils/formatDuration';
+import { isShortcut } from '../../utils/shortcuts';
 import { stripMarkdown, decodeHtml } from '../../utils/markdown';
 import SpicyMeter from '../SpicyMeter/SpicyMeter';
+import SaveButton from '../SaveButton/SaveButton';
+import AuthorButton from '../AuthorButton/AuthorButton';
+import SpoilerReveal from '../SpoilerReveal/SpoilerReveal';
 import Icon from '../Icon/Icon';
 import styles from './PostItem.module.css';
 
@@ -26,6 +40,11 @@ import styles from './PostItem.module.css';
  */
 const PostItem = ({ post, animationIndex }) => {
   const dispatch = useDispatch();
+  const readInfo = useSelector(state => selectReadInfo(state.readPosts, post.id));
+  const newCommentCount = getNewCommentCount(post, readInfo);
+  const spoilerReason = useSelector(state => selectSpoilerReason(state.spoilers, post));
+  const spoilerHidden = Boolean(spoilerReason);
+  const mediaPolicy = useSelector(state => getMediaPolicy(post, state.contentPolicy.nsfw));
 
   /**
    * WHY: Responsive preview lengths improve content scanability without overwhelming users
@@ -58,15 +77,20 @@ const PostItem = ({ post, animationIndex }) => {
   const handleClick = () => {
     // Save current scroll position before opening modal
     sessionStorage.setItem('postListScrollPosition', window.scrollY.toString());
+    dispatch(markPostRead(post));
     dispatch(setCurrentPost(post));
     dispatch(fetchComments(post.id, post.subreddit));
   };
 
-  // Handle keyboard navigation (Enter/Space) for accessibility
+  // Handle keyboard navigation (Enter/Space, plus the o and s shortcuts) for accessibility
+  // WHY here: the focused card owns its post, so the shortcut manager only moves focus
   const handleKeyDown = (e) => {
-    if (e.key === 'Enter' || e.key === ' ') {
+    if (e.key === ' ' || isShortcut(e, 'openPost')) {
       e.preventDefault();
       handleClick();
+    } else if (isShortcut(e, 'savePost')) {
+      e.preventDefault();
+      dispatch(toggleSavedPost(post));
     }
   };
 
@@ -86,9 +110,12 @@ const PostItem = ({ post, animationIndex }) => {
    * Strategy 1: Use direct thumbnail URL if valid and not Reddit-hosted
    * Strategy 2: Select preview resolution around 320px width for performance
    * Strategy 3: Fall back to source image or main post URL if image
-   * @return {string|null} Thumbnail URL with decoded HTML entities
+   * @return {string|null} Thumbnail URL with decoded HTML entities (null when the content policy hides it)
    */
   const getThumbnail = () => {
+    // WHY first: a hidden NSFW thumbnail must never be requested, not just kept out of view
+    if (mediaPolicy === 'hide') return null;
+
     if (post.thumbnail &&
         post.thumbnail.startsWith('http') &&
         !post.thumbnail.includes('reddit.com') &&
@@ -196,9 +223,11 @@ const PostItem = ({ post, animationIndex }) => {
   // WHY: Apply staggered animation only for first 10 items and only when animationIndex is provided
   // This prevents re-animation on filter changes while maintaining initial load polish
   const shouldAnimate = typeof animationIndex === 'number' && animationIndex >= 0 && animationIndex < 10;
-  const postItemClasses = shouldAnimate
-    ? `${styles.postItem} ${styles.postItemAnimated}`
-    : styles.postItem;
+  const postItemClasses = [
+    styles.postItem,
+    shouldAnimate ? styles.postItemAnimated : '',
+    readInfo ? styles.read : ''
+  ].filter(Boolean).join(' ');
 
   return (
     <article
@@ -207,15 +236,21 @@ const PostItem = ({ post, animationIndex }) => {
       onClick={handleClick}
       onKeyDown={handleKeyDown}
       tabIndex={0}
-      aria-label={`Post: ${post.title}`}
+      data-post-id={post.id}
+      aria-label={`Post: ${spoilerHidden ? 'title hidden to avoid spoilers' : post.title}${readInfo ? ' (read)' : ''}`}
     >
       <div className={styles.contentSection}>
         <div className={styles.postHeader}>
           <span className={styles.subreddit}>r/{post.subreddit}</span>
-          <span className={styles.author}>u/{post.author}</span>
+          <AuthorButton
+            username={post.author}
+            onOpen={(username) => dispatch(openAuthorProfile(username))}
+            className={styles.author}
+          />
           <span className={styles.time}>{formatRelativeTime(post.created)}</span>
           {post.stickied && <span className={styles.stickied}>Pinned</span>}
           {post.spoiler && <span className={styles.spoiler}>Spoiler</span>}
+          {post.over18 && <span className={styles.nsfw}>NSFW</span>}
         </div>
         
         {/* WHY: Flair badges help users quickly identify post type (Match Thread, Transfer, etc.) */}
@@ -225,8 +260,15 @@ const PostItem = ({ post, animationIndex }) => {
           </span>
         )}
 
+        {spoilerHidden && (
+          <SpoilerReveal postId={post.id} reason={spoilerReason} className={styles.spoilerReveal} />
+        )}
+
         <h2 className={styles.title}>
-          {post.title}
+          {/* WHY aria-hidden: blurred text would still be read out by screen readers */}
+          {spoilerHidden ? (
+            <span className={styles.blurred} aria-hidden="true">{post.title}</span>
+          ) : post.title}
           {/* Media type indicators for non-thumbnail content (WHY: visual cues for content without thumbnails) */}
           {/* Video and gallery indicators moved to thumbnail overlay per post-card-polish.md spec */}
           {post.postHint === 'image' && !post.isGallery && !thumbnail && (
@@ -238,7 +280,10 @@ const PostItem = ({ post, animationIndex }) => {
         </h2>
 
         {post.selftext && (
-          <p className={styles.preview}>
+          <p
+            className={`${styles.preview} ${spoilerHidden ? styles.blurred : ''}`.trim()}
+            aria-hidden={spoilerHidden || undefined}
+          >
             {(() => {
               const cleanText = stripMarkdown(decodeHtml(post.selftext));
               return cleanText.substring(0, previewLength) + (cleanText.length > previewLength ? '...' : '');
@@ -255,7 +300,13 @@ const PostItem = ({ post, animationIndex }) => {
             <Icon name="MessageCircle" size="sm" ariaHidden={true} />
             {post.numComments}
           </span>
+          {newCommentCount > 0 && (
+            <span className={styles.newComments}>
+              +{newCommentCount} new<span className="visually-hidden"> comments since you read it</span>
+            </span>
+          )}
           <SpicyMeter score={post.score} />
+          <SaveButton post={post} className={styles.saveButton} />
         </div>
       </div>
       
@@ -263,8 +314,8 @@ const PostItem = ({ post, animationIndex }) => {
         <div className={styles.thumbnailSection}>
           <img
             src={thumbnail}
-            alt={`Thumbnail for: ${post.title}`}
-            className={styles.thumbnail}
+            alt={spoilerHidden ? '' : `Thumbnail for: ${post.title}`}
+            className={`${styles.thumbnail} ${spoilerHidden || mediaPolicy === 'blur' ? styles.blurred : ''}`.trim()}
             loading="lazy"
           />
           {/* WHY: Video duration overlay per post-card-polish.md spec - shows duration on thumbnail bottom-right */}
@@ -318,6 +369,7 @@ PostItem.propTypes = {
     // Flags
     stickied: PropTypes.bool,
     spoiler: PropTypes.bool,
+    over18: PropTypes.bool,
 
     // Flair properties
     linkFlair: PropTypes.string,
@@ -13,6 +13,7 @@ import { Provider } from 'react-redux';
 import configureStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import PostItem from '../PostItem';
+import * as authorProfileActions from '../../../redux/actions/authorProfile';
 
 // Create mock store with thunk middleware
 const mockStore = configureStore([thunk]);
@@ -20,6 +21,7 @@ const mockStore = configureStore([thunk]);
 // Mock the Redux actions modules
 jest.mock('../../../redux/actions/posts');
 jest.mock('../../../redux/actions/comments');
+jest.mock('../../../redux/actions/authorProfile');
 
 // Import mocked modules for assertions
 import * as postsActions from '../../../redux/actions/posts';
@@ -43,8 +45,16 @@ Object.defineProperty(window, 'sessionStorage', {
   value: sessionStorageMock
 });
 
+// Store state for the slices PostItem reads
+const createStoreState = (overrides = {}) => ({
+  saved: { items: [], ...overrides.saved },
+  readPosts: { byId: {}, hideRead: false, ...overrides.readPosts },
+  spoilers: { enabled: false, windowHours: 12, revealed: {}, ...overrides.spoilers },
+  contentPolicy: { nsfw: 'blur', ...overrides.contentPolicy }
+});
+
 // Helper to render with Redux provider
-const renderWithStore = (post, store = mockStore({})) => {
+const renderWithStore = (post, store = mockStore(createStoreState())) => {
   return render(
     <Provider store={store}>
       <PostItem post={post} />
@@ -80,7 +90,7 @@ describe('PostItem Component', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     sessionStorageMock.clear();
-    store = mockStore({});
+    store = mockStore(createStoreState());
 
     // Setup mock implementations for Redux actions
     postsActions.setCurrentPost.mockImplementation((post) => ({
@@ -355,6 +365,131 @@ describe('PostItem Component', () => {
     });
   });
 
+  describe('Save Button', () => {
+    it('saves the post without opening it', () => {
+      const post = createMockPost();
+      renderWithStore(post, store);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Save post: Test Post Title' }));
+
+      expect(store.getActions()).toContainEqual({
+        type: 'SAVE_POST',
+        payload: expect.objectContaining({ id: 'test123' })
+      });
+      expect(postsActions.setCurrentPost).not.toHaveBeenCalled();
+    });
+
+    it('shows saved posts as pressed', () => {
+      const post = createMockPost();
+      renderWithStore(post, mockStore(createStoreState({ saved: { items: [post] } })));
+
+      expect(screen.getByRole('button', { name: 'Remove from saved: Test Post Title' }))
+        .toHaveAttribute('aria-pressed', 'true');
+    });
+  });
+
+  describe('Author Profile', () => {
+    it('opens the author\'s profile without opening the post', () => {
+      authorProfileActions.openAuthorProfile.mockImplementation((username) => ({
+        type: 'OPEN_AUTHOR_PROFILE',
+        payload: username
+      }));
+      renderWithStore(createMockPost(), store);
+
+      const author = screen.getByRole('button', { name: 'u/testuser' });
+      fireEvent.click(author);
+      fireEvent.keyDown(author, { key: 'Enter' });
+
+      expect(store.getActions()).toEqual([{ type: 'OPEN_AUTHOR_PROFILE', payload: 'testuser' }]);
+      expect(postsActions.setCurrentPost).not.toHaveBeenCalled();
+    });
+
+    it('leaves deleted authors as plain text', () => {
+      renderWithStore(createMockPost({ author: '[deleted]' }), store);
+
+      expect(screen.getByText('u/[deleted]')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'u/[deleted]' })).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Read Tracking', () => {
+    it('marks the post read with its comment count when opened', () => {
+      const post = createMockPost({ numComments: 42 });
+      renderWithStore(post, store);
+
+      fireEvent.click(screen.getByRole('article'));
+
+      expect(store.getActions()).toContainEqual({
+        type: 'MARK_POST_READ',
+        payload: { id: 'test123', numComments: 42, readAt: expect.any(Number) }
+      });
+    });
+
+    it('dims read posts', () => {
+      const post = createMockPost();
+      renderWithStore(post, mockStore(createStoreState({
+        readPosts: { byId: { test123: { readAt: 1, numComments: 42 } } }
+      })));
+
+      const article = screen.getByRole('article', { name: 'Post: Test Post Title (read)' });
+      expect(article.className).toMatch(/read/);
+    });
+
+    it('shows comments added since the post was read', () => {
+      const post = createMockPost({ numComments: 57 });
+      renderWithStore(post, mockStore(createStoreState({
+        readPosts: { byId: { test123: { readAt: 1, numComments: 42 } } }
+      })));
+
+      expect(screen.getByText(/\+15 new/)).toHaveTextContent('+15 new comments since you read it');
+    });
+
+    it('shows no new-comment count for unread posts', () => {
+      renderWithStore(createMockPost(), store);
+
+      expect(screen.queryByText(/new comments since/)).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Spoiler-safe Mode', () => {
+    const resultPost = () => createMockPost({
+      title: '[Post-Match Thread] Liverpool 3-1 Everton',
+      created: Date.now() / 1000 - 3600
+    });
+
+    it('blurs a recent scoreline title and hides it from screen readers', () => {
+      renderWithStore(resultPost(), mockStore(createStoreState({ spoilers: { enabled: true } })));
+
+      const article = screen.getByRole('article');
+      expect(article).toHaveAttribute('aria-label', 'Post: title hidden to avoid spoilers');
+      expect(screen.getByText('[Post-Match Thread] Liverpool 3-1 Everton')).toHaveAttribute('aria-hidden', 'true');
+      expect(screen.getByRole('button', { name: 'Possible result hidden - reveal post' })).toBeInTheDocument();
+    });
+
+    it('reveals the post without opening it', () => {
+      const store = mockStore(createStoreState({ spoilers: { enabled: true } }));
+      renderWithStore(resultPost(), store);
+
+      fireEvent.click(screen.getByRole('button', { name: /reveal post/ }));
+
+      expect(store.getActions()).toEqual([{ type: 'REVEAL_SPOILER', payload: 'test123' }]);
+    });
+
+    it('shows posts the user already revealed', () => {
+      renderWithStore(resultPost(), mockStore(createStoreState({
+        spoilers: { enabled: true, revealed: { test123: true } }
+      })));
+
+      expect(screen.queryByRole('button', { name: /reveal post/ })).not.toBeInTheDocument();
+    });
+
+    it('leaves titles alone when spoiler-safe mode is off', () => {
+      renderWithStore(resultPost());
+
+      expect(screen.getByRole('article')).toHaveAttribute('aria-label', 'Post: [Post-Match Thread] Liverpool 3-1 Everton');
+    });
+  });
+
   describe('Keyboard Navigation', () => {
     it('handles Enter key press', () => {
       const post = createMockPost();
@@ -376,6 +511,34 @@ describe('PostItem Component', () => {
       expect(postsActions.setCurrentPost).toHaveBeenCalledWith(post);
     });
 
+    it('opens with the o shortcut', () => {
+      const post = createMockPost();
+      renderWithStore(post, store);
+
+      fireEvent.keyDown(screen.getByRole('article'), { key: 'o' });
+
+      expect(postsActions.setCurrentPost).toHaveBeenCalledWith(post);
+    });
+
+    it('saves with the s shortcut without opening the post', () => {
+      const post = createMockPost();
+      renderWithStore(post, store);
+
+      fireEvent.keyDown(screen.getByRole('article'), { key: 's' });
+
+      expect(store.getActions()).toContainEqual(expect.objectContaining({ type: 'SAVE_POST' }));
+      expect(postsActions.setCurrentPost).not.toHaveBeenCalled();
+    });
+
+    it('leaves Ctrl+S to the browser', () => {
+      const post = createMockPost();
+      renderWithStore(post, store);
+
+      fireEvent.keyDown(screen.getByRole('article'), { key: 's', ctrlKey: true });
+
+      expect(store.getActions()).not.toContainEqual(expect.objectContaining({ type: 'SAVE_POST' }));
+    });
+
     it('does not trigger on other key presses', () => {
       const post = createMockPost();
       renderWithStore(post, store);
@@ -500,6 +663,34 @@ describe('PostItem Component', () => {
     });
   });
 
+  describe('NSFW Content Policy', () => {
+    const nsfwPost = () => createMockPost({ over18: true, thumbnail: 'https://example.com/image.jpg' });
+
+    it('labels NSFW posts', () => {
+      renderWithStore(nsfwPost());
+
+      expect(screen.getByText('NSFW')).toBeInTheDocument();
+    });
+
+    it('blurs NSFW thumbnails by default', () => {
+      const { container } = renderWithStore(nsfwPost());
+
+      expect(container.querySelector('.thumbnail')).toHaveClass('blurred');
+    });
+
+    it('never renders the thumbnail when the policy hides NSFW media', () => {
+      const { container } = renderWithStore(nsfwPost(), mockStore(createStoreState({ contentPolicy: { nsfw: 'hide' } })));
+
+      expect(container.querySelector('.thumbnail')).not.toBeInTheDocument();
+    });
+
+    it('shows the thumbnail normally when the policy allows it', () => {
+      const { container } = renderWithStore(nsfwPost(), mockStore(createStoreState({ contentPolicy: { nsfw: 'show' } })));
+
+      expect(container.querySelector('.thumbnail')).not.toHaveClass('blurred');
+    });
+  });
+
   describe('Score Styling', () => {
     it('applies hot styling for scores >= 1000', () => {
       const post = createMockPost({ score: 1500 });
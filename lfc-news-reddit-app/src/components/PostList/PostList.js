@@ -3,7 +3,8 @@
  * @date 2025-10-22
  * @description Grid container for Reddit post cards with empty state handling.
  *              Uses virtualization for lists > 20 posts to improve performance.
- *              Implements "Load More" pagination to progressively load posts.
+ *              Implements "Load More" pagination: reveals the local buffer first, then fetches
+ *              the next page from Reddit using the listing's `after` cursor.
  *              Implements pull-to-refresh gesture for mobile UX.
  *              WHY virtualization: With 50 posts per page, rendering all DOM nodes at once
  *              causes performance issues on mobile. Virtualization only renders visible items.
@@ -11,15 +12,26 @@
  *              initial page load. Users can choose to load more content as needed.
  *              WHY pull-to-refresh: Standard mobile UX pattern that users expect for refreshing
  *              content feeds - provides natural, discoverable way to get latest posts.
+ *              With source="saved" the same list (and the same flair/media filters) renders
+ *              bookmarked posts instead of the Reddit listing.
+ *              Posts matching the mute list render as collapsed placeholders that can be revealed.
+ *              The listed order (minus muted posts) is published for stepping between open posts.
  */
 
 import React, { useState, useRef, useEffect, useMemo, useCallback } from 'react';
+import PropTypes from 'prop-types';
 import { useSelector, useDispatch } from 'react-redux';
 import { FixedSizeList as List } from 'react-window';
 import PostItem from '../PostItem/PostItem';
+import MutedPlaceholder from '../MutedPlaceholder/MutedPlaceholder';
 import Icon from '../Icon/Icon';
-import { fetchPosts } from '../../redux/actions/posts';
+import { fetchPosts, fetchMorePosts } from '../../redux/actions/posts';
+import { setSavedView } from '../../redux/actions/saved';
+import { setHideRead } from '../../redux/actions/readPosts';
+import { setFeedOrder } from '../../redux/actions/navigation';
 import { applyFlairFilter, applyMultiFlairFilter, applyMediaFilter } from '../../redux/reducers/posts';
+import { applyHideRead } from '../../redux/reducers/readPosts';
+import { compileMuteRules, findMutedPosts } from '../../utils/muteFilter';
 import styles from './PostList.module.css';
 
 /**
@@ -30,18 +42,6 @@ import styles from './PostList.module.css';
 // FixedSizeList requires uniform heights which conflicts with variable post content
 const VIRTUALIZATION_THRESHOLD = 999;
 
-/**
- * Initial number of posts to display
- * WHY 20: Provides good initial content without overwhelming the page
- */
-const INITIAL_VISIBLE_COUNT = 20;
-
-/**
- * Number of additional posts to load when "Load More" is clicked
- * WHY 20: Balances between user convenience and performance
- */
-const LOAD_MORE_INCREMENT = 20;
-
 /**
  * Estimated height for post items (actual heights vary by content)
  * Mobile: ~200px, Desktop: ~180px (with thumbnail on side)
@@ -66,11 +66,13 @@ const PULL_THRESHOLD = 80;
  * @param {Object} props - Props passed by react-window
  * @param {number} props.index - Index of the item in the list
  * @param {Object} props.style - Positioning styles from react-window
- * @param {Object} props.data - Contains visiblePosts array
+ * @param {Object} props.data - Contains visiblePosts array, mutedReasons map and onReveal
  * @return {JSX.Element}
  */
 const VirtualizedRow = ({ index, style, data }) => {
-  const post = data[index];
+  const { posts, mutedReasons, onReveal } = data;
+  const post = posts[index];
+  const mutedReason = mutedReasons.get(post.id);
   // WHY: Separate positioning from content styling to prevent overlap
   // The wrapper handles react-window's absolute positioning
   // The inner div handles spacing and overflow containment
@@ -81,23 +83,50 @@ const VirtualizedRow = ({ index, style, data }) => {
         marginBottom: `${POST_GAP}px`,
         overflow: 'hidden'
       }}>
-        <PostItem post={post} />
+        {mutedReason ? (
+          <MutedPlaceholder label="Muted post" reason={mutedReason} onReveal={() => onReveal(post.id)} />
+        ) : (
+          <PostItem post={post} />
+        )}
       </div>
     </div>
   );
 };
 
 /**
+ * @param {Object} props
+ * @param {string} [props.source='feed'] - 'feed' for the Reddit listing, 'saved' for bookmarked posts
  * @return {JSX.Element}
  * @constructor
  */
-const PostList = () => {
+const PostList = ({ source = 'feed' }) => {
   const dispatch = useDispatch();
-  const { items: posts, searchTerm, loading, activeFilter, activeFlairFilters, activeMediaFilter } = useSelector(state => state.posts);
+  const isSavedView = source === 'saved';
+  const posts = useSelector(state => (isSavedView ? state.saved.items : state.posts.items));
+  const { searchTerm, loading, refreshing, activeFilter, activeFlairFilters, activeMediaFilter } = useSelector(state => state.posts);
   const { selected: selectedSubreddit } = useSelector(state => state.subreddits);
-  const { sortBy, timeRange } = useSelector(state => state.posts);
-
-  const [visibleCount, setVisibleCount] = useState(INITIAL_VISIBLE_COUNT);
+  const { sortBy, timeRange, loadingMore, loadMoreError } = useSelector(state => state.posts);
+  // WHY: Saved posts are all local, so there is never a Reddit page to fetch after them
+  const after = useSelector(state => (isSavedView ? null : state.posts.after));
+  const { byId: readById, hideRead: hideReadSetting } = useSelector(state => state.readPosts);
+  // WHY: Saved posts are kept to be revisited, so reading them must not hide them
+  const hideRead = hideReadSetting && !isSavedView;
+  const mutes = useSelector(state => state.mutes);
+  const isPostOpen = useSelector(state => Boolean(state.posts.currentPost));
+  // WHY: Read state as of the last time no post was open, so opening a card with "hide read"
+  // on doesn't pull it out of the list behind the open post; it goes once the post closes
+  const [hiddenReadById, setHiddenReadById] = useState(readById);
+  // WHY useMemo: regexes are compiled once per mute list change, not per post per render
+  const muteRules = useMemo(() => compileMuteRules(mutes), [mutes]);
+
+  // WHY: Page size is a user setting - both the initial count and each "Load More" step
+  const pageSize = useSelector(state => state.settings.pageSize);
+  // WHY pages rather than a post count: the count follows the setting, so changing the page
+  // size in Settings resizes the list straight away
+  const [pagesShown, setPagesShown] = useState(1);
+  const visibleCount = pagesShown * pageSize;
+  // Ids of muted posts the user chose to show anyway
+  const [revealedPosts, setRevealedPosts] = useState({});
   const [windowHeight, setWindowHeight] = useState(window.innerHeight);
 
   // WHY: Track initial render to apply staggered animations only on first load
@@ -124,13 +153,20 @@ const PostList = () => {
     return () => window.removeEventListener('resize', handleResize);
   }, []);
 
+  /**
+   * @listens isPostOpen - Applies reads made while a post was open once it closes
+   */
+  useEffect(() => {
+    if (!isPostOpen) setHiddenReadById(readById);
+  }, [isPostOpen, readById]);
+
   /**
    * Sync isRefreshing state with Redux loading state
    * WHY: Ensure refresh indicator disappears when loading completes
    * NOTE: Must be before early return to satisfy React hooks rules
    */
   useEffect(() => {
-    if (!loading && isRefreshing) {
+    if (!loading && !refreshing && isRefreshing) {
       // Add small delay for smooth animation
       const timer = setTimeout(() => {
         setIsRefreshing(false);
@@ -138,13 +174,14 @@ const PostList = () => {
       }, 300);
       return () => clearTimeout(timer);
     }
-  }, [loading, isRefreshing]);
+  }, [loading, refreshing, isRefreshing]);
 
   // Apply flair and media filters if active
   // WHY: Football-specific filters help fans quickly find match threads and transfer news
   // WHY: Media type filters help users find specific content types (images, videos, etc.)
   // WHY useMemo: Prevents unnecessary re-filtering on every render, improving performance
-  const filteredPosts = useMemo(() => {
+  // WHY mute last: muted posts stay in the list as placeholders, so the stage marks rather than removes
+  const { filteredPosts, mutedReasons } = useMemo(() => {
     let filtered = posts;
 
     // Apply legacy single-select filter (matchday/transfers) if active
@@ -160,8 +197,28 @@ const PostList = () => {
     // Apply media type filter
     filtered = applyMediaFilter(filtered, activeMediaFilter);
 
-    return filtered;
-  }, [posts, activeFilter, activeFlairFilters, activeMediaFilter]);
+    if (hideRead) {
+      filtered = applyHideRead(filtered, hiddenReadById);
+    }
+
+    const muted = findMutedPosts(filtered, muteRules);
+    Object.keys(revealedPosts).forEach(id => muted.delete(id));
+
+    return { filteredPosts: filtered, mutedReasons: muted };
+  }, [posts, activeFilter, activeFlairFilters, activeMediaFilter, hideRead, hiddenReadById, muteRules, revealedPosts]);
+
+  const handleRevealPost = useCallback((postId) => {
+    setRevealedPosts(prev => ({ ...prev, [postId]: true }));
+  }, []);
+
+  /**
+   * @listens filteredPosts - Publishes the listed order so an open post can step to its neighbours
+   * @listens isPostOpen - Republishes on close, as the order is frozen while a post is open
+   * WHY skip muted: stepping onto a collapsed placeholder would open what the user chose to hide
+   */
+  useEffect(() => {
+    dispatch(setFeedOrder(filteredPosts.filter(post => !mutedReasons.has(post.id))));
+  }, [dispatch, filteredPosts, mutedReasons, isPostOpen]);
 
   /**
    * Mark posts as animated after initial render completes
@@ -203,12 +260,18 @@ const PostList = () => {
   /**
    * Load more posts when button is clicked
    * WHY: User-initiated loading gives control over content consumption
+   * WHY: Once the local buffer is exhausted, fetch the next Reddit page so users can
+   * keep scrolling back past the first 50 posts
    * WHY useCallback: Prevents function recreation on each render, improving performance
    * NOTE: Defined before conditional returns to satisfy React hooks rules
    */
   const handleLoadMore = useCallback(() => {
-    setVisibleCount(prev => Math.min(prev + LOAD_MORE_INCREMENT, posts.length));
-  }, [posts.length]);
+    if (visibleCount >= filteredPosts.length && after) {
+      dispatch(fetchMorePosts());
+    }
+    // WHY: Not capped at the current length so the next page is revealed as soon as it lands
+    setPagesShown(prev => prev + 1);
+  }, [dispatch, visibleCount, filteredPosts.length, after]);
 
   /**
    * Handle touch start for pull-to-refresh
@@ -217,12 +280,12 @@ const PostList = () => {
    * NOTE: Defined before conditional returns to satisfy React hooks rules
    */
   const handleTouchStart = useCallback((e) => {
-    // Only trigger if at the top of the page
-    if (window.scrollY === 0) {
+    // Only trigger if at the top of the page, and never for saved posts (nothing to refresh)
+    if (!isSavedView && window.scrollY === 0) {
       touchStartY.current = e.touches[0].clientY;
       setIsPulling(true);
     }
-  }, []);
+  }, [isSavedView]);
 
   /**
    * Handle touch move for pull-to-refresh
@@ -265,7 +328,7 @@ const PostList = () => {
       try {
         await dispatch(fetchPosts(selectedSubreddit, sortBy, timeRange));
         // Reset visible count to show initial posts
-        setVisibleCount(INITIAL_VISIBLE_COUNT);
+        setPagesShown(1);
       } catch (error) {
         // Error already handled by Redux
         console.error('Pull-to-refresh error:', error);
@@ -279,6 +342,32 @@ const PostList = () => {
     }
   }, [pullDistance, isRefreshing, loading, dispatch, selectedSubreddit, sortBy, timeRange]);
 
+  if (isSavedView && posts.length === 0) {
+    return (
+      <div className={styles.emptyState}>
+        <div className={styles.emptyStateIcon}>
+          <Icon name="Bookmark" size="lg" ariaHidden={true} />
+        </div>
+
+        <h2>No saved posts yet</h2>
+
+        <p className={styles.emptyStateMessage}>
+          Tap the bookmark on any post to keep it here for later - even offline.
+        </p>
+
+        <div className={styles.emptyStateActions}>
+          <button
+            onClick={() => dispatch(setSavedView(false))}
+            className={styles.primaryAction}
+          >
+            <Icon name="Home" size="sm" ariaHidden={true} />
+            Back to the feed
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   /**
    * Enhanced empty state with helpful actions
    * WHY: Guide users to successful outcomes instead of dead-end message
@@ -413,17 +502,75 @@ const PostList = () => {
     );
   }
 
+  // Everything loaded has been read - offer to show it again rather than an empty list
+  if (filteredPosts.length === 0 && posts.length > 0 && hideRead) {
+    return (
+      <div className={styles.emptyState}>
+        <div className={styles.emptyStateIcon}>
+          <Icon name="CheckCircle" size="lg" ariaHidden={true} />
+        </div>
+
+        <h2>You're all caught up</h2>
+
+        <p className={styles.emptyStateMessage}>
+          You've opened every post loaded here. Check back later for more from the Kop!
+        </p>
+
+        <div className={styles.emptyStateActions}>
+          <button
+            onClick={() => dispatch(setHideRead(false))}
+            className={styles.primaryAction}
+          >
+            <Icon name="Eye" size="sm" ariaHidden={true} />
+            Show read posts
+          </button>
+        </div>
+      </div>
+    );
+  }
+
   // Slice posts to show only the visible count
   // WHY: Progressive loading improves perceived performance
   const visiblePosts = filteredPosts.slice(0, visibleCount);
-  const remainingCount = filteredPosts.length - visibleCount;
-  const hasMore = remainingCount > 0;
+  const remainingCount = Math.max(filteredPosts.length - visibleCount, 0);
+  // WHY: Search results carry no cursor, so `after` is only set for listings
+  const hasMore = remainingCount > 0 || Boolean(after);
+
+  const loadMoreButton = hasMore && (
+    <>
+      {loadMoreError && !loadingMore && (
+        <p className={styles.loadMoreError} role="alert">
+          Couldn't load more posts. Please try again.
+        </p>
+      )}
+      <button
+        onClick={handleLoadMore}
+        className={styles.loadMoreButton}
+        disabled={loadingMore}
+        aria-busy={loadingMore}
+      >
+        {loadingMore
+          ? 'Loading more posts...'
+          : remainingCount > 0
+            ? `Load ${Math.min(pageSize, remainingCount)} more (${remainingCount} remaining)`
+            : 'Load more posts'}
+      </button>
+    </>
+  );
 
   // Use regular rendering for small lists (< 20 posts)
   // WHY: Virtualization overhead isn't worth it for small lists
+  const savedHeading = isSavedView && (
+    <h2 className={styles.savedHeading}>
+      <Icon name="Bookmark" size="sm" ariaHidden={true} />
+      Saved posts ({posts.length})
+    </h2>
+  );
+
   if (visiblePosts.length < VIRTUALIZATION_THRESHOLD) {
     return (
       <>
+        {savedHeading}
         {/* Pull-to-refresh indicator */}
         {pullDistance > 0 && (
           <div
@@ -457,18 +604,23 @@ const PostList = () => {
           }}
         >
           {visiblePosts.map((post, index) => (
-            <PostItem
-              key={post.id}
-              post={post}
-              animationIndex={!hasAnimated ? index : undefined}
-            />
+            mutedReasons.has(post.id) ? (
+              <MutedPlaceholder
+                key={post.id}
+                label="Muted post"
+                reason={mutedReasons.get(post.id)}
+                onReveal={() => handleRevealPost(post.id)}
+              />
+            ) : (
+              <PostItem
+                key={post.id}
+                post={post}
+                animationIndex={!hasAnimated ? index : undefined}
+              />
+            )
           ))}
         </div>
-        {hasMore && (
-          <button onClick={handleLoadMore} className={styles.loadMoreButton}>
-            Load {Math.min(LOAD_MORE_INCREMENT, remainingCount)} more ({remainingCount} remaining)
-          </button>
-        )}
+        {loadMoreButton}
       </>
     );
   }
@@ -478,6 +630,7 @@ const PostList = () => {
   // Using react-window FixedSizeList with correct API
   return (
     <>
+      {savedHeading}
       {/* Pull-to-refresh indicator */}
       {pullDistance > 0 && (
         <div
@@ -514,20 +667,21 @@ const PostList = () => {
           height={windowHeight - 200}
           itemCount={visiblePosts.length}
           itemSize={ESTIMATED_POST_HEIGHT + POST_GAP}
-          itemData={visiblePosts}
+          itemData={{ posts: visiblePosts, mutedReasons, onReveal: handleRevealPost }}
           width="100%"
           overscanCount={2}
         >
           {VirtualizedRow}
         </List>
       </div>
-      {hasMore && (
-        <button onClick={handleLoadMore} className={styles.loadMoreButton}>
-          Load {Math.min(LOAD_MORE_INCREMENT, remainingCount)} more ({remainingCount} remaining)
-        </button>
-      )}
+      {loadMoreButton}
     </>
   );
 };
 
+PostList.propTypes = {
+  // Which posts to list: the Reddit feed or the user's saved posts
+  source: PropTypes.oneOf(['feed', 'saved'])
+};
+
 export default React.memo(PostList);
\ No newline at end of file
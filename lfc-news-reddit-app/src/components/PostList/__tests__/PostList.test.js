@@ -8,7 +8,7 @@
  */
 
 import React from 'react';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
 import { Provider } from 'react-redux';
 import configureStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
@@ -25,7 +25,8 @@ jest.mock('../../../redux/actions/posts', () => ({
       payload: { subreddit, sortBy, timeRange }
     });
     return Promise.resolve();
-  })
+  }),
+  fetchMorePosts: jest.fn()
 }));
 
 import * as postsActions from '../../../redux/actions/posts';
@@ -78,6 +79,45 @@ const createDefaultState = (overrides = {}) => ({
   subreddits: {
     selected: 'LiverpoolFC',
     ...overrides.subreddits
+  },
+  saved: {
+    items: [],
+    viewing: false,
+    ...overrides.saved
+  },
+  readPosts: {
+    byId: {},
+    hideRead: false,
+    ...overrides.readPosts
+  },
+  mutes: {
+    keywords: [],
+    patterns: [],
+    authors: [],
+    domains: [],
+    flairs: [],
+    ...overrides.mutes
+  },
+  spoilers: {
+    enabled: false,
+    windowHours: 12,
+    revealed: {},
+    ...overrides.spoilers
+  },
+  contentPolicy: {
+    nsfw: 'blur',
+    ...overrides.contentPolicy
+  },
+  settings: {
+    defaultSort: 'hot',
+    defaultTimeRange: 'day',
+    pageSize: 20,
+    commentDepth: 6,
+    autoplayMedia: false,
+    theme: 'red',
+    filtersExpanded: false,
+    open: false,
+    ...overrides.settings
   }
 });
 
@@ -235,6 +275,32 @@ describe('PostList Component', () => {
       expect(screen.getByText(/5 remaining/i)).toBeInTheDocument();
     });
 
+    it('pages by the page size setting', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(25) },
+        settings: { pageSize: 10 }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByRole('button', { name: /Load 10 more \(15 remaining\)/i })).toBeInTheDocument();
+    });
+
+    it('follows a page size change made while the list is showing', () => {
+      let state = createDefaultState({
+        posts: { items: createMockPosts(25) },
+        settings: { pageSize: 10 }
+      });
+      store = mockStore(() => state);
+      renderWithStore(store);
+
+      state = { ...state, settings: { ...state.settings, pageSize: 20 } };
+      act(() => {
+        store.dispatch({ type: 'UPDATE_SETTINGS' });
+      });
+
+      expect(screen.getByRole('button', { name: /Load 5 more \(5 remaining\)/i })).toBeInTheDocument();
+    });
+
     it('loads more posts when Load More button is clicked', () => {
       store = mockStore(createDefaultState({
         posts: { items: createMockPosts(25) }
@@ -266,6 +332,59 @@ describe('PostList Component', () => {
       // After first click: 40 visible, 10 remaining
       expect(screen.getByText(/10 remaining/i)).toBeInTheDocument();
     });
+
+    it('does not fetch the next page while local posts remain', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(25), after: 't3_post25' }
+      }));
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: /Load.*more/i }));
+
+      expect(postsActions.fetchMorePosts).not.toHaveBeenCalled();
+    });
+
+    it('fetches the next page once the local buffer is exhausted', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(5), after: 't3_post5' }
+      }));
+      renderWithStore(store);
+
+      // WHY: CRA's resetMocks clears factory implementations between tests
+      postsActions.fetchMorePosts.mockImplementation(() => ({ type: 'FETCH_MORE_POSTS_REQUEST' }));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Load more posts' }));
+
+      expect(postsActions.fetchMorePosts).toHaveBeenCalled();
+      expect(store.getActions()).toContainEqual({ type: 'FETCH_MORE_POSTS_REQUEST' });
+    });
+
+    it('hides Load More when there is no next page cursor', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(5), after: null }
+      }));
+      renderWithStore(store);
+
+      expect(screen.queryByRole('button', { name: /Load.*more/i })).not.toBeInTheDocument();
+    });
+
+    it('disables Load More while the next page is loading', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(5), after: 't3_post5', loadingMore: true }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByRole('button', { name: /Loading more posts/i })).toBeDisabled();
+    });
+
+    it('shows an error when the next page fails to load', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: createMockPosts(5), after: 't3_post5', loadMoreError: 'Network error' }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByRole('alert')).toHaveTextContent(/Couldn't load more posts/i);
+    });
   });
 
   describe('Clear Search Action', () => {
@@ -360,6 +479,178 @@ describe('PostList Component', () => {
     });
   });
 
+  describe('Saved View', () => {
+    const renderSaved = (savedStore) => render(
+      <Provider store={savedStore}>
+        <PostList source="saved" />
+      </Provider>
+    );
+
+    it('lists saved posts instead of the feed', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('feed1')] },
+        saved: { items: [createMockPost('saved1'), createMockPost('saved2')] }
+      }));
+      renderSaved(store);
+
+      expect(screen.getByText('Saved posts (2)')).toBeInTheDocument();
+      expect(screen.getByText('Test Post saved1')).toBeInTheDocument();
+      expect(screen.queryByText('Test Post feed1')).not.toBeInTheDocument();
+    });
+
+    it('applies the flair filters to saved posts', () => {
+      store = mockStore(createDefaultState({
+        posts: { activeFlairFilters: ['Transfer'] },
+        saved: {
+          items: [
+            createMockPost('rumour', { linkFlair: 'Transfer' }),
+            createMockPost('match', { linkFlair: 'Match Thread' })
+          ]
+        }
+      }));
+      renderSaved(store);
+
+      expect(screen.getByText('Test Post rumour')).toBeInTheDocument();
+      expect(screen.queryByText('Test Post match')).not.toBeInTheDocument();
+    });
+
+    it('never offers to fetch more from Reddit', () => {
+      store = mockStore(createDefaultState({
+        posts: { after: 't3_next' },
+        saved: { items: createMockPosts(3) }
+      }));
+      renderSaved(store);
+
+      expect(screen.queryByRole('button', { name: /Load more/i })).not.toBeInTheDocument();
+    });
+
+    it('shows an empty state that returns to the feed', () => {
+      store = mockStore(createDefaultState({ saved: { items: [], viewing: true } }));
+      renderSaved(store);
+
+      expect(screen.getByText('No saved posts yet')).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /Back to the feed/i }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SAVED_VIEW', payload: false });
+    });
+  });
+
+  describe('Hide Read', () => {
+    const readEntry = { readAt: 1, numComments: 50 };
+
+    it('hides opened posts from the feed', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('read1'), createMockPost('fresh1')] },
+        readPosts: { byId: { read1: readEntry }, hideRead: true }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByText('Test Post fresh1')).toBeInTheDocument();
+      expect(screen.queryByText('Test Post read1')).not.toBeInTheDocument();
+    });
+
+    it('shows an all caught up state that can show read posts again', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('read1')] },
+        readPosts: { byId: { read1: readEntry }, hideRead: true }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByText("You're all caught up")).toBeInTheDocument();
+      fireEvent.click(screen.getByRole('button', { name: /Show read posts/i }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_HIDE_READ', payload: false });
+    });
+
+    it('keeps a post opened from the feed listed until it closes', () => {
+      const items = [createMockPost('read1'), createMockPost('fresh1')];
+      let state = createDefaultState({
+        posts: { items },
+        readPosts: { hideRead: true }
+      });
+      state.navigation = { feedOrder: [] };
+      store = mockStore(() => state);
+      renderWithStore(store);
+      const update = (posts, readPosts) => {
+        state = { ...state, posts: { ...state.posts, ...posts }, readPosts: { ...state.readPosts, ...readPosts } };
+        act(() => {
+          store.dispatch({ type: 'STATE_CHANGED' });
+        });
+      };
+
+      update({ currentPost: items[0] }, { byId: { read1: readEntry } });
+      expect(screen.getByText('Test Post read1')).toBeInTheDocument();
+
+      update({ currentPost: null });
+      expect(screen.queryByText('Test Post read1')).not.toBeInTheDocument();
+    });
+
+    it('keeps read posts in the Saved view', () => {
+      store = mockStore(createDefaultState({
+        saved: { items: [createMockPost('read1')] },
+        readPosts: { byId: { read1: readEntry }, hideRead: true }
+      }));
+      render(
+        <Provider store={store}>
+          <PostList source="saved" />
+        </Provider>
+      );
+
+      expect(screen.getByText('Test Post read1')).toBeInTheDocument();
+    });
+  });
+
+  describe('Muted Posts', () => {
+    it('collapses posts matching the mute list into placeholders', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('spoil', { title: 'Match SPOILER inside' }), createMockPost('ok')] },
+        mutes: { keywords: ['spoiler'] }
+      }));
+      renderWithStore(store);
+
+      expect(screen.queryByText('Match SPOILER inside')).not.toBeInTheDocument();
+      expect(screen.getByText('Muted post')).toBeInTheDocument();
+      expect(screen.getByText('(keyword "spoiler")')).toBeInTheDocument();
+      expect(screen.getByText('Test Post ok')).toBeInTheDocument();
+    });
+
+    it('mutes posts by author', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('troll', { author: 'TrollAccount' })] },
+        mutes: { authors: ['trollaccount'] }
+      }));
+      renderWithStore(store);
+
+      expect(screen.getByText('(u/TrollAccount)')).toBeInTheDocument();
+    });
+
+    it('reveals a muted post on request', () => {
+      store = mockStore(createDefaultState({
+        posts: { items: [createMockPost('spoil', { title: 'Match spoiler inside' })] },
+        mutes: { keywords: ['spoiler'] }
+      }));
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: /Show muted post/i }));
+
+      expect(screen.getByText('Match spoiler inside')).toBeInTheDocument();
+      expect(screen.queryByText('Muted post')).not.toBeInTheDocument();
+    });
+  });
+
+  describe('Feed Order', () => {
+    it('publishes the listed posts, minus muted ones, for stepping between open posts', () => {
+      const posts = [createMockPost('spoil', { title: 'Match spoiler inside' }), createMockPost('ok')];
+      store = mockStore(createDefaultState({
+        posts: { items: posts },
+        mutes: { keywords: ['spoiler'] }
+      }));
+      renderWithStore(store);
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_FEED_ORDER', payload: [posts[1]] });
+    });
+  });
+
   describe('Clear Filter Action', () => {
     it('shows clear filter button when flair filter is active with no matches', () => {
       store = mockStore(createDefaultState({
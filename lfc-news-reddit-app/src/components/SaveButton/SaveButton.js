@@ -0,0 +1,72 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Bookmark toggle that saves a post for later, shared by PostItem and PostDetail.
+ *              WHY: Fans kept losing transfer rumours they meant to revisit; a saved post keeps
+ *              its full snapshot, so it stays readable after it drops out of the feed.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
+import { toggleSavedPost } from '../../redux/actions/saved';
+import { selectIsSaved } from '../../redux/reducers/saved';
+import { selectSpoilerReason } from '../../redux/reducers/spoilers';
+import Icon from '../Icon/Icon';
+import styles from './SaveButton.module.css';
+
+/**
+ * @param {Object} props
+ * @param {Object} props.post - Normalised post to save
+ * @param {boolean} [props.showLabel=false] - Show "Save"/"Saved" text next to the icon
+ * @param {string} [props.className] - Extra class for placement by the parent
+ * @return {JSX.Element}
+ * @constructor
+ */
+const SaveButton = ({ post, showLabel = false, className = '' }) => {
+  const dispatch = useDispatch();
+  const isSaved = useSelector(state => selectIsSaved(state.saved, post.id));
+  // WHY: The label is read out, so it must not give away a title spoiler-safe mode is hiding
+  const spoilerHidden = useSelector(state => Boolean(selectSpoilerReason(state.spoilers, post)));
+  const actionLabel = isSaved ? 'Remove from saved' : 'Save post';
+
+  // WHY stopPropagation: saving from a feed card must leave the card closed; the card opens on
+  // click and on Enter/Space, hence the keydown handler too
+  const handleClick = (e) => {
+    e.stopPropagation();
+    dispatch(toggleSavedPost(post));
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+  };
+
+  return (
+    <button
+      type="button"
+      className={`${styles.saveButton} ${isSaved ? styles.saved : ''} ${className}`.trim()}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      aria-pressed={isSaved}
+      aria-label={spoilerHidden ? actionLabel : `${actionLabel}: ${post.title}`}
+      title={isSaved ? 'Remove from saved' : 'Save for later'}
+    >
+      <Icon name={isSaved ? 'BookmarkCheck' : 'Bookmark'} size="sm" ariaHidden={true} />
+      {showLabel && <span>{isSaved ? 'Saved' : 'Save'}</span>}
+    </button>
+  );
+};
+
+SaveButton.propTypes = {
+  // Normalised post; saved in full so the Saved view works offline
+  post: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    title: PropTypes.string.isRequired
+  }).isRequired,
+  // Show a text label next to the icon
+  showLabel: PropTypes.bool,
+  // Extra class for placement by the parent
+  className: PropTypes.string
+};
+
+export default React.memo(SaveButton);
@@ -0,0 +1,89 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for SaveButton component.
+ *              WHY: The button sits inside clickable post cards, so it must toggle the save
+ *              without also opening the post, and announce its state to screen readers.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import configureStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import SaveButton from '../SaveButton';
+import { toggleSavedPost } from '../../../redux/actions/saved';
+
+jest.mock('../../../redux/actions/saved', () => ({
+  toggleSavedPost: jest.fn()
+}));
+
+const mockStore = configureStore([thunk]);
+
+const post = { id: 'abc123', title: 'Salah signs new deal', subreddit: 'LiverpoolFC' };
+
+const renderButton = (savedItems = [], props = {}, spoilers = { enabled: false, windowHours: 12, revealed: {} }) => {
+  const store = mockStore({ saved: { items: savedItems }, spoilers });
+  const onParentClick = jest.fn();
+  const onParentKeyDown = jest.fn();
+  render(
+    <Provider store={store}>
+      <div onClick={onParentClick} onKeyDown={onParentKeyDown}>
+        <SaveButton post={post} {...props} />
+      </div>
+    </Provider>
+  );
+  return { store, onParentClick, onParentKeyDown };
+};
+
+describe('SaveButton Component', () => {
+  beforeEach(() => {
+    toggleSavedPost.mockImplementation((p) => ({ type: 'TOGGLE_SAVED', payload: p.id }));
+  });
+
+  it('renders as not pressed for an unsaved post', () => {
+    renderButton();
+
+    expect(screen.getByRole('button', { name: 'Save post: Salah signs new deal' }))
+      .toHaveAttribute('aria-pressed', 'false');
+  });
+
+  it('renders as pressed for a saved post', () => {
+    renderButton([post]);
+
+    expect(screen.getByRole('button', { name: 'Remove from saved: Salah signs new deal' }))
+      .toHaveAttribute('aria-pressed', 'true');
+  });
+
+  it('leaves the title out of its label when spoiler-safe mode hides it', () => {
+    const spoilers = { enabled: true, windowHours: 12, revealed: {} };
+    const result = { ...post, title: 'Liverpool 3-1 Everton', created: Date.now() / 1000 };
+    renderButton([], { post: result }, spoilers);
+
+    expect(screen.getByRole('button', { name: 'Save post' })).toBeInTheDocument();
+  });
+
+  it('toggles the save without triggering the parent card', () => {
+    const { store, onParentClick } = renderButton();
+
+    fireEvent.click(screen.getByRole('button'));
+
+    expect(toggleSavedPost).toHaveBeenCalledWith(post);
+    expect(store.getActions()).toEqual([{ type: 'TOGGLE_SAVED', payload: 'abc123' }]);
+    expect(onParentClick).not.toHaveBeenCalled();
+  });
+
+  it('keeps Enter/Space from reaching the parent card', () => {
+    const { onParentKeyDown } = renderButton();
+
+    fireEvent.keyDown(screen.getByRole('button'), { key: 'Enter' });
+
+    expect(onParentKeyDown).not.toHaveBeenCalled();
+  });
+
+  it('shows a text label when asked', () => {
+    renderButton([post], { showLabel: true });
+
+    expect(screen.getByText('Saved')).toBeInTheDocument();
+  });
+});
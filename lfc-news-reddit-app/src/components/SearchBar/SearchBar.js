@@ -2,14 +2,149 @@
  * @author Tom Butler
  * @date 2025-10-22
  * @description Search bar component with clear functionality and subreddit-aware searching.
+ *              Understands the operators in utils/searchQuery (author:, flair:, self:, site:,
+ *              "phrases", -exclusions); sort and time range controls appear while results are shown.
+ *              The input is a combobox (WAI-ARIA 1.2 pattern): its listbox offers pinned and recent
+ *              searches, typeahead from the loaded posts (utils/searchSuggestions), and posts and
+ *              comments seen before, found instantly in the offline index (utils/offlineSearch).
+ *              Those results go through the mute list and spoiler-safe mode like the feed does.
+ *              Focus stays in the input; the highlighted option is announced via aria-activedescendant.
  */
 
-import React, { useState } from 'react';
+import React, { useState, useMemo, useEffect } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
-import { searchPosts, fetchPosts, setSearchTerm } from '../../redux/actions/posts';
+import {
+  searchPosts,
+  fetchPosts,
+  fetchPostDetails,
+  setSearchTerm,
+  setSearchOptions,
+  setCurrentPost
+} from '../../redux/actions/posts';
+import { fetchComments } from '../../redux/actions/comments';
+import { markPostRead } from '../../redux/actions/readPosts';
+import {
+  addRecentSearch,
+  removeRecentSearch,
+  clearRecentSearches,
+  pinSearch,
+  unpinSearch
+} from '../../redux/actions/searchHistory';
+import { selectPinnedSearch } from '../../redux/reducers/searchHistory';
+import { selectSpoilerReason } from '../../redux/reducers/spoilers';
+import { compileMuteRules, getPostMuteReason, getCommentMuteReason } from '../../utils/muteFilter';
+import {
+  parseSearchQuery,
+  hasSearchTerms,
+  DEFAULT_SEARCH_SORT,
+  DEFAULT_SEARCH_TIME_RANGE
+} from '../../utils/searchQuery';
+import { getSearchSuggestions, getFlairCounts, getFrequentTerms } from '../../utils/searchSuggestions';
+import { searchOffline } from '../../utils/offlineSearch';
 import Icon from '../Icon/Icon';
 import styles from './SearchBar.module.css';
 
+// WHY: Labels for Reddit's search sorts - "comments" is the most-discussed order
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Relevance' },
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+  { value: 'comments', label: 'Most comments' }
+];
+
+const TIME_RANGE_OPTIONS = [
+  { value: 'hour', label: 'Past hour' },
+  { value: 'day', label: 'Today' },
+  { value: 'week', label: 'This week' },
+  { value: 'month', label: 'This month' },
+  { value: 'year', label: 'This year' },
+  { value: 'all', label: 'All time' }
+];
+
+// Listbox groups, in the order getSearchSuggestions returns them, then offline results
+const SUGGESTION_GROUPS = [
+  { type: 'pinned', label: 'Pinned searches', icon: 'Pin' },
+  { type: 'recent', label: 'Recent searches', icon: 'History' },
+  { type: 'flair', label: 'Flairs', icon: 'Tag' },
+  { type: 'term', label: 'In the feed', icon: 'Search' },
+  { type: 'post', label: 'Posts seen before', icon: 'FileText' },
+  { type: 'comment', label: 'Comments seen before', icon: 'MessageSquare' }
+];
+
+// WHY 2: Matches the typeahead - a single letter would list half the index
+const MIN_OFFLINE_QUERY_LENGTH = 2;
+const MAX_OFFLINE_RESULTS = 6;
+
+const LISTBOX_ID = 'search-suggestions';
+
+/**
+ * @param {number} index - Position in the flat suggestion list
+ * @return {string} DOM id of that option, for aria-activedescendant
+ */
+const optionId = (index) => `${LISTBOX_ID}-${index}`;
+
+/**
+ * @param {Object} result - Offline search result (see SearchIndex.search)
+ * @return {Object} Listbox option for the result
+ */
+const toResultOption = (result) => ({
+  type: result.type,
+  value: result.id,
+  result
+});
+
+/**
+ * @param {Object[]} segments - { text, match } from the offline index
+ * @return {string} The plain text
+ */
+const segmentsText = (segments) => segments.map(segment => segment.text).join('');
+
+/**
+ * Drops muted results and flags those spoiler-safe mode would blur in the feed
+ * WHY: The dropdown must not show a scoreline or a muted poster the feed is keeping out of sight
+ * @param {Object[]} results - Offline search results
+ * @param {Object|null} muteRules - From compileMuteRules
+ * @param {Object} spoilers - spoilers slice
+ * @return {Object[]} Remaining results, each with spoilerHidden
+ */
+const screenResults = (results, muteRules, spoilers) => results
+  .filter(result => {
+    const thread = result.post || { title: segmentsText(result.title) };
+    if (getPostMuteReason(thread, muteRules)) return false;
+    return result.type === 'post' ||
+      !getCommentMuteReason({ author: result.author, body: segmentsText(result.snippet) }, muteRules);
+  })
+  .map(result => {
+    const thread = result.post || { id: result.postId, title: segmentsText(result.title), created: result.created };
+    // WHY the snippet too: a self post or comment can carry the scoreline its thread title doesn't
+    const text = { id: result.postId, title: segmentsText(result.snippet), created: result.created };
+    return {
+      ...result,
+      spoilerHidden: Boolean(selectSpoilerReason(spoilers, thread) || selectSpoilerReason(spoilers, text))
+    };
+  });
+
+/**
+ * @param {Object} suggestion - A pinned search suggestion
+ * @return {string|null} The sort and time range it runs with, when either isn't the default
+ */
+const describePinOptions = ({ sort, timeRange }) => {
+  if (sort === DEFAULT_SEARCH_SORT && timeRange === DEFAULT_SEARCH_TIME_RANGE) return null;
+  const sortLabel = SORT_OPTIONS.find(option => option.value === sort)?.label;
+  const timeLabel = TIME_RANGE_OPTIONS.find(option => option.value === timeRange)?.label;
+  return `${sortLabel} · ${timeLabel}`;
+};
+
+/**
+ * @param {Object[]} segments - { text, match } from the offline index
+ * @return {JSX.Element[]} The text with matches in <mark>
+ */
+const renderSegments = (segments) => segments.map((segment, index) => (
+  segment.match
+    ? <mark key={index} className={styles.match}>{segment.text}</mark>
+    : <React.Fragment key={index}>{segment.text}</React.Fragment>
+));
+
 /**
  * @return {JSX.Element}
  * @constructor
@@ -17,64 +152,356 @@ import styles from './SearchBar.module.css';
 const SearchBar = () => {
   const dispatch = useDispatch();
   const { selected: selectedSubreddit } = useSelector(state => state.subreddits);
-  const { searchTerm: currentSearchTerm, loading } = useSelector(state => state.posts);
+  const {
+    items: loadedPosts,
+    searchTerm: currentSearchTerm,
+    searchSort,
+    searchTimeRange,
+    loading
+  } = useSelector(state => state.posts);
+  const { recent, pinned } = useSelector(state => state.searchHistory);
+  const spoilers = useSelector(state => state.spoilers);
+  const mutes = useSelector(state => state.mutes);
   const [inputValue, setInputValue] = useState(currentSearchTerm);
+  const [queryError, setQueryError] = useState(null);
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const [offlineResults, setOfflineResults] = useState([]);
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    const trimmedValue = inputValue.trim();
-    
+  // WHY useMemo: Counting every title word is too slow to repeat on each keystroke
+  const flairs = useMemo(() => getFlairCounts(loadedPosts), [loadedPosts]);
+  const terms = useMemo(() => getFrequentTerms(loadedPosts), [loadedPosts]);
+  const suggestions = useMemo(
+    () => getSearchSuggestions(inputValue, { pinned, recent, flairs, terms }),
+    [inputValue, pinned, recent, flairs, terms]
+  );
+  const muteRules = useMemo(() => compileMuteRules(mutes), [mutes]);
+  const shownResults = useMemo(
+    () => screenResults(offlineResults, muteRules, spoilers),
+    [offlineResults, muteRules, spoilers]
+  );
+  // WHY posts before comments: options are listed group by group, so the flat order must match
+  const options = useMemo(() => [
+    ...suggestions,
+    ...shownResults.filter(result => result.type === 'post').map(toResultOption),
+    ...shownResults.filter(result => result.type === 'comment').map(toResultOption)
+  ], [suggestions, shownResults]);
+  const showSuggestions = isOpen && options.length > 0;
+  const activeSuggestion = showSuggestions ? options[activeIndex] : undefined;
+  const currentPin = currentSearchTerm ? selectPinnedSearch({ pinned }, currentSearchTerm) : undefined;
+  // WHY options too: after a sort or time range change, pressing Pin saves the search as it is now
+  const isPinned = Boolean(currentPin) &&
+    currentPin.sort === searchSort && currentPin.timeRange === searchTimeRange;
+
+  /**
+   * @listens inputValue - Looks the query up in the offline index; an answer for an older
+   *                       query is dropped
+   */
+  useEffect(() => {
+    const query = inputValue.trim();
+    if (query.length < MIN_OFFLINE_QUERY_LENGTH || !hasSearchTerms(parseSearchQuery(query))) {
+      setOfflineResults([]);
+      return;
+    }
+
+    let current = true;
+    // WHY untrimmed: a trailing space means the last word is finished, so it isn't completed
+    searchOffline(inputValue, { limit: MAX_OFFLINE_RESULTS })
+      .then(results => current && setOfflineResults(results))
+      .catch(() => current && setOfflineResults([]));
+    return () => {
+      current = false;
+    };
+  }, [inputValue]);
+
+  const closeSuggestions = () => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+  };
+
+  /**
+   * Opens the thread of an offline result like a click on its card. Offline, the post saved in
+   * the index stands in when the thread isn't in the feed; its comments come from the offline cache.
+   * @param {Object} result - Offline search result
+   */
+  const openResult = ({ postId, post }) => {
+    closeSuggestions();
+    const threadPost = loadedPosts.find(item => item.id === postId) || post;
+    sessionStorage.setItem('postListScrollPosition', window.scrollY.toString());
+    if (threadPost) {
+      dispatch(markPostRead(threadPost));
+      dispatch(setCurrentPost(threadPost));
+    } else {
+      dispatch(fetchPostDetails(postId));
+    }
+    dispatch(fetchComments(postId, threadPost ? threadPost.subreddit : null));
+  };
+
+  /**
+   * @param {string} query - Query to search for, as typed
+   * @param {Object} [options] - { sort, timeRange } to search with, e.g. a pinned search's
+   */
+  const runSearch = (query, options) => {
+    const trimmedValue = query.trim();
+
+    if (trimmedValue && !hasSearchTerms(parseSearchQuery(trimmedValue))) {
+      // WHY: Reddit can't search for "not X" alone; exclusions only narrow other terms
+      setQueryError('Add something to search for - exclusions like -rumour only narrow a search');
+      return;
+    }
+
+    closeSuggestions();
     if (trimmedValue) {
-      dispatch(searchPosts(trimmedValue, selectedSubreddit));
+      setQueryError(null);
+      dispatch(addRecentSearch(trimmedValue));
+      dispatch(options
+        ? searchPosts(trimmedValue, selectedSubreddit, options)
+        : searchPosts(trimmedValue, selectedSubreddit));
     } else {
       dispatch(setSearchTerm(''));
       dispatch(fetchPosts(selectedSubreddit));
     }
   };
 
+  const handleSearch = (e) => {
+    e.preventDefault();
+    runSearch(inputValue);
+  };
+
+  /**
+   * History runs straight away, an offline result opens its thread, and a typeahead completion
+   * only fills in the word so the query can be carried on
+   * @param {Object} suggestion - From getSearchSuggestions, or an offline result option
+   */
+  const chooseSuggestion = (suggestion) => {
+    if (suggestion.result) {
+      openResult(suggestion.result);
+      return;
+    }
+    setInputValue(suggestion.value);
+    setQueryError(null);
+    if (suggestion.type === 'pinned') {
+      runSearch(suggestion.value, { sort: suggestion.sort, timeRange: suggestion.timeRange });
+    } else if (suggestion.type === 'recent') {
+      runSearch(suggestion.value);
+    } else {
+      setActiveIndex(-1);
+    }
+  };
+
+  /**
+   * @param {Object} suggestion - A pinned or recent search to forget
+   */
+  const forgetSuggestion = (suggestion) => {
+    dispatch(suggestion.type === 'pinned' ? unpinSearch(suggestion.value) : removeRecentSearch(suggestion.value));
+    setActiveIndex(index => Math.min(index, options.length - 2));
+  };
+
+  const handleKeyDown = (e) => {
+    const count = options.length;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      if (!count) return;
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setIsOpen(true);
+      // WHY: From nothing highlighted, Down starts at the top and Up at the bottom
+      setActiveIndex(index => (!isOpen || index === -1)
+        ? (step === 1 ? 0 : count - 1)
+        : (index + step + count) % count);
+    } else if (e.key === 'Enter' && activeSuggestion) {
+      e.preventDefault();
+      chooseSuggestion(activeSuggestion);
+    } else if (e.key === 'Escape' && showSuggestions) {
+      // WHY preventDefault: keyboard shortcuts ignore handled keys, so Escape only closes the list
+      e.preventDefault();
+      closeSuggestions();
+    } else if (e.key === 'Delete' && (activeSuggestion?.type === 'pinned' || activeSuggestion?.type === 'recent')) {
+      e.preventDefault();
+      forgetSuggestion(activeSuggestion);
+    } else if (e.key === 'Tab') {
+      closeSuggestions();
+    }
+  };
+
   const handleClear = () => {
     setInputValue('');
+    setQueryError(null);
+    closeSuggestions();
     dispatch(setSearchTerm(''));
     dispatch(fetchPosts(selectedSubreddit));
   };
 
+  const togglePinned = () => {
+    dispatch(isPinned
+      ? unpinSearch(currentSearchTerm)
+      : pinSearch(currentSearchTerm, { sort: searchSort, timeRange: searchTimeRange }));
+  };
+
+  // WHY mousedown: Keeps focus in the input so the click isn't lost to the blur closing the list
+  const keepInputFocus = (e) => e.preventDefault();
+
   return (
-    <form className={styles.searchBar} onSubmit={handleSearch}>
-      <label htmlFor="search-input" className="visually-hidden">
-        Search posts
-      </label>
-      <input
-        id="search-input"
-        type="text"
-        className={styles.searchInput}
-        placeholder="Search posts..."
-        value={inputValue}
-        onChange={(e) => setInputValue(e.target.value)}
-        autoComplete="off"
-      />
-      {inputValue && (
+    <div className={styles.search}>
+      <form className={styles.searchBar} onSubmit={handleSearch}>
+        <label htmlFor="search-input" className="visually-hidden">
+          Search posts
+        </label>
+        <input
+          id="search-input"
+          type="text"
+          role="combobox"
+          className={styles.searchInput}
+          placeholder="Search posts..."
+          value={inputValue}
+          onChange={(e) => {
+            setInputValue(e.target.value);
+            setQueryError(null);
+            setIsOpen(true);
+            setActiveIndex(-1);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onBlur={closeSuggestions}
+          onKeyDown={handleKeyDown}
+          autoComplete="off"
+          aria-autocomplete="list"
+          aria-expanded={showSuggestions}
+          aria-controls={LISTBOX_ID}
+          aria-activedescendant={activeSuggestion ? optionId(activeIndex) : undefined}
+          aria-describedby="search-help"
+          aria-invalid={Boolean(queryError)}
+          title='Operators: author:name flair:"Tier 1" self:yes site:bbc.co.uk "exact phrase" -exclude'
+        />
+        <span id="search-help" className="visually-hidden">
+          Narrow with author:, flair:, self:yes, site:, quoted phrases, or a minus sign to exclude.
+          Use the arrow keys for recent searches, suggestions and posts or comments already seen on
+          this device; Delete forgets a highlighted search.
+        </span>
+        <div className={styles.suggestions} hidden={!showSuggestions} onMouseDown={keepInputFocus}>
+          <div id={LISTBOX_ID} role="listbox" aria-label="Search suggestions">
+            {SUGGESTION_GROUPS.map(group => {
+              const entries = options
+                .map((suggestion, index) => ({ suggestion, index }))
+                .filter(({ suggestion }) => suggestion.type === group.type);
+              if (!entries.length) return null;
+              return (
+                <div key={group.type} role="group" aria-labelledby={`${LISTBOX_ID}-${group.type}`}>
+                  <div id={`${LISTBOX_ID}-${group.type}`} className={styles.groupLabel} role="presentation">
+                    {group.label}
+                  </div>
+                  {entries.map(({ suggestion, index }) => (
+                    <div
+                      key={`${suggestion.type}-${suggestion.value}`}
+                      id={optionId(index)}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      className={`${styles.option} ${index === activeIndex ? styles.activeOption : ''}`}
+                      onClick={() => chooseSuggestion(suggestion)}
+                    >
+                      <Icon name={group.icon} size="sm" ariaHidden={true} />
+                      {suggestion.result ? (
+                        <span className={styles.result}>
+                          <span className={styles.resultTitle}>
+                            {suggestion.result.spoilerHidden && 'Title hidden to avoid spoilers'}
+                            {!suggestion.result.spoilerHidden && (suggestion.result.title.length
+                              ? renderSegments(suggestion.result.title)
+                              : 'Thread not seen')}
+                          </span>
+                          {!suggestion.result.spoilerHidden && suggestion.result.snippet.length > 0 && (
+                            <span className={styles.snippet}>{renderSegments(suggestion.result.snippet)}</span>
+                          )}
+                          <span className={styles.resultMeta}>u/{suggestion.result.author}</span>
+                        </span>
+                      ) : (
+                        <span className={styles.optionLabel}>{suggestion.label}</span>
+                      )}
+                      {suggestion.type === 'pinned' && describePinOptions(suggestion) && (
+                        <span className={styles.optionDetail}>{describePinOptions(suggestion)}</span>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              );
+            })}
+          </div>
+          {recent.length > 0 && (
+            // WHY tabIndex -1: focus never leaves the combobox; keyboard users forget searches with Delete
+            <button
+              type="button"
+              tabIndex={-1}
+              className={styles.clearHistoryButton}
+              onClick={() => dispatch(clearRecentSearches())}
+            >
+              Clear recent searches
+            </button>
+          )}
+        </div>
+        {inputValue && (
+          <button
+            type="button"
+            className={styles.clearButton}
+            onClick={handleClear}
+            aria-label="Clear search"
+          >
+            <Icon name="X" size="md" ariaHidden={true} />
+          </button>
+        )}
         <button
-          type="button"
-          className={styles.clearButton}
-          onClick={handleClear}
-          aria-label="Clear search"
+          type="submit"
+          className={styles.searchButton}
+          aria-label={loading && inputValue ? "Searching..." : "Search"}
+          disabled={loading && inputValue}
         >
-          <Icon name="X" size="md" ariaHidden={true} />
+          {loading && inputValue ? (
+            <Icon name="Loader2" size="md" ariaHidden={true} className={styles.spinner} />
+          ) : (
+            <Icon name="Search" size="md" ariaHidden={true} />
+          )}
         </button>
+      </form>
+      {queryError && (
+        <p className={styles.queryError} role="alert">{queryError}</p>
       )}
-      <button
-        type="submit"
-        className={styles.searchButton}
-        aria-label={loading && inputValue ? "Searching..." : "Search"}
-        disabled={loading && inputValue}
-      >
-        {loading && inputValue ? (
-          <Icon name="Loader2" size="md" ariaHidden={true} className={styles.spinner} />
-        ) : (
-          <Icon name="Search" size="md" ariaHidden={true} />
-        )}
-      </button>
-    </form>
+      {currentSearchTerm && (
+        <div className={styles.searchOptions} role="group" aria-label="Search result options">
+          <button
+            type="button"
+            className={`${styles.pinButton} ${isPinned ? styles.pinned : ''}`}
+            onClick={togglePinned}
+            aria-pressed={isPinned}
+          >
+            <Icon name={isPinned ? 'PinOff' : 'Pin'} size="sm" ariaHidden={true} />
+            Pin search
+          </button>
+          <div className={styles.searchOption}>
+            <label htmlFor="search-sort">Sort</label>
+            <select
+              id="search-sort"
+              className={styles.optionSelect}
+              value={searchSort}
+              onChange={(e) => dispatch(setSearchOptions({ sort: e.target.value }, selectedSubreddit))}
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.searchOption}>
+            <label htmlFor="search-time">From</label>
+            <select
+              id="search-time"
+              className={styles.optionSelect}
+              value={searchTimeRange}
+              onChange={(e) => dispatch(setSearchOptions({ timeRange: e.target.value }, selectedSubreddit))}
+            >
+              {TIME_RANGE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+        </div>
+      )}
+    </div>
   );
 };
 
@@ -8,22 +8,35 @@
  */
 
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { Provider } from 'react-redux';
 import configureStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import SearchBar from '../SearchBar';
+import * as commentsActions from '../../../redux/actions/comments';
+import * as readPostsActions from '../../../redux/actions/readPosts';
+import { searchOffline } from '../../../utils/offlineSearch';
 
 // Create mock store with thunk middleware
 const mockStore = configureStore([thunk]);
 
+// Spoiler-safe mode off and nothing muted, so offline results show as indexed
+const screeningState = {
+  spoilers: { enabled: false, windowHours: 12, revealed: {} },
+  mutes: { keywords: [], patterns: [], authors: [], domains: [], flairs: [] }
+};
+
 // Mock the entire posts actions module
 jest.mock('../../../redux/actions/posts');
 
 // Import the mocked module to access the mock functions
 import * as postsActions from '../../../redux/actions/posts';
 
+jest.mock('../../../redux/actions/comments');
+jest.mock('../../../redux/actions/readPosts');
+jest.mock('../../../utils/offlineSearch');
+
 // Helper to render with Redux provider
 const renderWithStore = (store) => {
   return render(
@@ -53,14 +66,31 @@ describe('SearchBar Component', () => {
       type: 'SET_SEARCH_TERM',
       payload: term
     }));
+    postsActions.setSearchOptions.mockImplementation((options, subreddit) => ({
+      type: 'SET_SEARCH_OPTIONS',
+      payload: { options, subreddit }
+    }));
+    postsActions.setCurrentPost.mockImplementation((post) => ({ type: 'SET_CURRENT_POST', payload: post }));
+    postsActions.fetchPostDetails.mockImplementation((postId) => ({ type: 'FETCH_POST_DETAIL', payload: postId }));
+    commentsActions.fetchComments.mockImplementation((postId, subreddit) => ({
+      type: 'FETCH_COMMENTS',
+      payload: { postId, subreddit }
+    }));
+    readPostsActions.markPostRead.mockImplementation((post) => ({ type: 'MARK_POST_READ', payload: post }));
+    searchOffline.mockResolvedValue([]);
 
     // Create a fresh store for each test
     store = mockStore({
+      ...screeningState,
       subreddits: {
         selected: 'LiverpoolFC'
       },
+      searchHistory: { recent: [], pinned: [] },
       posts: {
+        items: [],
         searchTerm: '',
+        searchSort: 'relevance',
+        searchTimeRange: 'all',
         loading: false
       }
     });
@@ -171,6 +201,265 @@ describe('SearchBar Component', () => {
     });
   });
 
+  describe('Search Operators', () => {
+    it('passes operators through to the search action', () => {
+      renderWithStore(store);
+
+      const input = screen.getByPlaceholderText('Search posts...');
+      fireEvent.change(input, { target: { value: 'Salah flair:"Tier 1" -rumour' } });
+      fireEvent.submit(input.closest('form'));
+
+      expect(postsActions.searchPosts).toHaveBeenCalledWith('Salah flair:"Tier 1" -rumour', 'LiverpoolFC');
+    });
+
+    it('explains instead of searching when there are only exclusions', () => {
+      renderWithStore(store);
+
+      const input = screen.getByPlaceholderText('Search posts...');
+      fireEvent.change(input, { target: { value: '-rumour -author:bot' } });
+      fireEvent.submit(input.closest('form'));
+
+      expect(postsActions.searchPosts).not.toHaveBeenCalled();
+      expect(screen.getByRole('alert')).toHaveTextContent(/exclusions/);
+      expect(input).toHaveAttribute('aria-invalid', 'true');
+
+      fireEvent.change(input, { target: { value: '-rumour Salah' } });
+      expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    });
+
+    it('describes the operators to screen readers', () => {
+      renderWithStore(store);
+
+      expect(screen.getByPlaceholderText('Search posts...')).toHaveAccessibleDescription(/author:, flair:/);
+    });
+  });
+
+  describe('Result Options', () => {
+    const searchingStore = () => mockStore({
+      ...screeningState,
+      subreddits: { selected: 'LiverpoolFC' },
+      posts: { items: [], searchTerm: 'Salah', searchSort: 'top', searchTimeRange: 'month', loading: false },
+      searchHistory: { recent: [], pinned: [] }
+    });
+
+    it('only shows sort and time range while a search is active', () => {
+      renderWithStore(store);
+
+      expect(screen.queryByLabelText('Sort')).not.toBeInTheDocument();
+    });
+
+    it('shows the current sort and time range', () => {
+      renderWithStore(searchingStore());
+
+      expect(screen.getByLabelText('Sort')).toHaveValue('top');
+      expect(screen.getByLabelText('From')).toHaveValue('month');
+    });
+
+    it('dispatches setSearchOptions for the selected subreddit', () => {
+      const activeStore = searchingStore();
+      renderWithStore(activeStore);
+
+      fireEvent.change(screen.getByLabelText('Sort'), { target: { value: 'new' } });
+      fireEvent.change(screen.getByLabelText('From'), { target: { value: 'week' } });
+
+      expect(postsActions.setSearchOptions).toHaveBeenCalledWith({ sort: 'new' }, 'LiverpoolFC');
+      expect(postsActions.setSearchOptions).toHaveBeenCalledWith({ timeRange: 'week' }, 'LiverpoolFC');
+    });
+  });
+
+  describe('Suggestions Combobox', () => {
+    const historyStore = (overrides = {}) => mockStore({
+      ...screeningState,
+      subreddits: { selected: 'LiverpoolFC' },
+      searchHistory: {
+        recent: ['Nunez', 'Gakpo'],
+        pinned: [{ query: 'flair:"Tier 1" Salah', sort: 'relevance', timeRange: 'all' }]
+      },
+      posts: {
+        items: [
+          { id: '1', title: 'Salah scores twice', linkFlair: 'Tier 1' },
+          { id: '2', title: 'Salah signs new deal', linkFlair: 'Tier 2' },
+          { id: '3', title: 'Szoboszlai on Salah', linkFlair: 'Tier 1' }
+        ],
+        searchTerm: '',
+        searchSort: 'relevance',
+        searchTimeRange: 'all',
+        loading: false,
+        ...overrides
+      }
+    });
+
+    const actionTypes = (mock) => mock.getActions().map(action => action.type);
+
+    it('is a collapsed combobox until focused', () => {
+      renderWithStore(historyStore());
+
+      const input = screen.getByRole('combobox', { name: 'Search posts' });
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+      expect(input).toHaveAttribute('aria-autocomplete', 'list');
+
+      fireEvent.focus(input);
+
+      expect(input).toHaveAttribute('aria-expanded', 'true');
+      expect(within(screen.getByRole('group', { name: 'Pinned searches' })).getByRole('option'))
+        .toHaveTextContent('flair:"Tier 1" Salah');
+      expect(within(screen.getByRole('group', { name: 'Recent searches' })).getAllByRole('option'))
+        .toHaveLength(2);
+    });
+
+    it('moves the highlight with the arrow keys, wrapping at either end', () => {
+      renderWithStore(historyStore());
+      const input = screen.getByRole('combobox');
+      fireEvent.focus(input);
+
+      fireEvent.keyDown(input, { key: 'ArrowUp' });
+      const options = screen.getAllByRole('option');
+      expect(input).toHaveAttribute('aria-activedescendant', options[2].id);
+      expect(options[2]).toHaveAttribute('aria-selected', 'true');
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      expect(input).toHaveAttribute('aria-activedescendant', options[0].id);
+    });
+
+    it('runs a highlighted recent search on Enter and records it', () => {
+      const mock = historyStore();
+      renderWithStore(mock);
+      const input = screen.getByRole('combobox');
+      fireEvent.focus(input);
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      expect(input).toHaveValue('Nunez');
+      expect(postsActions.searchPosts).toHaveBeenCalledWith('Nunez', 'LiverpoolFC');
+      expect(mock.getActions()).toContainEqual({ type: 'ADD_RECENT_SEARCH', payload: 'Nunez' });
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('records submitted searches', () => {
+      const mock = historyStore();
+      renderWithStore(mock);
+      const input = screen.getByRole('combobox');
+
+      fireEvent.change(input, { target: { value: '  Konate  ' } });
+      fireEvent.submit(input.closest('form'));
+
+      expect(mock.getActions()).toContainEqual({ type: 'ADD_RECENT_SEARCH', payload: 'Konate' });
+    });
+
+    it('completes title words from the loaded posts without searching', () => {
+      renderWithStore(historyStore());
+      const input = screen.getByRole('combobox');
+
+      fireEvent.change(input, { target: { value: 'transfer sa' } });
+      const termOption = within(screen.getByRole('group', { name: 'In the feed' })).getByRole('option');
+      expect(termOption).toHaveTextContent('Salah');
+
+      fireEvent.click(termOption);
+
+      expect(input).toHaveValue('transfer Salah ');
+      expect(postsActions.searchPosts).not.toHaveBeenCalled();
+    });
+
+    it('suggests flairs as flair: operators', () => {
+      renderWithStore(historyStore());
+      const input = screen.getByRole('combobox');
+
+      fireEvent.change(input, { target: { value: 'tier' } });
+      const flairOptions = within(screen.getByRole('group', { name: 'Flairs' })).getAllByRole('option');
+      expect(flairOptions.map(option => option.textContent)).toEqual(['Tier 1', 'Tier 2']);
+
+      fireEvent.click(flairOptions[0]);
+
+      expect(input).toHaveValue('flair:"Tier 1" ');
+    });
+
+    it('closes on Escape without letting the key reach other shortcuts', () => {
+      renderWithStore(historyStore());
+      const input = screen.getByRole('combobox');
+      fireEvent.focus(input);
+
+      const notCancelled = fireEvent.keyDown(input, { key: 'Escape' });
+
+      expect(notCancelled).toBe(false);
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('forgets the highlighted search on Delete', () => {
+      const mock = historyStore();
+      renderWithStore(mock);
+      const input = screen.getByRole('combobox');
+      fireEvent.focus(input);
+
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'Delete' });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'Delete' });
+
+      expect(mock.getActions()).toEqual([
+        { type: 'UNPIN_SEARCH', payload: 'flair:"Tier 1" Salah' },
+        { type: 'REMOVE_RECENT_SEARCH', payload: 'Nunez' }
+      ]);
+    });
+
+    it('clears recent searches', () => {
+      const mock = historyStore();
+      renderWithStore(mock);
+      fireEvent.focus(screen.getByRole('combobox'));
+
+      fireEvent.click(screen.getByRole('button', { name: 'Clear recent searches' }));
+
+      expect(actionTypes(mock)).toEqual(['CLEAR_RECENT_SEARCHES']);
+    });
+
+    it('pins and unpins the active search', () => {
+      const unpinned = historyStore({ searchTerm: 'Nunez' });
+      const { unmount } = renderWithStore(unpinned);
+
+      const pin = screen.getByRole('button', { name: 'Pin search' });
+      expect(pin).toHaveAttribute('aria-pressed', 'false');
+      fireEvent.click(pin);
+      expect(unpinned.getActions()).toEqual([
+        { type: 'PIN_SEARCH', payload: { query: 'Nunez', sort: 'relevance', timeRange: 'all' } }
+      ]);
+      unmount();
+
+      const pinnedStore = historyStore({ searchTerm: 'FLAIR:"Tier 1" Salah' });
+      renderWithStore(pinnedStore);
+      fireEvent.click(screen.getByRole('button', { name: 'Pin search', pressed: true }));
+      expect(pinnedStore.getActions()).toEqual([{ type: 'UNPIN_SEARCH', payload: 'FLAIR:"Tier 1" Salah' }]);
+    });
+
+    it('re-pins a pinned search once its sort or time range changes', () => {
+      const mock = historyStore({ searchTerm: 'flair:"Tier 1" Salah', searchSort: 'top', searchTimeRange: 'week' });
+      renderWithStore(mock);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Pin search', pressed: false }));
+
+      expect(mock.getActions()).toEqual([
+        { type: 'PIN_SEARCH', payload: { query: 'flair:"Tier 1" Salah', sort: 'top', timeRange: 'week' } }
+      ]);
+    });
+
+    it('runs a pinned search with the sort and time range it was pinned with', () => {
+      const mock = mockStore({
+        ...screeningState,
+        subreddits: { selected: 'LiverpoolFC' },
+        searchHistory: { recent: [], pinned: [{ query: 'Salah', sort: 'top', timeRange: 'week' }] },
+        posts: { items: [], searchTerm: '', searchSort: 'relevance', searchTimeRange: 'all', loading: false }
+      });
+      renderWithStore(mock);
+      fireEvent.focus(screen.getByRole('combobox'));
+
+      const option = screen.getByRole('option', { name: /Salah/ });
+      expect(option).toHaveTextContent('Top · This week');
+      fireEvent.click(option);
+
+      expect(postsActions.searchPosts).toHaveBeenCalledWith('Salah', 'LiverpoolFC', { sort: 'top', timeRange: 'week' });
+    });
+  });
+
   describe('Clear Functionality', () => {
     it('clears input when clear button is clicked', () => {
       renderWithStore(store);
@@ -213,10 +502,13 @@ describe('SearchBar Component', () => {
   describe('Loading State', () => {
     it('shows loading spinner when loading with input value', () => {
       const loadingStore = mockStore({
+        ...screeningState,
         subreddits: {
           selected: 'LiverpoolFC'
         },
+        searchHistory: { recent: [], pinned: [] },
         posts: {
+          items: [],
           searchTerm: 'test',
           loading: true
         }
@@ -239,10 +531,13 @@ describe('SearchBar Component', () => {
 
     it('disables search button when loading', () => {
       const loadingStore = mockStore({
+        ...screeningState,
         subreddits: {
           selected: 'LiverpoolFC'
         },
+        searchHistory: { recent: [], pinned: [] },
         posts: {
+          items: [],
           searchTerm: 'test',
           loading: true
         }
@@ -297,11 +592,14 @@ describe('SearchBar Component', () => {
       // This test verifies the fix for the bug where 'selectedSubreddit' was used
       // instead of 'selected', which caused undefined to be passed to search
       const storeWithCorrectState = mockStore({
+        ...screeningState,
         subreddits: {
           available: ['LiverpoolFC'],
           selected: 'LiverpoolFC'  // This is the correct property name
         },
+        searchHistory: { recent: [], pinned: [] },
         posts: {
+          items: [],
           searchTerm: '',
           loading: false
         }
@@ -337,11 +635,14 @@ describe('SearchBar Component', () => {
     it('does not search other subreddits', () => {
       // Create a store that might have an incorrect subreddit somehow
       const malformedStore = mockStore({
+        ...screeningState,
         subreddits: {
           available: ['LiverpoolFC'],
           selected: 'LiverpoolFC'
         },
+        searchHistory: { recent: [], pinned: [] },
         posts: {
+          items: [],
           searchTerm: '',
           loading: false
         }
@@ -365,4 +666,133 @@ describe('SearchBar Component', () => {
       expect(subreddit).not.toBe(undefined);
     });
   });
+
+  describe('Offline Results', () => {
+    const threadPost = { id: 'p2', title: 'Match Thread: Liverpool vs Everton', subreddit: 'LiverpoolFC' };
+    const results = [
+      {
+        type: 'comment',
+        id: 'c1',
+        postId: 'p2',
+        author: 'Kopite',
+        created: 200,
+        title: [{ text: 'Match Thread: Liverpool vs Everton', match: false }],
+        snippet: [{ text: 'What a save from ', match: false }, { text: 'Alisson', match: true }],
+        post: threadPost
+      },
+      {
+        type: 'post',
+        id: 'p1',
+        postId: 'p1',
+        author: 'RedMan',
+        created: 100,
+        title: [{ text: 'Alisson', match: true }, { text: ' back in training', match: false }],
+        snippet: [],
+        post: { id: 'p1', title: 'Alisson back in training', subreddit: 'LiverpoolFC' }
+      }
+    ];
+
+    const typeQuery = (value) => {
+      const input = screen.getByRole('combobox');
+      fireEvent.focus(input);
+      fireEvent.change(input, { target: { value } });
+      return input;
+    };
+
+    it('searches the offline index as you type, not before two letters', async () => {
+      searchOffline.mockResolvedValue(results);
+      renderWithStore(store);
+
+      typeQuery('a');
+      expect(searchOffline).not.toHaveBeenCalled();
+
+      typeQuery('aliss');
+      expect(searchOffline).toHaveBeenCalledWith('aliss', { limit: 6 });
+
+      const posts = await screen.findByRole('group', { name: 'Posts seen before' });
+      const comments = screen.getByRole('group', { name: 'Comments seen before' });
+      expect(within(posts).getByRole('option')).toHaveTextContent('Alisson back in training');
+      expect(within(comments).getByRole('option')).toHaveTextContent('Match Thread: Liverpool vs Everton');
+      expect(within(comments).getByRole('option')).toHaveTextContent('u/Kopite');
+    });
+
+    it('hides muted results and masks ones spoiler-safe mode would blur', async () => {
+      const now = Date.now() / 1000;
+      searchOffline.mockResolvedValue([
+        {
+          type: 'post',
+          id: 'p3',
+          postId: 'p3',
+          author: 'Scouser',
+          created: now,
+          title: [{ text: 'Post-Match Thread: Liverpool 3-1 Everton', match: false }],
+          snippet: [],
+          post: { id: 'p3', title: 'Post-Match Thread: Liverpool 3-1 Everton', author: 'Scouser', created: now }
+        },
+        ...results
+      ]);
+      const screened = mockStore({
+        subreddits: { selected: 'LiverpoolFC' },
+        searchHistory: { recent: [], pinned: [] },
+        posts: { items: [], searchTerm: '', searchSort: 'relevance', searchTimeRange: 'all', loading: false },
+        spoilers: { enabled: true, windowHours: 12, revealed: {} },
+        mutes: { keywords: [], patterns: [], authors: ['kopite'], domains: [], flairs: [] }
+      });
+      renderWithStore(screened);
+
+      typeQuery('liverpool');
+      const posts = await screen.findByRole('group', { name: 'Posts seen before' });
+
+      expect(within(posts).getAllByRole('option')[0]).toHaveTextContent('Title hidden to avoid spoilers');
+      expect(posts).not.toHaveTextContent('3-1');
+      expect(screen.queryByRole('group', { name: 'Comments seen before' })).not.toBeInTheDocument();
+    });
+
+    it('highlights the matched words', async () => {
+      searchOffline.mockResolvedValue(results);
+      const { container } = renderWithStore(store);
+
+      typeQuery('alisson');
+      await screen.findByRole('group', { name: 'Comments seen before' });
+
+      expect([...container.querySelectorAll('mark')].map(mark => mark.textContent)).toEqual(['Alisson', 'Alisson']);
+    });
+
+    it('opens the thread of a chosen comment without searching Reddit', async () => {
+      searchOffline.mockResolvedValue(results);
+      renderWithStore(store);
+
+      const input = typeQuery('alisson');
+      await screen.findByRole('group', { name: 'Comments seen before' });
+      // WHY twice: posts are listed before comments
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'ArrowDown' });
+      fireEvent.keyDown(input, { key: 'Enter' });
+
+      expect(postsActions.setCurrentPost).toHaveBeenCalledWith(threadPost);
+      expect(commentsActions.fetchComments).toHaveBeenCalledWith('p2', 'LiverpoolFC');
+      expect(postsActions.searchPosts).not.toHaveBeenCalled();
+      expect(input).toHaveAttribute('aria-expanded', 'false');
+    });
+
+    it('fetches the post when the index never saw its thread', async () => {
+      searchOffline.mockResolvedValue([{ ...results[0], title: [], post: null }]);
+      renderWithStore(store);
+
+      typeQuery('alisson');
+      const option = await screen.findByRole('option', { name: /Thread not seen/ });
+      fireEvent.click(option);
+
+      expect(postsActions.fetchPostDetails).toHaveBeenCalledWith('p2');
+      expect(commentsActions.fetchComments).toHaveBeenCalledWith('p2', null);
+    });
+
+    it('skips the index for exclusions alone', () => {
+      renderWithStore(store);
+
+      typeQuery('-rumour');
+
+      expect(searchOffline).not.toHaveBeenCalled();
+    });
+  });
 });
@@ -0,0 +1,203 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Settings screen: a dialog for the persisted user preferences (default listing,
+ *              page size, comment depth, media autoplay and theme).
+ *              Every change is saved immediately, so there is no Save button to forget.
+ */
+
+import React, { useEffect, useRef } from 'react';
+import { useDispatch, useSelector } from 'react-redux';
+import Icon from '../Icon/Icon';
+import ThemeSwitcher from '../ThemeSwitcher/ThemeSwitcher';
+import CustomThemeEditor from '../CustomThemeEditor/CustomThemeEditor';
+import { updateSettings, resetSettings, setSettingsOpen } from '../../redux/actions/settings';
+import { PAGE_SIZE_OPTIONS, COMMENT_DEPTH_OPTIONS } from '../../utils/settingsSchema';
+import { CUSTOM_THEME } from '../../utils/theme';
+import styles from './Settings.module.css';
+
+// WHY: Same choices and wording as the sort control in SubredditFilter
+const SORT_OPTIONS = [
+  { value: 'hot', label: 'Hot' },
+  { value: 'new', label: 'New' },
+  { value: 'top', label: 'Top' },
+  { value: 'rising', label: 'Rising' },
+  { value: 'viral', label: 'Viral (Spicy)' }
+];
+
+const TIME_RANGE_OPTIONS = [
+  { value: 'hour', label: 'Hour' },
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+  { value: 'year', label: 'Year' },
+  { value: 'all', label: 'All Time' }
+];
+
+/**
+ * @return {JSX.Element|null}
+ * @constructor
+ */
+const Settings = () => {
+  const dispatch = useDispatch();
+  const { open, defaultSort, defaultTimeRange, pageSize, commentDepth, autoplayMedia, theme } = useSelector(state => state.settings);
+  const dialogRef = useRef(null);
+  const closeButtonRef = useRef(null);
+
+  /**
+   * @listens open - Focuses the dialog on open, traps Tab, closes on Escape and restores focus
+   */
+  useEffect(() => {
+    if (!open) return;
+    const previouslyFocused = document.activeElement;
+    closeButtonRef.current?.focus();
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        dispatch(setSettingsOpen(false));
+      }
+
+      // Focus trap - keep focus within the dialog
+      if (e.key === 'Tab' && dialogRef.current) {
+        const focusableElements = dialogRef.current.querySelectorAll(
+          'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+        );
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (e.shiftKey && document.activeElement === firstElement) {
+          e.preventDefault();
+          lastElement.focus();
+        } else if (!e.shiftKey && document.activeElement === lastElement) {
+          e.preventDefault();
+          firstElement.focus();
+        }
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      previouslyFocused?.focus?.();
+    };
+  }, [open, dispatch]);
+
+  if (!open) return null;
+
+  const handleClose = () => dispatch(setSettingsOpen(false));
+
+  return (
+    <div className={styles.overlay} onClick={handleClose}>
+      <div
+        className={styles.dialog}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="settings-title"
+        ref={dialogRef}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className={styles.header}>
+          <h2 id="settings-title" className={styles.title}>
+            <Icon name="Settings" size="md" ariaHidden={true} />
+            Settings
+          </h2>
+          <button
+            type="button"
+            className={styles.closeButton}
+            onClick={handleClose}
+            ref={closeButtonRef}
+            aria-label="Close settings"
+          >
+            <Icon name="X" size="md" ariaHidden={true} />
+          </button>
+        </div>
+
+        <section className={styles.section} aria-labelledby="settings-feed">
+          <h3 id="settings-feed" className={styles.sectionTitle}>Feed</h3>
+          <div className={styles.field}>
+            <label htmlFor="settings-default-sort">Default sort</label>
+            <select
+              id="settings-default-sort"
+              className={styles.select}
+              value={defaultSort}
+              onChange={(e) => dispatch(updateSettings({ defaultSort: e.target.value }))}
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="settings-default-time">Default time range for Top</label>
+            <select
+              id="settings-default-time"
+              className={styles.select}
+              value={defaultTimeRange}
+              onChange={(e) => dispatch(updateSettings({ defaultTimeRange: e.target.value }))}
+            >
+              {TIME_RANGE_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+          <div className={styles.field}>
+            <label htmlFor="settings-page-size">Posts per page</label>
+            <select
+              id="settings-page-size"
+              className={styles.select}
+              value={pageSize}
+              onChange={(e) => dispatch(updateSettings({ pageSize: Number(e.target.value) }))}
+            >
+              {PAGE_SIZE_OPTIONS.map(size => (
+                <option key={size} value={size}>{size}</option>
+              ))}
+            </select>
+          </div>
+        </section>
+
+        <section className={styles.section} aria-labelledby="settings-comments">
+          <h3 id="settings-comments" className={styles.sectionTitle}>Comments</h3>
+          <div className={styles.field}>
+            <label htmlFor="settings-comment-depth">Indent replies up to</label>
+            <select
+              id="settings-comment-depth"
+              className={styles.select}
+              value={commentDepth}
+              onChange={(e) => dispatch(updateSettings({ commentDepth: Number(e.target.value) }))}
+            >
+              {COMMENT_DEPTH_OPTIONS.map(depth => (
+                <option key={depth} value={depth}>{depth} levels</option>
+              ))}
+            </select>
+          </div>
+        </section>
+
+        <section className={styles.section} aria-labelledby="settings-media">
+          <h3 id="settings-media" className={styles.sectionTitle}>Media</h3>
+          <label className={styles.checkboxField}>
+            <input
+              type="checkbox"
+              checked={autoplayMedia}
+              onChange={(e) => dispatch(updateSettings({ autoplayMedia: e.target.checked }))}
+            />
+            Autoplay videos (muted)
+          </label>
+        </section>
+
+        <section className={styles.section} aria-labelledby="settings-appearance">
+          <h3 id="settings-appearance" className={styles.sectionTitle}>Appearance</h3>
+          <ThemeSwitcher />
+          {theme === CUSTOM_THEME && <CustomThemeEditor />}
+        </section>
+
+        <div className={styles.footer}>
+          <button type="button" className={styles.resetButton} onClick={() => dispatch(resetSettings())}>
+            Reset to defaults
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default React.memo(Settings);
@@ -0,0 +1,100 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the Settings screen.
+ *              WHY: Changes save as they are made, so every control must write straight
+ *              through to settings, and the dialog must be easy to leave by keyboard.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
+import Settings from '../Settings';
+import settingsReducer from '../../../redux/reducers/settings';
+import { DEFAULT_SETTINGS } from '../../../utils/settingsSchema';
+
+const renderWithStore = (settings = {}) => {
+  const store = createStore(
+    combineReducers({ settings: settingsReducer }),
+    { settings: { ...DEFAULT_SETTINGS, open: true, ...settings } },
+    applyMiddleware(thunk)
+  );
+  render(
+    <Provider store={store}>
+      <Settings />
+    </Provider>
+  );
+  return store;
+};
+
+describe('Settings Component', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('renders nothing while closed', () => {
+    renderWithStore({ open: false });
+
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('shows the current preferences and focuses the close button', () => {
+    renderWithStore({ defaultSort: 'new', commentDepth: 8 });
+
+    expect(screen.getByRole('dialog', { name: 'Settings' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Default sort')).toHaveValue('new');
+    expect(screen.getByLabelText('Indent replies up to')).toHaveValue('8');
+    expect(screen.getByRole('button', { name: 'Close settings' })).toHaveFocus();
+  });
+
+  it('saves each change as it is made', () => {
+    const store = renderWithStore();
+
+    fireEvent.change(screen.getByLabelText('Posts per page'), { target: { value: '50' } });
+    fireEvent.change(screen.getByLabelText('Default time range for Top'), { target: { value: 'week' } });
+    fireEvent.click(screen.getByLabelText('Autoplay videos (muted)'));
+    fireEvent.click(screen.getByRole('button', { name: 'Keeper Kit theme' }));
+
+    expect(store.getState().settings).toMatchObject({
+      pageSize: 50,
+      defaultTimeRange: 'week',
+      autoplayMedia: true,
+      theme: 'green'
+    });
+  });
+
+  it('shows the custom kit colours only while the custom theme is chosen', () => {
+    renderWithStore();
+    expect(screen.queryByLabelText('Accent colour')).not.toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Custom Kit theme' }));
+
+    expect(screen.getByLabelText('Accent colour')).toBeInTheDocument();
+  });
+
+  it('resets to defaults', () => {
+    const store = renderWithStore({ pageSize: 50, theme: 'white' });
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reset to defaults' }));
+
+    expect(store.getState().settings).toEqual({ ...DEFAULT_SETTINGS, open: true });
+  });
+
+  it('closes with Escape', () => {
+    const store = renderWithStore();
+
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(store.getState().settings.open).toBe(false);
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  });
+
+  it('closes from the close button', () => {
+    const store = renderWithStore();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Close settings' }));
+
+    expect(store.getState().settings.open).toBe(false);
+  });
+});
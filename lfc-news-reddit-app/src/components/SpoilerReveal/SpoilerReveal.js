@@ -0,0 +1,62 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tap-to-reveal button for posts hidden by spoiler-safe mode, shared by PostItem and
+ *              PostDetail. Revealing is remembered for the session, so opening the post afterwards
+ *              doesn't blur it again.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch } from 'react-redux';
+import { revealSpoiler } from '../../redux/actions/spoilers';
+import Icon from '../Icon/Icon';
+import styles from './SpoilerReveal.module.css';
+
+/**
+ * @param {Object} props
+ * @param {string} props.postId - Post to reveal
+ * @param {string} props.reason - 'flagged' (Reddit spoiler tag) or 'score' (scoreline in the title)
+ * @param {string} [props.className] - Extra class for placement by the parent
+ * @return {JSX.Element}
+ * @constructor
+ */
+const SpoilerReveal = ({ postId, reason, className = '' }) => {
+  const dispatch = useDispatch();
+  const label = reason === 'flagged' ? 'Spoiler' : 'Possible result';
+
+  // WHY stopPropagation: on a feed card, a tap meant to uncover the title
+  // would otherwise open the thread it was hiding
+  const handleClick = (e) => {
+    e.stopPropagation();
+    dispatch(revealSpoiler(postId));
+  };
+
+  const handleKeyDown = (e) => {
+    e.stopPropagation();
+  };
+
+  return (
+    <button
+      type="button"
+      className={`${styles.spoilerReveal} ${className}`.trim()}
+      onClick={handleClick}
+      onKeyDown={handleKeyDown}
+      aria-label={`${label} hidden - reveal post`}
+    >
+      <Icon name="EyeOff" size="sm" ariaHidden={true} />
+      <span>{label} - tap to reveal</span>
+    </button>
+  );
+};
+
+SpoilerReveal.propTypes = {
+  // Post to reveal
+  postId: PropTypes.string.isRequired,
+  // Why the post is hidden
+  reason: PropTypes.oneOf(['flagged', 'score']).isRequired,
+  // Extra class for placement by the parent
+  className: PropTypes.string
+};
+
+export default React.memo(SpoilerReveal);
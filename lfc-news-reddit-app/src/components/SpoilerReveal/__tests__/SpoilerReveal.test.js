@@ -0,0 +1,45 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for SpoilerReveal component.
+ *              WHY: The button sits inside clickable post cards, so revealing must not also
+ *              open the post.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { Provider } from 'react-redux';
+import configureStore from 'redux-mock-store';
+import SpoilerReveal from '../SpoilerReveal';
+
+const mockStore = configureStore([]);
+
+const renderReveal = (reason) => {
+  const store = mockStore({});
+  const onParentClick = jest.fn();
+  render(
+    <Provider store={store}>
+      <div onClick={onParentClick}>
+        <SpoilerReveal postId="abc" reason={reason} />
+      </div>
+    </Provider>
+  );
+  return { store, onParentClick };
+};
+
+describe('SpoilerReveal Component', () => {
+  it('names why the post is hidden', () => {
+    renderReveal('flagged');
+
+    expect(screen.getByRole('button', { name: 'Spoiler hidden - reveal post' })).toBeInTheDocument();
+  });
+
+  it('reveals the post without triggering the parent card', () => {
+    const { store, onParentClick } = renderReveal('score');
+
+    fireEvent.click(screen.getByRole('button', { name: 'Possible result hidden - reveal post' }));
+
+    expect(store.getActions()).toEqual([{ type: 'REVEAL_SPOILER', payload: 'abc' }]);
+    expect(onParentClick).not.toHaveBeenCalled();
+  });
+});
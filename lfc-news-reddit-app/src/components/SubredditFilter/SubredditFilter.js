@@ -9,9 +9,18 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useDispatch, useSelector } from 'react-redux';
 import { setSelectedSubreddit } from '../../redux/actions/subreddits';
+import { setHideRead } from '../../redux/actions/readPosts';
+import { setSpoilerSafe, setSpoilerWindow } from '../../redux/actions/spoilers';
+import { setNsfwPolicy } from '../../redux/actions/contentPolicy';
+import { updateSettings, setSettingsOpen } from '../../redux/actions/settings';
+import { setSavedView } from '../../redux/actions/saved';
 import { fetchPosts, setSortBy, setTimeRange, sortByViral, setFlairFilter, clearFlairFilters, toggleFlairFilter, setMediaFilter, clearMediaFilters } from '../../redux/actions/posts';
 import Icon from '../Icon/Icon';
 import ThemeSwitcher from '../ThemeSwitcher/ThemeSwitcher';
+import MuteSettings from '../MuteSettings/MuteSettings';
+import { MUTE_TYPES } from '../../utils/muteFilter';
+import { SPOILER_WINDOW_OPTIONS } from '../../utils/spoilerGuard';
+import { findSubreddit, getSubredditLabel } from '../../utils/subredditRegistry';
 import styles from './SubredditFilter.module.css';
 
 /**
@@ -21,29 +30,31 @@ import styles from './SubredditFilter.module.css';
 const SubredditFilter = () => {
   const dispatch = useDispatch();
   const { available, selected } = useSelector(state => state.subreddits);
-  const { items: posts, sortBy, timeRange, activeFilter, activeFlairFilters, activeMediaFilter } = useSelector(state => state.posts);
+  const { items: feedPosts, sortBy, timeRange, activeFilter, activeFlairFilters, activeMediaFilter } = useSelector(state => state.posts);
+  // WHY: Filters also apply to the Saved view, so offer the flairs of the posts being shown
+  const { items: savedPosts, viewing: viewingSaved } = useSelector(state => state.saved);
+  const posts = viewingSaved ? savedPosts : feedPosts;
+  const { hideRead } = useSelector(state => state.readPosts);
+  const { enabled: spoilerSafe, windowHours: spoilerWindow } = useSelector(state => state.spoilers);
+  const nsfwPolicy = useSelector(state => state.contentPolicy.nsfw);
   const [announcement, setAnnouncement] = useState('');
   const [flairSectionExpanded, setFlairSectionExpanded] = useState(false);
+  const [muteSectionExpanded, setMuteSectionExpanded] = useState(false);
+  const mutes = useSelector(state => state.mutes);
+  const muteCount = MUTE_TYPES.reduce((count, type) => count + mutes[type].length, 0);
 
-  // Collapsible filter panel state - collapsed by default
-  const [isExpanded, setIsExpanded] = useState(() => {
-    const saved = localStorage.getItem('lfc-filters-expanded');
-    return saved !== null ? saved === 'true' : false;
-  });
-
-  // Persist collapse state to localStorage
-  useEffect(() => {
-    localStorage.setItem('lfc-filters-expanded', String(isExpanded));
-  }, [isExpanded]);
+  // Collapsible filter panel state - collapsed by default, remembered in settings
+  const isExpanded = useSelector(state => state.settings.filtersExpanded);
 
   // Count active filters for badge display when collapsed
   const activeFilterCount = useMemo(() => {
     let count = 0;
     if (activeFilter) count++;
     if (activeMediaFilter) count++;
+    if (hideRead) count++;
     count += activeFlairFilters.length;
     return count;
-  }, [activeFilter, activeMediaFilter, activeFlairFilters]);
+  }, [activeFilter, activeMediaFilter, activeFlairFilters, hideRead]);
 
   /**
    * Collect unique flairs from loaded posts
@@ -64,8 +75,7 @@ const SubredditFilter = () => {
     dispatch(setSelectedSubreddit(subreddit));
     dispatch(fetchPosts(subreddit, sortBy, timeRange));
     // Announce subreddit change to screen readers
-    const displayName = subreddit === 'all' ? 'All LFC' : `r/${subreddit}`;
-    setAnnouncement(`Subreddit changed to ${displayName}`);
+    setAnnouncement(`Subreddit changed to ${getSubredditLabel(subreddit)}`);
   };
 
   const handleSortChange = (newSortBy) => {
@@ -100,6 +110,16 @@ const SubredditFilter = () => {
     }
   };
 
+  const handleHideReadToggle = () => {
+    dispatch(setHideRead(!hideRead));
+    setAnnouncement(hideRead ? 'Showing read posts' : 'Hiding read posts');
+  };
+
+  const handleSpoilerSafeToggle = () => {
+    dispatch(setSpoilerSafe(!spoilerSafe));
+    setAnnouncement(spoilerSafe ? 'Spoiler-safe mode off' : 'Spoiler-safe mode on');
+  };
+
   const handleMediaFilterChange = (mediaType) => {
     if (activeMediaFilter === mediaType) {
       // Clicking the same media filter toggles it off
@@ -180,8 +200,9 @@ const SubredditFilter = () => {
                 aria-checked={selected === subreddit}
                 className={`${styles.filterButton} ${selected === subreddit ? styles.active : ''}`}
                 onClick={() => handleSubredditChange(subreddit)}
+                title={findSubreddit(subreddit)?.description || undefined}
               >
-                {subreddit === 'all' ? 'All LFC' : `r/${subreddit}`}
+                {getSubredditLabel(subreddit)}
               </button>
             ))}
           </div>
@@ -195,7 +216,7 @@ const SubredditFilter = () => {
           {/* Collapse Toggle */}
           <button
             className={styles.collapseToggle}
-            onClick={() => setIsExpanded(!isExpanded)}
+            onClick={() => dispatch(updateSettings({ filtersExpanded: !isExpanded }))}
             aria-expanded={isExpanded}
             aria-controls="filter-body"
           >
@@ -210,9 +231,28 @@ const SubredditFilter = () => {
             )}
           </button>
 
-          {/* Theme Switcher */}
+          {/* Theme Switcher - with Saved and Settings alongside, since BottomNav (mobile only) is the other way in */}
           <div className={styles.headerTheme}>
-            <ThemeSwitcher />
+            <ThemeSwitcher compact />
+            <button
+              type="button"
+              className={`${styles.settingsButton} ${viewingSaved ? styles.settingsButtonActive : ''}`}
+              onClick={() => dispatch(setSavedView(!viewingSaved))}
+              aria-label={viewingSaved ? 'Back to feed' : `Show saved posts (${savedPosts.length})`}
+              aria-pressed={viewingSaved}
+              title="Saved"
+            >
+              <Icon name={viewingSaved ? 'BookmarkCheck' : 'Bookmark'} size="sm" ariaHidden={true} />
+            </button>
+            <button
+              type="button"
+              className={styles.settingsButton}
+              onClick={() => dispatch(setSettingsOpen(true))}
+              aria-label="Open settings"
+              title="Settings"
+            >
+              <Icon name="Settings" size="sm" ariaHidden={true} />
+            </button>
           </div>
 
           {/* Sort Control */}
@@ -318,6 +358,62 @@ const SubredditFilter = () => {
                   <span className={styles.filterButtonText}>Discussions</span>
                 </button>
               </div>
+              {/* WHY: Hides posts already opened, so repeat visits only show what's new */}
+              <button
+                className={`${styles.filterButton} ${hideRead ? styles.active : ''}`}
+                onClick={handleHideReadToggle}
+                aria-pressed={hideRead}
+              >
+                <Icon name={hideRead ? 'EyeOff' : 'Eye'} size="sm" ariaHidden={true} />
+                <span className={styles.filterButtonText}>Hide read</span>
+              </button>
+            </div>
+
+            {/* Spoiler-safe Row */}
+            {/* WHY: Fans watching a recording need result posts hidden until they've seen the game */}
+            <div className={styles.filterRow}>
+              <span className={styles.filterLabel}>Spoilers:</span>
+              <div className={styles.filterButtons}>
+                <button
+                  className={`${styles.filterButton} ${spoilerSafe ? styles.active : ''}`}
+                  onClick={handleSpoilerSafeToggle}
+                  aria-pressed={spoilerSafe}
+                >
+                  <Icon name={spoilerSafe ? 'ShieldCheck' : 'Shield'} size="sm" ariaHidden={true} />
+                  <span className={styles.filterButtonText}>Spoiler-safe</span>
+                </button>
+                {spoilerSafe && (
+                  <>
+                    <label className="visually-hidden" htmlFor="spoiler-window-select">Hide results for</label>
+                    <select
+                      id="spoiler-window-select"
+                      className={styles.sortSelect}
+                      value={spoilerWindow}
+                      onChange={(e) => dispatch(setSpoilerWindow(Number(e.target.value)))}
+                    >
+                      {SPOILER_WINDOW_OPTIONS.map(hours => (
+                        <option key={hours} value={hours}>for {hours} hours</option>
+                      ))}
+                    </select>
+                  </>
+                )}
+              </div>
+            </div>
+
+            {/* NSFW Policy Row */}
+            {/* WHY: The app is used on work screens, so NSFW media defaults to blurred */}
+            <div className={styles.filterRow}>
+              <label className={styles.filterLabel} htmlFor="nsfw-policy-select">NSFW:</label>
+              <select
+                id="nsfw-policy-select"
+                className={styles.sortSelect}
+                value={nsfwPolicy}
+                onChange={(e) => dispatch(setNsfwPolicy(e.target.value))}
+              >
+                <option value="hide">Hide media</option>
+                <option value="blur">Blur media</option>
+                <option value="show">Show media</option>
+              </select>
             </div>
 
             {/* Flair Filter Row */}
@@ -384,6 +480,37 @@ const SubredditFilter = () => {
                 </div>
               </div>
             )}
+
+            {/* Mute List Row */}
+            <div className={styles.filterRow}>
+              <span className={styles.filterLabel}>Mute:</span>
+              <div className={styles.flairFilterSection}>
+                <button
+                  className={styles.flairExpandButton}
+                  onClick={() => setMuteSectionExpanded(!muteSectionExpanded)}
+                  aria-expanded={muteSectionExpanded}
+                  aria-controls="mute-list-section"
+                >
+                  <Icon
+                    name={muteSectionExpanded ? 'ChevronDown' : 'ChevronRight'}
+                    size="sm"
+                    ariaHidden={true}
+                  />
+                  <span>
+                    Muted words and users
+                    {muteCount > 0 && (
+                      <span className={styles.flairCount}> ({muteCount})</span>
+                    )}
+                  </span>
+                </button>
+
+                {muteSectionExpanded && (
+                  <div id="mute-list-section" className={styles.flairFilterContent}>
+                    <MuteSettings />
+                  </div>
+                )}
+              </div>
+            </div>
           </div>
         )}
       </div>
@@ -53,6 +53,45 @@ const createDefaultState = (overrides = {}) => ({
     activeFlairFilters: [],
     activeMediaFilter: null,
     ...overrides.posts
+  },
+  saved: {
+    items: [],
+    viewing: false,
+    ...overrides.saved
+  },
+  readPosts: {
+    byId: {},
+    hideRead: false,
+    ...overrides.readPosts
+  },
+  mutes: {
+    keywords: [],
+    patterns: [],
+    authors: [],
+    domains: [],
+    flairs: [],
+    ...overrides.mutes
+  },
+  spoilers: {
+    enabled: false,
+    windowHours: 12,
+    revealed: {},
+    ...overrides.spoilers
+  },
+  contentPolicy: {
+    nsfw: 'blur',
+    ...overrides.contentPolicy
+  },
+  settings: {
+    defaultSort: 'hot',
+    defaultTimeRange: 'day',
+    pageSize: 20,
+    commentDepth: 6,
+    autoplayMedia: false,
+    theme: 'red',
+    filtersExpanded: false,
+    open: false,
+    ...overrides.settings
   }
 });
 
@@ -207,6 +246,96 @@ describe('SubredditFilter Component', () => {
     });
   });
 
+  describe('Hide Read Toggle', () => {
+    it('turns hiding read posts on', () => {
+      const store = mockStore(createDefaultState({ settings: { filtersExpanded: true } }));
+      renderWithStore(store);
+
+      const toggle = screen.getByRole('button', { name: 'Hide read' });
+      expect(toggle).toHaveAttribute('aria-pressed', 'false');
+      fireEvent.click(toggle);
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_HIDE_READ', payload: true });
+    });
+
+    it('counts as an active filter while collapsed', () => {
+      renderWithStore(mockStore(createDefaultState({ readPosts: { hideRead: true } })));
+
+      expect(screen.getByRole('button', { name: /Filters/ })).toHaveTextContent('1');
+    });
+  });
+
+  describe('Saved View', () => {
+    it('opens the saved posts from the filter header', () => {
+      const store = mockStore(createDefaultState({ saved: { items: [{ id: 'p1' }] } }));
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show saved posts (1)' }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SAVED_VIEW', payload: true });
+    });
+
+    it('goes back to the feed while the saved posts are shown', () => {
+      const store = mockStore(createDefaultState({ saved: { viewing: true } }));
+      renderWithStore(store);
+
+      const button = screen.getByRole('button', { name: 'Back to feed' });
+      expect(button).toHaveAttribute('aria-pressed', 'true');
+      fireEvent.click(button);
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SAVED_VIEW', payload: false });
+    });
+  });
+
+  describe('Spoiler-safe Toggle', () => {
+    it('turns spoiler-safe mode on', () => {
+      const store = mockStore(createDefaultState({ settings: { filtersExpanded: true } }));
+      renderWithStore(store);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Spoiler-safe' }));
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SPOILER_SAFE', payload: true });
+    });
+
+    it('offers a window length while on', () => {
+      const store = mockStore(createDefaultState({ spoilers: { enabled: true }, settings: { filtersExpanded: true } }));
+      renderWithStore(store);
+
+      fireEvent.change(screen.getByLabelText('Hide results for'), { target: { value: '24' } });
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_SPOILER_WINDOW', payload: 24 });
+    });
+  });
+
+  describe('NSFW Policy', () => {
+    it('changes the NSFW media policy', () => {
+      const store = mockStore(createDefaultState({ settings: { filtersExpanded: true } }));
+      renderWithStore(store);
+
+      const select = screen.getByLabelText('NSFW:');
+      expect(select).toHaveValue('blur');
+      fireEvent.change(select, { target: { value: 'hide' } });
+
+      expect(store.getActions()).toContainEqual({ type: 'SET_NSFW_POLICY', payload: 'hide' });
+    });
+  });
+
+  describe('Mute List', () => {
+    it('opens the mute list editor with the muted count', () => {
+      renderWithStore(mockStore(createDefaultState({
+        mutes: { keywords: ['spoiler'], authors: ['troll'] },
+        settings: { filtersExpanded: true }
+      })));
+
+      const toggle = screen.getByRole('button', { name: /Muted words and users/ });
+      expect(toggle).toHaveTextContent('(2)');
+      fireEvent.click(toggle);
+
+      expect(toggle).toHaveAttribute('aria-expanded', 'true');
+      expect(screen.getByRole('button', { name: 'Unmute keyword spoiler' })).toBeInTheDocument();
+    });
+  });
+
   describe('Flair Filters', () => {
     it('shows flair filter section when posts have flairs', () => {
       const postsWithFlairs = mockStore(createDefaultState({
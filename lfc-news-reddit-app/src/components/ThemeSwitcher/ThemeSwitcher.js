@@ -1,88 +1,94 @@
 /**
  * @author Tom Butler
  * @date 2025-10-22
- * @description Theme switcher for Liverpool FC colour schemes (red, white, green).
+ * @description Theme switcher for the themes in the shared registry (utils/theme).
  *              Uses visual button group with colour swatches for desktop.
- *              Persists selection to localStorage and applies via data attributes.
+ *              Selection is stored in the settings slice; App applies it via data attributes.
+ *              The compact variant in the filter header lists only the kit themes; the Settings
+ *              screen lists every group.
  */
 
-import React, { useState, useEffect } from 'react';
+import React from 'react';
+import PropTypes from 'prop-types';
+import { useDispatch, useSelector } from 'react-redux';
 import Icon from '../Icon/Icon';
+import { THEMES, SYSTEM_THEME, CUSTOM_THEME } from '../../utils/theme';
+import { updateSettings } from '../../redux/actions/settings';
 import styles from './ThemeSwitcher.module.css';
 
+const THEME_GROUPS = [
+  { id: 'kit', label: 'Current kits' },
+  { id: 'historic', label: 'Historic kits' },
+  { id: 'accessibility', label: 'Accessibility' },
+  { id: 'custom', label: 'Your kit' }
+];
+
 /**
+ * @param {Object} props
+ * @param {boolean} [props.compact=false] - Only show the kit themes, without group labels
  * @return {JSX.Element}
  * @constructor
  */
-const ThemeSwitcher = () => {
-  // WHY: LFC-branded theme names connect with fans emotionally (kit references)
-  // WHY: Only 3 themes matching Liverpool FC kits - Home (red), Away (white/cream), Keeper (green)
-  const themes = [
-    { id: 'red', name: 'Anfield Red', shortName: 'Home', color: '#C8102E', description: 'Home Kit' },
-    { id: 'white', name: 'Away Day', shortName: 'Away', color: '#f5f0e8', description: 'Away Kit' },
-    { id: 'green', name: 'Keeper Kit', shortName: 'Keeper', color: '#00A651', description: 'Goalkeeper' }
-  ];
-
-  // WHY: Default to red (home kit) as the primary LFC theme
-  const getSystemPreference = () => {
-    return 'red';
-  };
-
-  const [currentTheme, setCurrentTheme] = useState(() => {
-    const savedTheme = localStorage.getItem('lfc-theme');
-    // WHY: First time users get theme based on system preference
-    return savedTheme || getSystemPreference();
-  });
-
-  /**
-   * @listens currentTheme - Applies theme data attribute when selection changes
-   */
-  useEffect(() => {
-    applyTheme(currentTheme);
-  }, [currentTheme]);
-
-  const applyTheme = (theme) => {
-    const root = document.documentElement;
-    if (theme === 'red') {
-      root.removeAttribute('data-theme');
-    } else {
-      root.setAttribute('data-theme', theme);
-    }
-  };
+const ThemeSwitcher = ({ compact = false }) => {
+  const dispatch = useDispatch();
+  // WHY: The theme lives in settings; App applies it to the document
+  const currentTheme = useSelector(state => state.settings.theme);
+  const customTheme = useSelector(state => state.settings.customTheme);
 
   const handleThemeChange = (themeId) => {
-    setCurrentTheme(themeId);
-    localStorage.setItem('lfc-theme', themeId);
+    dispatch(updateSettings({ theme: themeId }));
   };
 
+  const renderButton = (theme) => (
+    <button
+      key={theme.id}
+      type="button"
+      className={`${styles.themeButton} ${currentTheme === theme.id ? styles.active : ''}`}
+      onClick={() => handleThemeChange(theme.id)}
+      aria-pressed={currentTheme === theme.id}
+      aria-label={`${theme.name} theme`}
+      title={theme.description}
+    >
+      <span
+        className={`${styles.colorSwatch} ${theme.id === SYSTEM_THEME ? styles.systemSwatch : ''}`}
+        style={{ backgroundColor: theme.id === CUSTOM_THEME && customTheme ? customTheme.primary : theme.color }}
+        aria-hidden="true"
+      />
+      <span className={styles.themeName}>{theme.shortName}</span>
+    </button>
+  );
+
   return (
-    <div className={styles.themeSwitcher} role="group" aria-label="Theme selection">
+    <div
+      className={`${styles.themeSwitcher} ${compact ? '' : styles.full}`}
+      role="group"
+      aria-label="Theme selection"
+    >
       <span className={styles.themeLabel}>
         <Icon name="Palette" size="sm" ariaHidden={true} />
         Theme:
       </span>
-      <div className={styles.themeButtons}>
-        {themes.map(theme => (
-          <button
-            key={theme.id}
-            type="button"
-            className={`${styles.themeButton} ${currentTheme === theme.id ? styles.active : ''}`}
-            onClick={() => handleThemeChange(theme.id)}
-            aria-pressed={currentTheme === theme.id}
-            aria-label={`${theme.name} theme`}
-            title={theme.description}
-          >
-            <span
-              className={styles.colorSwatch}
-              style={{ backgroundColor: theme.color }}
-              aria-hidden="true"
-            />
-            <span className={styles.themeName}>{theme.shortName}</span>
-          </button>
-        ))}
-      </div>
+      {compact ? (
+        <div className={styles.themeButtons}>
+          {THEMES.filter(theme => theme.group === 'kit').map(renderButton)}
+        </div>
+      ) : (
+        THEME_GROUPS.map(group => (
+          <div key={group.id} className={styles.themeGroup}>
+            <span className={styles.groupLabel}>{group.label}</span>
+            <div className={styles.themeButtons}>
+              {THEMES.filter(theme => theme.group === group.id).map(renderButton)}
+            </div>
+          </div>
+        ))
+      )}
     </div>
   );
 };
 
+ThemeSwitcher.propTypes = {
+  // Only kit themes, for tight spaces like the filter header
+  compact: PropTypes.bool
+};
+
 export default React.memo(ThemeSwitcher);
@@ -3,70 +3,55 @@
  * @date 2026-01-21
  * @description Tests for ThemeSwitcher component.
  *              WHY: Theme switching is essential for user experience and accessibility.
- *              These tests verify correct theme application, localStorage persistence,
- *              and proper DOM manipulation using the button-based theme picker.
+ *              These tests verify the selected theme comes from settings, that choosing one
+ *              updates and persists settings, and the button-based picker stays accessible.
  */
 
 import React from 'react';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
+import { Provider } from 'react-redux';
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
 import ThemeSwitcher from '../ThemeSwitcher';
+import settingsReducer, { SETTINGS_STORAGE_KEY } from '../../../redux/reducers/settings';
+import { DEFAULT_SETTINGS } from '../../../utils/settingsSchema';
 
-// Mock localStorage
-const localStorageMock = (() => {
-  let store = {};
-  return {
-    getItem: jest.fn((key) => store[key] || null),
-    setItem: jest.fn((key, value) => {
-      store[key] = value;
-    }),
-    clear: jest.fn(() => {
-      store = {};
-    }),
-    removeItem: jest.fn((key) => {
-      delete store[key];
-    })
-  };
-})();
-
-Object.defineProperty(window, 'localStorage', {
-  value: localStorageMock
-});
-
-// Mock matchMedia for system preference detection
-const mockMatchMedia = (matches) => {
-  return jest.fn().mockImplementation((query) => ({
-    matches: matches,
-    media: query,
-    onchange: null,
-    addListener: jest.fn(),
-    removeListener: jest.fn(),
-    addEventListener: jest.fn(),
-    removeEventListener: jest.fn(),
-    dispatchEvent: jest.fn(),
-  }));
+/**
+ * @param {string} [theme] - Theme already chosen in settings
+ * @param {Object} [props] - ThemeSwitcher props
+ * @param {Object} [settings] - Other settings overrides
+ * @return {Object} The store backing the rendered switcher
+ */
+const renderWithStore = (theme, props = {}, settings = {}) => {
+  const store = createStore(
+    combineReducers({ settings: settingsReducer }),
+    { settings: { ...DEFAULT_SETTINGS, ...(theme && { theme }), ...settings, open: false } },
+    applyMiddleware(thunk)
+  );
+  render(
+    <Provider store={store}>
+      <ThemeSwitcher {...props} />
+    </Provider>
+  );
+  return store;
 };
 
 describe('ThemeSwitcher Component', () => {
   beforeEach(() => {
-    // Reset localStorage and DOM before each test
-    localStorageMock.clear();
-    document.documentElement.removeAttribute('data-theme');
-    jest.clearAllMocks();
+    localStorage.clear();
   });
 
   describe('Rendering', () => {
     it('renders theme button group', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       const themeGroup = screen.getByRole('group', { name: 'Theme selection' });
       expect(themeGroup).toBeInTheDocument();
     });
 
     it('renders all three theme buttons', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       expect(screen.getByRole('button', { name: 'Anfield Red theme' })).toBeInTheDocument();
       expect(screen.getByRole('button', { name: 'Away Day theme' })).toBeInTheDocument();
@@ -74,8 +59,7 @@ describe('ThemeSwitcher Component', () => {
     });
 
     it('renders theme names as labels', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       expect(screen.getByText('Home')).toBeInTheDocument();
       expect(screen.getByText('Away')).toBeInTheDocument();
@@ -83,15 +67,13 @@ describe('ThemeSwitcher Component', () => {
     });
 
     it('renders label with palette icon', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       expect(screen.getByText('Theme:')).toBeInTheDocument();
     });
 
     it('renders color swatches for each theme', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       // Check for color swatch elements
       const colorSwatches = document.querySelectorAll('[aria-hidden="true"]');
@@ -100,117 +82,81 @@ describe('ThemeSwitcher Component', () => {
     });
   });
 
-  describe('Initial State', () => {
-    it('uses saved theme from localStorage if available', () => {
-      localStorageMock.getItem.mockReturnValueOnce('green');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+  describe('Registry Groups', () => {
+    it('lists historic, accessibility, system and custom themes under group labels', () => {
+      renderWithStore();
 
-      const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
-      expect(greenButton).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getByText('Historic kits')).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: "Istanbul '05 theme" })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'High Contrast theme' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Match Device theme' })).toBeInTheDocument();
+      expect(screen.getByRole('button', { name: 'Custom Kit theme' })).toBeInTheDocument();
     });
 
-    it('uses red theme as default regardless of system preference', () => {
-      localStorageMock.getItem.mockReturnValueOnce(null);
-      window.matchMedia = mockMatchMedia(true); // prefers-color-scheme: dark
-
-      render(<ThemeSwitcher />);
+    it('only lists the kit themes when compact', () => {
+      renderWithStore(undefined, { compact: true });
 
-      // WHY: Red is always the default - no night mode in the app
-      const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
-      expect(redButton).toHaveAttribute('aria-pressed', 'true');
+      expect(screen.getAllByRole('button')).toHaveLength(4);
+      expect(screen.queryByText('Historic kits')).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Custom Kit theme' })).not.toBeInTheDocument();
     });
 
-    it('uses red theme when system prefers light mode and no saved theme', () => {
-      localStorageMock.getItem.mockReturnValueOnce(null);
-      window.matchMedia = mockMatchMedia(false); // prefers-color-scheme: light
+    it('previews the custom theme with its chosen accent', () => {
+      renderWithStore(undefined, {}, { customTheme: { primary: '#123456', background: '#000000', text: '#ffffff' } });
 
-      render(<ThemeSwitcher />);
-
-      const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
-      expect(redButton).toHaveAttribute('aria-pressed', 'true');
+      const swatch = screen.getByRole('button', { name: 'Custom Kit theme' }).querySelector('[aria-hidden="true"]');
+      expect(swatch).toHaveStyle({ backgroundColor: '#123456' });
     });
   });
 
-  describe('Theme Application', () => {
-    it('applies red theme by removing data-theme attribute', () => {
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
-
-      expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
-    });
-
-    it('applies white theme by setting data-theme attribute', () => {
-      localStorageMock.getItem.mockReturnValueOnce('white');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+  describe('Initial State', () => {
+    it('uses the theme saved in settings', () => {
+      renderWithStore('green');
 
-      expect(document.documentElement.getAttribute('data-theme')).toBe('white');
+      const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
+      expect(greenButton).toHaveAttribute('aria-pressed', 'true');
     });
 
-    it('applies green theme by setting data-theme attribute', () => {
-      localStorageMock.getItem.mockReturnValueOnce('green');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+    it('uses red theme by default', () => {
+      renderWithStore();
 
-      expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+      // WHY: Red is always the default - no night mode in the app
+      const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
+      expect(redButton).toHaveAttribute('aria-pressed', 'true');
     });
   });
 
   describe('Theme Switching', () => {
     it('changes theme when user clicks a different button', async () => {
       const user = userEvent.setup();
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
+      const store = renderWithStore('red');
 
-      render(<ThemeSwitcher />);
+      await user.click(screen.getByRole('button', { name: 'Keeper Kit theme' }));
 
-      const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
-      await user.click(greenButton);
-
-      expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+      expect(store.getState().settings.theme).toBe('green');
     });
 
-    it('persists theme selection to localStorage', async () => {
+    it('persists theme selection with the other settings', async () => {
       const user = userEvent.setup();
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+      renderWithStore('red');
 
-      const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
-      await user.click(greenButton);
+      await user.click(screen.getByRole('button', { name: 'Keeper Kit theme' }));
 
-      expect(localStorageMock.setItem).toHaveBeenCalledWith('lfc-theme', 'green');
+      expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)).theme).toBe('green');
     });
 
-    it('removes data-theme attribute when switching back to red', async () => {
+    it('switches back to red', async () => {
       const user = userEvent.setup();
-      localStorageMock.getItem.mockReturnValueOnce('green');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
-
-      // Verify green theme is initially applied
-      expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+      const store = renderWithStore('green');
 
-      const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
-      await user.click(redButton);
+      await user.click(screen.getByRole('button', { name: 'Anfield Red theme' }));
 
-      expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+      expect(store.getState().settings.theme).toBe('red');
     });
 
     it('updates aria-pressed when theme changes', async () => {
       const user = userEvent.setup();
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+      renderWithStore('red');
 
       const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
       const whiteButton = screen.getByRole('button', { name: 'Away Day theme' });
@@ -230,16 +176,14 @@ describe('ThemeSwitcher Component', () => {
 
   describe('Accessibility', () => {
     it('theme group has accessible label', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       const themeGroup = screen.getByRole('group', { name: 'Theme selection' });
       expect(themeGroup).toBeInTheDocument();
     });
 
     it('each button has aria-pressed attribute', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       const buttons = screen.getAllByRole('button');
       buttons.forEach(button => {
@@ -248,8 +192,7 @@ describe('ThemeSwitcher Component', () => {
     });
 
     it('each button has aria-label', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       expect(screen.getByLabelText('Anfield Red theme')).toBeInTheDocument();
       expect(screen.getByLabelText('Away Day theme')).toBeInTheDocument();
@@ -257,8 +200,7 @@ describe('ThemeSwitcher Component', () => {
     });
 
     it('all buttons have type="button"', () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+      renderWithStore();
 
       const buttons = screen.getAllByRole('button');
       buttons.forEach(button => {
@@ -268,37 +210,18 @@ describe('ThemeSwitcher Component', () => {
   });
 
   describe('Color Swatches', () => {
-    it('shows correct color for red theme', () => {
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
+    it('shows a color swatch for each theme', () => {
+      renderWithStore('red');
 
       // Find the color swatch elements
       const colorSwatches = document.querySelectorAll('[style*="background-color"]');
       expect(colorSwatches.length).toBeGreaterThan(0);
     });
-
-    it('shows correct color for green theme button', async () => {
-      const user = userEvent.setup();
-      localStorageMock.getItem.mockReturnValueOnce('red');
-      window.matchMedia = mockMatchMedia(false);
-
-      render(<ThemeSwitcher />);
-
-      const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
-      await user.click(greenButton);
-
-      // Check the color swatch elements exist
-      const colorSwatches = document.querySelectorAll('[style*="background-color"]');
-      expect(colorSwatches.length).toBeGreaterThan(0);
-    });
   });
 
   describe('Keyboard Navigation', () => {
-    it('buttons are focusable', async () => {
-      window.matchMedia = mockMatchMedia(false);
-      render(<ThemeSwitcher />);
+    it('buttons are focusable', () => {
+      renderWithStore();
 
       const redButton = screen.getByRole('button', { name: 'Anfield Red theme' });
       redButton.focus();
@@ -307,30 +230,24 @@ describe('ThemeSwitcher Component', () => {
 
     it('can select theme with Enter key', async () => {
       const user = userEvent.setup();
-      window.matchMedia = mockMatchMedia(false);
-      localStorageMock.getItem.mockReturnValueOnce('red');
-
-      render(<ThemeSwitcher />);
+      const store = renderWithStore('red');
 
       const greenButton = screen.getByRole('button', { name: 'Keeper Kit theme' });
       greenButton.focus();
       await user.keyboard('{Enter}');
 
-      expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+      expect(store.getState().settings.theme).toBe('green');
     });
 
     it('can select theme with Space key', async () => {
       const user = userEvent.setup();
-      window.matchMedia = mockMatchMedia(false);
-      localStorageMock.getItem.mockReturnValueOnce('red');
-
-      render(<ThemeSwitcher />);
+      const store = renderWithStore('red');
 
       const whiteButton = screen.getByRole('button', { name: 'Away Day theme' });
       whiteButton.focus();
       await user.keyboard(' ');
 
-      expect(document.documentElement.getAttribute('data-theme')).toBe('white');
+      expect(store.getState().settings.theme).toBe('white');
     });
   });
 });
@@ -0,0 +1,93 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Find bar above a post's comments: type to find comments by text or author, then
+ *              step through them with Enter / Shift+Enter or the arrow buttons. PostDetail owns
+ *              the query and matches (utils/threadSearch); CommentList opens and highlights them.
+ */
+
+import React from 'react';
+import PropTypes from 'prop-types';
+import Icon from '../Icon/Icon';
+import styles from './ThreadFind.module.css';
+
+export const THREAD_FIND_INPUT_ID = 'thread-find-input';
+
+/**
+ * @param {Object} props
+ * @param {string} props.query - Text being searched for
+ * @param {Function} props.onQueryChange - Called with the new text
+ * @param {number} props.matchCount - Number of matching comments
+ * @param {number} props.activeIndex - Position of the current match in the matches
+ * @param {Function} props.onStep - Called with 1 (next) or -1 (previous)
+ * @return {JSX.Element}
+ * @constructor
+ */
+const ThreadFind = ({ query, onQueryChange, matchCount, activeIndex, onStep }) => {
+  const hasQuery = query.trim().length > 0;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (matchCount) onStep(e.shiftKey ? -1 : 1);
+    } else if (e.key === 'Escape' && query) {
+      // WHY preventDefault: PostDetail ignores a handled Escape, so the first one only clears the find
+      e.preventDefault();
+      onQueryChange('');
+    }
+  };
+
+  return (
+    <div className={styles.threadFind} role="search" aria-label="Find in comments">
+      <Icon name="TextSearch" size="sm" ariaHidden={true} className={styles.icon} />
+      <label htmlFor={THREAD_FIND_INPUT_ID} className="visually-hidden">Find in comments</label>
+      <input
+        id={THREAD_FIND_INPUT_ID}
+        type="search"
+        className={styles.input}
+        placeholder="Find in comments..."
+        value={query}
+        onChange={(e) => onQueryChange(e.target.value)}
+        onKeyDown={handleKeyDown}
+        autoComplete="off"
+        aria-describedby="thread-find-count"
+      />
+      <span id="thread-find-count" className={styles.count} aria-live="polite">
+        {!hasQuery ? '' : matchCount ? `${activeIndex + 1} of ${matchCount}` : 'No matches'}
+      </span>
+      <button
+        type="button"
+        className={styles.stepButton}
+        onClick={() => onStep(-1)}
+        disabled={!matchCount}
+        aria-label="Previous match"
+      >
+        <Icon name="ChevronUp" size="sm" ariaHidden={true} />
+      </button>
+      <button
+        type="button"
+        className={styles.stepButton}
+        onClick={() => onStep(1)}
+        disabled={!matchCount}
+        aria-label="Next match"
+      >
+        <Icon name="ChevronDown" size="sm" ariaHidden={true} />
+      </button>
+    </div>
+  );
+};
+
+ThreadFind.propTypes = {
+  // Text being searched for
+  query: PropTypes.string.isRequired,
+  // Called with the new text as it is typed
+  onQueryChange: PropTypes.func.isRequired,
+  // Number of matching comments
+  matchCount: PropTypes.number.isRequired,
+  // Zero-based position of the current match
+  activeIndex: PropTypes.number.isRequired,
+  // Called with 1 for the next match or -1 for the previous one
+  onStep: PropTypes.func.isRequired
+};
+
+export default React.memo(ThreadFind);
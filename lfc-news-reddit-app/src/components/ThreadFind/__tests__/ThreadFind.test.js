@@ -0,0 +1,78 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the find-in-comments bar.
+ *              WHY: Enter and Escape mean different things inside the bar than in the rest of
+ *              PostDetail, and the counter is the only feedback a screen reader gets.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import ThreadFind from '../ThreadFind';
+
+const renderFind = (props = {}) => {
+  const handlers = { onQueryChange: jest.fn(), onStep: jest.fn() };
+  render(<ThreadFind query="salah" matchCount={3} activeIndex={0} {...handlers} {...props} />);
+  return handlers;
+};
+
+describe('ThreadFind Component', () => {
+  it('shows the position of the current match', () => {
+    renderFind({ activeIndex: 1 });
+
+    expect(screen.getByText('2 of 3')).toBeInTheDocument();
+    expect(screen.getByRole('searchbox', { name: 'Find in comments' })).toHaveValue('salah');
+  });
+
+  it('says so when nothing matches and disables stepping', () => {
+    renderFind({ matchCount: 0 });
+
+    expect(screen.getByText('No matches')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Next match' })).toBeDisabled();
+    expect(screen.getByRole('button', { name: 'Previous match' })).toBeDisabled();
+  });
+
+  it('shows no counter before anything is typed', () => {
+    renderFind({ query: '', matchCount: 0 });
+
+    expect(screen.queryByText('No matches')).not.toBeInTheDocument();
+  });
+
+  it('reports typing', () => {
+    const { onQueryChange } = renderFind();
+
+    fireEvent.change(screen.getByRole('searchbox'), { target: { value: 'salah goal' } });
+
+    expect(onQueryChange).toHaveBeenCalledWith('salah goal');
+  });
+
+  it('steps with Enter, Shift+Enter and the buttons', () => {
+    const { onStep } = renderFind();
+    const input = screen.getByRole('searchbox');
+
+    fireEvent.keyDown(input, { key: 'Enter' });
+    fireEvent.keyDown(input, { key: 'Enter', shiftKey: true });
+    fireEvent.click(screen.getByRole('button', { name: 'Previous match' }));
+    fireEvent.click(screen.getByRole('button', { name: 'Next match' }));
+
+    expect(onStep.mock.calls).toEqual([[1], [-1], [-1], [1]]);
+  });
+
+  it('clears the query on Escape and marks the key as handled', () => {
+    const { onQueryChange } = renderFind();
+
+    const notCancelled = fireEvent.keyDown(screen.getByRole('searchbox'), { key: 'Escape' });
+
+    expect(onQueryChange).toHaveBeenCalledWith('');
+    expect(notCancelled).toBe(false);
+  });
+
+  it('lets Escape through once the query is empty', () => {
+    const { onQueryChange } = renderFind({ query: '' });
+
+    const notCancelled = fireEvent.keyDown(screen.getByRole('searchbox'), { key: 'Escape' });
+
+    expect(onQueryChange).not.toHaveBeenCalled();
+    expect(notCancelled).toBe(true);
+  });
+});
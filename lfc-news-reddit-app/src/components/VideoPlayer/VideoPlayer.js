@@ -6,11 +6,14 @@
  *
  * WHY: Reddit separates video and audio streams. HLS (HTTP Live Streaming) is required
  *      to play videos with audio. The fallback_url only provides silent video.
+ * WHY contentPolicy: NSFW videos are replaced by a notice (and not loaded) unless the
+ *      content policy shows them or the user taps to show.
  */
 
 import React, { useEffect, useRef } from 'react';
 import PropTypes from 'prop-types';
 import Hls from 'hls.js';
+import ContentWarning from '../ContentWarning/ContentWarning';
 import styles from './VideoPlayer.module.css';
 
 /**
@@ -20,15 +23,20 @@ import styles from './VideoPlayer.module.css';
  * @param {Object} props.videoData - Reddit video data object containing hls_url, fallback_url, has_audio
  * @param {string} props.className - Optional CSS class for styling
  * @param {string} props.title - Video title for accessibility
+ * @param {string} [props.contentPolicy='show'] - NSFW policy for this video: 'hide', 'blur' or 'show'
+ * @param {Function} [props.onReveal] - Called when the user taps to show a 'blur' video
+ * @param {boolean} [props.autoPlay=false] - Start playing (muted) as soon as the video loads
  * @return {JSX.Element}
  * @constructor
  */
-const VideoPlayer = ({ videoData, className = '', title = 'Video' }) => {
+const VideoPlayer = ({ videoData, className = '', title = 'Video', contentPolicy = 'show', onReveal, autoPlay = false }) => {
   const videoRef = useRef(null);
   const hlsRef = useRef(null);
+  const withheld = contentPolicy !== 'show';
 
   useEffect(() => {
-    if (!videoRef.current || !videoData) return;
+    // WHY withheld: no <video> is rendered, and a withheld stream must not be fetched either
+    if (withheld || !videoRef.current || !videoData) return;
 
     const video = videoRef.current;
     const hasAudio = videoData.has_audio;
@@ -102,17 +110,24 @@ const VideoPlayer = ({ videoData, className = '', title = 'Video' }) => {
         hlsRef.current = null;
       }
     };
-  }, [videoData]);
+  }, [videoData, withheld]);
 
   if (!videoData) return null;
 
+  if (withheld) {
+    return <ContentWarning policy={contentPolicy} label="NSFW video" onReveal={onReveal} />;
+  }
+
+  // WHY muted autoplay: browsers block autoplay with sound; the controls can unmute
   return (
     <video
       ref={videoRef}
       className={`${styles.video} ${className}`}
       controls
       playsInline
-      preload="metadata"
+      preload={autoPlay ? 'auto' : 'metadata'}
+      autoPlay={autoPlay}
+      muted={autoPlay}
       aria-label={title}
     >
       {/* WHY: Caption track for accessibility - currently empty but allows future caption support */}
@@ -134,7 +149,13 @@ VideoPlayer.propTypes = {
   // Optional CSS class for styling
   className: PropTypes.string,
   // Video title for accessibility
-  title: PropTypes.string
+  title: PropTypes.string,
+  // NSFW content policy for this video
+  contentPolicy: PropTypes.oneOf(['hide', 'blur', 'show']),
+  // Called when the user taps to show a blurred video
+  onReveal: PropTypes.func,
+  // Start playing muted on load (media autoplay setting)
+  autoPlay: PropTypes.bool
 };
 
 // WHY: Default values are set via ES6 default parameters in the function signature
@@ -8,7 +8,7 @@
  */
 
 import React from 'react';
-import { render, screen, cleanup } from '@testing-library/react';
+import { render, screen, cleanup, fireEvent } from '@testing-library/react';
 
 // Mock Hls.js before importing VideoPlayer
 const mockHlsInstance = {
@@ -200,6 +200,42 @@ describe('VideoPlayer Component', () => {
     });
   });
 
+  describe('Autoplay', () => {
+    it('does not autoplay by default', () => {
+      render(<VideoPlayer videoData={createVideoData()} />);
+
+      expect(screen.getByLabelText('Video')).not.toHaveAttribute('autoplay');
+    });
+
+    it('autoplays muted when enabled', () => {
+      render(<VideoPlayer videoData={createVideoData()} autoPlay />);
+
+      const video = screen.getByLabelText('Video');
+      expect(video).toHaveAttribute('autoplay');
+      expect(video.muted).toBe(true);
+    });
+  });
+
+  describe('Content Policy', () => {
+    it('withholds NSFW video without starting HLS when the policy hides it', () => {
+      render(<VideoPlayer videoData={createVideoData()} contentPolicy="hide" />);
+
+      expect(screen.queryByLabelText('Video')).not.toBeInTheDocument();
+      expect(screen.getByText('NSFW video hidden by your content settings')).toBeInTheDocument();
+      expect(mockHlsInstance.loadSource).not.toHaveBeenCalled();
+    });
+
+    it('offers to show NSFW video when the policy blurs it', () => {
+      const onReveal = jest.fn();
+      render(<VideoPlayer videoData={createVideoData()} contentPolicy="blur" onReveal={onReveal} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Show NSFW video' }));
+
+      expect(onReveal).toHaveBeenCalledTimes(1);
+      expect(mockHlsInstance.loadSource).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Error Handling', () => {
     it('calls startLoad on network error', () => {
       render(<VideoPlayer videoData={createVideoData()} />);
@@ -0,0 +1,72 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the keyboard shortcut listener.
+ *              WHY: It sits on the whole document, so it must respect keys components already
+ *              handled and forget a half-typed sequence.
+ */
+
+import React from 'react';
+import { render, fireEvent, act } from '@testing-library/react';
+import { useKeyboardShortcuts } from '../useKeyboardShortcuts';
+import { SEQUENCE_TIMEOUT } from '../../utils/shortcuts';
+
+const Probe = ({ handlers }) => {
+  useKeyboardShortcuts(handlers);
+  return null;
+};
+
+describe('useKeyboardShortcuts', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('calls the handler for a shortcut and prevents the default action', () => {
+    const nextPost = jest.fn();
+    render(<Probe handlers={{ nextPost }} />);
+
+    const notCancelled = fireEvent.keyDown(document, { key: 'j' });
+
+    expect(nextPost).toHaveBeenCalledTimes(1);
+    expect(notCancelled).toBe(false);
+  });
+
+  it('leaves keys a component already handled alone', () => {
+    const nextPost = jest.fn();
+    render(<Probe handlers={{ nextPost }} />);
+    const handled = (e) => e.preventDefault();
+    document.body.addEventListener('keydown', handled);
+
+    fireEvent.keyDown(document.body, { key: 'j' });
+
+    expect(nextPost).not.toHaveBeenCalled();
+    document.body.removeEventListener('keydown', handled);
+  });
+
+  it('matches a sequence typed in time, and forgets it after the timeout', () => {
+    jest.useFakeTimers();
+    const goHome = jest.fn();
+    render(<Probe handlers={{ goHome }} />);
+
+    fireEvent.keyDown(document, { key: 'g' });
+    fireEvent.keyDown(document, { key: 'h' });
+    expect(goHome).toHaveBeenCalledTimes(1);
+
+    fireEvent.keyDown(document, { key: 'g' });
+    act(() => {
+      jest.advanceTimersByTime(SEQUENCE_TIMEOUT);
+    });
+    fireEvent.keyDown(document, { key: 'h' });
+    expect(goHome).toHaveBeenCalledTimes(1);
+  });
+
+  it('stops listening on unmount', () => {
+    const nextPost = jest.fn();
+    const { unmount } = render(<Probe handlers={{ nextPost }} />);
+
+    unmount();
+    fireEvent.keyDown(document, { key: 'j' });
+
+    expect(nextPost).not.toHaveBeenCalled();
+  });
+});
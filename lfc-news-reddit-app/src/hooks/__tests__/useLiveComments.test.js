@@ -0,0 +1,86 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the live match-thread polling hook.
+ *              WHY: Polling spends rate-limit budget, so it must stop when paused, hidden
+ *              or unmounted, and never run two polls at once.
+ */
+
+import React from 'react';
+import { render, act } from '@testing-library/react';
+import { useDispatch } from 'react-redux';
+import { useLiveComments, LIVE_POLL_INTERVAL } from '../useLiveComments';
+import { pollComments } from '../../redux/actions/comments';
+
+jest.mock('react-redux', () => ({
+  useDispatch: jest.fn()
+}));
+
+jest.mock('../../redux/actions/comments', () => ({
+  pollComments: jest.fn()
+}));
+
+const Probe = (props) => {
+  useLiveComments(props);
+  return null;
+};
+
+// Lets the awaited dispatch settle so the next poll is scheduled
+const flushPromises = () => act(() => Promise.resolve());
+
+describe('useLiveComments', () => {
+  const dispatch = jest.fn();
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    useDispatch.mockReturnValue(dispatch);
+    dispatch.mockResolvedValue(undefined);
+    pollComments.mockImplementation((postId, subreddit) => ({ type: 'poll', postId, subreddit }));
+    Object.defineProperty(document, 'hidden', { configurable: true, value: false });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should poll immediately and then on every interval', async () => {
+    render(<Probe postId="abc123" subreddit="LiverpoolFC" active />);
+    await flushPromises();
+
+    expect(pollComments).toHaveBeenCalledWith('abc123', 'LiverpoolFC');
+    expect(dispatch).toHaveBeenCalledTimes(1);
+
+    act(() => { jest.advanceTimersByTime(LIVE_POLL_INTERVAL); });
+    await flushPromises();
+
+    expect(dispatch).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not poll while inactive', async () => {
+    render(<Probe postId="abc123" subreddit="LiverpoolFC" active={false} />);
+    await flushPromises();
+    act(() => { jest.advanceTimersByTime(LIVE_POLL_INTERVAL * 2); });
+
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('should skip polls while the tab is hidden', async () => {
+    Object.defineProperty(document, 'hidden', { configurable: true, value: true });
+
+    render(<Probe postId="abc123" subreddit="LiverpoolFC" active />);
+    await flushPromises();
+
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  it('should stop polling on unmount', async () => {
+    const { unmount } = render(<Probe postId="abc123" subreddit="LiverpoolFC" active />);
+    await flushPromises();
+    unmount();
+
+    act(() => { jest.advanceTimersByTime(LIVE_POLL_INTERVAL * 2); });
+    await flushPromises();
+
+    expect(dispatch).toHaveBeenCalledTimes(1);
+  });
+});
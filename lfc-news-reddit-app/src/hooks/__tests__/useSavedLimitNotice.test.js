@@ -0,0 +1,49 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the saved posts limit toast hook.
+ *              WHY: A save refused at the limit must be explained, or the button just seems broken.
+ */
+
+import React from 'react';
+import { Provider } from 'react-redux';
+import { render, screen, act } from '@testing-library/react';
+import { ToastProvider } from '../../components/Toast';
+import { useSavedLimitNotice } from '../useSavedLimitNotice';
+import { savePost } from '../../redux/actions/saved';
+import savedReducer, { MAX_SAVED_POSTS } from '../../redux/reducers/saved';
+import { createTestStore } from '../../redux/testStore';
+
+const Probe = () => {
+  useSavedLimitNotice();
+  return null;
+};
+
+const renderProbe = (store) => render(
+  <Provider store={store}>
+    <ToastProvider>
+      <Probe />
+    </ToastProvider>
+  </Provider>
+);
+
+describe('useSavedLimitNotice', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should show a warning when a save is refused at the limit', () => {
+    const store = createTestStore({ saved: savedReducer });
+    Array.from({ length: MAX_SAVED_POSTS }, (_, i) => store.dispatch(savePost({ id: `p${i}`, title: `Post ${i}` })));
+    renderProbe(store);
+
+    expect(screen.queryByText(`You can save up to ${MAX_SAVED_POSTS} posts`)).not.toBeInTheDocument();
+
+    act(() => {
+      store.dispatch(savePost({ id: 'new', title: 'New post' }));
+    });
+
+    expect(screen.getByText(`You can save up to ${MAX_SAVED_POSTS} posts`)).toBeInTheDocument();
+    expect(screen.getByText('Remove a saved post to save this one.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the service worker update toast hook.
+ *              WHY: Installed users only pick up new builds if the waiting worker is
+ *              surfaced with a working Reload action.
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { ToastProvider } from '../../components/Toast';
+import { useServiceWorkerUpdate } from '../useServiceWorkerUpdate';
+import { onUpdateAvailable, applyUpdate } from '../../serviceWorkerRegistration';
+
+jest.mock('../../serviceWorkerRegistration', () => ({
+  onUpdateAvailable: jest.fn(),
+  applyUpdate: jest.fn()
+}));
+
+const Probe = () => {
+  useServiceWorkerUpdate();
+  return null;
+};
+
+describe('useServiceWorkerUpdate', () => {
+  let notify;
+  const unsubscribe = jest.fn();
+
+  beforeEach(() => {
+    // WHY mockImplementation here: CRA's resetMocks clears factory implementations
+    onUpdateAvailable.mockImplementation((listener) => {
+      notify = listener;
+      return unsubscribe;
+    });
+  });
+
+  it('should show a reload toast when an update is available', () => {
+    const registration = { waiting: {} };
+    render(
+      <ToastProvider>
+        <Probe />
+      </ToastProvider>
+    );
+
+    act(() => notify(registration));
+
+    expect(screen.getByText('A new version is available')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole('button', { name: 'Reload' }));
+    expect(applyUpdate).toHaveBeenCalledWith(registration);
+  });
+
+  it('should unsubscribe on unmount', () => {
+    const { unmount } = render(
+      <ToastProvider>
+        <Probe />
+      </ToastProvider>
+    );
+
+    unmount();
+
+    expect(unsubscribe).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,49 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description The one document-level listener behind the app's keyboard shortcuts.
+ *              Callers pass handlers keyed by shortcut id (see utils/shortcuts); only those
+ *              shortcuts are live, so context (feed, open post, dialog) is decided by the caller.
+ *              Keys a component already handled (defaultPrevented) are left alone.
+ */
+
+import { useEffect, useRef } from 'react';
+import { resolveShortcut, SEQUENCE_TIMEOUT } from '../utils/shortcuts';
+
+/**
+ * @param {Object<string, Function>} handlers - Shortcut id to handler, called with the key event
+ */
+export const useKeyboardShortcuts = (handlers) => {
+  // WHY refs: handlers change every render, but re-adding the listener would drop a pending "g"
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+  const pendingRef = useRef(null);
+
+  useEffect(() => {
+    let timer = null;
+
+    const handleKeyDown = (e) => {
+      if (e.defaultPrevented) return;
+
+      const { shortcut, pending } = resolveShortcut(e, pendingRef.current, Object.keys(handlersRef.current));
+      pendingRef.current = pending;
+      clearTimeout(timer);
+      if (pending) {
+        timer = setTimeout(() => {
+          pendingRef.current = null;
+        }, SEQUENCE_TIMEOUT);
+      }
+
+      if (shortcut) {
+        e.preventDefault();
+        handlersRef.current[shortcut.id](e);
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('keydown', handleKeyDown);
+      clearTimeout(timer);
+    };
+  }, []);
+};
@@ -0,0 +1,53 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Polls a thread's comments while live match-thread mode is active.
+ *              WHY setTimeout chaining instead of setInterval: the next poll is only scheduled
+ *              once the previous one finishes, so a slow proxy or a queued rate-limited request
+ *              can never stack polls on top of each other.
+ */
+
+import { useEffect } from 'react';
+import { useDispatch } from 'react-redux';
+import { pollComments } from '../redux/actions/comments';
+
+// WHY 30 seconds: fresh enough to follow a goal, and at 2 requests/minute it leaves most
+// of the 10 requests/minute rate limit for browsing
+export const LIVE_POLL_INTERVAL = 30000;
+
+/**
+ * @param {Object} options
+ * @param {string} [options.postId] - Post whose comments to poll
+ * @param {string} [options.subreddit] - Subreddit containing the post
+ * @param {boolean} options.active - Poll only while true (match thread, not paused, loaded)
+ */
+export const useLiveComments = ({ postId, subreddit, active }) => {
+  const dispatch = useDispatch();
+
+  useEffect(() => {
+    if (!active || !postId) return;
+
+    let cancelled = false;
+    let timer = null;
+
+    const tick = async () => {
+      // WHY: Don't spend rate-limit budget on a tab nobody is looking at
+      if (!document.hidden) {
+        await dispatch(pollComments(postId, subreddit));
+      }
+      if (!cancelled) {
+        timer = setTimeout(tick, LIVE_POLL_INTERVAL);
+      }
+    };
+
+    // Poll straight away so the thread switches to newest-first on open and on resume
+    tick();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [active, postId, subreddit, dispatch]);
+};
+
+export default useLiveComments;
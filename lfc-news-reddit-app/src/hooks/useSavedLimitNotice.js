@@ -0,0 +1,32 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Shows a warning toast whenever a save is refused because the saved posts
+ *              limit is reached.
+ *              WHY: Save is triggered from buttons and the 's' shortcut all over the app;
+ *              watching the store here means each of them gets the same explanation.
+ */
+
+import { useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { useToast } from './useToast';
+import { MAX_SAVED_POSTS } from '../redux/reducers/saved';
+
+/**
+ * Watches the saved slice for refused saves for the lifetime of the calling component
+ */
+export const useSavedLimitNotice = () => {
+  const { showToast } = useToast();
+  const refusedAt = useSelector(state => state.saved.refusedAt);
+
+  useEffect(() => {
+    if (!refusedAt) return;
+    showToast({
+      type: 'warning',
+      message: `You can save up to ${MAX_SAVED_POSTS} posts`,
+      secondary: 'Remove a saved post to save this one.'
+    });
+  }, [refusedAt, showToast]);
+};
+
+export default useSavedLimitNotice;
@@ -0,0 +1,39 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Shows a "new version available" toast when a new build's service worker
+ *              is waiting, with a Reload action that activates it.
+ *              WHY: A waiting worker only takes over once every tab closes, which an
+ *              installed PWA on a phone rarely does - users would never see fixes otherwise.
+ */
+
+import { useEffect } from 'react';
+import { useToast } from './useToast';
+import { onUpdateAvailable, applyUpdate } from '../serviceWorkerRegistration';
+
+// WHY 1 minute: long enough to notice, but the toast isn't urgent enough to stay forever
+const UPDATE_TOAST_DURATION = 60000;
+
+/**
+ * Subscribes to service worker updates for the lifetime of the calling component
+ */
+export const useServiceWorkerUpdate = () => {
+  const { showToast } = useToast();
+
+  useEffect(() => {
+    return onUpdateAvailable((registration) => {
+      showToast({
+        type: 'info',
+        message: 'A new version is available',
+        secondary: 'Reload to get the latest features and fixes.',
+        duration: UPDATE_TOAST_DURATION,
+        action: {
+          label: 'Reload',
+          onClick: () => applyUpdate(registration)
+        }
+      });
+    });
+  }, [showToast]);
+};
+
+export default useServiceWorkerUpdate;
@@ -0,0 +1,143 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Keeps the browser URL and Redux feed/post state in sync.
+ *              WHY: Lets the team share deep links to posts and filtered feeds, and makes
+ *              the browser back button close the post modal like any other page.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useDispatch, useSelector, useStore } from 'react-redux';
+import {
+  fetchPosts,
+  fetchPostDetails,
+  setCurrentPost,
+  clearCurrentPost,
+  setSortBy,
+  setTimeRange,
+  sortByViral,
+  clearFlairFilters,
+  toggleFlairFilter,
+  setMediaFilter,
+  clearMediaFilters
+} from '../redux/actions/posts';
+import { fetchComments, clearComments } from '../redux/actions/comments';
+import { parseRoute, buildUrl, specifiesListing } from '../utils/router';
+
+/**
+ * Hydrates state from the URL on mount and on popstate, then mirrors state changes back.
+ * Opening a post pushes a history entry (so Back closes it); filter changes replace the
+ * current entry so Back doesn't step through every filter tweak.
+ * Must be used once, near the root of the app, inside a Redux Provider.
+ */
+export const useUrlSync = () => {
+  const dispatch = useDispatch();
+  const store = useStore();
+  const { currentPost, sortBy, timeRange, activeFlairFilters, activeMediaFilter } = useSelector(state => state.posts);
+  const [hydrated, setHydrated] = useState(false);
+
+  // WHY: A deep-linked post has no currentPost until fetchPostDetails resolves, and the
+  // URL must not be rewritten back to the feed in the meantime
+  const pendingPostId = useRef(null);
+
+  /**
+   * @constructs - Applies the initial URL and listens for back/forward navigation
+   */
+  useEffect(() => {
+    const applyRoute = (route, initial) => {
+      const { posts, subreddits } = store.getState();
+
+      if (initial || route.sortBy !== posts.sortBy || route.timeRange !== posts.timeRange) {
+        dispatch(setSortBy(route.sortBy));
+        dispatch(setTimeRange(route.timeRange));
+
+        if (route.sortBy === 'viral') {
+          // WHY: Viral is a client-side re-sort of the hot listing, not a Reddit endpoint
+          Promise.resolve(dispatch(fetchPosts(subreddits.selected, 'hot', route.timeRange)))
+            .then(() => dispatch(sortByViral()));
+        } else {
+          dispatch(fetchPosts(subreddits.selected, route.sortBy, route.timeRange));
+        }
+      }
+
+      const flairsChanged = route.flairs.length !== posts.activeFlairFilters.length ||
+        route.flairs.some(flair => !posts.activeFlairFilters.includes(flair));
+      if (flairsChanged) {
+        dispatch(clearFlairFilters());
+        route.flairs.forEach(flair => dispatch(toggleFlairFilter(flair)));
+      }
+
+      if (route.media !== posts.activeMediaFilter) {
+        dispatch(route.media ? setMediaFilter(route.media) : clearMediaFilters());
+      }
+
+      if (route.postId && posts.currentPost?.id !== route.postId) {
+        const loadedPost = posts.items.find(post => post.id === route.postId);
+        if (loadedPost) {
+          dispatch(setCurrentPost(loadedPost));
+        } else {
+          pendingPostId.current = route.postId;
+          dispatch(fetchPostDetails(route.postId));
+        }
+        // WHY: A deep link doesn't say which subreddit the post is in; Reddit resolves it
+        dispatch(fetchComments(route.postId, loadedPost ? loadedPost.subreddit : null));
+      } else if (!route.postId && posts.currentPost) {
+        dispatch(clearCurrentPost());
+        dispatch(clearComments());
+      }
+    };
+
+    // WHY: A URL without a sort means the user's preferred listing; one with a sort is followed
+    // exactly, since links spell it out against the built-in defaults
+    const getRoute = () => {
+      const route = parseRoute(window.location);
+      if (specifiesListing(window.location)) return route;
+      const { settings } = store.getState();
+      return { ...route, sortBy: settings.defaultSort, timeRange: settings.defaultTimeRange };
+    };
+
+    applyRoute(getRoute(), true);
+    setHydrated(true);
+
+    const handlePopState = () => applyRoute(getRoute(), false);
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [dispatch, store]);
+
+  /**
+   * @listens currentPost, sortBy, timeRange, activeFlairFilters, activeMediaFilter
+   */
+  useEffect(() => {
+    if (!hydrated) return;
+
+    const urlRoute = parseRoute(window.location);
+    const postId = currentPost ? currentPost.id : null;
+
+    if (postId && postId === pendingPostId.current) {
+      pendingPostId.current = null;
+    }
+    if (!postId && urlRoute.postId && urlRoute.postId === pendingPostId.current) {
+      return;
+    }
+
+    const url = buildUrl({
+      postId,
+      sortBy,
+      timeRange,
+      flairs: activeFlairFilters,
+      media: activeMediaFilter
+    });
+    if (url === `${window.location.pathname}${window.location.search}`) return;
+
+    if (postId && !urlRoute.postId) {
+      window.history.pushState({ postOverlay: true }, '', url);
+    } else if (!postId && urlRoute.postId && window.history.state?.postOverlay) {
+      // WHY: Closing a post opened from the feed pops its entry so Forward can reopen it
+      window.history.back();
+    } else {
+      window.history.replaceState(window.history.state, '', url);
+    }
+  }, [hydrated, currentPost, sortBy, timeRange, activeFlairFilters, activeMediaFilter]);
+};
+
+export default useUrlSync;
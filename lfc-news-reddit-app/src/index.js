@@ -2,7 +2,8 @@
  * @author Tom Butler
  * @date 2025-10-22
  * @description Application entry point. Initialises React root with Redux provider,
- *              ToastProvider for notifications, and strict mode.
+ *              ToastProvider for notifications, and strict mode, then registers the
+ *              service worker for offline support.
  */
 
 import React from 'react';
@@ -13,6 +14,7 @@ import App from './App';
 import store from './redux/store';
 import { ToastProvider } from './components/Toast';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -25,4 +27,6 @@ root.render(
   </React.StrictMode>
 );
 
+serviceWorkerRegistration.register();
+
 reportWebVitals();
@@ -0,0 +1,111 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for the author profile actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Profiles load over several requests, so a slow response for one author must not
+ *   show up in the panel of the next author opened
+ * - Errors must reach the panel so it can offer a retry
+ */
+
+import configureMockStore from 'redux-mock-store';
+import thunk from 'redux-thunk';
+import * as actions from '../actions/authorProfile';
+import * as types from '../actions/types';
+import authorProfileReducer from '../reducers/authorProfile';
+import * as api from '../../utils/api';
+
+const mockStore = configureMockStore([thunk]);
+
+jest.mock('../../utils/api');
+
+const profile = { username: 'ITK_Scouser', created: 1600000000, posts: [], comments: [] };
+
+describe('Author Profile Actions', () => {
+  it('should dispatch REQUEST and SUCCESS with the author being loaded', async () => {
+    api.fetchAuthorProfile.mockResolvedValueOnce(profile);
+    const store = mockStore({});
+
+    await store.dispatch(actions.openAuthorProfile('ITK_Scouser'));
+
+    expect(api.fetchAuthorProfile).toHaveBeenCalledWith('ITK_Scouser');
+    expect(store.getActions()).toEqual([
+      { type: types.FETCH_AUTHOR_PROFILE_REQUEST, meta: { username: 'ITK_Scouser' } },
+      { type: types.FETCH_AUTHOR_PROFILE_SUCCESS, payload: profile, meta: { username: 'ITK_Scouser' } }
+    ]);
+  });
+
+  it('should dispatch FAILURE with the error message', async () => {
+    api.fetchAuthorProfile.mockRejectedValueOnce(new Error('Rate limit exceeded'));
+    const store = mockStore({});
+
+    await store.dispatch(actions.openAuthorProfile('ITK_Scouser'));
+
+    expect(store.getActions()[1]).toEqual({
+      type: types.FETCH_AUTHOR_PROFILE_FAILURE,
+      payload: 'Rate limit exceeded',
+      meta: { username: 'ITK_Scouser' }
+    });
+  });
+});
+
+describe('Author Profile Reducer', () => {
+  const request = (username) => ({ type: types.FETCH_AUTHOR_PROFILE_REQUEST, meta: { username } });
+
+  it('should start closed', () => {
+    expect(authorProfileReducer(undefined, { type: '@@INIT' })).toEqual({
+      username: null,
+      profile: null,
+      loading: false,
+      error: null
+    });
+  });
+
+  it('should open the panel loading, then show the profile', () => {
+    let state = authorProfileReducer(undefined, request('ITK_Scouser'));
+    expect(state).toMatchObject({ username: 'ITK_Scouser', loading: true, profile: null });
+
+    state = authorProfileReducer(state, {
+      type: types.FETCH_AUTHOR_PROFILE_SUCCESS,
+      payload: profile,
+      meta: { username: 'ITK_Scouser' }
+    });
+    expect(state).toMatchObject({ username: 'ITK_Scouser', loading: false, profile });
+  });
+
+  it('should store the error for a retry', () => {
+    const state = authorProfileReducer(authorProfileReducer(undefined, request('ITK_Scouser')), {
+      type: types.FETCH_AUTHOR_PROFILE_FAILURE,
+      payload: 'Rate limit exceeded',
+      meta: { username: 'ITK_Scouser' }
+    });
+
+    expect(state).toMatchObject({ loading: false, error: 'Rate limit exceeded' });
+  });
+
+  it('should ignore responses for an author no longer shown', () => {
+    let state = authorProfileReducer(undefined, request('ITK_Scouser'));
+    state = authorProfileReducer(state, request('Kopite'));
+    state = authorProfileReducer(state, {
+      type: types.FETCH_AUTHOR_PROFILE_SUCCESS,
+      payload: profile,
+      meta: { username: 'ITK_Scouser' }
+    });
+
+    expect(state).toMatchObject({ username: 'Kopite', loading: true, profile: null });
+    expect(authorProfileReducer(state, actions.closeAuthorProfile()).username).toBeNull();
+  });
+
+  it('should ignore a response that lands after the panel was closed', () => {
+    const closed = authorProfileReducer(authorProfileReducer(undefined, request('ITK_Scouser')), actions.closeAuthorProfile());
+
+    const state = authorProfileReducer(closed, {
+      type: types.FETCH_AUTHOR_PROFILE_FAILURE,
+      payload: 'Rate limit exceeded',
+      meta: { username: 'ITK_Scouser' }
+    });
+
+    expect(state).toBe(closed);
+  });
+});
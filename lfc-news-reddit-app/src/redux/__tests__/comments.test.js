@@ -13,7 +13,7 @@ import configureMockStore from 'redux-mock-store';
 import thunk from 'redux-thunk';
 import * as actions from '../actions/comments';
 import * as types from '../actions/types';
-import commentsReducer from '../reducers/comments';
+import commentsReducer, { selectThread, MAX_CACHED_THREADS } from '../reducers/comments';
 import * as api from '../../utils/api';
 
 // Configure mock store with thunk middleware
@@ -52,10 +52,11 @@ describe('Comments Actions', () => {
         await store.dispatch(actions.fetchComments('abc123'));
 
         const dispatchedActions = store.getActions();
-        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_COMMENTS_REQUEST });
+        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_COMMENTS_REQUEST, meta: { postId: 'abc123' } });
         expect(dispatchedActions[1]).toEqual({
           type: types.FETCH_COMMENTS_SUCCESS,
-          payload: mockComments
+          payload: mockComments,
+          meta: { postId: 'abc123' }
         });
       });
 
@@ -67,10 +68,11 @@ describe('Comments Actions', () => {
         await store.dispatch(actions.fetchComments('abc123'));
 
         const dispatchedActions = store.getActions();
-        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_COMMENTS_REQUEST });
+        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_COMMENTS_REQUEST, meta: { postId: 'abc123' } });
         expect(dispatchedActions[1]).toEqual({
           type: types.FETCH_COMMENTS_FAILURE,
-          payload: errorMessage
+          payload: errorMessage,
+          meta: { postId: 'abc123' }
         });
       });
 
@@ -80,7 +82,25 @@ describe('Comments Actions', () => {
         const store = mockStore({});
         await store.dispatch(actions.fetchComments('xyz789'));
 
-        expect(api.fetchComments).toHaveBeenCalledWith('xyz789');
+        expect(api.fetchComments).toHaveBeenCalledWith('xyz789', null, { sort: undefined });
+      });
+
+      it('should fetch from the post\'s own subreddit', async () => {
+        api.fetchComments.mockResolvedValueOnce([]);
+
+        const store = mockStore({});
+        await store.dispatch(actions.fetchComments('xyz789', 'soccer'));
+
+        expect(api.fetchComments).toHaveBeenCalledWith('xyz789', 'soccer', { sort: undefined });
+      });
+
+      it('should request comments in the chosen sort', async () => {
+        api.fetchComments.mockResolvedValueOnce([]);
+
+        const store = mockStore({ comments: { sort: 'top' } });
+        await store.dispatch(actions.fetchComments('xyz789'));
+
+        expect(api.fetchComments).toHaveBeenCalledWith('xyz789', null, { sort: 'top' });
       });
 
       it('should handle empty comments response', async () => {
@@ -92,7 +112,8 @@ describe('Comments Actions', () => {
         const dispatchedActions = store.getActions();
         expect(dispatchedActions[1]).toEqual({
           type: types.FETCH_COMMENTS_SUCCESS,
-          payload: []
+          payload: [],
+          meta: { postId: 'abc123' }
         });
       });
 
@@ -116,59 +137,248 @@ describe('Comments Actions', () => {
         expect(dispatchedActions[1].payload).toEqual(nestedComments);
       });
     });
+
+    describe('loadMoreComments', () => {
+      const store = () => mockStore({ posts: { currentPost: { id: 'abc123' } }, comments: { sort: 'top' } });
+      const stub = { id: 'more_t1_c1', isMore: true, parentId: 't1_c1', count: 2, children: ['r1', 'r2'], level: 1 };
+
+      it('should load stub ids through morechildren and splice them in', async () => {
+        const loaded = [{ id: 'r1', replies: [] }, { id: 'r2', replies: [] }];
+        api.fetchMoreComments.mockResolvedValueOnce(loaded);
+
+        const mock = store();
+        await mock.dispatch(actions.loadMoreComments('abc123', 'LiverpoolFC', stub));
+
+        expect(api.fetchMoreComments).toHaveBeenCalledWith('abc123', ['r1', 'r2'], { sort: 'top' });
+        expect(mock.getActions()).toEqual([
+          { type: types.FETCH_MORE_COMMENTS_REQUEST, payload: { stubId: 'more_t1_c1' }, meta: { postId: 'abc123' } },
+          {
+            type: types.FETCH_MORE_COMMENTS_SUCCESS,
+            payload: { stubId: 'more_t1_c1', comments: loaded, remaining: null },
+            meta: { postId: 'abc123' }
+          }
+        ]);
+      });
+
+      it('should keep ids beyond the batch limit in a remaining stub', async () => {
+        api.fetchMoreComments.mockResolvedValueOnce([]);
+        const ids = Array.from({ length: 130 }, (_, i) => `r${i}`);
+
+        const mock = store();
+        await mock.dispatch(actions.loadMoreComments('abc123', 'LiverpoolFC', { ...stub, children: ids, count: 130 }));
+
+        expect(api.fetchMoreComments.mock.calls[0][1]).toHaveLength(100);
+        const { remaining } = mock.getActions()[1].payload;
+        expect(remaining.children).toEqual(ids.slice(100));
+        expect(remaining.count).toBe(30);
+      });
+
+      it('should open the parent permalink for continue-thread stubs', async () => {
+        api.fetchCommentThread.mockResolvedValueOnce([]);
+
+        const mock = store();
+        await mock.dispatch(actions.loadMoreComments('abc123', 'LiverpoolFC', { ...stub, children: [], count: 0 }));
+
+        expect(api.fetchCommentThread).toHaveBeenCalledWith('abc123', 'c1', 'LiverpoolFC', { sort: 'top' });
+        expect(api.fetchMoreComments).not.toHaveBeenCalled();
+      });
+
+      it('should dispatch FETCH_MORE_COMMENTS_FAILURE on error', async () => {
+        api.fetchMoreComments.mockRejectedValueOnce(new Error('Network error'));
+
+        const mock = store();
+        await mock.dispatch(actions.loadMoreComments('abc123', 'LiverpoolFC', stub));
+
+        expect(mock.getActions()[1]).toEqual({
+          type: types.FETCH_MORE_COMMENTS_FAILURE,
+          payload: { stubId: 'more_t1_c1', error: 'Network error' },
+          meta: { postId: 'abc123' }
+        });
+      });
+    });
+
+    describe('setCommentSort', () => {
+      afterEach(() => {
+        localStorage.clear();
+      });
+
+      it('should remember the sort and refetch the open post', async () => {
+        api.fetchComments.mockResolvedValueOnce([]);
+
+        const store = mockStore({ comments: { sort: 'new' } });
+        await store.dispatch(actions.setCommentSort('new', 'abc123', 'LiverpoolFC'));
+
+        const dispatchedActions = store.getActions();
+        expect(dispatchedActions[0]).toEqual({ type: types.SET_COMMENT_SORT, payload: 'new' });
+        expect(dispatchedActions[1]).toEqual({ type: types.FETCH_COMMENTS_REQUEST, meta: { postId: 'abc123' } });
+        expect(api.fetchComments).toHaveBeenCalledWith('abc123', 'LiverpoolFC', { sort: 'new' });
+        expect(localStorage.getItem('lfc-comment-sort')).toBe('new');
+      });
+
+      it('should not fetch without an open post', () => {
+        const store = mockStore({});
+        store.dispatch(actions.setCommentSort('old'));
+
+        expect(store.getActions()).toEqual([{ type: types.SET_COMMENT_SORT, payload: 'old' }]);
+        expect(api.fetchComments).not.toHaveBeenCalled();
+      });
+
+      it('should still change the sort when storage is full', () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+          throw new Error('QuotaExceededError');
+        });
+
+        const store = mockStore({});
+        store.dispatch(actions.setCommentSort('top'));
+
+        expect(store.getActions()).toEqual([{ type: types.SET_COMMENT_SORT, payload: 'top' }]);
+        expect(console.warn).toHaveBeenCalled();
+        Storage.prototype.setItem.mockRestore();
+      });
+    });
+
+    describe('prefetchComments', () => {
+      it('should file the thread without a request action', async () => {
+        const mockComments = [{ id: 'c1', body: 'Next one' }];
+        api.fetchComments.mockResolvedValueOnce(mockComments);
+
+        const store = mockStore({ comments: { byPostId: {}, sort: 'top' } });
+        await store.dispatch(actions.prefetchComments('next1', 'LiverpoolFC'));
+
+        expect(api.fetchComments).toHaveBeenCalledWith('next1', 'LiverpoolFC', { sort: 'top' });
+        expect(store.getActions()).toEqual([
+          { type: types.FETCH_COMMENTS_SUCCESS, payload: mockComments, meta: { postId: 'next1' } }
+        ]);
+      });
+
+      it('should skip threads that are already stored', async () => {
+        const store = mockStore({ comments: { byPostId: { next1: [] }, sort: 'top' } });
+        await store.dispatch(actions.prefetchComments('next1'));
+
+        expect(api.fetchComments).not.toHaveBeenCalled();
+        expect(store.getActions()).toEqual([]);
+      });
+
+      it('should ignore failures', async () => {
+        api.fetchComments.mockRejectedValueOnce(new Error('Rate limited'));
+
+        const store = mockStore({ comments: { byPostId: {}, sort: 'top' } });
+        await store.dispatch(actions.prefetchComments('next1'));
+
+        expect(store.getActions()).toEqual([]);
+      });
+    });
+
+    describe('pollComments', () => {
+      it('should fetch newest-first, bypassing the cache', async () => {
+        api.fetchComments.mockResolvedValueOnce([]);
+
+        const store = mockStore({ posts: { currentPost: { id: 'abc123' } } });
+        await store.dispatch(actions.pollComments('abc123', 'LiverpoolFC'));
+
+        expect(api.fetchComments).toHaveBeenCalledWith('abc123', 'LiverpoolFC', { sort: 'new', fresh: true });
+      });
+
+      it('should dispatch POLL_COMMENTS_SUCCESS with the poll time', async () => {
+        const mockComments = [{ id: 'c1', body: 'Goal!' }];
+        api.fetchComments.mockResolvedValueOnce(mockComments);
+
+        const store = mockStore({ posts: { currentPost: { id: 'abc123' } } });
+        await store.dispatch(actions.pollComments('abc123'));
+
+        const dispatchedActions = store.getActions();
+        expect(dispatchedActions[0]).toEqual({ type: types.POLL_COMMENTS_REQUEST, meta: { postId: 'abc123' } });
+        expect(dispatchedActions[1].type).toBe(types.POLL_COMMENTS_SUCCESS);
+        expect(dispatchedActions[1].payload).toEqual(mockComments);
+        expect(dispatchedActions[1].meta).toEqual({ postId: 'abc123', polledAt: expect.any(Number) });
+      });
+
+      it('should dispatch POLL_COMMENTS_FAILURE on error', async () => {
+        api.fetchComments.mockRejectedValueOnce(new Error('Rate limited'));
+
+        const store = mockStore({ posts: { currentPost: { id: 'abc123' } } });
+        await store.dispatch(actions.pollComments('abc123'));
+
+        expect(store.getActions()[1]).toEqual({
+          type: types.POLL_COMMENTS_FAILURE,
+          payload: 'Rate limited',
+          meta: { postId: 'abc123' }
+        });
+      });
+    });
   });
 });
 
 describe('Comments Reducer', () => {
   const initialState = {
-    items: [],
+    byPostId: {},
+    postId: null,
     loading: false,
-    error: null
+    error: null,
+    sort: 'confidence',
+    newCommentIds: [],
+    polling: false,
+    pollError: null,
+    lastPolled: null
   };
+  const meta = { postId: 'abc123' };
+
+  // State with a thread stored for the open post
+  const withThread = (items, overrides = {}) => ({
+    ...initialState,
+    byPostId: { abc123: items },
+    postId: 'abc123',
+    ...overrides
+  });
 
   it('should return initial state', () => {
     expect(commentsReducer(undefined, {})).toEqual(initialState);
   });
 
+  describe('selectThread', () => {
+    it('should return the stored thread for a post', () => {
+      const items = [{ id: 'c1' }];
+      expect(selectThread(withThread(items), 'abc123')).toBe(items);
+    });
+
+    it('should return a stable empty list for unknown posts', () => {
+      expect(selectThread(initialState, 'missing')).toEqual([]);
+      expect(selectThread(initialState, 'missing')).toBe(selectThread(initialState, undefined));
+    });
+  });
+
   describe('FETCH_COMMENTS_REQUEST', () => {
     it('should set loading to true and clear error', () => {
-      const prevState = {
-        items: [],
-        loading: false,
-        error: 'Previous error'
-      };
+      const prevState = { ...initialState, error: 'Previous error' };
 
       const newState = commentsReducer(prevState, {
-        type: types.FETCH_COMMENTS_REQUEST
+        type: types.FETCH_COMMENTS_REQUEST,
+        meta
       });
 
+      expect(newState.postId).toBe('abc123');
       expect(newState.loading).toBe(true);
       expect(newState.error).toBeNull();
     });
 
-    it('should preserve existing items while loading', () => {
+    it('should show a stored thread straight away instead of loading', () => {
       const existingComments = [{ id: 'c1', body: 'Existing' }];
-      const prevState = {
-        items: existingComments,
-        loading: false,
-        error: null
-      };
+      const prevState = { ...withThread(existingComments), postId: null };
 
       const newState = commentsReducer(prevState, {
-        type: types.FETCH_COMMENTS_REQUEST
+        type: types.FETCH_COMMENTS_REQUEST,
+        meta
       });
 
-      expect(newState.items).toEqual(existingComments);
+      expect(newState.byPostId.abc123).toEqual(existingComments);
+      expect(newState.loading).toBe(false);
     });
   });
 
   describe('FETCH_COMMENTS_SUCCESS', () => {
-    it('should set items and clear loading', () => {
-      const prevState = {
-        items: [],
-        loading: true,
-        error: null
-      };
+    it('should store the thread and clear loading', () => {
+      const prevState = { ...initialState, postId: 'abc123', loading: true };
 
       const newComments = [
         { id: 'c1', body: 'Comment 1' },
@@ -177,105 +387,149 @@ describe('Comments Reducer', () => {
 
       const newState = commentsReducer(prevState, {
         type: types.FETCH_COMMENTS_SUCCESS,
-        payload: newComments
+        payload: newComments,
+        meta
       });
 
-      expect(newState.items).toEqual(newComments);
+      expect(newState.byPostId.abc123).toEqual(newComments);
       expect(newState.loading).toBe(false);
       expect(newState.error).toBeNull();
     });
 
-    it('should replace existing items', () => {
-      const prevState = {
-        items: [{ id: 'old', body: 'Old comment' }],
-        loading: true,
-        error: null
-      };
+    it('should replace the post\'s existing thread', () => {
+      const prevState = withThread([{ id: 'old', body: 'Old comment' }], { loading: true });
 
       const newComments = [{ id: 'new', body: 'New comment' }];
 
       const newState = commentsReducer(prevState, {
         type: types.FETCH_COMMENTS_SUCCESS,
-        payload: newComments
+        payload: newComments,
+        meta
       });
 
-      expect(newState.items).toEqual(newComments);
-      expect(newState.items).not.toContainEqual({ id: 'old', body: 'Old comment' });
+      expect(newState.byPostId.abc123).toEqual(newComments);
+      expect(newState.byPostId.abc123).not.toContainEqual({ id: 'old', body: 'Old comment' });
     });
 
     it('should handle empty comments array', () => {
-      const prevState = {
-        items: [{ id: 'c1', body: 'Existing' }],
-        loading: true,
-        error: null
-      };
+      const prevState = withThread([{ id: 'c1', body: 'Existing' }], { loading: true });
 
       const newState = commentsReducer(prevState, {
         type: types.FETCH_COMMENTS_SUCCESS,
-        payload: []
+        payload: [],
+        meta
       });
 
-      expect(newState.items).toEqual([]);
+      expect(newState.byPostId.abc123).toEqual([]);
       expect(newState.loading).toBe(false);
     });
+
+    it('should file a late response under its own post without touching the open one', () => {
+      const prevState = withThread([{ id: 'c1' }], { postId: 'other', loading: true });
+
+      const newState = commentsReducer(prevState, {
+        type: types.FETCH_COMMENTS_SUCCESS,
+        payload: [{ id: 'late' }],
+        meta
+      });
+
+      expect(newState.byPostId.abc123).toEqual([{ id: 'late' }]);
+      expect(newState.postId).toBe('other');
+      expect(newState.loading).toBe(true);
+    });
+
+    it('should evict the least recently stored threads beyond the limit', () => {
+      const byPostId = {};
+      for (let i = 0; i < MAX_CACHED_THREADS; i++) {
+        byPostId[`p${i}`] = [];
+      }
+      const prevState = { ...initialState, byPostId, postId: 'p0' };
+
+      const newState = commentsReducer(prevState, {
+        type: types.FETCH_COMMENTS_SUCCESS,
+        payload: [],
+        meta
+      });
+
+      expect(Object.keys(newState.byPostId)).toHaveLength(MAX_CACHED_THREADS);
+      // WHY p0 survives: it's the open post
+      expect(newState.byPostId).toHaveProperty('p0');
+      expect(newState.byPostId).not.toHaveProperty('p1');
+      expect(newState.byPostId).toHaveProperty('abc123');
+    });
   });
 
   describe('FETCH_COMMENTS_FAILURE', () => {
     it('should set error and clear loading', () => {
-      const prevState = {
-        items: [],
-        loading: true,
-        error: null
-      };
+      const prevState = { ...initialState, postId: 'abc123', loading: true };
 
       const newState = commentsReducer(prevState, {
         type: types.FETCH_COMMENTS_FAILURE,
-        payload: 'Network error'
+        payload: 'Network error',
+        meta
       });
 
       expect(newState.error).toBe('Network error');
       expect(newState.loading).toBe(false);
     });
 
-    it('should preserve existing items on failure', () => {
+    it('should preserve the existing thread on failure', () => {
       const existingComments = [{ id: 'c1', body: 'Existing' }];
-      const prevState = {
-        items: existingComments,
-        loading: true,
-        error: null
-      };
+      const prevState = withThread(existingComments, { loading: true });
 
       const newState = commentsReducer(prevState, {
         type: types.FETCH_COMMENTS_FAILURE,
-        payload: 'Error'
+        payload: 'Error',
+        meta
       });
 
-      expect(newState.items).toEqual(existingComments);
+      expect(newState.byPostId.abc123).toEqual(existingComments);
+    });
+
+    it('should ignore a failure for a post that is no longer open', () => {
+      const prevState = withThread([], { postId: 'other', loading: true });
+
+      const newState = commentsReducer(prevState, {
+        type: types.FETCH_COMMENTS_FAILURE,
+        payload: 'Error',
+        meta
+      });
+
+      expect(newState).toBe(prevState);
     });
   });
 
   describe('CLEAR_COMMENTS', () => {
-    it('should clear items and error', () => {
-      const prevState = {
-        items: [{ id: 'c1', body: 'Comment' }],
-        loading: false,
-        error: 'Some error'
-      };
+    it('should close the thread and clear error, keeping it stored', () => {
+      const prevState = withThread([{ id: 'c1', body: 'Comment' }], { error: 'Some error' });
 
       const newState = commentsReducer(prevState, {
         type: types.CLEAR_COMMENTS
       });
 
-      expect(newState.items).toEqual([]);
+      expect(newState.postId).toBeNull();
       expect(newState.error).toBeNull();
+      expect(newState.byPostId.abc123).toEqual([{ id: 'c1', body: 'Comment' }]);
+    });
+
+    it('should reset live match-thread state', () => {
+      const prevState = withThread([{ id: 'c1' }], {
+        newCommentIds: ['c1'],
+        pollError: 'Network error',
+        lastPolled: 1234
+      });
+
+      const newState = commentsReducer(prevState, {
+        type: types.CLEAR_COMMENTS
+      });
+
+      expect(newState.newCommentIds).toEqual([]);
+      expect(newState.pollError).toBeNull();
+      expect(newState.lastPolled).toBeNull();
     });
 
     it('should not change loading state', () => {
-      const prevState = {
-        items: [{ id: 'c1' }],
-        loading: true,
-        error: null
-      };
+      const prevState = withThread([{ id: 'c1' }], { loading: true });
 
       const newState = commentsReducer(prevState, {
         type: types.CLEAR_COMMENTS
@@ -285,13 +539,246 @@ describe('Comments Reducer', () => {
     });
   });
 
+  describe('SET_COMMENT_SORT', () => {
+    it('should set the comment sort', () => {
+      const newState = commentsReducer(initialState, {
+        type: types.SET_COMMENT_SORT,
+        payload: 'qa'
+      });
+
+      expect(newState.sort).toBe('qa');
+    });
+  });
+
+  describe('FETCH_MORE_COMMENTS', () => {
+    const stub = { id: 'more_t1_c1', isMore: true, parentId: 't1_c1', count: 2, children: ['r2', 'r3'], level: 1, replies: [] };
+    const thread = [
+      { id: 'c1', level: 0, replies: [{ id: 'r1', level: 1, replies: [] }, stub] },
+      { id: 'c2', level: 0, replies: [] }
+    ];
+
+    it('should mark the stub as loading', () => {
+      const newState = commentsReducer(withThread(thread), {
+        type: types.FETCH_MORE_COMMENTS_REQUEST,
+        payload: { stubId: 'more_t1_c1' },
+        meta
+      });
+
+      const items = newState.byPostId.abc123;
+      expect(items[0].replies[1].loading).toBe(true);
+      // WHY: Untouched branches keep their identity so memoised rows don't re-render
+      expect(items[1]).toBe(thread[1]);
+    });
+
+    it('should replace the stub with the loaded comments at its depth', () => {
+      const loaded = [
+        { id: 'r2', level: 0, replies: [{ id: 'r2a', level: 1, replies: [] }] },
+        { id: 'r3', level: 0, replies: [] }
+      ];
+
+      const newState = commentsReducer(withThread(thread), {
+        type: types.FETCH_MORE_COMMENTS_SUCCESS,
+        payload: { stubId: 'more_t1_c1', comments: loaded, remaining: null },
+        meta
+      });
+
+      const replies = newState.byPostId.abc123[0].replies;
+      expect(replies.map(reply => reply.id)).toEqual(['r1', 'r2', 'r3']);
+      expect(replies[1].level).toBe(1);
+      expect(replies[1].replies[0].level).toBe(2);
+    });
+
+    it('should keep a stub for ids that are still unloaded', () => {
+      const remaining = { ...stub, children: ['r3'], count: 1 };
+
+      const newState = commentsReducer(withThread(thread), {
+        type: types.FETCH_MORE_COMMENTS_SUCCESS,
+        payload: { stubId: 'more_t1_c1', comments: [{ id: 'r2', level: 0, replies: [] }], remaining },
+        meta
+      });
+
+      const replies = newState.byPostId.abc123[0].replies;
+      expect(replies.map(reply => reply.id)).toEqual(['r1', 'r2', 'more_t1_c1']);
+      expect(replies[2]).toMatchObject({ children: ['r3'], count: 1, loading: false });
+    });
+
+    it('should record the error on the stub', () => {
+      const newState = commentsReducer(withThread(thread), {
+        type: types.FETCH_MORE_COMMENTS_FAILURE,
+        payload: { stubId: 'more_t1_c1', error: 'Network error' },
+        meta
+      });
+
+      expect(newState.byPostId.abc123[0].replies[1]).toMatchObject({ loading: false, error: 'Network error' });
+    });
+
+    it('should leave the tree alone when the stub is gone', () => {
+      const prevState = withThread(thread);
+
+      const newState = commentsReducer(prevState, {
+        type: types.FETCH_MORE_COMMENTS_SUCCESS,
+        payload: { stubId: 'more_t1_missing', comments: [], remaining: null },
+        meta
+      });
+
+      expect(newState).toBe(prevState);
+    });
+
+    it('should splice into the stub\'s own post even after switching posts', () => {
+      const prevState = withThread(thread, { postId: 'other' });
+
+      const newState = commentsReducer(prevState, {
+        type: types.FETCH_MORE_COMMENTS_SUCCESS,
+        payload: { stubId: 'more_t1_c1', comments: [], remaining: null },
+        meta
+      });
+
+      expect(newState.byPostId.abc123[0].replies.map(reply => reply.id)).toEqual(['r1']);
+    });
+  });
+
+  describe('POLL_COMMENTS', () => {
+    const thread = [
+      { id: 'c1', body: 'Parent', replies: [{ id: 'r1', body: 'Reply', replies: [] }] }
+    ];
+
+    it('should set polling without touching the thread on request', () => {
+      const prevState = withThread(thread);
+
+      const newState = commentsReducer(prevState, { type: types.POLL_COMMENTS_REQUEST, meta });
+
+      expect(newState.polling).toBe(true);
+      expect(newState.byPostId.abc123).toBe(thread);
+    });
+
+    it('should mark comments and replies not seen before as new', () => {
+      const prevState = withThread(thread);
+      const polled = [
+        { id: 'c2', body: 'New', replies: [] },
+        { id: 'c1', body: 'Parent', replies: [
+          { id: 'r1', body: 'Reply', replies: [] },
+          { id: 'r2', body: 'New reply', replies: [] }
+        ] }
+      ];
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: polled,
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      expect(newState.byPostId.abc123).toEqual(polled);
+      expect(newState.newCommentIds).toEqual(['c2', 'r2']);
+      expect(newState.polling).toBe(false);
+      expect(newState.lastPolled).toBe(1234);
+    });
+
+    it('should keep replies loaded from a stub that the poll folds away again', () => {
+      const prevState = withThread([
+        { id: 'c1', level: 0, replies: [
+          { id: 'r1', level: 1, replies: [] },
+          { id: 'r2', level: 1, replies: [{ id: 'r2a', level: 2, replies: [] }] },
+          { id: 'more_t1_c1', isMore: true, parentId: 't1_c1', count: 1, children: ['r4'], level: 1, replies: [] }
+        ] },
+        { id: 'c2', level: 0, replies: [{ id: 'r5', level: 1, replies: [] }] }
+      ]);
+      const polled = [
+        { id: 'c3', level: 0, replies: [] },
+        { id: 'c1', level: 0, replies: [
+          { id: 'r1', level: 1, replies: [] },
+          { id: 'more_t1_c1', isMore: true, parentId: 't1_c1', count: 4, children: ['r2', 'r2a', 'r4', 'r6'], level: 1, replies: [] }
+        ] },
+        { id: 'c2', level: 0, replies: [
+          { id: 'more_t1_c2', isMore: true, parentId: 't1_c2', count: 0, children: [], level: 1, replies: [] }
+        ] }
+      ];
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: polled,
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      const [, c1, c2] = newState.byPostId.abc123;
+      expect(c1.replies.map(reply => reply.id)).toEqual(['r1', 'r2', 'more_t1_c1']);
+      expect(c1.replies[1].replies[0].id).toBe('r2a');
+      expect(c1.replies[2]).toMatchObject({ children: ['r4', 'r6'], count: 2 });
+      // A followed "continue this thread" link stays expanded
+      expect(c2.replies.map(reply => reply.id)).toEqual(['r5']);
+      expect(newState.newCommentIds).toEqual(['c3']);
+    });
+
+    it('should not count a new load-more stub as a new comment', () => {
+      const prevState = withThread([{ id: 'c1', level: 0, replies: [] }]);
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: [
+          { id: 'c2', level: 0, replies: [] },
+          { id: 'c1', level: 0, replies: [
+            { id: 'more_t1_c1', isMore: true, parentId: 't1_c1', count: 3, children: ['r1', 'r2', 'r3'], level: 1, replies: [] }
+          ] }
+        ],
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      expect(newState.newCommentIds).toEqual(['c2']);
+    });
+
+    it('should not highlight anything when no comments were shown before', () => {
+      const newState = commentsReducer({ ...initialState, postId: 'abc123' }, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: thread,
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      expect(newState.newCommentIds).toEqual([]);
+    });
+
+    it('should only store a poll that lands after switching posts', () => {
+      const prevState = withThread(thread, { postId: 'other', newCommentIds: ['x1'] });
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: [{ id: 'c9', replies: [] }],
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      expect(newState.byPostId.abc123).toEqual([{ id: 'c9', replies: [] }]);
+      expect(newState.newCommentIds).toEqual(['x1']);
+      expect(newState.lastPolled).toBeNull();
+    });
+
+    it('should keep the last good thread on failure', () => {
+      const prevState = withThread(thread, { polling: true });
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_FAILURE,
+        payload: 'Network error',
+        meta
+      });
+
+      expect(newState.byPostId.abc123).toBe(thread);
+      expect(newState.pollError).toBe('Network error');
+      expect(newState.polling).toBe(false);
+    });
+
+    it('should clear the poll error after a successful poll', () => {
+      const prevState = withThread(thread, { pollError: 'Network error' });
+
+      const newState = commentsReducer(prevState, {
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: thread,
+        meta: { ...meta, polledAt: 1234 }
+      });
+
+      expect(newState.pollError).toBeNull();
+    });
+  });
+
   describe('Unknown actions', () => {
     it('should return current state for unknown action', () => {
-      const prevState = {
-        items: [{ id: 'c1' }],
-        loading: false,
-        error: null
-      };
+      const prevState = withThread([{ id: 'c1' }]);
 
       const newState = commentsReducer(prevState, {
         type: 'UNKNOWN_ACTION'
@@ -0,0 +1,82 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for the content policy Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - The policy must survive reloads, or NSFW media flashes up on the next visit
+ * - Non-NSFW posts must never be affected by the policy
+ */
+
+import { setNsfwPolicy } from '../actions/contentPolicy';
+import contentPolicyReducer, { NSFW_POLICY_STORAGE_KEY } from '../reducers/contentPolicy';
+import { getMediaPolicy, DEFAULT_NSFW_POLICY } from '../../utils/contentPolicy';
+import { createTestStore } from '../testStore';
+
+describe('Content Policy Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should persist a valid policy', () => {
+    const store = createTestStore({ contentPolicy: contentPolicyReducer });
+
+    store.dispatch(setNsfwPolicy('hide'));
+
+    expect(store.getState().contentPolicy.nsfw).toBe('hide');
+    expect(localStorage.getItem(NSFW_POLICY_STORAGE_KEY)).toBe('hide');
+  });
+
+  it('should ignore unknown policies', () => {
+    const store = createTestStore({ contentPolicy: contentPolicyReducer });
+
+    store.dispatch(setNsfwPolicy('sometimes'));
+
+    expect(store.getState().contentPolicy.nsfw).toBe(DEFAULT_NSFW_POLICY);
+    expect(localStorage.getItem(NSFW_POLICY_STORAGE_KEY)).toBeNull();
+  });
+});
+
+describe('Content Policy Reducer', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should default to blurring NSFW media', () => {
+    expect(contentPolicyReducer(undefined, {})).toEqual({ nsfw: 'blur' });
+  });
+
+  it('should load a stored policy and ignore a corrupt one', () => {
+    localStorage.setItem(NSFW_POLICY_STORAGE_KEY, 'show');
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/contentPolicy').default;
+      expect(reducer(undefined, {}).nsfw).toBe('show');
+    });
+
+    localStorage.setItem(NSFW_POLICY_STORAGE_KEY, 'garbage');
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/contentPolicy').default;
+      expect(reducer(undefined, {}).nsfw).toBe(DEFAULT_NSFW_POLICY);
+    });
+  });
+
+  it('should fall back to the default when storage is unavailable', () => {
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/contentPolicy').default;
+      expect(reducer(undefined, {}).nsfw).toBe(DEFAULT_NSFW_POLICY);
+    });
+    Storage.prototype.getItem.mockRestore();
+  });
+});
+
+describe('getMediaPolicy', () => {
+  it('should apply the policy only to NSFW posts', () => {
+    expect(getMediaPolicy({ over18: true }, 'hide')).toBe('hide');
+    expect(getMediaPolicy({ over18: false }, 'hide')).toBe('show');
+    expect(getMediaPolicy(null, 'blur')).toBe('show');
+  });
+});
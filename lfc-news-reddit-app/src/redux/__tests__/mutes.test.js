@@ -0,0 +1,74 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for mute list Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Values must be stored normalised, or the same user/domain gets muted twice
+ * - An invalid regex must never reach the store, where it would be compiled on every render
+ */
+
+import * as actions from '../actions/mutes';
+import * as types from '../actions/types';
+import mutesReducer, { MUTES_STORAGE_KEY } from '../reducers/mutes';
+import { createTestStore } from '../testStore';
+
+const emptyMutes = { keywords: [], patterns: [], authors: [], domains: [], flairs: [] };
+
+describe('Mute Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should add a normalised value and persist the list', () => {
+    const store = createTestStore({ mutes: mutesReducer });
+
+    expect(store.dispatch(actions.addMute('authors', 'u/SomeUser'))).toBe(true);
+
+    expect(store.getState().mutes.authors).toEqual(['SomeUser']);
+    expect(JSON.parse(localStorage.getItem(MUTES_STORAGE_KEY)).authors).toEqual(['SomeUser']);
+  });
+
+  it('should reject empty values and invalid patterns', () => {
+    const store = createTestStore({ mutes: mutesReducer });
+
+    expect(store.dispatch(actions.addMute('keywords', '   '))).toBe(false);
+    expect(store.dispatch(actions.addMute('patterns', '(unclosed'))).toBe(false);
+    expect(store.dispatch(actions.addMute('patterns', '(a+)+$'))).toBe(false);
+
+    expect(store.getState().mutes).toEqual(emptyMutes);
+  });
+
+  it('should remove a value and persist the list', () => {
+    const store = createTestStore({ mutes: mutesReducer });
+    store.dispatch(actions.addMute('keywords', 'spoiler'));
+
+    store.dispatch(actions.removeMute('keywords', 'spoiler'));
+
+    expect(store.getState().mutes.keywords).toEqual([]);
+    expect(JSON.parse(localStorage.getItem(MUTES_STORAGE_KEY)).keywords).toEqual([]);
+  });
+});
+
+describe('Mutes Reducer', () => {
+  it('should return empty lists with nothing stored', () => {
+    expect(mutesReducer(undefined, {})).toEqual(emptyMutes);
+  });
+
+  it('should load stored lists, dropping anything malformed', () => {
+    localStorage.setItem(MUTES_STORAGE_KEY, JSON.stringify({ keywords: ['var', 3], authors: 'nope' }));
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/mutes').default;
+      expect(reducer(undefined, {})).toEqual({ ...emptyMutes, keywords: ['var'] });
+    });
+    localStorage.clear();
+  });
+
+  it('should ignore duplicates and unknown list types', () => {
+    const state = { ...emptyMutes, keywords: ['var'] };
+
+    expect(mutesReducer(state, { type: types.ADD_MUTE, payload: { type: 'keywords', value: 'var' } })).toBe(state);
+    expect(mutesReducer(state, { type: types.ADD_MUTE, payload: { type: 'colours', value: 'blue' } })).toBe(state);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for navigation Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Stepping to the next post must follow exactly what the list shows
+ * - Opening a post this way must track it as read and load its comments, like a click does
+ */
+
+import * as actions from '../actions/navigation';
+import * as types from '../actions/types';
+import * as api from '../../utils/api';
+import navigationReducer, { selectAdjacentPosts } from '../reducers/navigation';
+import postsReducer from '../reducers/posts';
+import commentsReducer from '../reducers/comments';
+import savedReducer from '../reducers/saved';
+import subredditsReducer from '../reducers/subreddits';
+import readPostsReducer, { applyHideRead } from '../reducers/readPosts';
+import { setHideRead } from '../actions/readPosts';
+import { createTestStore } from '../testStore';
+
+jest.mock('../../utils/api');
+
+const slices = {
+  navigation: navigationReducer,
+  posts: postsReducer,
+  comments: commentsReducer,
+  saved: savedReducer,
+  subreddits: subredditsReducer,
+  readPosts: readPostsReducer
+};
+
+const feed = [
+  { id: 'a', title: 'A', subreddit: 'LiverpoolFC', numComments: 1 },
+  { id: 'b', title: 'B', subreddit: 'LiverpoolFC', numComments: 2 },
+  { id: 'c', title: 'C', subreddit: 'liverpool', numComments: 3 }
+];
+
+describe('Navigation Reducer', () => {
+  it('should start with an empty feed order and the overlay closed', () => {
+    expect(navigationReducer(undefined, {})).toEqual({ feedOrder: [], shortcutsHelpOpen: false });
+  });
+
+  it('should replace the feed order', () => {
+    const state = navigationReducer(undefined, { type: types.SET_FEED_ORDER, payload: feed });
+
+    expect(state.feedOrder).toBe(feed);
+  });
+
+  it('should open and close the shortcuts overlay', () => {
+    const open = navigationReducer(undefined, actions.setShortcutsHelpOpen(true));
+
+    expect(open.shortcutsHelpOpen).toBe(true);
+    expect(navigationReducer(open, actions.setShortcutsHelpOpen(false)).shortcutsHelpOpen).toBe(false);
+  });
+});
+
+describe('selectAdjacentPosts', () => {
+  const state = { feedOrder: feed, shortcutsHelpOpen: false };
+
+  it('should find both neighbours of a post in the middle', () => {
+    expect(selectAdjacentPosts(state, 'b')).toEqual({ previous: feed[0], next: feed[2], index: 1, total: 3 });
+  });
+
+  it('should have no neighbour past either end', () => {
+    expect(selectAdjacentPosts(state, 'a').previous).toBeNull();
+    expect(selectAdjacentPosts(state, 'c').next).toBeNull();
+  });
+
+  it('should report -1 for a post that is not listed', () => {
+    expect(selectAdjacentPosts(state, 'zzz')).toEqual({ previous: null, next: null, index: -1, total: 3 });
+  });
+});
+
+describe('Navigation Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    api.fetchComments.mockResolvedValue([]);
+    window.scrollTo = jest.fn();
+  });
+
+  describe('setFeedOrder', () => {
+    it('should keep the order while a listed post is open', () => {
+      const store = createTestStore(slices);
+      store.dispatch(actions.setFeedOrder(feed));
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[1] });
+
+      // e.g. "hide read" dropping the open post from the list
+      store.dispatch(actions.setFeedOrder([feed[0], feed[2]]));
+
+      expect(store.getState().navigation.feedOrder).toBe(feed);
+    });
+
+    it('should take the order when the open post is not listed', () => {
+      const store = createTestStore(slices);
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: { id: 'linked' } });
+
+      store.dispatch(actions.setFeedOrder(feed));
+
+      expect(store.getState().navigation.feedOrder).toBe(feed);
+    });
+  });
+
+  describe('openAdjacentPost', () => {
+    it('should open the next post, mark it read and load its comments', () => {
+      const store = createTestStore(slices);
+      store.dispatch(actions.setFeedOrder(feed));
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[1] });
+
+      store.dispatch(actions.openAdjacentPost(1));
+
+      expect(store.getState().posts.currentPost).toBe(feed[2]);
+      expect(store.getState().readPosts.byId.c).toBeDefined();
+      expect(api.fetchComments).toHaveBeenCalledWith('c', 'liverpool', expect.any(Object));
+    });
+
+    it('should open the previous post', () => {
+      const store = createTestStore(slices);
+      store.dispatch(actions.setFeedOrder(feed));
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[1] });
+
+      store.dispatch(actions.openAdjacentPost(-1));
+
+      expect(store.getState().posts.currentPost).toBe(feed[0]);
+    });
+
+    it('should keep stepping forward twice with hide read on', () => {
+      const store = createTestStore(slices);
+      store.dispatch(setHideRead(true));
+      // What PostList publishes: the feed minus read posts, after every read
+      const publishFeedOrder = () => store.dispatch(
+        actions.setFeedOrder(applyHideRead(feed, store.getState().readPosts.byId))
+      );
+      publishFeedOrder();
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[0] });
+
+      store.dispatch(actions.openAdjacentPost(1));
+      publishFeedOrder();
+      store.dispatch(actions.openAdjacentPost(1));
+      publishFeedOrder();
+
+      expect(store.getState().posts.currentPost).toBe(feed[2]);
+      expect(Object.keys(store.getState().readPosts.byId)).toEqual(['b', 'c']);
+    });
+
+    it('should stay put at either end of the list', () => {
+      const store = createTestStore(slices);
+      store.dispatch(actions.setFeedOrder(feed));
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[2] });
+
+      store.dispatch(actions.openAdjacentPost(1));
+
+      expect(store.getState().posts.currentPost).toBe(feed[2]);
+      expect(api.fetchComments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('goHome', () => {
+    it('should close the post, leave Saved and return to r/LiverpoolFC', () => {
+      api.fetchPosts.mockResolvedValue({ posts: [], after: null });
+      const store = createTestStore(slices);
+      store.dispatch({ type: types.SET_CURRENT_POST, payload: feed[0] });
+      store.dispatch({ type: types.SET_SAVED_VIEW, payload: true });
+      store.dispatch({ type: types.SET_SELECTED_SUBREDDIT, payload: 'liverpool' });
+
+      store.dispatch(actions.goHome());
+
+      const state = store.getState();
+      expect(state.posts.currentPost).toBeNull();
+      expect(state.saved.viewing).toBe(false);
+      expect(state.subreddits.selected).toBe('LiverpoolFC');
+      expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'hot', 'day', null, expect.any(Object));
+      expect(window.scrollTo).toHaveBeenCalledWith({ top: 0, behavior: 'smooth' });
+    });
+  });
+});
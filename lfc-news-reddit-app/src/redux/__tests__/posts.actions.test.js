@@ -28,6 +28,12 @@ describe('Posts Action Creators', () => {
   });
 
   describe('Synchronous Actions', () => {
+    describe('mergeNewPosts', () => {
+      it('should create action to merge pending posts', () => {
+        expect(actions.mergeNewPosts()).toEqual({ type: types.MERGE_NEW_POSTS });
+      });
+    });
+
     describe('setCurrentPost', () => {
       it('should create action to set current post', () => {
         const post = { id: 'abc123', title: 'Test Post' };
@@ -256,16 +262,17 @@ describe('Posts Action Creators', () => {
           { id: '1', title: 'Post 1' },
           { id: '2', title: 'Post 2' }
         ];
-        api.fetchPosts.mockResolvedValueOnce(mockPosts);
+        api.fetchPosts.mockResolvedValueOnce({ posts: mockPosts, after: 't3_2' });
 
         const store = mockStore({});
         await store.dispatch(actions.fetchPosts('LiverpoolFC', 'hot', 'day'));
 
         const dispatchedActions = store.getActions();
-        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_POSTS_REQUEST });
+        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_POSTS_REQUEST, meta: { listing: 'LiverpoolFC/hot/' } });
         expect(dispatchedActions[1]).toEqual({
           type: types.FETCH_POSTS_SUCCESS,
-          payload: mockPosts
+          payload: mockPosts,
+          meta: { after: 't3_2', listing: 'LiverpoolFC/hot/' }
         });
       });
 
@@ -277,7 +284,7 @@ describe('Posts Action Creators', () => {
         await store.dispatch(actions.fetchPosts());
 
         const dispatchedActions = store.getActions();
-        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_POSTS_REQUEST });
+        expect(dispatchedActions[0]).toEqual({ type: types.FETCH_POSTS_REQUEST, meta: { listing: 'LiverpoolFC/hot/' } });
         expect(dispatchedActions[1]).toEqual({
           type: types.FETCH_POSTS_FAILURE,
           payload: errorMessage
@@ -285,21 +292,132 @@ describe('Posts Action Creators', () => {
       });
 
       it('should pass correct parameters to API', async () => {
-        api.fetchPosts.mockResolvedValueOnce([]);
+        api.fetchPosts.mockResolvedValueOnce({ posts: [], after: null });
 
         const store = mockStore({});
         await store.dispatch(actions.fetchPosts('LiverpoolFC', 'top', 'week'));
 
-        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'top', 'week');
+        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'top', 'week', null, expect.any(Object));
+        expect(store.getActions()[0].meta).toEqual({ listing: 'LiverpoolFC/top/week' });
       });
 
       it('should use default parameters when none provided', async () => {
-        api.fetchPosts.mockResolvedValueOnce([]);
+        api.fetchPosts.mockResolvedValueOnce({ posts: [], after: null });
 
         const store = mockStore({});
         await store.dispatch(actions.fetchPosts());
 
-        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'hot', 'day');
+        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'hot', 'day', null, expect.any(Object));
+      });
+
+      it('should dispatch REVALIDATED when a background refresh lands on the same listing', async () => {
+        const freshPosts = [{ id: '3', title: 'Post 3' }];
+        let onRevalidate;
+        api.fetchPosts.mockImplementationOnce((subreddit, sortBy, timeRange, after, options) => {
+          onRevalidate = options.onRevalidate;
+          return Promise.resolve({ posts: [], after: null });
+        });
+
+        const store = mockStore({
+          posts: { sortBy: 'viral', timeRange: 'day', searchTerm: '' },
+          subreddits: { selected: 'LiverpoolFC' }
+        });
+        await store.dispatch(actions.fetchPosts('LiverpoolFC', 'hot', 'day'));
+        onRevalidate({ posts: freshPosts, after: null });
+
+        expect(store.getActions()[2]).toEqual({
+          type: types.FETCH_POSTS_REVALIDATED,
+          payload: freshPosts
+        });
+      });
+
+      it('should ignore a background refresh for a listing the user has left', async () => {
+        let onRevalidate;
+        api.fetchPosts.mockImplementationOnce((subreddit, sortBy, timeRange, after, options) => {
+          onRevalidate = options.onRevalidate;
+          return Promise.resolve({ posts: [], after: null });
+        });
+
+        const store = mockStore({
+          posts: { sortBy: 'new', timeRange: 'day', searchTerm: '' },
+          subreddits: { selected: 'LiverpoolFC' }
+        });
+        await store.dispatch(actions.fetchPosts('LiverpoolFC', 'hot', 'day'));
+        onRevalidate({ posts: [{ id: '3' }], after: null });
+
+        expect(store.getActions()).toHaveLength(2);
+      });
+    });
+
+    describe('fetchMorePosts', () => {
+      const pagedState = (overrides = {}) => ({
+        posts: { sortBy: 'new', timeRange: 'day', after: 't3_50', loadingMore: false, ...overrides },
+        subreddits: { selected: 'LiverpoolFC' }
+      });
+
+      it('should request the page after the current cursor', async () => {
+        const mockPosts = [{ id: '51', title: 'Post 51' }];
+        api.fetchPosts.mockResolvedValueOnce({ posts: mockPosts, after: 't3_51' });
+
+        const store = mockStore(pagedState());
+        await store.dispatch(actions.fetchMorePosts());
+
+        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'new', 'day', 't3_50');
+        expect(store.getActions()).toEqual([
+          { type: types.FETCH_MORE_POSTS_REQUEST },
+          { type: types.FETCH_MORE_POSTS_SUCCESS, payload: mockPosts, meta: { after: 't3_51', requestAfter: 't3_50' } }
+        ]);
+      });
+
+      it('should page through hot when sorted by viral', async () => {
+        api.fetchPosts.mockResolvedValueOnce({ posts: [], after: null });
+
+        const store = mockStore(pagedState({ sortBy: 'viral' }));
+        await store.dispatch(actions.fetchMorePosts());
+
+        expect(api.fetchPosts).toHaveBeenCalledWith('LiverpoolFC', 'hot', 'day', 't3_50');
+      });
+
+      it('should do nothing without a cursor or while already loading', async () => {
+        const noCursor = mockStore(pagedState({ after: null }));
+        await noCursor.dispatch(actions.fetchMorePosts());
+
+        const inFlight = mockStore(pagedState({ loadingMore: true }));
+        await inFlight.dispatch(actions.fetchMorePosts());
+
+        expect(api.fetchPosts).not.toHaveBeenCalled();
+        expect(noCursor.getActions()).toEqual([]);
+        expect(inFlight.getActions()).toEqual([]);
+      });
+
+      it('should dispatch FAILURE when the page request fails', async () => {
+        api.fetchPosts.mockRejectedValueOnce(new Error('Network error'));
+
+        const store = mockStore(pagedState());
+        await store.dispatch(actions.fetchMorePosts());
+
+        expect(store.getActions()[1]).toEqual({
+          type: types.FETCH_MORE_POSTS_FAILURE,
+          payload: 'Network error',
+          meta: { requestAfter: 't3_50' }
+        });
+      });
+
+      it('should drop a page that lands after the user switched listing', async () => {
+        let state = pagedState();
+        let resolvePage;
+        api.fetchPosts.mockReturnValueOnce(new Promise(resolve => { resolvePage = resolve; }));
+
+        const store = mockStore(() => state);
+        const pending = store.dispatch(actions.fetchMorePosts());
+        state = { ...state, subreddits: { selected: 'LFCTransferMarkt' } };
+        resolvePage({ posts: [{ id: '51' }], after: 't3_51' });
+        await pending;
+
+        expect(store.getActions()).toEqual([
+          { type: types.FETCH_MORE_POSTS_REQUEST },
+          { type: types.FETCH_MORE_POSTS_DROPPED }
+        ]);
       });
     });
 
@@ -344,12 +462,14 @@ describe('Posts Action Creators', () => {
       });
     });
 
+    const searchState = { searchTerm: '', searchSort: 'relevance', searchTimeRange: 'all' };
+
     describe('searchPosts', () => {
       it('should dispatch REQUEST, SET_SEARCH_TERM, and SUCCESS actions on successful search', async () => {
         const mockPosts = [{ id: '1', title: 'Salah scores' }];
         api.searchPosts.mockResolvedValueOnce(mockPosts);
 
-        const store = mockStore({});
+        const store = mockStore({ posts: searchState });
         await store.dispatch(actions.searchPosts('Salah', 'LiverpoolFC'));
 
         const dispatchedActions = store.getActions();
@@ -368,7 +488,7 @@ describe('Posts Action Creators', () => {
         const errorMessage = 'Search failed';
         api.searchPosts.mockRejectedValueOnce(new Error(errorMessage));
 
-        const store = mockStore({});
+        const store = mockStore({ posts: searchState });
         await store.dispatch(actions.searchPosts('test'));
 
         const dispatchedActions = store.getActions();
@@ -386,19 +506,74 @@ describe('Posts Action Creators', () => {
       it('should pass correct parameters to API', async () => {
         api.searchPosts.mockResolvedValueOnce([]);
 
-        const store = mockStore({});
+        const store = mockStore({ posts: searchState });
         await store.dispatch(actions.searchPosts('Mo Salah', 'LiverpoolFC'));
 
-        expect(api.searchPosts).toHaveBeenCalledWith('Mo Salah', 'LiverpoolFC');
+        expect(api.searchPosts).toHaveBeenCalledWith('Mo Salah', 'LiverpoolFC', { sort: 'relevance', timeRange: 'all' });
+      });
+
+      it('should switch to the given sort and time range before searching', async () => {
+        api.searchPosts.mockResolvedValueOnce([]);
+
+        const store = mockStore({ posts: searchState });
+        await store.dispatch(actions.searchPosts('Salah', 'LiverpoolFC', { sort: 'top', timeRange: 'week' }));
+
+        expect(store.getActions()[2]).toEqual({
+          type: types.SET_SEARCH_OPTIONS,
+          payload: { sort: 'top', timeRange: 'week' }
+        });
       });
 
       it('should use default subreddit when none provided', async () => {
         api.searchPosts.mockResolvedValueOnce([]);
 
-        const store = mockStore({});
+        const store = mockStore({ posts: searchState });
         await store.dispatch(actions.searchPosts('test'));
 
-        expect(api.searchPosts).toHaveBeenCalledWith('test', 'LiverpoolFC');
+        expect(api.searchPosts).toHaveBeenCalledWith('test', 'LiverpoolFC', expect.any(Object));
+      });
+
+      it('should send operators in Reddit syntax with the chosen sort and time range', async () => {
+        api.searchPosts.mockResolvedValueOnce([]);
+
+        const store = mockStore({ posts: { ...searchState, searchSort: 'top', searchTimeRange: 'month' } });
+        await store.dispatch(actions.searchPosts('salah flair:"tier 1" -rumour'));
+
+        expect(api.searchPosts).toHaveBeenCalledWith('salah flair:"tier 1"', 'LiverpoolFC', { sort: 'top', timeRange: 'month' });
+      });
+
+      it('should drop results matching an exclusion', async () => {
+        api.searchPosts.mockResolvedValueOnce([
+          { id: '1', title: 'Salah rumour mill', author: 'a' },
+          { id: '2', title: 'Salah scores', author: 'bot' },
+          { id: '3', title: 'Salah assists', author: 'b' }
+        ]);
+
+        const store = mockStore({ posts: searchState });
+        await store.dispatch(actions.searchPosts('salah -rumour -author:bot'));
+
+        expect(store.getActions()[2].payload.map(post => post.id)).toEqual(['3']);
+      });
+    });
+
+    describe('setSearchOptions', () => {
+      it('should re-run an active search with the new options', () => {
+        api.searchPosts.mockResolvedValueOnce([]);
+
+        const store = mockStore({ posts: { ...searchState, searchTerm: 'Salah' } });
+        store.dispatch(actions.setSearchOptions({ sort: 'new' }, 'all'));
+
+        expect(store.getActions()[0]).toEqual({ type: types.SET_SEARCH_OPTIONS, payload: { sort: 'new' } });
+        expect(store.getActions()[1]).toEqual({ type: types.SEARCH_POSTS_REQUEST });
+        expect(api.searchPosts).toHaveBeenCalledWith('Salah', 'all', expect.any(Object));
+      });
+
+      it('should only store the options without an active search', () => {
+        const store = mockStore({ posts: searchState });
+        store.dispatch(actions.setSearchOptions({ timeRange: 'week' }));
+
+        expect(store.getActions()).toEqual([{ type: types.SET_SEARCH_OPTIONS, payload: { timeRange: 'week' } }]);
+        expect(api.searchPosts).not.toHaveBeenCalled();
       });
     });
   });
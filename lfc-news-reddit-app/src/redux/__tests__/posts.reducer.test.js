@@ -23,11 +23,19 @@ describe('Posts Reducer', () => {
     error: null,
     currentPost: null,
     searchTerm: '',
+    searchSort: 'relevance',
+    searchTimeRange: 'all',
     sortBy: 'hot',
     timeRange: 'day',
     activeFilter: null,
     activeFlairFilters: [],
-    activeMediaFilter: null
+    activeMediaFilter: null,
+    after: null,
+    loadingMore: false,
+    loadMoreError: null,
+    pendingPosts: [],
+    refreshing: false,
+    listing: null
   };
 
   it('should return initial state', () => {
@@ -48,6 +56,42 @@ describe('Posts Reducer', () => {
       expect(newState.loading).toBe(true);
       expect(newState.error).toBeNull();
     });
+
+    it('should keep posts already shown and mark them as refreshing when the same listing is refetched', () => {
+      const items = [{ id: 'cached', title: 'Cached post' }];
+      const meta = { listing: 'LiverpoolFC/hot/' };
+
+      const newState = postsReducer({ ...initialState, items, listing: meta.listing }, { type: types.FETCH_POSTS_REQUEST, meta });
+
+      expect(newState.loading).toBe(false);
+      expect(newState.refreshing).toBe(true);
+      expect(newState.items).toBe(items);
+      expect(postsReducer(newState, { type: types.FETCH_POSTS_SUCCESS, payload: [] }).refreshing).toBe(false);
+    });
+
+    it('should show loading when another listing is requested', () => {
+      const items = [{ id: 'cached', title: 'Cached post' }];
+
+      const newState = postsReducer(
+        { ...initialState, items, listing: 'LiverpoolFC/hot/' },
+        { type: types.FETCH_POSTS_REQUEST, meta: { listing: 'LiverpoolFC/top/week' } }
+      );
+
+      expect(newState.loading).toBe(true);
+      expect(newState.refreshing).toBe(false);
+    });
+
+    it('should show loading when a listing replaces search results', () => {
+      const searched = postsReducer(
+        { ...initialState, listing: 'LiverpoolFC/hot/' },
+        { type: types.SEARCH_POSTS_SUCCESS, payload: [{ id: 'found', title: 'Found' }] }
+      );
+
+      const newState = postsReducer(searched, { type: types.FETCH_POSTS_REQUEST, meta: { listing: 'LiverpoolFC/hot/' } });
+
+      expect(searched.listing).toBeNull();
+      expect(newState.loading).toBe(true);
+    });
   });
 
   describe('FETCH_POSTS_SUCCESS', () => {
@@ -73,6 +117,171 @@ describe('Posts Reducer', () => {
     });
   });
 
+  describe('FETCH_MORE_POSTS_*', () => {
+    it('should store the after cursor from FETCH_POSTS_SUCCESS', () => {
+      const newState = postsReducer(initialState, {
+        type: types.FETCH_POSTS_SUCCESS,
+        payload: [{ id: '1' }],
+        meta: { after: 't3_1' }
+      });
+
+      expect(newState.after).toBe('t3_1');
+    });
+
+    it('should clear the cursor for search results', () => {
+      const newState = postsReducer({ ...initialState, after: 't3_1' }, {
+        type: types.SEARCH_POSTS_SUCCESS,
+        payload: [{ id: '2' }]
+      });
+
+      expect(newState.after).toBeNull();
+    });
+
+    it('should set loadingMore on request without touching loading', () => {
+      const newState = postsReducer(initialState, { type: types.FETCH_MORE_POSTS_REQUEST });
+
+      expect(newState.loadingMore).toBe(true);
+      expect(newState.loading).toBe(false);
+    });
+
+    it('should append new posts de-duplicated by id and advance the cursor', () => {
+      const prevState = {
+        ...initialState,
+        items: [{ id: '1' }, { id: '2' }],
+        after: 't3_2',
+        loadingMore: true
+      };
+
+      const newState = postsReducer(prevState, {
+        type: types.FETCH_MORE_POSTS_SUCCESS,
+        payload: [{ id: '2' }, { id: '3' }],
+        meta: { after: 't3_3', requestAfter: 't3_2' }
+      });
+
+      expect(newState.items.map(post => post.id)).toEqual(['1', '2', '3']);
+      expect(newState.after).toBe('t3_3');
+      expect(newState.loadingMore).toBe(false);
+    });
+
+    it('should keep existing items and record the error on failure', () => {
+      const prevState = { ...initialState, items: [{ id: '1' }], loadingMore: true };
+
+      const newState = postsReducer(prevState, {
+        type: types.FETCH_MORE_POSTS_FAILURE,
+        payload: 'Network error',
+        meta: { requestAfter: null }
+      });
+
+      expect(newState.items).toEqual([{ id: '1' }]);
+      expect(newState.loadingMore).toBe(false);
+      expect(newState.loadMoreError).toBe('Network error');
+    });
+
+    it('should drop a page requested with a cursor the listing has moved past', () => {
+      const prevState = { ...initialState, items: [{ id: 'a' }], after: 't3_a' };
+
+      const page = postsReducer(prevState, {
+        type: types.FETCH_MORE_POSTS_SUCCESS,
+        payload: [{ id: 'old' }],
+        meta: { after: 't3_old', requestAfter: 't3_50' }
+      });
+      const failure = postsReducer(prevState, {
+        type: types.FETCH_MORE_POSTS_FAILURE,
+        payload: 'Network error',
+        meta: { requestAfter: 't3_50' }
+      });
+
+      expect(page.items).toBe(prevState.items);
+      expect(page.after).toBe('t3_a');
+      expect(failure.loadMoreError).toBeNull();
+    });
+
+    it('should stop loading more when a stale page lands after a listing switch', () => {
+      let state = { ...initialState, items: [{ id: 'a' }], after: 't3_a', listing: 'LiverpoolFC/hot/' };
+      state = postsReducer(state, { type: types.FETCH_MORE_POSTS_REQUEST });
+      state = postsReducer(state, { type: types.FETCH_POSTS_REQUEST, meta: { listing: 'LFCTransferMarkt/hot/' } });
+      state = postsReducer(state, {
+        type: types.FETCH_POSTS_SUCCESS,
+        payload: [{ id: 'b' }],
+        meta: { after: 't3_b', listing: 'LFCTransferMarkt/hot/' }
+      });
+
+      state = postsReducer(state, {
+        type: types.FETCH_MORE_POSTS_SUCCESS,
+        payload: [{ id: 'old' }],
+        meta: { after: 't3_old', requestAfter: 't3_a' }
+      });
+
+      expect(state.items).toEqual([{ id: 'b' }]);
+      expect(state.loadingMore).toBe(false);
+    });
+
+    it('should stop loading more when a page is dropped or a search starts', () => {
+      const loadingMore = { ...initialState, loadingMore: true };
+
+      expect(postsReducer(loadingMore, { type: types.FETCH_MORE_POSTS_DROPPED }).loadingMore).toBe(false);
+      expect(postsReducer(loadingMore, { type: types.SEARCH_POSTS_REQUEST }).loadingMore).toBe(false);
+    });
+
+    it('should stop loading more when a new listing is requested', () => {
+      const newState = postsReducer({ ...initialState, loadingMore: true }, { type: types.FETCH_POSTS_REQUEST });
+
+      expect(newState.loadingMore).toBe(false);
+    });
+  });
+
+  describe('Background refresh', () => {
+    it('should hold back unseen posts and update known ones in place', () => {
+      const prevState = {
+        ...initialState,
+        items: [{ id: '1', score: 10 }, { id: '2', score: 5 }]
+      };
+
+      const newState = postsReducer(prevState, {
+        type: types.FETCH_POSTS_REVALIDATED,
+        payload: [{ id: '3', score: 1 }, { id: '2', score: 50 }, { id: '1', score: 12 }]
+      });
+
+      expect(newState.items).toEqual([{ id: '1', score: 12 }, { id: '2', score: 50 }]);
+      expect(newState.pendingPosts).toEqual([{ id: '3', score: 1 }]);
+    });
+
+    it('should prepend pending posts on merge', () => {
+      const prevState = {
+        ...initialState,
+        items: [{ id: '1' }, { id: '2' }],
+        pendingPosts: [{ id: '3' }, { id: '2' }]
+      };
+
+      const newState = postsReducer(prevState, { type: types.MERGE_NEW_POSTS });
+
+      expect(newState.items.map(post => post.id)).toEqual(['3', '1', '2']);
+      expect(newState.pendingPosts).toEqual([]);
+    });
+
+    it('should keep viral ordering on merge', () => {
+      const prevState = {
+        ...initialState,
+        sortBy: 'viral',
+        items: [{ id: '1', score: 100 }, { id: '2', score: 10 }],
+        pendingPosts: [{ id: '3', score: 50 }]
+      };
+
+      const newState = postsReducer(prevState, { type: types.MERGE_NEW_POSTS });
+
+      expect(newState.items.map(post => post.id)).toEqual(['1', '3', '2']);
+    });
+
+    it('should drop pending posts when a new listing loads', () => {
+      const newState = postsReducer({ ...initialState, pendingPosts: [{ id: '3' }] }, {
+        type: types.FETCH_POSTS_SUCCESS,
+        payload: [{ id: '1' }]
+      });
+
+      expect(newState.pendingPosts).toEqual([]);
+    });
+  });
+
   describe('FETCH_POSTS_FAILURE', () => {
     it('should set error and clear loading', () => {
       const prevState = {
@@ -223,6 +432,29 @@ describe('Posts Reducer', () => {
     });
   });
 
+  describe('SET_SEARCH_OPTIONS', () => {
+    it('should set the search sort and time range', () => {
+      const newState = postsReducer(initialState, {
+        type: types.SET_SEARCH_OPTIONS,
+        payload: { sort: 'top', timeRange: 'month' }
+      });
+
+      expect(newState.searchSort).toBe('top');
+      expect(newState.searchTimeRange).toBe('month');
+    });
+
+    it('should keep the option that was not given', () => {
+      const prevState = { ...initialState, searchSort: 'new' };
+      const newState = postsReducer(prevState, {
+        type: types.SET_SEARCH_OPTIONS,
+        payload: { timeRange: 'week' }
+      });
+
+      expect(newState.searchSort).toBe('new');
+      expect(newState.searchTimeRange).toBe('week');
+    });
+  });
+
   describe('SET_SORT_BY', () => {
     it('should set sort method', () => {
       const newState = postsReducer(initialState, {
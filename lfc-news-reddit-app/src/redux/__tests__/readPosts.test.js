@@ -0,0 +1,152 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for read tracking Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - "+N new comments" is only right if the comment count at read time is recorded
+ * - Read history must survive reloads without growing localStorage forever
+ */
+
+import * as actions from '../actions/readPosts';
+import * as types from '../actions/types';
+import readPostsReducer, {
+  selectReadInfo,
+  getNewCommentCount,
+  applyHideRead,
+  READ_POSTS_STORAGE_KEY,
+  HIDE_READ_STORAGE_KEY,
+  MAX_READ_POSTS
+} from '../reducers/readPosts';
+import { createTestStore } from '../testStore';
+
+describe('Read Posts Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should record the post and its comment count, and persist it', () => {
+    const store = createTestStore({ readPosts: readPostsReducer });
+
+    store.dispatch(actions.markPostRead({ id: 'abc', numComments: 12 }));
+
+    const entry = selectReadInfo(store.getState().readPosts, 'abc');
+    expect(entry).toEqual({ readAt: expect.any(Number), numComments: 12 });
+    expect(JSON.parse(localStorage.getItem(READ_POSTS_STORAGE_KEY))).toEqual({ abc: entry });
+  });
+
+  it('should refresh the comment count when a post is reopened', () => {
+    const store = createTestStore({ readPosts: readPostsReducer });
+
+    store.dispatch(actions.markPostRead({ id: 'abc', numComments: 12 }));
+    store.dispatch(actions.markPostRead({ id: 'abc', numComments: 30 }));
+
+    expect(selectReadInfo(store.getState().readPosts, 'abc').numComments).toBe(30);
+  });
+
+  it('should remember the hide read preference', () => {
+    const store = createTestStore({ readPosts: readPostsReducer });
+
+    store.dispatch(actions.setHideRead(true));
+
+    expect(store.getState().readPosts.hideRead).toBe(true);
+    expect(localStorage.getItem(HIDE_READ_STORAGE_KEY)).toBe('true');
+  });
+
+  it('should still apply the hide read preference when storage is full', () => {
+    const store = createTestStore({ readPosts: readPostsReducer });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    store.dispatch(actions.setHideRead(true));
+
+    expect(store.getState().readPosts.hideRead).toBe(true);
+    expect(console.warn).toHaveBeenCalled();
+    Storage.prototype.setItem.mockRestore();
+  });
+});
+
+describe('Read Posts Reducer', () => {
+  const initialState = { byId: {}, hideRead: false };
+
+  it('should return initial state with nothing stored', () => {
+    expect(readPostsReducer(undefined, {})).toEqual(initialState);
+  });
+
+  it('should load read history and the preference from localStorage on start', () => {
+    localStorage.setItem(READ_POSTS_STORAGE_KEY, JSON.stringify({ abc: { readAt: 1, numComments: 3 } }));
+    localStorage.setItem(HIDE_READ_STORAGE_KEY, 'true');
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/readPosts').default;
+      expect(reducer(undefined, {})).toEqual({
+        byId: { abc: { readAt: 1, numComments: 3 } },
+        hideRead: true
+      });
+    });
+    localStorage.clear();
+  });
+
+  it('should start with read posts shown when storage is unavailable', () => {
+    jest.spyOn(Storage.prototype, 'getItem').mockImplementation(() => {
+      throw new Error('SecurityError');
+    });
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/readPosts').default;
+      expect(reducer(undefined, {})).toEqual(initialState);
+    });
+    Storage.prototype.getItem.mockRestore();
+  });
+
+  it('should ignore corrupt stored history', () => {
+    localStorage.setItem(READ_POSTS_STORAGE_KEY, '[1, 2');
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/readPosts').default;
+      expect(reducer(undefined, {}).byId).toEqual({});
+    });
+    localStorage.clear();
+  });
+
+  it('should drop the oldest entries beyond the cap', () => {
+    const byId = {};
+    for (let i = 0; i < MAX_READ_POSTS; i++) {
+      byId[`p${i}`] = { readAt: i + 1, numComments: 0 };
+    }
+
+    const state = readPostsReducer({ ...initialState, byId }, {
+      type: types.MARK_POST_READ,
+      payload: { id: 'newest', numComments: 0, readAt: MAX_READ_POSTS + 1 }
+    });
+
+    expect(Object.keys(state.byId)).toHaveLength(MAX_READ_POSTS);
+    expect(state.byId.newest).toBeDefined();
+    expect(state.byId.p0).toBeUndefined();
+  });
+
+  it('should set hideRead on SET_HIDE_READ', () => {
+    expect(readPostsReducer(initialState, { type: types.SET_HIDE_READ, payload: true }).hideRead).toBe(true);
+  });
+});
+
+describe('Read tracking helpers', () => {
+  it('should count comments added since reading', () => {
+    expect(getNewCommentCount({ numComments: 20 }, { numComments: 15 })).toBe(5);
+  });
+
+  it('should never report a negative count when comments were removed', () => {
+    expect(getNewCommentCount({ numComments: 10 }, { numComments: 15 })).toBe(0);
+  });
+
+  it('should report nothing for unread posts', () => {
+    expect(getNewCommentCount({ numComments: 10 }, undefined)).toBe(0);
+  });
+
+  it('should filter out read posts', () => {
+    const posts = [{ id: 'a' }, { id: 'b' }];
+    expect(applyHideRead(posts, { a: { readAt: 1, numComments: 0 } })).toEqual([{ id: 'b' }]);
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for saved posts Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Saved posts are the user's own data; losing them on reload defeats the feature
+ * - The Saved view must get out of the way when the user asks for the feed
+ */
+
+import * as actions from '../actions/saved';
+import * as types from '../actions/types';
+import savedReducer, { selectIsSaved, SAVED_POSTS_STORAGE_KEY, MAX_SAVED_POSTS } from '../reducers/saved';
+import { createTestStore } from '../testStore';
+
+const createPost = (id, overrides = {}) => ({
+  id,
+  title: `Post ${id}`,
+  subreddit: 'LiverpoolFC',
+  linkFlair: 'Transfer',
+  ...overrides
+});
+
+// WHY real store: the thunks persist whatever the reducer produced
+describe('Saved Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should save the full post and persist it', () => {
+    const store = createTestStore({ saved: savedReducer });
+    const post = createPost('abc');
+
+    store.dispatch(actions.savePost(post));
+
+    const [saved] = store.getState().saved.items;
+    expect(saved).toMatchObject(post);
+    expect(saved.savedAt).toEqual(expect.any(Number));
+    expect(JSON.parse(localStorage.getItem(SAVED_POSTS_STORAGE_KEY))).toEqual([saved]);
+  });
+
+  it('should unsave a post and persist the removal', () => {
+    const store = createTestStore({ saved: savedReducer });
+    store.dispatch(actions.savePost(createPost('abc')));
+
+    store.dispatch(actions.unsavePost('abc'));
+
+    expect(store.getState().saved.items).toEqual([]);
+    expect(JSON.parse(localStorage.getItem(SAVED_POSTS_STORAGE_KEY))).toEqual([]);
+  });
+
+  it('should toggle a post in and out of saved', () => {
+    const store = createTestStore({ saved: savedReducer });
+    const post = createPost('abc');
+
+    store.dispatch(actions.toggleSavedPost(post));
+    expect(selectIsSaved(store.getState().saved, 'abc')).toBe(true);
+
+    store.dispatch(actions.toggleSavedPost(post));
+    expect(selectIsSaved(store.getState().saved, 'abc')).toBe(false);
+  });
+
+  it('should keep saving in memory when storage is full', () => {
+    const store = createTestStore({ saved: savedReducer });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {
+      throw new Error('QuotaExceededError');
+    });
+
+    store.dispatch(actions.savePost(createPost('abc')));
+
+    expect(store.getState().saved.items).toHaveLength(1);
+    expect(console.warn).toHaveBeenCalled();
+    Storage.prototype.setItem.mockRestore();
+  });
+
+  it('should refuse a new save at the limit without dropping older saves', () => {
+    const store = createTestStore({ saved: savedReducer });
+    Array.from({ length: MAX_SAVED_POSTS }, (_, i) => store.dispatch(actions.savePost(createPost(`p${i}`))));
+
+    const saved = store.dispatch(actions.savePost(createPost('new')));
+
+    expect(saved).toBe(false);
+    expect(selectIsSaved(store.getState().saved, 'new')).toBe(false);
+    expect(selectIsSaved(store.getState().saved, 'p0')).toBe(true);
+    expect(store.getState().saved.refusedAt).toEqual(expect.any(Number));
+    expect(JSON.parse(localStorage.getItem(SAVED_POSTS_STORAGE_KEY))).toHaveLength(MAX_SAVED_POSTS);
+  });
+
+  it('should still re-save an already saved post at the limit', () => {
+    const store = createTestStore({ saved: savedReducer });
+    Array.from({ length: MAX_SAVED_POSTS }, (_, i) => store.dispatch(actions.savePost(createPost(`p${i}`))));
+
+    const saved = store.dispatch(actions.savePost(createPost('p0', { title: 'Updated' })));
+
+    expect(saved).toBe(true);
+    expect(store.getState().saved.items[0].title).toBe('Updated');
+    expect(store.getState().saved.refusedAt).toBeNull();
+  });
+
+  it('should create action to show or hide the Saved view', () => {
+    expect(actions.setSavedView(true)).toEqual({ type: types.SET_SAVED_VIEW, payload: true });
+  });
+});
+
+describe('Saved Reducer', () => {
+  const initialState = { items: [], viewing: false, refusedAt: null };
+
+  it('should return initial state with nothing stored', () => {
+    expect(savedReducer(undefined, {})).toEqual(initialState);
+  });
+
+  it('should load saved posts from localStorage on start', () => {
+    localStorage.setItem(SAVED_POSTS_STORAGE_KEY, JSON.stringify([createPost('abc')]));
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/saved').default;
+      expect(reducer(undefined, {}).items).toEqual([createPost('abc')]);
+    });
+    localStorage.clear();
+  });
+
+  it('should ignore corrupt stored data', () => {
+    localStorage.setItem(SAVED_POSTS_STORAGE_KEY, '{not json');
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/saved').default;
+      expect(reducer(undefined, {}).items).toEqual([]);
+    });
+    localStorage.clear();
+  });
+
+  describe('SAVE_POST', () => {
+    it('should put the newest save first', () => {
+      let state = savedReducer(initialState, { type: types.SAVE_POST, payload: createPost('a') });
+      state = savedReducer(state, { type: types.SAVE_POST, payload: createPost('b') });
+
+      expect(state.items.map(post => post.id)).toEqual(['b', 'a']);
+    });
+
+    it('should replace an existing save instead of duplicating it', () => {
+      let state = savedReducer(initialState, { type: types.SAVE_POST, payload: createPost('a') });
+      state = savedReducer(state, { type: types.SAVE_POST, payload: createPost('b') });
+      state = savedReducer(state, { type: types.SAVE_POST, payload: createPost('a', { title: 'Updated' }) });
+
+      expect(state.items.map(post => post.id)).toEqual(['a', 'b']);
+      expect(state.items[0].title).toBe('Updated');
+    });
+
+    it('should leave saves untouched when a new save would go past the cap', () => {
+      const items = Array.from({ length: MAX_SAVED_POSTS }, (_, i) => createPost(`p${i}`));
+      const state = { ...initialState, items };
+
+      expect(savedReducer(state, { type: types.SAVE_POST, payload: createPost('new') })).toBe(state);
+    });
+  });
+
+  it('should record when a save was refused', () => {
+    const state = savedReducer(initialState, { type: types.SAVE_POST_REFUSED, payload: 1234 });
+
+    expect(state.refusedAt).toBe(1234);
+  });
+
+  it('should remove a post on UNSAVE_POST', () => {
+    const state = savedReducer(
+      { ...initialState, items: [createPost('a'), createPost('b')] },
+      { type: types.UNSAVE_POST, payload: 'a' }
+    );
+
+    expect(state.items.map(post => post.id)).toEqual(['b']);
+  });
+
+  describe('Saved view', () => {
+    it('should open and close on SET_SAVED_VIEW', () => {
+      const state = savedReducer(initialState, { type: types.SET_SAVED_VIEW, payload: true });
+      expect(state.viewing).toBe(true);
+    });
+
+    it('should close when the user searches or switches subreddit', () => {
+      const viewing = { ...initialState, viewing: true };
+
+      expect(savedReducer(viewing, { type: types.SEARCH_POSTS_REQUEST }).viewing).toBe(false);
+      expect(savedReducer(viewing, { type: types.SET_SELECTED_SUBREDDIT, payload: 'all' }).viewing).toBe(false);
+    });
+
+    it('should return the same state when the view is already closed', () => {
+      expect(savedReducer(initialState, { type: types.SEARCH_POSTS_REQUEST })).toBe(initialState);
+    });
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for search history Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Re-running a search must move it to the top, not list it twice in another case
+ * - The recent list is capped so pinned searches stay within reach
+ * - History survives a reload, and a corrupt entry in storage must not break the search bar
+ */
+
+import * as actions from '../actions/searchHistory';
+import * as types from '../actions/types';
+import searchHistoryReducer, { SEARCH_HISTORY_STORAGE_KEY, MAX_RECENT_SEARCHES, selectPinnedSearch } from '../reducers/searchHistory';
+import { createTestStore } from '../testStore';
+
+const stored = () => JSON.parse(localStorage.getItem(SEARCH_HISTORY_STORAGE_KEY));
+
+describe('Search History Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should record a trimmed search and persist the history', () => {
+    const store = createTestStore({ searchHistory: searchHistoryReducer });
+
+    store.dispatch(actions.addRecentSearch('  Salah  '));
+
+    expect(store.getState().searchHistory.recent).toEqual(['Salah']);
+    expect(stored()).toEqual({ recent: ['Salah'], pinned: [] });
+  });
+
+  it('should pin and unpin a search and persist the history', () => {
+    const store = createTestStore({ searchHistory: searchHistoryReducer });
+
+    store.dispatch(actions.pinSearch('flair:"Tier 1"'));
+    expect(stored().pinned).toEqual([{ query: 'flair:"Tier 1"', sort: 'relevance', timeRange: 'all' }]);
+
+    store.dispatch(actions.unpinSearch('flair:"Tier 1"'));
+    expect(stored().pinned).toEqual([]);
+  });
+
+  it('should pin a search with its sort and time range', () => {
+    const store = createTestStore({ searchHistory: searchHistoryReducer });
+
+    store.dispatch(actions.pinSearch(' Salah ', { sort: 'top', timeRange: 'week' }));
+
+    expect(stored().pinned).toEqual([{ query: 'Salah', sort: 'top', timeRange: 'week' }]);
+    expect(selectPinnedSearch(store.getState().searchHistory, 'salah'))
+      .toEqual({ query: 'Salah', sort: 'top', timeRange: 'week' });
+  });
+
+  it('should forget one or all recent searches', () => {
+    const store = createTestStore({ searchHistory: searchHistoryReducer });
+    store.dispatch(actions.addRecentSearch('Salah'));
+    store.dispatch(actions.addRecentSearch('Nunez'));
+
+    store.dispatch(actions.removeRecentSearch('Salah'));
+    expect(stored().recent).toEqual(['Nunez']);
+
+    store.dispatch(actions.clearRecentSearches());
+    expect(stored().recent).toEqual([]);
+  });
+});
+
+describe('Search History Reducer', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should start empty with nothing stored', () => {
+    expect(searchHistoryReducer(undefined, {})).toEqual({ recent: [], pinned: [] });
+  });
+
+  it('should load stored history, dropping anything malformed', () => {
+    localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify({ recent: ['Salah', 42, ' '], pinned: 'Nunez' }));
+
+    expect(searchHistoryReducer(undefined, {})).toEqual({ recent: ['Salah'], pinned: [] });
+  });
+
+  it('should load pins saved before they kept options with the default sort and time range', () => {
+    localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify({
+      recent: [],
+      pinned: ['Nunez', { query: 'Salah', sort: 'top', timeRange: 'forever' }, { sort: 'new' }]
+    }));
+
+    expect(searchHistoryReducer(undefined, {}).pinned).toEqual([
+      { query: 'Nunez', sort: 'relevance', timeRange: 'all' },
+      { query: 'Salah', sort: 'top', timeRange: 'all' }
+    ]);
+  });
+
+  it('should fall back to empty lists when storage is corrupt', () => {
+    localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, '{not json');
+
+    expect(searchHistoryReducer(undefined, {})).toEqual({ recent: [], pinned: [] });
+  });
+
+  it('should move a repeated search to the top, ignoring case', () => {
+    const state = { recent: ['Nunez', 'salah'], pinned: [] };
+
+    expect(searchHistoryReducer(state, { type: types.ADD_RECENT_SEARCH, payload: 'Salah' }).recent)
+      .toEqual(['Salah', 'Nunez']);
+  });
+
+  it('should keep only the most recent searches', () => {
+    const recent = Array.from({ length: MAX_RECENT_SEARCHES }, (_, i) => `search ${i}`);
+
+    const state = searchHistoryReducer({ recent, pinned: [] }, { type: types.ADD_RECENT_SEARCH, payload: 'newest' });
+
+    expect(state.recent).toHaveLength(MAX_RECENT_SEARCHES);
+    expect(state.recent[0]).toBe('newest');
+    expect(state.recent).not.toContain(`search ${MAX_RECENT_SEARCHES - 1}`);
+  });
+
+  it('should not pin the same search twice, keeping the latest options', () => {
+    const salah = { query: 'Salah', sort: 'relevance', timeRange: 'all' };
+    const nunez = { query: 'Nunez', sort: 'relevance', timeRange: 'all' };
+    const repinned = { query: 'salah', sort: 'new', timeRange: 'day' };
+
+    expect(searchHistoryReducer({ recent: [], pinned: [salah, nunez] }, { type: types.PIN_SEARCH, payload: repinned }).pinned)
+      .toEqual([nunez, repinned]);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for settings Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - Preferences must survive reloads, stamped with the schema version for future migrations
+ * - Whether the Settings screen is open is session state and must never be persisted
+ */
+
+import * as actions from '../actions/settings';
+import settingsReducer, { SETTINGS_STORAGE_KEY } from '../reducers/settings';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION } from '../../utils/settingsSchema';
+import { createTestStore } from '../testStore';
+
+describe('Settings Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should persist preferences with the schema version', () => {
+    const store = createTestStore({ settings: settingsReducer });
+
+    store.dispatch(actions.updateSettings({ pageSize: 30, autoplayMedia: true }));
+    store.dispatch(actions.setSettingsOpen(true));
+
+    expect(store.getState().settings).toEqual({ ...DEFAULT_SETTINGS, pageSize: 30, autoplayMedia: true, open: true });
+    expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY))).toEqual({
+      ...DEFAULT_SETTINGS,
+      pageSize: 30,
+      autoplayMedia: true,
+      version: SETTINGS_VERSION
+    });
+  });
+
+  it('should drop invalid values', () => {
+    const store = createTestStore({ settings: settingsReducer });
+
+    store.dispatch(actions.updateSettings({ pageSize: 7, commentDepth: 8 }));
+
+    expect(store.getState().settings.pageSize).toBe(DEFAULT_SETTINGS.pageSize);
+    expect(store.getState().settings.commentDepth).toBe(8);
+  });
+
+  it('should reset preferences but leave the screen open', () => {
+    const store = createTestStore({ settings: settingsReducer });
+    store.dispatch(actions.setSettingsOpen(true));
+    store.dispatch(actions.updateSettings({ theme: 'green', defaultSort: 'new' }));
+
+    store.dispatch(actions.resetSettings());
+
+    expect(store.getState().settings).toEqual({ ...DEFAULT_SETTINGS, open: true });
+    expect(JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY)).theme).toBe('red');
+  });
+});
+
+describe('Settings Reducer', () => {
+  afterEach(() => {
+    localStorage.clear();
+  });
+
+  it('should start with defaults and the screen closed', () => {
+    expect(settingsReducer(undefined, {})).toEqual({ ...DEFAULT_SETTINGS, open: false });
+  });
+
+  it('should load stored settings', () => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify({ version: 1, commentDepth: 10 }));
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/settings').default;
+      expect(reducer(undefined, {}).commentDepth).toBe(10);
+    });
+  });
+
+  it('should migrate preferences saved before the settings slice existed', () => {
+    localStorage.setItem('lfc-theme', 'white');
+    localStorage.setItem('lfc-filters-expanded', 'true');
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/settings').default;
+      const state = reducer(undefined, {});
+      expect(state.theme).toBe('white');
+      expect(state.filtersExpanded).toBe(true);
+    });
+  });
+
+  it('should fall back to defaults for a corrupt payload', () => {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, '{not json');
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/settings').default;
+      expect(reducer(undefined, {})).toEqual({ ...DEFAULT_SETTINGS, open: false });
+    });
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for spoiler-safe mode Redux actions and reducer.
+ *
+ * WHY these tests matter:
+ * - The mode must survive reloads, or a fan is spoiled the moment they reopen the app
+ * - Reveals are per session, so nothing revealed yesterday leaks into today's feed
+ */
+
+import * as actions from '../actions/spoilers';
+import spoilersReducer, { selectSpoilerReason, SPOILER_SAFE_STORAGE_KEY } from '../reducers/spoilers';
+import { DEFAULT_SPOILER_WINDOW_HOURS } from '../../utils/spoilerGuard';
+import { createTestStore } from '../testStore';
+
+const resultPost = { id: 'p1', title: 'Liverpool 3-1 Everton', created: Date.now() / 1000 - 60 };
+
+describe('Spoiler Actions', () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it('should persist the toggle and window, but not reveals', () => {
+    const store = createTestStore({ spoilers: spoilersReducer });
+
+    store.dispatch(actions.setSpoilerSafe(true));
+    store.dispatch(actions.setSpoilerWindow(24));
+    store.dispatch(actions.revealSpoiler('p1'));
+
+    expect(store.getState().spoilers).toEqual({ enabled: true, windowHours: 24, revealed: { p1: true } });
+    expect(JSON.parse(localStorage.getItem(SPOILER_SAFE_STORAGE_KEY))).toEqual({ enabled: true, windowHours: 24 });
+  });
+});
+
+describe('Spoilers Reducer', () => {
+  it('should start disabled with the default window', () => {
+    expect(spoilersReducer(undefined, {})).toEqual({
+      enabled: false,
+      windowHours: DEFAULT_SPOILER_WINDOW_HOURS,
+      revealed: {}
+    });
+  });
+
+  it('should load stored settings on start', () => {
+    localStorage.setItem(SPOILER_SAFE_STORAGE_KEY, JSON.stringify({ enabled: true, windowHours: 6 }));
+
+    jest.isolateModules(() => {
+      const reducer = require('../reducers/spoilers').default;
+      expect(reducer(undefined, {})).toEqual({ enabled: true, windowHours: 6, revealed: {} });
+    });
+    localStorage.clear();
+  });
+});
+
+describe('selectSpoilerReason', () => {
+  it('should hide result posts only while enabled and unrevealed', () => {
+    const state = { enabled: true, windowHours: 12, revealed: {} };
+
+    expect(selectSpoilerReason(state, resultPost)).toBe('score');
+    expect(selectSpoilerReason({ ...state, enabled: false }, resultPost)).toBeNull();
+    expect(selectSpoilerReason({ ...state, revealed: { p1: true } }, resultPost)).toBeNull();
+  });
+});
@@ -12,6 +12,7 @@
 import * as actions from '../actions/subreddits';
 import * as types from '../actions/types';
 import subredditsReducer from '../reducers/subreddits';
+import { getFeedKeys } from '../../utils/subredditRegistry';
 
 describe('Subreddits Actions', () => {
   describe('setSelectedSubreddit', () => {
@@ -45,7 +46,7 @@ describe('Subreddits Actions', () => {
 
 describe('Subreddits Reducer', () => {
   const initialState = {
-    available: ['LiverpoolFC'],
+    available: ['all', 'LiverpoolFC', 'liverpoolfcmedia', 'LFCWomen', 'LFCAcademy'],
     selected: 'LiverpoolFC'
   };
 
@@ -53,6 +54,10 @@ describe('Subreddits Reducer', () => {
     expect(subredditsReducer(undefined, {})).toEqual(initialState);
   });
 
+  it('should offer the All LFC feed and every registry subreddit', () => {
+    expect(subredditsReducer(undefined, {}).available).toEqual(getFeedKeys());
+  });
+
   describe('SET_SELECTED_SUBREDDIT', () => {
     it('should update selected subreddit', () => {
       const newState = subredditsReducer(initialState, {
@@ -69,7 +74,7 @@ describe('Subreddits Reducer', () => {
         payload: 'all'
       });
 
-      expect(newState.available).toEqual(['LiverpoolFC']);
+      expect(newState.available).toEqual(initialState.available);
     });
 
     it('should handle selecting same subreddit', () => {
@@ -0,0 +1,42 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for the author profile panel opened from an author's name
+ *              in PostItem, PostDetail or a comment.
+ */
+
+import * as types from './types';
+import * as api from '../../utils/api';
+
+/**
+ * Open the panel for an author and load their recent LFC activity
+ * @param {string} username - Reddit username
+ * @return {Function} Thunk action that dispatches fetch lifecycle actions
+ */
+export const openAuthorProfile = (username) => {
+  return async (dispatch) => {
+    dispatch({ type: types.FETCH_AUTHOR_PROFILE_REQUEST, meta: { username } });
+
+    try {
+      const profile = await api.fetchAuthorProfile(username);
+      dispatch({
+        type: types.FETCH_AUTHOR_PROFILE_SUCCESS,
+        payload: profile,
+        meta: { username }
+      });
+    } catch (error) {
+      dispatch({
+        type: types.FETCH_AUTHOR_PROFILE_FAILURE,
+        payload: error.message,
+        meta: { username }
+      });
+    }
+  };
+};
+
+/**
+ * @return {Object} Redux action
+ */
+export const closeAuthorProfile = () => ({
+  type: types.CLOSE_AUTHOR_PROFILE
+});
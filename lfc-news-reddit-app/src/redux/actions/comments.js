@@ -3,30 +3,168 @@
  * @date 2025-10-22
  * @description Redux action creators for comment-related operations.
  *              Handles fetching and clearing threaded Reddit comments.
+ *              Every thread action carries meta.postId so the reducer files the result under
+ *              the right post, however late it arrives.
  */
 
 import * as types from './types';
 import * as api from '../../utils/api';
+import { COMMENT_SORT_STORAGE_KEY } from '../reducers/comments';
 
 /**
+ * Fetches a thread in the user's chosen comment sort
+ * WHY: Each sort is a separate URL, so every sort is cached on its own
  * @param {string} postId - Reddit post ID to fetch comments for
+ * @param {string|null} [subreddit=null] - The post's own subreddit (crossposts and search results
+ *                                         can live outside r/LiverpoolFC); null when not yet known
  * @return {Function} Thunk action that dispatches fetch lifecycle actions
  */
-export const fetchComments = (postId) => {
-  return async (dispatch) => {
-    dispatch({ type: types.FETCH_COMMENTS_REQUEST });
+export const fetchComments = (postId, subreddit = null) => {
+  return async (dispatch, getState) => {
+    const meta = { postId };
+    dispatch({ type: types.FETCH_COMMENTS_REQUEST, meta });
     
     try {
-      const comments = await api.fetchComments(postId);
+      const sort = getState().comments?.sort;
+      const comments = await api.fetchComments(postId, subreddit, { sort });
       dispatch({
         type: types.FETCH_COMMENTS_SUCCESS,
-        payload: comments
+        payload: comments,
+        meta
       });
     } catch (error) {
       dispatch({
         type: types.FETCH_COMMENTS_FAILURE,
-        payload: error.message
+        payload: error.message,
+        meta
+      });
+    }
+  };
+};
+
+/**
+ * Load a thread into the store without opening it, so stepping to that post shows it at once
+ * @param {string} postId - Post whose comments to load
+ * @param {string} [subreddit=null] - Subreddit containing the post
+ * @return {Function} Thunk action
+ */
+export const prefetchComments = (postId, subreddit = null) => {
+  return async (dispatch, getState) => {
+    const { comments } = getState();
+    if (comments.byPostId[postId]) return;
+
+    try {
+      const items = await api.fetchComments(postId, subreddit, { sort: comments.sort });
+      // WHY the normal success action: it files threads for posts that aren't open without
+      // touching the open thread's loading state
+      dispatch({
+        type: types.FETCH_COMMENTS_SUCCESS,
+        payload: items,
+        meta: { postId }
+      });
+    } catch (error) {
+      // WHY silent: a failed prefetch costs nothing - opening the post fetches as usual
+    }
+  };
+};
+
+/**
+ * Refetch a thread sorted by new for live match-thread mode
+ * WHY: Bypasses the response cache so each poll sees the latest comments, while still
+ * queueing behind the API rate limiter like every other request
+ * @param {string} postId - Reddit post ID to poll comments for
+ * @param {string|null} [subreddit=null] - Subreddit containing the post
+ * @return {Function} Thunk action that dispatches poll lifecycle actions
+ */
+export const pollComments = (postId, subreddit = null) => {
+  return async (dispatch) => {
+    dispatch({ type: types.POLL_COMMENTS_REQUEST, meta: { postId } });
+
+    try {
+      const comments = await api.fetchComments(postId, subreddit, { sort: 'new', fresh: true });
+      dispatch({
+        type: types.POLL_COMMENTS_SUCCESS,
+        payload: comments,
+        meta: { postId, polledAt: Date.now() }
+      });
+    } catch (error) {
+      dispatch({
+        type: types.POLL_COMMENTS_FAILURE,
+        payload: error.message,
+        meta: { postId }
+      });
+    }
+  };
+};
+
+/**
+ * Loads the comments behind a "more" stub and splices them into the thread
+ * WHY: Stubs with child ids go through api/morechildren in batches of 100; "continue this
+ * thread" stubs have none, so the parent comment's permalink is fetched instead
+ * @param {string} postId - Reddit post ID the stub belongs to
+ * @param {string|null} subreddit - Subreddit containing the post
+ * @param {Object} stub - Normalised "more" placeholder from the comment tree
+ * @return {Function} Thunk action that dispatches load-more lifecycle actions
+ */
+export const loadMoreComments = (postId, subreddit, stub) => {
+  return async (dispatch, getState) => {
+    const meta = { postId };
+    dispatch({ type: types.FETCH_MORE_COMMENTS_REQUEST, payload: { stubId: stub.id }, meta });
+
+    try {
+      const sort = getState().comments?.sort;
+      let comments;
+      let remaining = null;
+
+      if (stub.children.length > 0) {
+        const batch = stub.children.slice(0, api.MORE_CHILDREN_LIMIT);
+        const rest = stub.children.slice(api.MORE_CHILDREN_LIMIT);
+        comments = await api.fetchMoreComments(postId, batch, { sort });
+        if (rest.length > 0) {
+          remaining = { ...stub, children: rest, count: Math.max(rest.length, stub.count - batch.length) };
+        }
+      } else {
+        const parentCommentId = stub.parentId.replace(/^t1_/, '');
+        comments = await api.fetchCommentThread(postId, parentCommentId, subreddit, { sort });
+      }
+
+      dispatch({
+        type: types.FETCH_MORE_COMMENTS_SUCCESS,
+        payload: { stubId: stub.id, comments, remaining },
+        meta
       });
+    } catch (error) {
+      dispatch({
+        type: types.FETCH_MORE_COMMENTS_FAILURE,
+        payload: { stubId: stub.id, error: error.message },
+        meta
+      });
+    }
+  };
+};
+
+/**
+ * Changes and remembers the comment sort, reloading the open thread in the new order
+ * @param {string} sort - Reddit comment sort: 'confidence', 'top', 'new', 'controversial', 'old', 'qa'
+ * @param {string} [postId] - Open post to refetch comments for
+ * @param {string|null} [subreddit=null] - Subreddit containing the open post
+ * @return {Function} Thunk action
+ */
+export const setCommentSort = (sort, postId, subreddit = null) => {
+  return (dispatch) => {
+    try {
+      localStorage.setItem(COMMENT_SORT_STORAGE_KEY, sort);
+    } catch (error) {
+      // WHY: The thread still re-sorts; the choice just won't outlive the session
+      console.warn('Could not persist comment sort:', error);
+    }
+    dispatch({
+      type: types.SET_COMMENT_SORT,
+      payload: sort
+    });
+
+    if (postId) {
+      return dispatch(fetchComments(postId, subreddit));
     }
   };
 };
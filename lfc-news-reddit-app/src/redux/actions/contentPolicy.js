@@ -0,0 +1,30 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for the content policy. The NSFW policy is written
+ *              through to localStorage.
+ */
+
+import * as types from './types';
+import { NSFW_POLICY_STORAGE_KEY } from '../reducers/contentPolicy';
+import { NSFW_POLICIES } from '../../utils/contentPolicy';
+
+/**
+ * @param {string} policy - One of NSFW_POLICIES ('hide', 'blur', 'show')
+ * @return {Function} Redux thunk
+ */
+export const setNsfwPolicy = (policy) => {
+  return (dispatch) => {
+    if (!NSFW_POLICIES.includes(policy)) return;
+
+    try {
+      localStorage.setItem(NSFW_POLICY_STORAGE_KEY, policy);
+    } catch (error) {
+      console.warn('Could not persist NSFW policy:', error);
+    }
+    dispatch({
+      type: types.SET_NSFW_POLICY,
+      payload: policy
+    });
+  };
+};
@@ -0,0 +1,57 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for the mute list (keywords, patterns, authors, domains, flairs).
+ *              Changes are written through to localStorage.
+ */
+
+import * as types from './types';
+import { MUTES_STORAGE_KEY } from '../reducers/mutes';
+import { normaliseMuteValue, isValidMutePattern } from '../../utils/muteFilter';
+
+/**
+ * @param {Object} mutes - Mute lists to persist
+ */
+const persistMutes = (mutes) => {
+  try {
+    localStorage.setItem(MUTES_STORAGE_KEY, JSON.stringify(mutes));
+  } catch (error) {
+    console.warn('Could not persist mute list:', error);
+  }
+};
+
+/**
+ * @param {string} type - One of MUTE_TYPES ('keywords', 'patterns', 'authors', 'domains', 'flairs')
+ * @param {string} value - Raw user input; normalised before storing
+ * @return {Function} Redux thunk resolving to true when added, false when rejected
+ */
+export const addMute = (type, value) => {
+  return (dispatch, getState) => {
+    const normalised = normaliseMuteValue(type, value);
+    if (!normalised || (type === 'patterns' && !isValidMutePattern(normalised))) {
+      return false;
+    }
+
+    dispatch({
+      type: types.ADD_MUTE,
+      payload: { type, value: normalised }
+    });
+    persistMutes(getState().mutes);
+    return true;
+  };
+};
+
+/**
+ * @param {string} type - One of MUTE_TYPES
+ * @param {string} value - Stored (normalised) value to remove
+ * @return {Function} Redux thunk
+ */
+export const removeMute = (type, value) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: types.REMOVE_MUTE,
+      payload: { type, value }
+    });
+    persistMutes(getState().mutes);
+  };
+};
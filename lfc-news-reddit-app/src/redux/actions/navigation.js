@@ -0,0 +1,89 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for moving around the app: home, stepping between posts
+ *              and the keyboard shortcuts overlay.
+ *              WHY here: these span the posts, comments, saved and subreddits slices, and are
+ *              shared by BottomNav buttons and keyboard shortcuts.
+ */
+
+import * as types from './types';
+import { fetchPosts, setCurrentPost, clearCurrentPost } from './posts';
+import { fetchComments, clearComments } from './comments';
+import { setSelectedSubreddit } from './subreddits';
+import { setSavedView } from './saved';
+import { markPostRead } from './readPosts';
+import { selectAdjacentPosts } from '../reducers/navigation';
+
+/**
+ * @param {Object[]} posts - Posts in the order PostList shows them
+ * @return {Function} Redux thunk
+ */
+export const setFeedOrder = (posts) => {
+  return (dispatch, getState) => {
+    const { posts: postsState, navigation } = getState();
+    const openPostId = postsState.currentPost?.id;
+    // WHY frozen while a post is open: the list can still change behind it (a background
+    // refresh, "hide read" catching up), which would leave next/previous with nothing to step from
+    if (openPostId && navigation.feedOrder.some(post => post.id === openPostId)) return;
+
+    dispatch({
+      type: types.SET_FEED_ORDER,
+      payload: posts
+    });
+  };
+};
+
+/**
+ * @param {boolean} open - Whether the keyboard shortcuts overlay is shown
+ * @return {Object} Redux action
+ */
+export const setShortcutsHelpOpen = (open) => ({
+  type: types.SET_SHORTCUTS_HELP_OPEN,
+  payload: open
+});
+
+/**
+ * Reset to the main feed - close any open post, leave Saved, return to r/LiverpoolFC, scroll to top
+ * @return {Function} Redux thunk
+ */
+export const goHome = () => {
+  return (dispatch, getState) => {
+    const { posts, saved, subreddits } = getState();
+
+    if (posts.currentPost) {
+      dispatch(clearCurrentPost());
+      dispatch(clearComments());
+    }
+
+    if (saved.viewing) {
+      dispatch(setSavedView(false));
+    }
+
+    if (subreddits.selected !== 'LiverpoolFC') {
+      dispatch(setSelectedSubreddit('LiverpoolFC'));
+      dispatch(fetchPosts('LiverpoolFC'));
+    }
+
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+};
+
+/**
+ * Open the post before or after the current one in the feed order
+ * @param {number} offset - 1 for the next post, -1 for the previous one
+ * @return {Function} Redux thunk
+ */
+export const openAdjacentPost = (offset) => {
+  return (dispatch, getState) => {
+    const { posts, navigation } = getState();
+    const { previous, next } = selectAdjacentPosts(navigation, posts.currentPost?.id);
+    const post = offset > 0 ? next : previous;
+    if (!post) return;
+
+    // WHY: Same steps as opening it from PostItem, so read tracking and comments behave alike
+    dispatch(markPostRead(post));
+    dispatch(setCurrentPost(post));
+    dispatch(fetchComments(post.id, post.subreddit));
+  };
+};
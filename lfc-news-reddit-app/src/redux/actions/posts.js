@@ -7,22 +7,54 @@
 
 import * as types from './types';
 import * as api from '../../utils/api';
+import { parseSearchQuery, toRedditQuery, matchesSearchQuery } from '../../utils/searchQuery';
 
 /**
- * @param {string} [subreddit='LiverpoolFC'] - Subreddit to fetch from (only LiverpoolFC is allowed)
+ * @param {string} subreddit - Registry subreddit, or 'all'
+ * @param {string} sortBy - Listing sort
+ * @param {string} timeRange - Time filter
+ * @return {string} Identifies a listing, so refetching the one on screen can keep it up meanwhile
+ */
+const getListingKey = (subreddit, sortBy, timeRange) =>
+  // WHY: Only top and controversial listings change with the time range
+  [subreddit, sortBy, sortBy === 'top' || sortBy === 'controversial' ? timeRange : ''].join('/');
+
+/**
+ * Fetch the first page of a listing with stale-while-revalidate semantics
+ * WHY: A cached listing renders immediately; when the background refresh lands it is only
+ * applied if the user is still looking at the same listing
+ * @param {string} [subreddit='LiverpoolFC'] - Registry subreddit, or 'all' for the combined LFC feed
  * @param {string} [sortBy='hot'] - Sort method: 'hot', 'new', 'top', 'controversial'
  * @param {string} [timeRange='day'] - Time filter for top/controversial sorts
  * @return {Function} Thunk action that dispatches fetch lifecycle actions
  */
 export const fetchPosts = (subreddit = 'LiverpoolFC', sortBy = 'hot', timeRange = 'day') => {
-  return async (dispatch) => {
-    dispatch({ type: types.FETCH_POSTS_REQUEST });
-    
+  return async (dispatch, getState) => {
+    const listing = getListingKey(subreddit, sortBy, timeRange);
+    dispatch({ type: types.FETCH_POSTS_REQUEST, meta: { listing } });
+
+    const onRevalidate = (page) => {
+      const { posts, subreddits } = getState();
+      // WHY: Viral is a client-side sort of the hot listing
+      const currentSort = posts.sortBy === 'viral' ? 'hot' : posts.sortBy;
+      const sameListing = subreddits.selected === subreddit &&
+        currentSort === sortBy &&
+        (posts.timeRange === timeRange || (sortBy !== 'top' && sortBy !== 'controversial'));
+
+      if (sameListing && !posts.searchTerm) {
+        dispatch({
+          type: types.FETCH_POSTS_REVALIDATED,
+          payload: page.posts
+        });
+      }
+    };
+
     try {
-      const posts = await api.fetchPosts(subreddit, sortBy, timeRange);
+      const { posts, after } = await api.fetchPosts(subreddit, sortBy, timeRange, null, { onRevalidate });
       dispatch({
         type: types.FETCH_POSTS_SUCCESS,
-        payload: posts
+        payload: posts,
+        meta: { after, listing }
       });
     } catch (error) {
       dispatch({
@@ -33,6 +65,65 @@ export const fetchPosts = (subreddit = 'LiverpoolFC', sortBy = 'hot', timeRange
   };
 };
 
+/**
+ * Fetch the next page of the current listing using Reddit's `after` cursor
+ * WHY: Reads subreddit, sort and cursor from state so "Load More" needs no arguments
+ * @return {Function} Thunk action that dispatches fetch-more lifecycle actions
+ */
+export const fetchMorePosts = () => {
+  return async (dispatch, getState) => {
+    const { posts, subreddits } = getState();
+
+    // Nothing left to page through, or a page is already in flight
+    if (!posts.after || posts.loadingMore) return;
+
+    // WHY: Captured up front so a page that lands after the user switched listing is dropped
+    // rather than appended to a feed it doesn't belong to
+    const subreddit = subreddits.selected;
+    const { sortBy: requestedSort, timeRange, after } = posts;
+    const isSameListing = () => {
+      const current = getState();
+      return current.subreddits.selected === subreddit &&
+        current.posts.sortBy === requestedSort &&
+        current.posts.timeRange === timeRange;
+    };
+
+    dispatch({ type: types.FETCH_MORE_POSTS_REQUEST });
+
+    try {
+      // WHY: Viral is a client-side sort of the hot listing, so page through hot
+      const sortBy = requestedSort === 'viral' ? 'hot' : requestedSort;
+      const page = await api.fetchPosts(subreddit, sortBy, timeRange, after);
+      if (!isSameListing()) {
+        dispatch({ type: types.FETCH_MORE_POSTS_DROPPED });
+        return;
+      }
+      dispatch({
+        type: types.FETCH_MORE_POSTS_SUCCESS,
+        payload: page.posts,
+        meta: { after: page.after, requestAfter: after }
+      });
+    } catch (error) {
+      if (!isSameListing()) {
+        dispatch({ type: types.FETCH_MORE_POSTS_DROPPED });
+        return;
+      }
+      dispatch({
+        type: types.FETCH_MORE_POSTS_FAILURE,
+        payload: error.message,
+        meta: { requestAfter: after }
+      });
+    }
+  };
+};
+
+/**
+ * @return {Object} Redux action to show posts found by a background refresh
+ */
+export const mergeNewPosts = () => ({
+  type: types.MERGE_NEW_POSTS
+});
+
 /**
  * @param {string} postId - Reddit post ID (without t3_ prefix)
  * @return {Function} Thunk action that fetches full post details
@@ -57,20 +148,31 @@ export const fetchPostDetails = (postId) => {
 };
 
 /**
- * @param {string} searchTerm - Search query string
- * @param {string} [subreddit='LiverpoolFC'] - Subreddit to search within (only LiverpoolFC is allowed)
+ * @param {string} searchTerm - Query as typed, operators included (see utils/searchQuery)
+ * @param {string} [subreddit='LiverpoolFC'] - Registry subreddit, or 'all' to search every LFC subreddit
+ * @param {Object|null} [options=null] - { sort, timeRange } to switch to first, e.g. a pinned search's
  * @return {Function} Thunk action that searches posts and updates search term
  */
-export const searchPosts = (searchTerm, subreddit = 'LiverpoolFC') => {
-  return async (dispatch) => {
+export const searchPosts = (searchTerm, subreddit = 'LiverpoolFC', options = null) => {
+  return async (dispatch, getState) => {
     dispatch({ type: types.SEARCH_POSTS_REQUEST });
     dispatch({ type: types.SET_SEARCH_TERM, payload: searchTerm });
-    
+    if (options) {
+      dispatch({ type: types.SET_SEARCH_OPTIONS, payload: options });
+    }
+
+    const { searchSort, searchTimeRange } = getState().posts;
+    const clauses = parseSearchQuery(searchTerm);
+
     try {
-      const posts = await api.searchPosts(searchTerm, subreddit);
+      const posts = await api.searchPosts(toRedditQuery(clauses), subreddit, {
+        sort: searchSort,
+        timeRange: searchTimeRange
+      });
       dispatch({
         type: types.SEARCH_POSTS_SUCCESS,
-        payload: posts
+        // WHY: Exclusions can't be sent to Reddit, so they are applied to what comes back
+        payload: posts.filter(post => matchesSearchQuery(post, clauses))
       });
     } catch (error) {
       dispatch({
@@ -81,6 +183,23 @@ export const searchPosts = (searchTerm, subreddit = 'LiverpoolFC') => {
   };
 };
 
+/**
+ * Change how search results are ordered and how far back they go, re-running an active search
+ * @param {Object} options - { sort, timeRange }, either may be omitted
+ * @param {string} [subreddit='LiverpoolFC'] - Subreddit the active search covers
+ * @return {Function} Redux thunk
+ */
+export const setSearchOptions = (options, subreddit = 'LiverpoolFC') => {
+  return (dispatch, getState) => {
+    dispatch({ type: types.SET_SEARCH_OPTIONS, payload: options });
+
+    const { searchTerm } = getState().posts;
+    if (searchTerm) {
+      dispatch(searchPosts(searchTerm, subreddit));
+    }
+  };
+};
+
 /**
  * @param {Object} post - Post object to set as current
  * @return {Object} Redux action
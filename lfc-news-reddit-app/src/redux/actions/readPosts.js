@@ -0,0 +1,53 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for read/unread tracking.
+ *              Read entries and the "hide read" preference are written through to localStorage.
+ */
+
+import * as types from './types';
+import { READ_POSTS_STORAGE_KEY, HIDE_READ_STORAGE_KEY } from '../reducers/readPosts';
+
+/**
+ * Records a post as read, remembering its comment count at the time
+ * @param {Object} post - Normalised post being opened
+ * @return {Function} Redux thunk
+ */
+export const markPostRead = (post) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: types.MARK_POST_READ,
+      payload: {
+        id: post.id,
+        numComments: post.numComments || 0,
+        readAt: Date.now()
+      }
+    });
+
+    try {
+      localStorage.setItem(READ_POSTS_STORAGE_KEY, JSON.stringify(getState().readPosts.byId));
+    } catch (error) {
+      // WHY: Read tracking is a convenience; a full quota must not stop the post opening
+      console.warn('Could not persist read posts:', error);
+    }
+  };
+};
+
+/**
+ * @param {boolean} hideRead - Whether the feed hides posts that have been opened
+ * @return {Function} Redux thunk
+ */
+export const setHideRead = (hideRead) => {
+  return (dispatch) => {
+    try {
+      localStorage.setItem(HIDE_READ_STORAGE_KEY, String(hideRead));
+    } catch (error) {
+      // WHY: The toggle still applies for this session when storage is full or blocked
+      console.warn('Could not persist hide read preference:', error);
+    }
+    dispatch({
+      type: types.SET_HIDE_READ,
+      payload: hideRead
+    });
+  };
+};
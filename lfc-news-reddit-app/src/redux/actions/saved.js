@@ -0,0 +1,79 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for saved (bookmarked) posts and the Saved view.
+ *              Every change is written through to localStorage so saves survive reloads.
+ */
+
+import * as types from './types';
+import { SAVED_POSTS_STORAGE_KEY, selectIsSaved, selectIsSaveRefused } from '../reducers/saved';
+
+/**
+ * @param {Object[]} items - Saved posts to persist
+ */
+const persistSavedPosts = (items) => {
+  try {
+    localStorage.setItem(SAVED_POSTS_STORAGE_KEY, JSON.stringify(items));
+  } catch (error) {
+    // WHY: A full quota shouldn't break saving for this session; it just won't persist
+    console.warn('Could not persist saved posts:', error);
+  }
+};
+
+/**
+ * @param {Object} post - Normalised post to save
+ * @return {Function} Redux thunk resolving to whether the post was saved (false at the limit)
+ */
+export const savePost = (post) => {
+  return (dispatch, getState) => {
+    if (selectIsSaveRefused(getState().saved, post.id)) {
+      dispatch({
+        type: types.SAVE_POST_REFUSED,
+        payload: Date.now()
+      });
+      return false;
+    }
+    dispatch({
+      type: types.SAVE_POST,
+      payload: { ...post, savedAt: Date.now() }
+    });
+    persistSavedPosts(getState().saved.items);
+    return true;
+  };
+};
+
+/**
+ * @param {string} postId - Id of the post to remove from saved
+ * @return {Function} Redux thunk
+ */
+export const unsavePost = (postId) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: types.UNSAVE_POST,
+      payload: postId
+    });
+    persistSavedPosts(getState().saved.items);
+  };
+};
+
+/**
+ * @param {Object} post - Normalised post to save or unsave
+ * @return {Function} Redux thunk
+ */
+export const toggleSavedPost = (post) => {
+  return (dispatch, getState) => {
+    if (selectIsSaved(getState().saved, post.id)) {
+      return dispatch(unsavePost(post.id));
+    }
+    return dispatch(savePost(post));
+  };
+};
+
+/**
+ * @param {boolean} viewing - Whether the post list shows saved posts instead of the feed
+ * @return {Object} Redux action
+ */
+export const setSavedView = (viewing) => ({
+  type: types.SET_SAVED_VIEW,
+  payload: viewing
+});
@@ -0,0 +1,65 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for recent and pinned searches.
+ *              Changes are written through to localStorage.
+ */
+
+import * as types from './types';
+import { SEARCH_HISTORY_STORAGE_KEY } from '../reducers/searchHistory';
+import { DEFAULT_SEARCH_SORT, DEFAULT_SEARCH_TIME_RANGE } from '../../utils/searchQuery';
+
+/**
+ * @param {Object} searchHistory - { recent, pinned } to persist
+ */
+const persistSearchHistory = ({ recent, pinned }) => {
+  try {
+    localStorage.setItem(SEARCH_HISTORY_STORAGE_KEY, JSON.stringify({ recent, pinned }));
+  } catch (error) {
+    console.warn('Could not persist search history:', error);
+  }
+};
+
+/**
+ * @param {string} type - Search history action type
+ * @param {string|Object} [payload] - Query, or pinned search, the action applies to
+ * @return {Function} Redux thunk that applies the change and persists the history
+ */
+const updateSearchHistory = (type, payload) => {
+  return (dispatch, getState) => {
+    dispatch({ type, payload });
+    persistSearchHistory(getState().searchHistory);
+  };
+};
+
+/**
+ * @param {string} query - Query as typed
+ * @return {Function} Redux thunk
+ */
+export const addRecentSearch = (query) => updateSearchHistory(types.ADD_RECENT_SEARCH, query.trim());
+
+/**
+ * @param {string} query - Stored query
+ * @return {Function} Redux thunk
+ */
+export const removeRecentSearch = (query) => updateSearchHistory(types.REMOVE_RECENT_SEARCH, query);
+
+/**
+ * @return {Function} Redux thunk
+ */
+export const clearRecentSearches = () => updateSearchHistory(types.CLEAR_RECENT_SEARCHES);
+
+/**
+ * @param {string} query - Query to keep at hand
+ * @param {Object} [options] - { sort, timeRange } the search is run with
+ * @return {Function} Redux thunk
+ */
+export const pinSearch = (query, { sort = DEFAULT_SEARCH_SORT, timeRange = DEFAULT_SEARCH_TIME_RANGE } = {}) => (
+  updateSearchHistory(types.PIN_SEARCH, { query: query.trim(), sort, timeRange })
+);
+
+/**
+ * @param {string} query - Pinned query
+ * @return {Function} Redux thunk
+ */
+export const unpinSearch = (query) => updateSearchHistory(types.UNPIN_SEARCH, query);
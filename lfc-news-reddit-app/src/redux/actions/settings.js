@@ -0,0 +1,62 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for user preferences and the Settings screen.
+ *              Preference changes are written through to localStorage.
+ */
+
+import * as types from './types';
+import { SETTINGS_STORAGE_KEY, serializeSettings } from '../reducers/settings';
+import { isValidSetting } from '../../utils/settingsSchema';
+
+/**
+ * @param {Object} settings - Settings slice
+ */
+const persistSettings = (settings) => {
+  try {
+    localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(serializeSettings(settings)));
+  } catch (error) {
+    console.warn('Could not persist settings:', error);
+  }
+};
+
+/**
+ * @param {Object} changes - Settings to change, e.g. { pageSize: 30 }; invalid entries are dropped
+ * @return {Function} Redux thunk
+ */
+export const updateSettings = (changes) => {
+  return (dispatch, getState) => {
+    const valid = Object.keys(changes).reduce((result, key) => {
+      if (isValidSetting(key, changes[key])) {
+        result[key] = changes[key];
+      }
+      return result;
+    }, {});
+    if (Object.keys(valid).length === 0) return;
+
+    dispatch({
+      type: types.UPDATE_SETTINGS,
+      payload: valid
+    });
+    persistSettings(getState().settings);
+  };
+};
+
+/**
+ * @return {Function} Redux thunk
+ */
+export const resetSettings = () => {
+  return (dispatch, getState) => {
+    dispatch({ type: types.RESET_SETTINGS });
+    persistSettings(getState().settings);
+  };
+};
+
+/**
+ * @param {boolean} open - Whether the Settings screen is showing
+ * @return {Object} Redux action
+ */
+export const setSettingsOpen = (open) => ({
+  type: types.SET_SETTINGS_OPEN,
+  payload: open
+});
@@ -0,0 +1,57 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Redux action creators for spoiler-safe mode.
+ *              The on/off toggle and window length are written through to localStorage.
+ */
+
+import * as types from './types';
+import { SPOILER_SAFE_STORAGE_KEY } from '../reducers/spoilers';
+
+/**
+ * @param {Object} spoilers - spoilers slice
+ */
+const persistSpoilerSettings = ({ enabled, windowHours }) => {
+  try {
+    localStorage.setItem(SPOILER_SAFE_STORAGE_KEY, JSON.stringify({ enabled, windowHours }));
+  } catch (error) {
+    console.warn('Could not persist spoiler-safe settings:', error);
+  }
+};
+
+/**
+ * @param {boolean} enabled - Whether spoiler-safe mode hides result posts
+ * @return {Function} Redux thunk
+ */
+export const setSpoilerSafe = (enabled) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: types.SET_SPOILER_SAFE,
+      payload: enabled
+    });
+    persistSpoilerSettings(getState().spoilers);
+  };
+};
+
+/**
+ * @param {number} windowHours - How long after posting a result post stays hidden
+ * @return {Function} Redux thunk
+ */
+export const setSpoilerWindow = (windowHours) => {
+  return (dispatch, getState) => {
+    dispatch({
+      type: types.SET_SPOILER_WINDOW,
+      payload: windowHours
+    });
+    persistSpoilerSettings(getState().spoilers);
+  };
+};
+
+/**
+ * @param {string} postId - Post the user chose to reveal
+ * @return {Object} Redux action
+ */
+export const revealSpoiler = (postId) => ({
+  type: types.REVEAL_SPOILER,
+  payload: postId
+});
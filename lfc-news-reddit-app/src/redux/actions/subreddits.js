@@ -8,7 +8,7 @@
 import * as types from './types';
 
 /**
- * @param {string} subreddit - Subreddit name: 'all', 'LiverpoolFC', or 'liverpoolfcmedia'
+ * @param {string} subreddit - Registry subreddit name, or 'all' for the combined LFC feed
  * @return {Object} Redux action
  */
 export const setSelectedSubreddit = (subreddit) => ({
@@ -10,6 +10,17 @@ export const FETCH_POSTS_REQUEST = 'FETCH_POSTS_REQUEST';
 export const FETCH_POSTS_SUCCESS = 'FETCH_POSTS_SUCCESS';
 export const FETCH_POSTS_FAILURE = 'FETCH_POSTS_FAILURE';
 
+// WHY: Separate lifecycle so appending a page doesn't flip the whole feed into skeleton state
+export const FETCH_MORE_POSTS_REQUEST = 'FETCH_MORE_POSTS_REQUEST';
+export const FETCH_MORE_POSTS_SUCCESS = 'FETCH_MORE_POSTS_SUCCESS';
+export const FETCH_MORE_POSTS_FAILURE = 'FETCH_MORE_POSTS_FAILURE';
+// WHY: A page for a listing the user has left is thrown away, but must still end the request
+export const FETCH_MORE_POSTS_DROPPED = 'FETCH_MORE_POSTS_DROPPED';
+
+// WHY: Background refresh of a listing served from cache; new ids wait behind the banner
+export const FETCH_POSTS_REVALIDATED = 'FETCH_POSTS_REVALIDATED';
+export const MERGE_NEW_POSTS = 'MERGE_NEW_POSTS';
+
 export const FETCH_POST_DETAIL_REQUEST = 'FETCH_POST_DETAIL_REQUEST';
 export const FETCH_POST_DETAIL_SUCCESS = 'FETCH_POST_DETAIL_SUCCESS';
 export const FETCH_POST_DETAIL_FAILURE = 'FETCH_POST_DETAIL_FAILURE';
@@ -21,16 +32,73 @@ export const SEARCH_POSTS_REQUEST = 'SEARCH_POSTS_REQUEST';
 export const SEARCH_POSTS_SUCCESS = 'SEARCH_POSTS_SUCCESS';
 export const SEARCH_POSTS_FAILURE = 'SEARCH_POSTS_FAILURE';
 export const SET_SEARCH_TERM = 'SET_SEARCH_TERM';
+export const SET_SEARCH_OPTIONS = 'SET_SEARCH_OPTIONS';
 
 // Comment action types
 export const FETCH_COMMENTS_REQUEST = 'FETCH_COMMENTS_REQUEST';
 export const FETCH_COMMENTS_SUCCESS = 'FETCH_COMMENTS_SUCCESS';
 export const FETCH_COMMENTS_FAILURE = 'FETCH_COMMENTS_FAILURE';
 export const CLEAR_COMMENTS = 'CLEAR_COMMENTS';
+export const SET_COMMENT_SORT = 'SET_COMMENT_SORT';
+
+// WHY: Loading a "more comments" stub only touches that stub, not the whole thread
+export const FETCH_MORE_COMMENTS_REQUEST = 'FETCH_MORE_COMMENTS_REQUEST';
+export const FETCH_MORE_COMMENTS_SUCCESS = 'FETCH_MORE_COMMENTS_SUCCESS';
+export const FETCH_MORE_COMMENTS_FAILURE = 'FETCH_MORE_COMMENTS_FAILURE';
+
+// WHY: Live match-thread polling refreshes comments in place without the skeleton
+export const POLL_COMMENTS_REQUEST = 'POLL_COMMENTS_REQUEST';
+export const POLL_COMMENTS_SUCCESS = 'POLL_COMMENTS_SUCCESS';
+export const POLL_COMMENTS_FAILURE = 'POLL_COMMENTS_FAILURE';
 
 // Subreddit action types
 export const SET_SELECTED_SUBREDDIT = 'SET_SELECTED_SUBREDDIT';
 
+// Saved posts action types
+export const SAVE_POST = 'SAVE_POST';
+// WHY: A save turned away at the limit, so the UI can tell the user instead of failing silently
+export const SAVE_POST_REFUSED = 'SAVE_POST_REFUSED';
+export const UNSAVE_POST = 'UNSAVE_POST';
+export const SET_SAVED_VIEW = 'SET_SAVED_VIEW';
+
+// Read tracking action types
+export const MARK_POST_READ = 'MARK_POST_READ';
+export const SET_HIDE_READ = 'SET_HIDE_READ';
+
+// Mute list action types
+export const ADD_MUTE = 'ADD_MUTE';
+export const REMOVE_MUTE = 'REMOVE_MUTE';
+
+// Spoiler-safe mode action types
+export const SET_SPOILER_SAFE = 'SET_SPOILER_SAFE';
+export const SET_SPOILER_WINDOW = 'SET_SPOILER_WINDOW';
+export const REVEAL_SPOILER = 'REVEAL_SPOILER';
+
+// Content policy action types
+export const SET_NSFW_POLICY = 'SET_NSFW_POLICY';
+
+// Settings action types
+export const UPDATE_SETTINGS = 'UPDATE_SETTINGS';
+export const RESET_SETTINGS = 'RESET_SETTINGS';
+export const SET_SETTINGS_OPEN = 'SET_SETTINGS_OPEN';
+
+// Navigation action types
+export const SET_FEED_ORDER = 'SET_FEED_ORDER';
+export const SET_SHORTCUTS_HELP_OPEN = 'SET_SHORTCUTS_HELP_OPEN';
+
+// Search history action types
+export const ADD_RECENT_SEARCH = 'ADD_RECENT_SEARCH';
+export const REMOVE_RECENT_SEARCH = 'REMOVE_RECENT_SEARCH';
+export const CLEAR_RECENT_SEARCHES = 'CLEAR_RECENT_SEARCHES';
+export const PIN_SEARCH = 'PIN_SEARCH';
+export const UNPIN_SEARCH = 'UNPIN_SEARCH';
+
+// Author profile action types
+export const FETCH_AUTHOR_PROFILE_REQUEST = 'FETCH_AUTHOR_PROFILE_REQUEST';
+export const FETCH_AUTHOR_PROFILE_SUCCESS = 'FETCH_AUTHOR_PROFILE_SUCCESS';
+export const FETCH_AUTHOR_PROFILE_FAILURE = 'FETCH_AUTHOR_PROFILE_FAILURE';
+export const CLOSE_AUTHOR_PROFILE = 'CLOSE_AUTHOR_PROFILE';
+
 // Sorting action types
 export const SET_SORT_BY = 'SET_SORT_BY';
 export const SET_TIME_RANGE = 'SET_TIME_RANGE';
@@ -0,0 +1,55 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Author profile reducer: whose profile panel is open and their recent LFC activity.
+ *              State shape: { username, profile, loading, error }
+ *              username is null while the panel is closed.
+ */
+
+import * as types from '../actions/types';
+
+const initialState = {
+  username: null,
+  profile: null,
+  loading: false,
+  error: null
+};
+
+const authorProfileReducer = (state = initialState, action) => {
+  // WHY: A slow response for an author the user has moved on from must not replace the open one
+  const isStale = action.meta && action.meta.username !== state.username;
+
+  switch (action.type) {
+    case types.FETCH_AUTHOR_PROFILE_REQUEST:
+      return {
+        username: action.meta.username,
+        profile: null,
+        loading: true,
+        error: null
+      };
+
+    case types.FETCH_AUTHOR_PROFILE_SUCCESS:
+      if (isStale) return state;
+      return {
+        ...state,
+        profile: action.payload,
+        loading: false
+      };
+
+    case types.FETCH_AUTHOR_PROFILE_FAILURE:
+      if (isStale) return state;
+      return {
+        ...state,
+        loading: false,
+        error: action.payload
+      };
+
+    case types.CLOSE_AUTHOR_PROFILE:
+      return initialState;
+
+    default:
+      return state;
+  }
+};
+
+export default authorProfileReducer;
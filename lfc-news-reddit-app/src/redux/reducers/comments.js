@@ -2,46 +2,294 @@
  * @author Tom Butler
  * @date 2025-10-22
  * @description Comments reducer managing threaded comment data with loading and error states.
- *              State shape: { items, loading, error }
+ *              State shape: { byPostId, postId, loading, error, sort, newCommentIds, polling, pollError, lastPolled }
+ *              Threads are stored per post id so reopening a post is instant, and a response that
+ *              arrives after the user has moved on only updates its own post's thread.
  */
 
 import * as types from '../actions/types';
 
+// Reddit's comment sort values, in the order the selector shows them ('confidence' is "Best")
+export const COMMENT_SORTS = ['confidence', 'top', 'new', 'controversial', 'old', 'qa'];
+export const DEFAULT_COMMENT_SORT = 'confidence';
+export const COMMENT_SORT_STORAGE_KEY = 'lfc-comment-sort';
+
+// WHY: A 500-comment thread is a lot of state; older threads are simply refetched
+export const MAX_CACHED_THREADS = 20;
+
+const EMPTY_THREAD = [];
+
+/**
+ * @param {Object} state - Comments slice
+ * @param {string} [postId] - Post to look up
+ * @return {Object[]} The post's stored thread, or an empty list
+ */
+export const selectThread = (state, postId) => (postId && state.byPostId[postId]) || EMPTY_THREAD;
+
+/**
+ * @return {string} The user's remembered comment sort, or the default if none/invalid
+ */
+const loadCommentSort = () => {
+  try {
+    const saved = localStorage.getItem(COMMENT_SORT_STORAGE_KEY);
+    return COMMENT_SORTS.includes(saved) ? saved : DEFAULT_COMMENT_SORT;
+  } catch (error) {
+    return DEFAULT_COMMENT_SORT;
+  }
+};
+
+/**
+ * @param {Object[]} comments - Comment tree
+ * @param {Set<string>} [ids=new Set()] - Accumulator
+ * @return {Set<string>} Ids of every comment in the tree, including nested replies; load-more
+ *                       stubs are left out, as they aren't comments anyone wrote
+ */
+const collectIds = (comments, ids = new Set()) => {
+  comments.forEach(comment => {
+    if (!comment.isMore) ids.add(comment.id);
+    if (comment.replies) collectIds(comment.replies, ids);
+  });
+  return ids;
+};
+
+/**
+ * @param {Object[]} comments - Comment subtree
+ * @param {number} level - Nesting depth for the top of the subtree
+ * @return {Object[]} Subtree with levels renumbered from the given depth
+ */
+const relevel = (comments, level) => comments.map(comment => ({
+  ...comment,
+  level,
+  replies: comment.replies ? relevel(comment.replies, level + 1) : []
+}));
+
+/**
+ * Replaces a "more" stub anywhere in the tree, copying only the path down to it
+ * @param {Object[]} comments - Comment tree
+ * @param {string} stubId - Id of the stub to replace
+ * @param {Function} update - Receives the stub, returns the nodes to put in its place
+ * @return {Object[]} Updated tree, or the same array if the stub isn't in it
+ */
+const replaceStub = (comments, stubId, update) => {
+  let found = false;
+  const next = comments.flatMap(comment => {
+    if (found) return [comment];
+    if (comment.id === stubId) {
+      found = true;
+      return update(comment);
+    }
+    if (comment.replies?.length) {
+      const replies = replaceStub(comment.replies, stubId, update);
+      if (replies !== comment.replies) {
+        found = true;
+        return [{ ...comment, replies }];
+      }
+    }
+    return [comment];
+  });
+  return found ? next : comments;
+};
+
+/**
+ * Merges one level of a live poll into the thread on screen
+ * WHY: A poll returns the thread as Reddit serves it, with "more" stubs where the user has
+ * already loaded replies; taking it as-is would fold those replies away on every poll
+ * @param {Object[]} shown - Comments at this level before the poll
+ * @param {Object[]} polled - The same level from the poll
+ * @return {Object[]} The polled level with replies loaded from its stub kept in the stub's place,
+ *                    and the stub trimmed to what is still unloaded
+ */
+const mergePolledLevel = (shown, polled) => {
+  if (!shown.length) return polled;
+
+  const shownById = new Map(shown.map(comment => [comment.id, comment]));
+  const polledIds = new Set(polled.map(comment => comment.id));
+  // A parent has at most one stub: either child ids to fetch, or none for "continue this thread"
+  const stub = polled.find(comment => comment.isMore);
+  const loaded = stub
+    ? shown.filter(comment => !comment.isMore && !polledIds.has(comment.id) &&
+      (stub.children.length === 0 || stub.children.includes(comment.id)))
+    : [];
+
+  return polled.flatMap(comment => {
+    if (!comment.isMore) {
+      const previous = shownById.get(comment.id);
+      return [previous?.replies?.length
+        ? { ...comment, replies: mergePolledLevel(previous.replies, comment.replies || []) }
+        : comment];
+    }
+
+    if (comment.children.length === 0) {
+      return loaded.length ? loaded : [comment];
+    }
+    const loadedIds = collectIds(loaded);
+    const children = comment.children.filter(id => !loadedIds.has(id));
+    const remaining = children.length
+      ? [{ ...comment, children, count: Math.max(children.length, comment.count - loadedIds.size) }]
+      : [];
+    return [...loaded, ...remaining];
+  });
+};
+
 const initialState = {
-  items: [],
+  byPostId: {},
+  postId: null, // WHY: The thread currently open; loading/error/live fields describe this one
   loading: false,
-  error: null
+  error: null,
+  sort: loadCommentSort(),
+  newCommentIds: [], // WHY: Comments that arrived in the latest live poll, for highlighting
+  polling: false,
+  pollError: null,
+  lastPolled: null
+};
+
+/**
+ * Stores a thread as the most recently used, evicting the oldest beyond MAX_CACHED_THREADS
+ * @param {Object} byPostId - Threads keyed by post id, oldest first
+ * @param {string} postId - Post the thread belongs to
+ * @param {Object[]} items - Comment tree
+ * @param {string|null} activePostId - Open post, never evicted
+ * @return {Object} Updated threads
+ */
+const storeThread = (byPostId, postId, items, activePostId) => {
+  const { [postId]: _previous, ...rest } = byPostId;
+  const next = { ...rest, [postId]: items };
+  const ids = Object.keys(next);
+  ids
+    .filter(id => id !== postId && id !== activePostId)
+    .slice(0, Math.max(0, ids.length - MAX_CACHED_THREADS))
+    .forEach(id => { delete next[id]; });
+  return next;
+};
+
+/**
+ * @param {Object} state - Comments slice
+ * @param {Object} action - FETCH_MORE_COMMENTS_* action
+ * @param {Function} update - Receives the stub, returns the nodes to put in its place
+ * @return {Object} State with the stub replaced in its post's thread
+ */
+const updateStub = (state, action, update) => {
+  const { postId } = action.meta;
+  const thread = state.byPostId[postId];
+  if (!thread) return state;
+
+  const items = replaceStub(thread, action.payload.stubId, update);
+  if (items === thread) return state;
+  return {
+    ...state,
+    byPostId: { ...state.byPostId, [postId]: items }
+  };
 };
 
 const commentsReducer = (state = initialState, action) => {
   switch (action.type) {
-    case types.FETCH_COMMENTS_REQUEST:
+    case types.FETCH_COMMENTS_REQUEST: {
+      const { postId } = action.meta;
       return {
         ...state,
-        loading: true,
-        error: null
+        postId,
+        // WHY: A thread we already have stays on screen while it refreshes
+        loading: !state.byPostId[postId],
+        error: null,
+        newCommentIds: postId === state.postId ? state.newCommentIds : [],
+        pollError: null
       };
+    }
       
-    case types.FETCH_COMMENTS_SUCCESS:
+    case types.FETCH_COMMENTS_SUCCESS: {
+      const { postId } = action.meta;
+      const isActive = postId === state.postId;
       return {
         ...state,
-        items: action.payload,
-        loading: false,
-        error: null
+        byPostId: storeThread(state.byPostId, postId, action.payload, state.postId),
+        loading: isActive ? false : state.loading,
+        error: isActive ? null : state.error,
+        // WHY: A full reload (e.g. after a sort change) has nothing to compare against
+        newCommentIds: isActive ? [] : state.newCommentIds
       };
+    }
       
     case types.FETCH_COMMENTS_FAILURE:
+      // WHY: A late failure for a post the user has left must not show on the open one
+      if (action.meta.postId !== state.postId) return state;
       return {
         ...state,
         loading: false,
         error: action.payload
       };
+
+    case types.SET_COMMENT_SORT:
+      return {
+        ...state,
+        sort: action.payload
+      };
+
+    case types.FETCH_MORE_COMMENTS_REQUEST:
+      return updateStub(state, action, stub => [
+        { ...stub, loading: true, error: null }
+      ]);
+
+    case types.FETCH_MORE_COMMENTS_SUCCESS: {
+      const { comments, remaining } = action.payload;
+      return updateStub(state, action, stub => [
+        ...relevel(comments, stub.level),
+        // WHY: Stubs over Reddit's 100-id limit keep the unloaded ids for another click
+        ...(remaining ? [{ ...remaining, loading: false, error: null }] : [])
+      ]);
+    }
+
+    case types.FETCH_MORE_COMMENTS_FAILURE:
+      return updateStub(state, action, stub => [
+        { ...stub, loading: false, error: action.payload.error }
+      ]);
       
+    case types.POLL_COMMENTS_REQUEST:
+      return {
+        ...state,
+        polling: true
+      };
+
+    case types.POLL_COMMENTS_SUCCESS: {
+      const { postId, polledAt } = action.meta;
+      const previous = state.byPostId[postId] || EMPTY_THREAD;
+      const thread = mergePolledLevel(previous, action.payload);
+      const byPostId = storeThread(state.byPostId, postId, thread, state.postId);
+      // WHY: A poll that lands after the user switched posts only refreshes that post's thread
+      if (postId !== state.postId) {
+        return { ...state, byPostId, polling: false };
+      }
+
+      const previousIds = collectIds(previous);
+      return {
+        ...state,
+        byPostId,
+        // WHY: With nothing shown yet (initial load failed) everything would look new
+        newCommentIds: previousIds.size === 0
+          ? []
+          : [...collectIds(thread)].filter(id => !previousIds.has(id)),
+        polling: false,
+        pollError: null,
+        lastPolled: polledAt || null
+      };
+    }
+
+    case types.POLL_COMMENTS_FAILURE:
+      // WHY: Keep showing the last good thread; the next poll may succeed
+      return {
+        ...state,
+        polling: false,
+        pollError: action.meta.postId === state.postId ? action.payload : state.pollError
+      };
+
     case types.CLEAR_COMMENTS:
+      // WHY: Threads stay cached for an instant reopen; only the open-thread state resets
       return {
         ...state,
-        items: [],
-        error: null
+        postId: null,
+        error: null,
+        newCommentIds: [],
+        pollError: null,
+        lastPolled: null
       };
       
     default:
@@ -49,4 +297,4 @@ const commentsReducer = (state = initialState, action) => {
   }
 };
 
-export default commentsReducer;
\ No newline at end of file
+export default commentsReducer;
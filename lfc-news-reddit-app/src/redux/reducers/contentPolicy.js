@@ -0,0 +1,42 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Content policy reducer.
+ *              State shape: { nsfw } where nsfw is one of NSFW_POLICIES
+ */
+
+import * as types from '../actions/types';
+import { NSFW_POLICIES, DEFAULT_NSFW_POLICY } from '../../utils/contentPolicy';
+
+export const NSFW_POLICY_STORAGE_KEY = 'lfc-nsfw-policy';
+
+/**
+ * @return {string} Saved NSFW policy, or the default if missing, unknown or unreadable
+ */
+const loadNsfwPolicy = () => {
+  try {
+    const storedPolicy = localStorage.getItem(NSFW_POLICY_STORAGE_KEY);
+    return NSFW_POLICIES.includes(storedPolicy) ? storedPolicy : DEFAULT_NSFW_POLICY;
+  } catch (error) {
+    return DEFAULT_NSFW_POLICY;
+  }
+};
+
+const initialState = {
+  nsfw: loadNsfwPolicy()
+};
+
+const contentPolicyReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.SET_NSFW_POLICY:
+      return {
+        ...state,
+        nsfw: action.payload
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default contentPolicyReducer;
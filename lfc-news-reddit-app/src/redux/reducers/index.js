@@ -2,18 +2,37 @@
  * @author Tom Butler
  * @date 2025-10-22
  * @description Root reducer combining all feature reducers for the Redux store.
- *              State shape: { posts, comments, subreddits }
+ *              State shape: { posts, comments, subreddits, saved, readPosts, mutes, spoilers, contentPolicy,
+ *              settings, navigation, searchHistory, authorProfile }
  */
 
 import { combineReducers } from 'redux';
 import postsReducer from './posts';
 import commentsReducer from './comments';
 import subredditsReducer from './subreddits';
+import savedReducer from './saved';
+import readPostsReducer from './readPosts';
+import mutesReducer from './mutes';
+import spoilersReducer from './spoilers';
+import contentPolicyReducer from './contentPolicy';
+import settingsReducer from './settings';
+import navigationReducer from './navigation';
+import searchHistoryReducer from './searchHistory';
+import authorProfileReducer from './authorProfile';
 
 const rootReducer = combineReducers({
   posts: postsReducer,
   comments: commentsReducer,
-  subreddits: subredditsReducer
+  subreddits: subredditsReducer,
+  saved: savedReducer,
+  readPosts: readPostsReducer,
+  mutes: mutesReducer,
+  spoilers: spoilersReducer,
+  contentPolicy: contentPolicyReducer,
+  settings: settingsReducer,
+  navigation: navigationReducer,
+  searchHistory: searchHistoryReducer,
+  authorProfile: authorProfileReducer
 });
 
 export default rootReducer;
\ No newline at end of file
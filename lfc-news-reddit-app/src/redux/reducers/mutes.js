@@ -0,0 +1,55 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Mute list reducer. Values are stored normalised (see utils/muteFilter).
+ *              State shape: { keywords, patterns, authors, domains, flairs }
+ */
+
+import * as types from '../actions/types';
+import { MUTE_TYPES } from '../../utils/muteFilter';
+
+export const MUTES_STORAGE_KEY = 'lfc-mutes';
+
+const emptyMutes = MUTE_TYPES.reduce((lists, type) => ({ ...lists, [type]: [] }), {});
+
+/**
+ * @return {Object} Mute lists from localStorage, with any missing/corrupt list emptied
+ */
+const loadMutes = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(MUTES_STORAGE_KEY)) || {};
+    return MUTE_TYPES.reduce((lists, type) => ({
+      ...lists,
+      [type]: Array.isArray(saved[type]) ? saved[type].filter(value => typeof value === 'string') : []
+    }), {});
+  } catch (error) {
+    return emptyMutes;
+  }
+};
+
+const mutesReducer = (state = loadMutes(), action) => {
+  switch (action.type) {
+    case types.ADD_MUTE: {
+      const { type, value } = action.payload;
+      if (!MUTE_TYPES.includes(type) || state[type].includes(value)) return state;
+      return {
+        ...state,
+        [type]: [...state[type], value]
+      };
+    }
+
+    case types.REMOVE_MUTE: {
+      const { type, value } = action.payload;
+      if (!MUTE_TYPES.includes(type)) return state;
+      return {
+        ...state,
+        [type]: state[type].filter(existing => existing !== value)
+      };
+    }
+
+    default:
+      return state;
+  }
+};
+
+export default mutesReducer;
@@ -0,0 +1,53 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Navigation reducer: the order posts are listed in, for stepping between them
+ *              without the list, plus whether the keyboard shortcuts overlay is open.
+ *              State shape: { feedOrder, shortcutsHelpOpen }
+ *              feedOrder is the posts PostList is showing (after filters, minus muted posts).
+ */
+
+import * as types from '../actions/types';
+
+/**
+ * @param {Object} state - Navigation slice
+ * @param {string} [postId] - The open post
+ * @return {Object} { previous, next, index, total } - Its neighbours in the feed order (null at
+ *                  either end), its position, and how many posts are listed; index is -1 when
+ *                  the post is not in the list (e.g. opened from a link)
+ */
+export const selectAdjacentPosts = (state, postId) => {
+  const index = postId ? state.feedOrder.findIndex(post => post.id === postId) : -1;
+  return {
+    previous: index > 0 ? state.feedOrder[index - 1] : null,
+    next: index === -1 ? null : state.feedOrder[index + 1] || null,
+    index,
+    total: state.feedOrder.length
+  };
+};
+
+const initialState = {
+  feedOrder: [],
+  shortcutsHelpOpen: false
+};
+
+const navigationReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.SET_FEED_ORDER:
+      return {
+        ...state,
+        feedOrder: action.payload
+      };
+
+    case types.SET_SHORTCUTS_HELP_OPEN:
+      return {
+        ...state,
+        shortcutsHelpOpen: action.payload
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default navigationReducer;
@@ -2,10 +2,16 @@
  * @author Tom Butler
  * @date 2025-10-22
  * @description Posts reducer managing post list, current post, search, and sorting state.
- *              State shape: { items, loading, error, currentPost, searchTerm, sortBy, timeRange }
+ *              State shape: { items, loading, error, currentPost, searchTerm, searchSort,
+ *              searchTimeRange, sortBy, timeRange, after, loadingMore, loadMoreError, pendingPosts,
+ *              refreshing, listing }
+ *              loading means there is nothing to show yet; refreshing means the listing on screen is
+ *              being refetched and stays up meanwhile. listing is the key of the listing in items
+ *              (null for search results).
  */
 
 import * as types from '../actions/types';
+import { DEFAULT_SEARCH_SORT, DEFAULT_SEARCH_TIME_RANGE } from '../../utils/searchQuery';
 
 /**
  * Check if a post is match-related based on flair and title
@@ -150,20 +156,43 @@ const initialState = {
   error: null,
   currentPost: null,
   searchTerm: '',
+  searchSort: DEFAULT_SEARCH_SORT, // WHY: Separate from sortBy - search sorts differ from listing sorts
+  searchTimeRange: DEFAULT_SEARCH_TIME_RANGE,
   sortBy: 'hot',
   timeRange: 'day',
   activeFilter: null, // WHY: Legacy single-select filter for matchday/transfers
   activeFlairFilters: [], // WHY: New multi-select flair filter (array of flair text strings)
-  activeMediaFilter: null
+  activeMediaFilter: null,
+  after: null, // WHY: Reddit listing cursor for the next page, null when no more pages
+  loadingMore: false,
+  loadMoreError: null,
+  pendingPosts: [], // WHY: New posts from a background refresh, shown only once the user asks
+  refreshing: false,
+  listing: null
 };
 
 const postsReducer = (state = initialState, action) => {
   switch (action.type) {
     case types.FETCH_POSTS_REQUEST:
+      // WHY: A refetch of the listing on screen keeps it up until the new one arrives; another
+      // subreddit, sort or time range shows the skeleton rather than posts it didn't ask for
+      const isRefetch = state.items.length > 0 && action.meta?.listing === state.listing;
+      return {
+        ...state,
+        loading: !isRefetch,
+        refreshing: isRefetch,
+        // WHY: A page still in flight belongs to the old listing and will be dropped, so it
+        // mustn't keep "Load More" disabled on the new one
+        loadingMore: false,
+        error: null
+      };
+
     case types.SEARCH_POSTS_REQUEST:
       return {
         ...state,
         loading: true,
+        // WHY: A listing page still in flight is dropped once results replace the listing
+        loadingMore: false,
         error: null
       };
       
@@ -173,9 +202,69 @@ const postsReducer = (state = initialState, action) => {
         ...state,
         items: action.payload,
         loading: false,
-        error: null
+        refreshing: false,
+        error: null,
+        // WHY: Search results aren't paginated, so only listings carry a cursor
+        after: action.meta?.after || null,
+        listing: action.meta?.listing || null,
+        loadMoreError: null,
+        pendingPosts: []
+      };
+
+    case types.FETCH_POSTS_REVALIDATED:
+      // WHY: Refresh scores/comment counts in place, but never move posts under the reader
+      const freshById = new Map(action.payload.map(post => [post.id, post]));
+      const currentIds = new Set(state.items.map(post => post.id));
+      return {
+        ...state,
+        items: state.items.map(post => freshById.get(post.id) || post),
+        pendingPosts: action.payload.filter(post => !currentIds.has(post.id))
+      };
+
+    case types.MERGE_NEW_POSTS:
+      // WHY: "Load More" may already have appended some of the pending posts
+      const shownIds = new Set(state.items.map(post => post.id));
+      const merged = [...state.pendingPosts.filter(post => !shownIds.has(post.id)), ...state.items];
+      return {
+        ...state,
+        // WHY: Keep the viral ordering the user picked
+        items: state.sortBy === 'viral' ? merged.sort((a, b) => b.score - a.score) : merged,
+        pendingPosts: []
+      };
+
+    case types.FETCH_MORE_POSTS_REQUEST:
+      return {
+        ...state,
+        loadingMore: true,
+        loadMoreError: null
+      };
+
+    case types.FETCH_MORE_POSTS_SUCCESS:
+      // WHY: The listing was refetched while this page was in flight, so its cursor is stale
+      if (action.meta.requestAfter !== state.after) return { ...state, loadingMore: false };
+      // WHY: Hot listings shift between requests, so a page can repeat posts already shown
+      const existingIds = new Set(state.items.map(post => post.id));
+      return {
+        ...state,
+        items: [...state.items, ...action.payload.filter(post => !existingIds.has(post.id))],
+        after: action.meta?.after || null,
+        loadingMore: false
+      };
+
+    case types.FETCH_MORE_POSTS_FAILURE:
+      if (action.meta.requestAfter !== state.after) return { ...state, loadingMore: false };
+      return {
+        ...state,
+        loadingMore: false,
+        loadMoreError: action.payload
       };
       
+    case types.FETCH_MORE_POSTS_DROPPED:
+      return {
+        ...state,
+        loadingMore: false
+      };
+
     case types.SORT_BY_VIRAL:
       // Client-side sort by Reddit score (upvotes - downvotes)
       const sortedItems = [...state.items].sort((a, b) => b.score - a.score);
@@ -190,6 +279,7 @@ const postsReducer = (state = initialState, action) => {
       return {
         ...state,
         loading: false,
+        refreshing: false,
         error: action.payload
       };
       
@@ -233,6 +323,13 @@ const postsReducer = (state = initialState, action) => {
         searchTerm: action.payload
       };
       
+    case types.SET_SEARCH_OPTIONS:
+      return {
+        ...state,
+        searchSort: action.payload.sort || state.searchSort,
+        searchTimeRange: action.payload.timeRange || state.searchTimeRange
+      };
+
     case types.SET_SORT_BY:
       return {
         ...state,
@@ -295,4 +392,4 @@ const postsReducer = (state = initialState, action) => {
 };
 
 export default postsReducer;
-export { applyFlairFilter, applyMultiFlairFilter, applyMediaFilter };
\ No newline at end of file
+export { applyFlairFilter, applyMultiFlairFilter, applyMediaFilter, isMatchRelated };
\ No newline at end of file
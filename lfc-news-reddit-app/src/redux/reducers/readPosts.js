@@ -0,0 +1,107 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Read tracking reducer: which posts have been opened, and the "hide read" toggle.
+ *              State shape: { byId, hideRead }
+ *              byId maps post id -> { readAt, numComments } so cards can show how many comments
+ *              arrived since the post was last opened.
+ */
+
+import * as types from '../actions/types';
+
+export const READ_POSTS_STORAGE_KEY = 'lfc-read-posts';
+export const HIDE_READ_STORAGE_KEY = 'lfc-hide-read';
+
+// WHY: A few days of heavy browsing; older entries have long since left the feed
+export const MAX_READ_POSTS = 500;
+
+/**
+ * @param {Object} state - readPosts slice
+ * @param {string} postId - Post to look up
+ * @return {Object|undefined} { readAt, numComments } when the post has been opened
+ */
+export const selectReadInfo = (state, postId) => state.byId[postId];
+
+/**
+ * @param {Object} post - Normalised post with its current numComments
+ * @param {Object} [readInfo] - Entry from byId
+ * @return {number} Comments added since the post was last opened (0 if unread)
+ */
+export const getNewCommentCount = (post, readInfo) => (
+  readInfo ? Math.max((post.numComments || 0) - readInfo.numComments, 0) : 0
+);
+
+/**
+ * @param {Object[]} posts - Posts to filter
+ * @param {Object} byId - Read entries keyed by post id
+ * @return {Object[]} Posts that haven't been opened
+ */
+export const applyHideRead = (posts, byId) => posts.filter(post => !byId[post.id]);
+
+/**
+ * @return {Object} Read entries from localStorage, or an empty map if missing/corrupt
+ */
+const loadReadPosts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(READ_POSTS_STORAGE_KEY));
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * @param {Object} byId - Read entries keyed by post id
+ * @return {Object} The newest MAX_READ_POSTS entries
+ */
+const trimOldest = (byId) => {
+  const ids = Object.keys(byId);
+  if (ids.length <= MAX_READ_POSTS) return byId;
+
+  const kept = ids
+    .sort((a, b) => byId[b].readAt - byId[a].readAt)
+    .slice(0, MAX_READ_POSTS);
+  return Object.fromEntries(kept.map(id => [id, byId[id]]));
+};
+
+/**
+ * @return {boolean} Saved "hide read" preference, off if storage is unavailable
+ */
+const loadHideRead = () => {
+  try {
+    return localStorage.getItem(HIDE_READ_STORAGE_KEY) === 'true';
+  } catch (error) {
+    return false;
+  }
+};
+
+const initialState = {
+  byId: loadReadPosts(),
+  hideRead: loadHideRead()
+};
+
+const readPostsReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.MARK_POST_READ: {
+      const { id, numComments, readAt } = action.payload;
+      return {
+        ...state,
+        byId: trimOldest({
+          ...state.byId,
+          [id]: { readAt, numComments }
+        })
+      };
+    }
+
+    case types.SET_HIDE_READ:
+      return {
+        ...state,
+        hideRead: action.payload
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default readPostsReducer;
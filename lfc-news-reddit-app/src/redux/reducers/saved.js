@@ -0,0 +1,91 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Saved posts reducer: bookmarked posts and whether the Saved view is showing.
+ *              State shape: { items, viewing, refusedAt }
+ *              Items are full normalised posts (as returned by processPostData) so the Saved view,
+ *              filters and PostDetail work without refetching - including offline.
+ */
+
+import * as types from '../actions/types';
+
+export const SAVED_POSTS_STORAGE_KEY = 'lfc-saved-posts';
+
+// WHY: Keeps the localStorage payload well under the ~5MB quota; saves past it are refused,
+// never made room for by deleting the user's older bookmarks
+export const MAX_SAVED_POSTS = 200;
+
+/**
+ * @param {Object} state - Saved slice
+ * @param {string} [postId] - Post to check
+ * @return {boolean} Whether the post is saved
+ */
+export const selectIsSaved = (state, postId) => Boolean(postId) && state.items.some(post => post.id === postId);
+
+/**
+ * @param {Object} state - Saved slice
+ * @param {string} [postId] - Post about to be saved
+ * @return {boolean} Whether saving the post would go past MAX_SAVED_POSTS
+ */
+export const selectIsSaveRefused = (state, postId) =>
+  state.items.length >= MAX_SAVED_POSTS && !selectIsSaved(state, postId);
+
+/**
+ * @return {Object[]} Saved posts from localStorage, or an empty list if missing/corrupt
+ */
+const loadSavedPosts = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SAVED_POSTS_STORAGE_KEY));
+    return Array.isArray(saved) ? saved.filter(post => post && post.id) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const initialState = {
+  items: loadSavedPosts(),
+  viewing: false,
+  refusedAt: null // WHY: When a save was last refused at the limit, so the notice shows once per refusal
+};
+
+const savedReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.SAVE_POST: {
+      if (selectIsSaveRefused(state, action.payload.id)) return state;
+      // WHY: Re-saving refreshes the snapshot and moves it to the top (newest first)
+      const others = state.items.filter(post => post.id !== action.payload.id);
+      return {
+        ...state,
+        items: [action.payload, ...others]
+      };
+    }
+
+    case types.SAVE_POST_REFUSED:
+      return {
+        ...state,
+        refusedAt: action.payload
+      };
+
+    case types.UNSAVE_POST:
+      return {
+        ...state,
+        items: state.items.filter(post => post.id !== action.payload)
+      };
+
+    case types.SET_SAVED_VIEW:
+      return {
+        ...state,
+        viewing: action.payload
+      };
+
+    // WHY: Searching or switching subreddit asks for the feed, so leave the Saved view
+    case types.SEARCH_POSTS_REQUEST:
+    case types.SET_SELECTED_SUBREDDIT:
+      return state.viewing ? { ...state, viewing: false } : state;
+
+    default:
+      return state;
+  }
+};
+
+export default savedReducer;
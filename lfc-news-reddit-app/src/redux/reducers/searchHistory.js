@@ -0,0 +1,121 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Search history reducer: recent searches (newest first) and searches the user pinned.
+ *              State shape: { recent, pinned }
+ *              recent holds query strings; pinned holds { query, sort, timeRange } so a pinned search
+ *              re-runs with the result order it was pinned with.
+ *              Queries are stored as typed, operators included; duplicates are matched ignoring case.
+ */
+
+import * as types from '../actions/types';
+import {
+  SEARCH_SORTS,
+  SEARCH_TIME_RANGES,
+  DEFAULT_SEARCH_SORT,
+  DEFAULT_SEARCH_TIME_RANGE
+} from '../../utils/searchQuery';
+
+export const SEARCH_HISTORY_STORAGE_KEY = 'lfc-search-history';
+
+// WHY 10: Enough for a week of player names without burying the pinned searches
+export const MAX_RECENT_SEARCHES = 10;
+
+/**
+ * @param {string[]} list - Stored queries
+ * @param {string} query - Query to leave out
+ * @return {string[]} The list without the query, ignoring case
+ */
+const without = (list, query) => list.filter(existing => existing.toLowerCase() !== query.toLowerCase());
+
+/**
+ * @param {Object[]} pins - Pinned searches
+ * @param {string} query - Query to leave out
+ * @return {Object[]} The pins without the query's, ignoring case
+ */
+const withoutPin = (pins, query) => pins.filter(pin => pin.query.toLowerCase() !== query.toLowerCase());
+
+/**
+ * @param {Object} state - searchHistory slice
+ * @param {string} query - Query to look up
+ * @return {Object|undefined} The query's pin ({ query, sort, timeRange }), matched ignoring case
+ */
+export const selectPinnedSearch = (state, query) => (
+  state.pinned.find(pin => pin.query.toLowerCase() === query.toLowerCase())
+);
+
+/**
+ * @param {*} list - Candidate list from storage
+ * @return {string[]} Its non-empty strings
+ */
+const toQueries = (list) => Array.isArray(list) ? list.filter(query => typeof query === 'string' && query.trim()) : [];
+
+/**
+ * @param {*} list - Candidate pin list from storage
+ * @return {Object[]} Valid pins; a bare query string (stored before pins kept their options) or an
+ *                    unknown sort or time range gets the search defaults
+ */
+const toPins = (list) => (Array.isArray(list) ? list : [])
+  .map(pin => (typeof pin === 'string' ? { query: pin } : pin))
+  .filter(pin => pin && typeof pin.query === 'string' && pin.query.trim())
+  .map(({ query, sort, timeRange }) => ({
+    query,
+    sort: SEARCH_SORTS.includes(sort) ? sort : DEFAULT_SEARCH_SORT,
+    timeRange: SEARCH_TIME_RANGES.includes(timeRange) ? timeRange : DEFAULT_SEARCH_TIME_RANGE
+  }));
+
+/**
+ * @return {Object} { recent, pinned } from localStorage, emptied if missing/corrupt
+ */
+const loadSearchHistory = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SEARCH_HISTORY_STORAGE_KEY)) || {};
+    return {
+      recent: toQueries(saved.recent).slice(0, MAX_RECENT_SEARCHES),
+      pinned: toPins(saved.pinned)
+    };
+  } catch (error) {
+    return { recent: [], pinned: [] };
+  }
+};
+
+const searchHistoryReducer = (state = loadSearchHistory(), action) => {
+  switch (action.type) {
+    case types.ADD_RECENT_SEARCH:
+      // WHY: Searching again moves the query to the top rather than listing it twice
+      return {
+        ...state,
+        recent: [action.payload, ...without(state.recent, action.payload)].slice(0, MAX_RECENT_SEARCHES)
+      };
+
+    case types.REMOVE_RECENT_SEARCH:
+      return {
+        ...state,
+        recent: without(state.recent, action.payload)
+      };
+
+    case types.CLEAR_RECENT_SEARCHES:
+      return {
+        ...state,
+        recent: []
+      };
+
+    case types.PIN_SEARCH:
+      return {
+        ...state,
+        // WHY: Pinning a query again updates its options rather than listing it twice
+        pinned: [...withoutPin(state.pinned, action.payload.query), action.payload]
+      };
+
+    case types.UNPIN_SEARCH:
+      return {
+        ...state,
+        pinned: withoutPin(state.pinned, action.payload)
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default searchHistoryReducer;
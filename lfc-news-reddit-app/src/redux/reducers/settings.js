@@ -0,0 +1,83 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description User preferences reducer, plus whether the Settings screen is open.
+ *              State shape: { defaultSort, defaultTimeRange, pageSize, commentDepth, autoplayMedia,
+ *              theme, customTheme, filtersExpanded, open }
+ *              Preferences are read once at start-up through the versioned schema in settingsSchema.
+ *              WHY hide read, spoiler-safe, NSFW policy and comment sort keep their own keys: each
+ *              belongs to the slice that applies it (readPosts, spoilers, contentPolicy, comments)
+ *              and is toggled from the feed or thread rather than the Settings screen; each slice
+ *              validates its stored value and falls back to its default on its own.
+ */
+
+import * as types from '../actions/types';
+import { DEFAULT_SETTINGS, SETTINGS_VERSION, migrateSettings } from '../../utils/settingsSchema';
+
+export const SETTINGS_STORAGE_KEY = 'lfc-settings';
+
+// WHY: Read once so preferences saved before the settings slice existed carry over
+const LEGACY_THEME_KEY = 'lfc-theme';
+const LEGACY_FILTERS_EXPANDED_KEY = 'lfc-filters-expanded';
+
+/**
+ * @param {Object} state - Settings slice
+ * @return {Object} The persisted payload: preferences only, stamped with the schema version
+ */
+export const serializeSettings = (state) => {
+  return Object.keys(DEFAULT_SETTINGS).reduce((payload, key) => {
+    payload[key] = state[key];
+    return payload;
+  }, { version: SETTINGS_VERSION });
+};
+
+/**
+ * @return {Object} Settings from localStorage (migrated if older), or defaults if missing/corrupt
+ */
+const loadSettings = () => {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (stored && typeof stored === 'object') {
+      return migrateSettings(stored);
+    }
+    return migrateSettings({
+      version: 0,
+      theme: localStorage.getItem(LEGACY_THEME_KEY),
+      filtersExpanded: localStorage.getItem(LEGACY_FILTERS_EXPANDED_KEY)
+    });
+  } catch (error) {
+    return { ...DEFAULT_SETTINGS };
+  }
+};
+
+const initialState = {
+  ...loadSettings(),
+  open: false
+};
+
+const settingsReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.UPDATE_SETTINGS:
+      return {
+        ...state,
+        ...action.payload
+      };
+
+    case types.RESET_SETTINGS:
+      return {
+        ...state,
+        ...DEFAULT_SETTINGS
+      };
+
+    case types.SET_SETTINGS_OPEN:
+      return {
+        ...state,
+        open: action.payload
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default settingsReducer;
@@ -0,0 +1,71 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Spoiler-safe mode reducer.
+ *              State shape: { enabled, windowHours, revealed }
+ *              `revealed` holds post ids the user tapped to reveal this session; it isn't persisted
+ *              so a reload starts safe again.
+ */
+
+import * as types from '../actions/types';
+import { getSpoilerReason, DEFAULT_SPOILER_WINDOW_HOURS } from '../../utils/spoilerGuard';
+
+export const SPOILER_SAFE_STORAGE_KEY = 'lfc-spoiler-safe';
+
+/**
+ * @param {Object} state - spoilers slice
+ * @param {Object} post - Normalised post
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @return {string|null} Why the post is hidden ('flagged' or 'score'), or null when it can be shown
+ */
+export const selectSpoilerReason = (state, post, now = Date.now()) => {
+  if (!state.enabled || state.revealed[post.id]) return null;
+  return getSpoilerReason(post, state.windowHours, now);
+};
+
+/**
+ * @return {Object} { enabled, windowHours } from localStorage, or defaults if missing/corrupt
+ */
+const loadSpoilerSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(SPOILER_SAFE_STORAGE_KEY)) || {};
+    return {
+      enabled: saved.enabled === true,
+      windowHours: Number(saved.windowHours) > 0 ? Number(saved.windowHours) : DEFAULT_SPOILER_WINDOW_HOURS
+    };
+  } catch (error) {
+    return { enabled: false, windowHours: DEFAULT_SPOILER_WINDOW_HOURS };
+  }
+};
+
+const initialState = {
+  ...loadSpoilerSettings(),
+  revealed: {}
+};
+
+const spoilersReducer = (state = initialState, action) => {
+  switch (action.type) {
+    case types.SET_SPOILER_SAFE:
+      return {
+        ...state,
+        enabled: action.payload
+      };
+
+    case types.SET_SPOILER_WINDOW:
+      return {
+        ...state,
+        windowHours: action.payload
+      };
+
+    case types.REVEAL_SPOILER:
+      return {
+        ...state,
+        revealed: { ...state.revealed, [action.payload]: true }
+      };
+
+    default:
+      return state;
+  }
+};
+
+export default spoilersReducer;
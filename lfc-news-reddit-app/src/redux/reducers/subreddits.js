@@ -3,13 +3,15 @@
  * @date 2025-10-22
  * @description Subreddits reducer managing available Liverpool FC subreddits and current selection.
  *              State shape: { available, selected }
+ *              available comes from the subreddit registry: 'all' (All LFC) then each subreddit.
  */
 
 import * as types from '../actions/types';
+import { DEFAULT_SUBREDDIT, getFeedKeys } from '../../utils/subredditRegistry';
 
 const initialState = {
-  available: ['LiverpoolFC'],
-  selected: 'LiverpoolFC'
+  available: getFeedKeys(),
+  selected: DEFAULT_SUBREDDIT
 };
 
 const subredditsReducer = (state = initialState, action) => {
@@ -0,0 +1,15 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Test helper: a real Redux store over only the slices a test needs, with the same
+ *              thunk middleware as the app store, so actions and reducers are tested together.
+ */
+
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import thunk from 'redux-thunk';
+
+/**
+ * @param {Object} reducers - Slice reducers keyed by slice name, as in the root reducer
+ * @return {Object} Redux store
+ */
+export const createTestStore = (reducers) => createStore(combineReducers(reducers), applyMiddleware(thunk));
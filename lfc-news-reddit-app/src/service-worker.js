@@ -0,0 +1,107 @@
+/* eslint-disable no-restricted-globals */
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Service worker for the installable, offline-capable app.
+ *              - Precaches the app shell (CRA injects the build manifest into self.__WB_MANIFEST)
+ *              - Runtime-caches Reddit JSON network-first, and thumbnails/previews cache-first
+ *              - Serves public/offline.html when a page navigation can't be answered at all
+ *              - Waits for a SKIP_WAITING message so the UI decides when a new build activates
+ *              WHY: Installed on phones the app showed a blank page offline, because nothing
+ *              served index.html or its bundles without the network.
+ */
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { precacheAndRoute, createHandlerBoundToURL } from 'workbox-precaching';
+import { registerRoute, setCatchHandler, setDefaultHandler } from 'workbox-routing';
+import { NetworkFirst, NetworkOnly, CacheFirst } from 'workbox-strategies';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+
+const OFFLINE_URL = `${process.env.PUBLIC_URL}/offline.html`;
+const OFFLINE_CACHE = 'offline-fallback';
+
+// Hosts that serve Reddit JSON, directly or through the CORS proxy chain in redditSource.js
+const REDDIT_JSON_HOSTS = [
+  'www.reddit.com',
+  'corsproxy.io',
+  'api.codetabs.com',
+  'corsproxy.org',
+  'thingproxy.freeboard.io',
+  'api.allorigins.win'
+];
+
+// Reddit's image CDNs for thumbnails, previews and gallery images
+const REDDIT_IMAGE_HOST_PATTERN = /(^|\.)(redd\.it|redditmedia\.com|redditstatic\.com)$/;
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell routing: every navigation is answered with index.html so /post/:id deep links
+// work offline. Skip /_ internal paths and anything that looks like a file.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(
+  ({ request, url }) => {
+    if (request.mode !== 'navigate') return false;
+    if (url.pathname.startsWith('/_')) return false;
+    if (url.pathname.match(fileExtensionRegexp)) return false;
+    return true;
+  },
+  createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`)
+);
+
+// Reddit JSON: network-first so fans see live data when online, with the last response
+// as a fallback. WHY 10s timeout: proxies can hang far longer than a fan will wait.
+registerRoute(
+  ({ url }) => REDDIT_JSON_HOSTS.includes(url.hostname) && url.href.includes('.json'),
+  new NetworkFirst({
+    cacheName: 'reddit-json',
+    networkTimeoutSeconds: 10,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [200] }),
+      new ExpirationPlugin({ maxEntries: 100, maxAgeSeconds: 24 * 60 * 60 })
+    ]
+  })
+);
+
+// Thumbnails and previews: URLs are content-addressed, so cache-first is safe.
+// WHY status 0: images load cross-origin without CORS, which produces opaque responses.
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && REDDIT_IMAGE_HOST_PATTERN.test(url.hostname),
+  new CacheFirst({
+    cacheName: 'reddit-images',
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({
+        maxEntries: 200,
+        maxAgeSeconds: 7 * 24 * 60 * 60,
+        purgeOnQuotaError: true
+      })
+    ]
+  })
+);
+
+// The offline page lives in public/, which isn't part of the webpack precache manifest
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(OFFLINE_CACHE).then(cache => cache.add(OFFLINE_URL)));
+});
+
+// WHY: Unmatched requests must go through Workbox for the catch handler below to see them
+setDefaultHandler(new NetworkOnly());
+
+// Last resort for navigations no route could answer (e.g. the shell isn't precached yet)
+setCatchHandler(async ({ request }) => {
+  if (request.destination === 'document') {
+    const fallback = await caches.match(OFFLINE_URL, { cacheName: OFFLINE_CACHE });
+    if (fallback) return fallback;
+  }
+  return Response.error();
+});
+
+// WHY: The UI asks the waiting worker to activate once the user chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
@@ -0,0 +1,109 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Registers the service worker (src/service-worker.js, built by CRA's Workbox
+ *              plugin) and tracks when a new build is waiting to activate.
+ *              WHY production only: a caching worker in development serves stale bundles and
+ *              makes hot reloading confusing.
+ */
+
+let waitingRegistration = null;
+const updateListeners = new Set();
+
+/**
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker
+ */
+const notifyUpdate = (registration) => {
+  waitingRegistration = registration;
+  updateListeners.forEach(listener => listener(registration));
+};
+
+/**
+ * Subscribe to "new build available" notifications
+ * WHY: An update can be found before the UI mounts, so late subscribers are told immediately
+ * @param {Function} listener - Called with the ServiceWorkerRegistration that has a waiting worker
+ * @return {Function} Unsubscribe function
+ */
+export const onUpdateAvailable = (listener) => {
+  updateListeners.add(listener);
+  if (waitingRegistration) {
+    listener(waitingRegistration);
+  }
+  return () => updateListeners.delete(listener);
+};
+
+/**
+ * Activates the waiting worker and reloads once it takes control
+ * @param {ServiceWorkerRegistration} registration - Registration with a waiting worker
+ */
+export const applyUpdate = (registration) => {
+  if (!registration?.waiting) return;
+
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    window.location.reload();
+  }, { once: true });
+  registration.waiting.postMessage({ type: 'SKIP_WAITING' });
+};
+
+/**
+ * @param {ServiceWorkerRegistration} registration - Fresh or existing registration
+ */
+const watchForUpdates = (registration) => {
+  // A worker may already be waiting from a previous visit
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    notifyUpdate(registration);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const installingWorker = registration.installing;
+    if (!installingWorker) return;
+
+    installingWorker.addEventListener('statechange', () => {
+      // WHY controller check: the very first install has nothing to update from
+      if (installingWorker.state === 'installed' && navigator.serviceWorker.controller) {
+        notifyUpdate(registration);
+      }
+    });
+  });
+};
+
+/**
+ * Registers the service worker after the page has loaded
+ * @return {Promise<ServiceWorkerRegistration|null>} Registration, or null when not registered
+ */
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve) => {
+    // WHY on load: keeps worker install and precaching off the critical rendering path
+    window.addEventListener('load', () => {
+      navigator.serviceWorker
+        .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+        .then((registration) => {
+          watchForUpdates(registration);
+          resolve(registration);
+        })
+        .catch((error) => {
+          console.error('Service worker registration failed:', error);
+          resolve(null);
+        });
+    });
+  });
+};
+
+/**
+ * Removes any registered service worker (e.g. to recover from a broken deploy)
+ * @return {Promise<void>}
+ */
+export const unregister = async () => {
+  if (!('serviceWorker' in navigator)) return;
+
+  try {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.unregister();
+  } catch (error) {
+    console.error(error.message);
+  }
+};
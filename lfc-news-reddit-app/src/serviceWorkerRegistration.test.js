@@ -0,0 +1,104 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for service worker registration and update notifications.
+ *
+ * WHY these tests matter:
+ * - Installed users only get new builds if the waiting worker is surfaced to the UI
+ * - Registering in development would serve stale bundles to developers
+ */
+
+/**
+ * Minimal ServiceWorkerRegistration stand-in with controllable worker state
+ */
+const createRegistration = () => {
+  const listeners = {};
+  const installing = {
+    state: 'installing',
+    addEventListener: (event, handler) => { listeners[`installing:${event}`] = handler; }
+  };
+  return {
+    installing,
+    waiting: null,
+    addEventListener: (event, handler) => { listeners[event] = handler; },
+    // Simulates a new build finishing install while an old worker controls the page
+    finishInstall() {
+      listeners.updatefound();
+      installing.state = 'installed';
+      this.waiting = { postMessage: jest.fn() };
+      listeners['installing:statechange']();
+    }
+  };
+};
+
+describe('serviceWorkerRegistration', () => {
+  const originalEnv = process.env.NODE_ENV;
+  let registration;
+  let sw;
+
+  beforeEach(() => {
+    jest.resetModules();
+    registration = createRegistration();
+    navigator.serviceWorker = {
+      controller: {},
+      register: jest.fn().mockResolvedValue(registration),
+      addEventListener: jest.fn()
+    };
+    sw = require('./serviceWorkerRegistration');
+  });
+
+  afterEach(() => {
+    process.env.NODE_ENV = originalEnv;
+    delete navigator.serviceWorker;
+  });
+
+  const registerInProduction = async () => {
+    process.env.NODE_ENV = 'production';
+    const promise = sw.register();
+    window.dispatchEvent(new Event('load'));
+    return promise;
+  };
+
+  it('should not register outside production', async () => {
+    expect(await sw.register()).toBeNull();
+    expect(navigator.serviceWorker.register).not.toHaveBeenCalled();
+  });
+
+  it('should register the worker after page load in production', async () => {
+    const result = await registerInProduction();
+
+    expect(result).toBe(registration);
+    expect(navigator.serviceWorker.register).toHaveBeenCalledWith(expect.stringContaining('/service-worker.js'));
+  });
+
+  it('should notify subscribers when a new build is installed', async () => {
+    const listener = jest.fn();
+    sw.onUpdateAvailable(listener);
+    await registerInProduction();
+
+    registration.finishInstall();
+
+    expect(listener).toHaveBeenCalledWith(registration);
+  });
+
+  it('should tell late subscribers about an update found before they mounted', async () => {
+    await registerInProduction();
+    registration.finishInstall();
+
+    const listener = jest.fn();
+    sw.onUpdateAvailable(listener);
+
+    expect(listener).toHaveBeenCalledWith(registration);
+  });
+
+  it('should ask the waiting worker to activate on applyUpdate', async () => {
+    await registerInProduction();
+    registration.finishInstall();
+
+    sw.applyUpdate(registration);
+
+    expect(registration.waiting.postMessage).toHaveBeenCalledWith({ type: 'SKIP_WAITING' });
+    expect(navigator.serviceWorker.addEventListener)
+      .toHaveBeenCalledWith('controllerchange', expect.any(Function), { once: true });
+  });
+});
@@ -10,8 +10,10 @@
  * - Data normalisation ensures consistent component data format
  */
 
-import { fetchPosts, fetchPostDetails, fetchComments, searchPosts } from '../api';
+import { fetchPosts, fetchPostDetails, fetchComments, fetchMoreComments, fetchCommentThread, searchPosts, fetchAuthorProfile } from '../api';
 import { cache } from '../cache';
+import { persistentCache } from '../persistentCache';
+import { indexPosts, indexComments } from '../offlineSearch';
 
 // Increase timeout for API tests since they involve async operations
 jest.setTimeout(30000);
@@ -25,6 +27,20 @@ jest.mock('../cache', () => ({
   }
 }));
 
+// Mock the IndexedDB tier (jsdom has no IndexedDB)
+jest.mock('../persistentCache', () => ({
+  persistentCache: {
+    get: jest.fn(),
+    set: jest.fn()
+  }
+}));
+
+// Indexing is covered by searchIndex.test.js; here it is only checked that results are handed over
+jest.mock('../offlineSearch', () => ({
+  indexPosts: jest.fn(),
+  indexComments: jest.fn()
+}));
+
 // Mock global fetch
 global.fetch = jest.fn();
 
@@ -40,6 +56,7 @@ describe('API Module', () => {
     // Reset all mocks before each test
     jest.clearAllMocks();
     cache.get.mockReturnValue(null); // No cache by default
+    persistentCache.get.mockResolvedValue(null); // No offline copy by default
 
     // Suppress console output during tests
     console.log = jest.fn();
@@ -114,7 +131,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts('LiverpoolFC', 'hot');
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
 
       expect(posts).toHaveLength(1);
       expect(posts[0].id).toBe('abc123');
@@ -122,12 +139,27 @@ describe('API Module', () => {
       expect(posts[0].author).toBe('testuser');
     });
 
+    it('should hand fetched posts to the offline search index', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'hot');
+      jest.runAllTimers();
+      const { posts } = await postsPromise;
+
+      expect(indexPosts).toHaveBeenCalledWith(posts);
+    });
+
     it('should use cache when available', async () => {
       cache.get.mockReturnValueOnce(mockPostData);
 
       const postsPromise = fetchPosts('LiverpoolFC', 'hot');
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
 
       expect(global.fetch).not.toHaveBeenCalled();
       expect(posts).toHaveLength(1);
@@ -182,6 +214,85 @@ describe('API Module', () => {
       expect(calledUrl).toContain('t=month');
     });
 
+    it('should return the after cursor for the next page', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve({ data: { ...mockPostData.data, after: 't3_abc123' } })
+      });
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'hot');
+      jest.runAllTimers();
+      const { after } = await postsPromise;
+
+      expect(after).toBe('t3_abc123');
+    });
+
+    it('should return null cursor on the last page', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'hot');
+      jest.runAllTimers();
+      const { after } = await postsPromise;
+
+      expect(after).toBeNull();
+    });
+
+    it('should include after cursor in request when provided', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'new', 'day', 't3_xyz789');
+      jest.runAllTimers();
+      await postsPromise;
+
+      const calledUrl = global.fetch.mock.calls[0][0];
+      expect(calledUrl).toContain('new.json');
+      expect(calledUrl).toContain('after=t3_xyz789');
+    });
+
+    it('should fetch the All LFC feed as a multireddit', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('all', 'new');
+      jest.runAllTimers();
+      await postsPromise;
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/r/LiverpoolFC+liverpoolfcmedia+LFCWomen+LFCAcademy/new.json');
+    });
+
+    it('should block subreddits outside the registry and default to LiverpoolFC', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('gambling', 'hot');
+      jest.runAllTimers();
+      await postsPromise;
+
+      const calledUrl = global.fetch.mock.calls[0][0];
+      expect(calledUrl).toContain('/r/LiverpoolFC/hot.json');
+      expect(calledUrl).not.toContain('gambling');
+    });
+
     it('should normalise post data correctly', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -192,7 +303,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
 
       const post = posts[0];
       expect(post).toHaveProperty('id');
@@ -235,7 +346,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
       expect(posts[0].thumbnail).toBeNull();
     });
 
@@ -260,7 +371,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
       expect(posts[0].thumbnail).toBeNull();
     });
 
@@ -273,6 +384,62 @@ describe('API Module', () => {
       await expect(postsPromise).rejects.toThrow();
     });
 
+    it('should persist successful responses for offline use', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockPostData)
+      });
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'hot');
+      jest.runAllTimers();
+      await postsPromise;
+
+      expect(persistentCache.set).toHaveBeenCalledWith(
+        expect.stringContaining('/r/LiverpoolFC/hot.json'),
+        mockPostData
+      );
+    });
+
+    it('should serve a cached listing and refresh it in the background', async () => {
+      persistentCache.get.mockResolvedValue(mockPostData);
+      const freshData = {
+        data: { children: [{ data: { ...mockPostData.data.children[0].data, id: 'new1' } }], after: 't3_new1' }
+      };
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(freshData)
+      });
+      const onRevalidate = jest.fn();
+
+      const { posts } = await fetchPosts('LiverpoolFC', 'hot', 'day', null, { onRevalidate });
+      expect(posts[0].id).toBe('abc123');
+
+      // Let the background refresh run
+      jest.runAllTimers();
+      await new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+      expect(onRevalidate).toHaveBeenCalledWith({
+        posts: [expect.objectContaining({ id: 'new1' })],
+        after: 't3_new1'
+      });
+    });
+
+    it('should serve the offline copy when all proxies fail', async () => {
+      global.fetch.mockRejectedValue(new Error('Network error'));
+      persistentCache.get.mockResolvedValue(mockPostData);
+
+      const postsPromise = fetchPosts('LiverpoolFC', 'hot');
+      jest.runAllTimers();
+      const { posts } = await postsPromise;
+
+      expect(posts).toHaveLength(1);
+      expect(posts[0].id).toBe('abc123');
+    });
+
     it('should handle rate limit (429) response', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: false,
@@ -290,7 +457,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
       expect(posts).toHaveLength(1);
     });
   });
@@ -461,6 +628,26 @@ describe('API Module', () => {
       expect(comments[1].id).toBe('comment2');
     });
 
+    it('should hand the thread and its comments to the offline search index', async () => {
+      const withPost = [
+        { data: { children: [{ kind: 't3', data: { id: 'abc123', title: 'Match Thread' } }] } },
+        mockCommentsData[1]
+      ];
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(withPost)
+      });
+
+      const commentsPromise = fetchComments('abc123', 'LiverpoolFC');
+      jest.runAllTimers();
+      const comments = await commentsPromise;
+
+      expect(indexPosts).toHaveBeenCalledWith([expect.objectContaining({ id: 'abc123', title: 'Match Thread' })]);
+      expect(indexComments).toHaveBeenCalledWith('abc123', comments);
+    });
+
     it('should parse nested replies', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -505,7 +692,7 @@ describe('API Module', () => {
       expect(comment).toHaveProperty('replies');
     });
 
-    it('should filter out non-comment items (kind !== t1)', async () => {
+    it('should keep "more" stubs as placeholder nodes', async () => {
       const dataWithMore = [
         { data: { children: [] } },
         {
@@ -529,7 +716,11 @@ describe('API Module', () => {
               },
               {
                 kind: 'more', // "Load more" indicator, not a comment
-                data: { id: 'more1', count: 10 }
+                data: { id: 'more1', parent_id: 't3_abc123', count: 10, children: ['x1', 'x2'] }
+              },
+              {
+                kind: 't3', // Anything else is still dropped
+                data: { id: 'post1' }
               }
             ]
           }
@@ -547,8 +738,17 @@ describe('API Module', () => {
       jest.runAllTimers();
       const comments = await commentsPromise;
 
-      expect(comments).toHaveLength(1);
+      expect(comments).toHaveLength(2);
       expect(comments[0].id).toBe('comment1');
+      expect(comments[1]).toEqual({
+        id: 'more_t3_abc123',
+        isMore: true,
+        parentId: 't3_abc123',
+        count: 10,
+        children: ['x1', 'x2'],
+        level: 0,
+        replies: []
+      });
     });
 
     it('should return empty array when no comments exist', async () => {
@@ -581,6 +781,178 @@ describe('API Module', () => {
       expect(comments[0].isSubmitter).toBe(false);
       expect(comments[1].isSubmitter).toBe(true);
     });
+
+    it('should fetch from the post\'s own subreddit', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockCommentsData)
+      });
+
+      const commentsPromise = fetchComments('abc123', 'soccer');
+      jest.runAllTimers();
+      await commentsPromise;
+
+      expect(decodeURIComponent(global.fetch.mock.calls[0][0])).toContain('/r/soccer/comments/abc123.json');
+    });
+
+    it('should let Reddit resolve the subreddit when it isn\'t known', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockCommentsData)
+      });
+
+      const commentsPromise = fetchComments('abc123');
+      jest.runAllTimers();
+      await commentsPromise;
+
+      const calledUrl = decodeURIComponent(global.fetch.mock.calls[0][0]);
+      expect(calledUrl).toContain('reddit.com/comments/abc123.json');
+      expect(calledUrl).not.toContain('/r/');
+    });
+
+    it('should request a comment sort when given', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockCommentsData)
+      });
+
+      const commentsPromise = fetchComments('abc123', 'LiverpoolFC', { sort: 'new' });
+      jest.runAllTimers();
+      await commentsPromise;
+
+      const calledUrl = global.fetch.mock.calls[0][0];
+      expect(calledUrl).toContain('sort=new');
+    });
+
+    it('should bypass cached copies when fresh is set', async () => {
+      cache.get.mockReturnValue([{ data: { children: [] } }, { data: { children: [] } }]);
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockCommentsData)
+      });
+
+      const commentsPromise = fetchComments('abc123', 'LiverpoolFC', { fresh: true });
+      jest.runAllTimers();
+      const comments = await commentsPromise;
+
+      expect(cache.get).not.toHaveBeenCalled();
+      expect(comments).toHaveLength(2);
+      expect(cache.set).toHaveBeenCalled();
+    });
+  });
+
+  describe('fetchMoreComments', () => {
+    const thing = (id, parentId, kind = 't1') => ({
+      kind,
+      data: kind === 'more'
+        ? { id, parent_id: parentId, count: 3, children: ['m1', 'm2', 'm3'] }
+        : { id, parent_id: parentId, author: 'user', body: id, score: 1, created_utc: 1737457200, replies: '' }
+    });
+
+    const respondWith = (things) => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve({ json: { errors: [], data: { things } } })
+      });
+    };
+
+    it('should request the ids from api/morechildren', async () => {
+      respondWith([]);
+
+      const promise = fetchMoreComments('abc123', ['c1', 'c2'], { sort: 'top' });
+      jest.runAllTimers();
+      await promise;
+
+      const calledUrl = decodeURIComponent(global.fetch.mock.calls[0][0]);
+      expect(calledUrl).toContain('/api/morechildren.json');
+      expect(calledUrl).toContain('link_id=t3_abc123');
+      expect(calledUrl).toContain('children=c1,c2');
+      expect(calledUrl).toContain('sort=top');
+    });
+
+    it('should nest the flat result by parent id', async () => {
+      respondWith([
+        thing('c1', 't1_parent'),
+        thing('r1', 't1_c1'),
+        thing('r2', 't1_r1'),
+        thing('c2', 't1_parent'),
+        thing('x', 't1_c2', 'more')
+      ]);
+
+      const promise = fetchMoreComments('abc123', ['c1', 'c2']);
+      jest.runAllTimers();
+      const comments = await promise;
+
+      expect(comments.map(comment => comment.id)).toEqual(['c1', 'c2']);
+      expect(comments[0].replies[0].id).toBe('r1');
+      expect(comments[0].replies[0].level).toBe(1);
+      expect(comments[0].replies[0].replies[0].level).toBe(2);
+      expect(comments[1].replies[0]).toMatchObject({ isMore: true, count: 3, level: 1 });
+    });
+
+    it('should only send the first 100 ids', async () => {
+      respondWith([]);
+      const ids = Array.from({ length: 150 }, (_, i) => `c${i}`);
+
+      const promise = fetchMoreComments('abc123', ids);
+      jest.runAllTimers();
+      await promise;
+
+      const calledUrl = decodeURIComponent(global.fetch.mock.calls[0][0]);
+      expect(calledUrl).toContain('c99&');
+      expect(calledUrl).not.toContain('c100');
+    });
+  });
+
+  describe('fetchCommentThread', () => {
+    it('should return the parent comment\'s replies starting at level 0', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve([
+          { data: { children: [] } },
+          {
+            data: {
+              children: [{
+                kind: 't1',
+                data: {
+                  id: 'parent',
+                  author: 'user',
+                  body: 'Parent',
+                  replies: {
+                    data: {
+                      children: [
+                        { kind: 't1', data: { id: 'deep1', author: 'user', body: 'Deep reply', replies: '' } }
+                      ]
+                    }
+                  }
+                }
+              }]
+            }
+          }
+        ])
+      });
+
+      const promise = fetchCommentThread('abc123', 'parent', 'LiverpoolFC');
+      jest.runAllTimers();
+      const replies = await promise;
+
+      const calledUrl = global.fetch.mock.calls[0][0];
+      expect(decodeURIComponent(calledUrl)).toContain('/r/LiverpoolFC/comments/abc123/_/parent.json');
+      expect(replies).toHaveLength(1);
+      expect(replies[0]).toMatchObject({ id: 'deep1', level: 0 });
+    });
   });
 
   describe('searchPosts', () => {
@@ -752,7 +1124,7 @@ describe('API Module', () => {
       expect(calledUrl).not.toContain('/r/gambling/');
     });
 
-    it('should block "all" subreddit and default to LiverpoolFC', async () => {
+    it('should resolve "all" to the LFC multireddit, never r/all', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
         status: 200,
@@ -760,16 +1132,32 @@ describe('API Module', () => {
         json: () => Promise.resolve(mockSearchData)
       });
 
-      // Attempt to search in r/all - should be blocked
+      // 'all' is the All LFC feed key - it must never reach Reddit's r/all
       const postsPromise = searchPosts('test', 'all');
       jest.runAllTimers();
       await postsPromise;
 
       const calledUrl = global.fetch.mock.calls[0][0];
-      expect(calledUrl).toContain('/r/LiverpoolFC/search.json');
+      expect(calledUrl).toContain('/r/LiverpoolFC+liverpoolfcmedia+LFCWomen+LFCAcademy/search.json');
+      expect(calledUrl).toContain('restrict_sr=on');
       expect(calledUrl).not.toContain('/r/all/');
     });
 
+    it('should search other registry subreddits using their canonical name', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockSearchData)
+      });
+
+      const postsPromise = searchPosts('test', 'lfcwomen');
+      jest.runAllTimers();
+      await postsPromise;
+
+      expect(global.fetch.mock.calls[0][0]).toContain('/r/LFCWomen/search.json');
+    });
+
     it('should block random subreddits and default to LiverpoolFC', async () => {
       global.fetch.mockResolvedValueOnce({
         ok: true,
@@ -803,6 +1191,125 @@ describe('API Module', () => {
       const calledUrl = global.fetch.mock.calls[0][0];
       expect(calledUrl).toContain('/r/LiverpoolFC/search.json');
     });
+
+    it('should default to relevance over all time', async () => {
+      global.fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockSearchData)
+      });
+
+      const postsPromise = searchPosts('Salah');
+      jest.runAllTimers();
+      await postsPromise;
+
+      const calledUrl = global.fetch.mock.calls[0][0];
+      expect(calledUrl).toContain('sort=relevance&t=all');
+    });
+
+    it('should pass the sort and time range, ignoring unknown values', async () => {
+      global.fetch.mockResolvedValue({
+        ok: true,
+        status: 200,
+        headers: { get: () => 'application/json' },
+        json: () => Promise.resolve(mockSearchData)
+      });
+
+      const first = searchPosts('Salah', 'LiverpoolFC', { sort: 'comments', timeRange: 'month' });
+      jest.runAllTimers();
+      await first;
+      const second = searchPosts('Salah', 'LiverpoolFC', { sort: 'hot', timeRange: 'decade' });
+      jest.runAllTimers();
+      await second;
+
+      expect(global.fetch.mock.calls[0][0]).toContain('sort=comments&t=month');
+      expect(global.fetch.mock.calls[1][0]).toContain('sort=relevance&t=all');
+    });
+  });
+
+  describe('fetchAuthorProfile', () => {
+    const jsonResponse = (data) => ({
+      ok: true,
+      status: 200,
+      headers: { get: () => 'application/json' },
+      json: () => Promise.resolve(data)
+    });
+
+    const listing = (children) => ({ data: { children } });
+
+    const profileResponses = {
+      'about.json': jsonResponse({ data: { name: 'ITK_Scouser', created_utc: 1600000000 } }),
+      'submitted.json': jsonResponse(listing([
+        { kind: 't3', data: { id: 'p1', title: 'Here we go', author: 'ITK_Scouser', subreddit: 'LiverpoolFC', score: 250 } },
+        { kind: 't3', data: { id: 'p2', title: 'Elsewhere', author: 'ITK_Scouser', subreddit: 'soccer', score: 900 } }
+      ])),
+      'comments.json': jsonResponse(listing([
+        {
+          kind: 't1',
+          data: {
+            id: 'c1',
+            body: 'Medical booked for Monday',
+            score: 40,
+            created_utc: 1737457200,
+            subreddit: 'LFCWomen',
+            link_id: 't3_p9',
+            link_title: 'Transfer thread',
+            permalink: '/r/LFCWomen/comments/p9/_/c1/'
+          }
+        },
+        { kind: 't1', data: { id: 'c2', body: 'Off topic', subreddit: 'soccer', link_id: 't3_p8' } }
+      ]))
+    };
+
+    const routeProfileRequests = (overrides = {}) => {
+      const responses = { ...profileResponses, ...overrides };
+      global.fetch.mockImplementation((url) => {
+        const key = Object.keys(responses).find(name => decodeURIComponent(url).includes(`/user/ITK_Scouser/${name}`));
+        return Promise.resolve(responses[key]);
+      });
+    };
+
+    it('should keep only activity in approved subreddits', async () => {
+      routeProfileRequests();
+
+      const promise = fetchAuthorProfile('ITK_Scouser');
+      jest.runAllTimers();
+      const profile = await promise;
+
+      expect(profile.username).toBe('ITK_Scouser');
+      expect(profile.created).toBe(1600000000);
+      expect(profile.posts.map(post => post.id)).toEqual(['p1']);
+      expect(profile.comments).toEqual([{
+        id: 'c1',
+        body: 'Medical booked for Monday',
+        score: 40,
+        created: 1737457200,
+        subreddit: 'LFCWomen',
+        permalink: '/r/LFCWomen/comments/p9/_/c1/',
+        postId: 'p9',
+        postTitle: 'Transfer thread'
+      }]);
+      expect(indexPosts).toHaveBeenCalledWith([expect.objectContaining({ id: 'p1' })]);
+    });
+
+    it('should still return activity when the account details are refused', async () => {
+      routeProfileRequests({
+        'about.json': { ok: false, status: 403, headers: { get: () => 'application/json' } }
+      });
+
+      const promise = fetchAuthorProfile('ITK_Scouser');
+      jest.runAllTimers();
+      const profile = await promise;
+
+      expect(profile.created).toBeNull();
+      expect(profile.posts).toHaveLength(1);
+    });
+
+    it('should reject malformed usernames without a request', async () => {
+      await expect(fetchAuthorProfile('../r/all')).rejects.toThrow('Invalid username');
+      expect(global.fetch).not.toHaveBeenCalled();
+    });
   });
 
   describe('proxy fallback behaviour', () => {
@@ -857,7 +1364,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
 
       expect(global.fetch).toHaveBeenCalledTimes(2);
       expect(posts).toHaveLength(1);
@@ -880,7 +1387,7 @@ describe('API Module', () => {
 
       const postsPromise = fetchPosts();
       jest.runAllTimers();
-      const posts = await postsPromise;
+      const { posts } = await postsPromise;
 
       expect(posts).toHaveLength(1);
     });
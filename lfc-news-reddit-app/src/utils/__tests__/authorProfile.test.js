@@ -0,0 +1,49 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the author profile helpers.
+ *              WHY: The username goes into a request path, and the karma shown must only count
+ *              activity in the approved LFC subreddits.
+ */
+
+import { isProfileUsername, summariseLfcKarma } from '../authorProfile';
+
+describe('isProfileUsername', () => {
+  it('accepts Reddit usernames', () => {
+    expect(isProfileUsername('Kopite_1892')).toBe(true);
+    expect(isProfileUsername('red-man')).toBe(true);
+  });
+
+  it('rejects deleted authors and anything that could change the path', () => {
+    expect(isProfileUsername('[deleted]')).toBe(false);
+    expect(isProfileUsername('../r/all')).toBe(false);
+    expect(isProfileUsername('ab')).toBe(false);
+    expect(isProfileUsername(undefined)).toBe(false);
+  });
+});
+
+describe('summariseLfcKarma', () => {
+  it('adds up scores per approved subreddit, highest first', () => {
+    const posts = [
+      { subreddit: 'LiverpoolFC', score: 120 },
+      { subreddit: 'LFCWomen', score: 300 }
+    ];
+    const comments = [
+      { subreddit: 'liverpoolfc', score: 15 },
+      { subreddit: 'LiverpoolFC', score: -5 },
+      { subreddit: 'soccer', score: 999 }
+    ];
+
+    expect(summariseLfcKarma(posts, comments)).toEqual({
+      total: 430,
+      bySubreddit: [
+        { name: 'LFCWomen', label: 'r/LFCWomen', karma: 300, posts: 1, comments: 0 },
+        { name: 'LiverpoolFC', label: 'r/LiverpoolFC', karma: 130, posts: 1, comments: 2 }
+      ]
+    });
+  });
+
+  it('is empty without activity', () => {
+    expect(summariseLfcKarma([], [])).toEqual({ total: 0, bySubreddit: [] });
+  });
+});
@@ -9,7 +9,7 @@
  * - Locale-specific formatting needs verification across environments
  */
 
-import { formatRelativeTime, formatDateTime } from '../formatTime';
+import { formatRelativeTime, formatDateTime, formatAccountAge } from '../formatTime';
 
 describe('formatRelativeTime', () => {
   // Store original Date.now to restore after tests
@@ -181,3 +181,32 @@ describe('formatDateTime', () => {
     expect(result.length).toBeGreaterThan(0);
   });
 });
+
+describe('formatAccountAge', () => {
+  const originalDateNow = Date.now;
+  const now = 1737457200;
+
+  beforeEach(() => {
+    Date.now = jest.fn(() => now * 1000);
+  });
+
+  afterEach(() => {
+    Date.now = originalDateNow;
+  });
+
+  it('should use days for accounts under a month old', () => {
+    expect(formatAccountAge(now - 86400)).toBe('1 day');
+    expect(formatAccountAge(now - 29 * 86400)).toBe('29 days');
+    expect(formatAccountAge(now)).toBe('0 days');
+  });
+
+  it('should use months for accounts under a year old', () => {
+    expect(formatAccountAge(now - 30 * 86400)).toBe('1 month');
+    expect(formatAccountAge(now - 200 * 86400)).toBe('6 months');
+  });
+
+  it('should use years after that', () => {
+    expect(formatAccountAge(now - 365 * 86400)).toBe('1 year');
+    expect(formatAccountAge(now - 8 * 365 * 86400)).toBe('8 years');
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for mute list matching.
+ *              WHY: A rule that matches too little lets spoilers through; one that matches too
+ *              much (or throws on a bad regex) collapses the whole feed.
+ */
+
+import {
+  isValidMutePattern,
+  compileMutePattern,
+  MAX_MUTE_PATTERN_LENGTH,
+  normaliseMuteValue,
+  compileMuteRules,
+  getPostMuteReason,
+  getCommentMuteReason,
+  findMutedPosts,
+  findMutedComments
+} from '../muteFilter';
+
+const post = (overrides = {}) => ({
+  id: 'p1',
+  title: 'Salah scores again',
+  selftext: '',
+  author: 'RedMan',
+  linkFlair: 'Highlights',
+  url: 'https://www.reddit.com/r/LiverpoolFC/comments/p1',
+  ...overrides
+});
+
+describe('normaliseMuteValue', () => {
+  it('strips the u/ prefix from users', () => {
+    expect(normaliseMuteValue('authors', ' /u/Someone ')).toBe('Someone');
+  });
+
+  it('reduces domains to a bare hostname', () => {
+    expect(normaliseMuteValue('domains', 'https://www.Example.com/path?q=1')).toBe('example.com');
+  });
+
+  it('keeps pattern case and lowercases keywords', () => {
+    expect(normaliseMuteValue('patterns', ' ^A\\d ')).toBe('^A\\d');
+    expect(normaliseMuteValue('keywords', ' Spoiler ')).toBe('spoiler');
+  });
+});
+
+describe('compileMutePattern', () => {
+  it('compiles a case-insensitive regex', () => {
+    expect(compileMutePattern('^\\[rumou?r\\]').test('[RUMOR] x')).toBe(true);
+  });
+
+  it('refuses patterns over the length cap', () => {
+    expect(compileMutePattern('a'.repeat(MAX_MUTE_PATTERN_LENGTH))).not.toBeNull();
+    expect(compileMutePattern('a'.repeat(MAX_MUTE_PATTERN_LENGTH + 1))).toBeNull();
+  });
+
+  it('refuses nested quantifiers that backtrack exponentially', () => {
+    expect(compileMutePattern('(a+)+$')).toBeNull();
+    expect(compileMutePattern('(\\w*x)*')).toBeNull();
+    expect(compileMutePattern('\\(a+\\)+')).not.toBeNull();
+    expect(compileMutePattern('[(a+)]+')).not.toBeNull();
+  });
+
+  it('refuses quantifiers nested at any depth', () => {
+    expect(compileMutePattern('((a+))+$')).toBeNull();
+    expect(compileMutePattern('(x(a+))+$')).toBeNull();
+    expect(compileMutePattern('(?:x(?:a{2,}))*')).toBeNull();
+  });
+
+  it('refuses repeated alternations', () => {
+    expect(compileMutePattern('(a|aa)+$')).toBeNull();
+    expect(compileMutePattern('(a|b){2,}c')).toBeNull();
+    expect(compileMutePattern('(rumou?r|gossip) (today)?')).not.toBeNull();
+  });
+
+  it('accepts plain repeated groups', () => {
+    expect(compileMutePattern('(?:ha)+')).not.toBeNull();
+    expect(compileMutePattern('^\\[(rumou?r)\\]')).not.toBeNull();
+  });
+
+  it('returns null instead of throwing for invalid patterns', () => {
+    expect(compileMutePattern('[unclosed')).toBeNull();
+    expect(compileMutePattern(undefined)).toBeNull();
+  });
+});
+
+describe('compileMuteRules', () => {
+  it('returns null when nothing is muted', () => {
+    expect(compileMuteRules({ keywords: [], patterns: [], authors: [], domains: [], flairs: [] })).toBeNull();
+    expect(compileMuteRules(undefined)).toBeNull();
+  });
+
+  it('skips patterns that no longer compile', () => {
+    expect(isValidMutePattern('[unclosed')).toBe(false);
+    const rules = compileMuteRules({ patterns: ['[unclosed', 'ok'] });
+    expect(rules.patterns.map(p => p.source)).toEqual(['ok']);
+  });
+
+  it('skips stored patterns that would now be refused', () => {
+    const rules = compileMuteRules({ patterns: ['(a+)+$', 'x'.repeat(MAX_MUTE_PATTERN_LENGTH + 1), 'ok'] });
+    expect(rules.patterns.map(p => p.source)).toEqual(['ok']);
+  });
+});
+
+describe('getPostMuteReason', () => {
+  it('matches keywords in the title or body, case-insensitively', () => {
+    const rules = compileMuteRules({ keywords: ['spoiler'] });
+    expect(getPostMuteReason(post({ title: 'SPOILER: result' }), rules)).toBe('keyword "spoiler"');
+    expect(getPostMuteReason(post({ selftext: 'contains spoilers' }), rules)).toBe('keyword "spoiler"');
+    expect(getPostMuteReason(post(), rules)).toBeNull();
+  });
+
+  it('matches regex patterns', () => {
+    const rules = compileMuteRules({ patterns: ['^\\[rumou?r\\]'] });
+    expect(getPostMuteReason(post({ title: '[Rumor] Big signing' }), rules)).toBe('pattern /^\\[rumou?r\\]/');
+  });
+
+  it('matches authors and flairs regardless of case', () => {
+    expect(getPostMuteReason(post(), compileMuteRules({ authors: ['redman'] }))).toBe('u/RedMan');
+    expect(getPostMuteReason(post(), compileMuteRules({ flairs: ['highlights'] }))).toBe('flair "Highlights"');
+  });
+
+  it('matches a domain and its subdomains only', () => {
+    const rules = compileMuteRules({ domains: ['example.com'] });
+    expect(getPostMuteReason(post({ url: 'https://news.example.com/a' }), rules)).toBe('domain example.com');
+    expect(getPostMuteReason(post({ url: 'https://notexample.com/a' }), rules)).toBeNull();
+  });
+
+  it('returns null without rules', () => {
+    expect(getPostMuteReason(post(), null)).toBeNull();
+  });
+});
+
+describe('getCommentMuteReason', () => {
+  const rules = compileMuteRules({ authors: ['troll'], keywords: ['spoiler'] });
+
+  it('matches comment authors and bodies', () => {
+    expect(getCommentMuteReason({ author: 'Troll', body: 'hi' }, rules)).toBe('u/Troll');
+    expect(getCommentMuteReason({ author: 'fan', body: 'no spoilers please' }, rules)).toBe('keyword "spoiler"');
+  });
+
+  it('never mutes "more" stubs', () => {
+    expect(getCommentMuteReason({ isMore: true, author: 'troll' }, rules)).toBeNull();
+  });
+});
+
+describe('findMuted helpers', () => {
+  const rules = compileMuteRules({ keywords: ['spoiler'] });
+
+  it('maps muted post ids to reasons', () => {
+    const muted = findMutedPosts([post({ id: 'a', title: 'spoiler' }), post({ id: 'b' })], rules);
+    expect([...muted.entries()]).toEqual([['a', 'keyword "spoiler"']]);
+  });
+
+  it('finds muted comments at any depth', () => {
+    const comments = [{ id: 'c1', author: 'a', body: 'fine', replies: [{ id: 'c2', author: 'b', body: 'spoiler!', replies: [] }] }];
+    expect([...findMutedComments(comments, rules).keys()]).toEqual(['c2']);
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the offline search client.
+ *              WHY: Indexing runs on every API response, so a missing or broken worker must
+ *              fall back quietly rather than break loading posts.
+ */
+
+import { createSearchIndexWorker } from '../createSearchIndexWorker';
+
+// WHY a factory: the real module uses import.meta, which Jest can't parse
+jest.mock('../createSearchIndexWorker', () => ({
+  createSearchIndexWorker: jest.fn()
+}));
+
+const post = { id: 'p1', title: 'Salah scores again', selftext: '', author: 'RedMan', created: 100 };
+
+/**
+ * @return {Object} A fresh copy of offlineSearch (the client keeps its backend in module state)
+ */
+const loadOfflineSearch = () => {
+  let offlineSearch;
+  jest.isolateModules(() => {
+    offlineSearch = require('../offlineSearch');
+  });
+  return offlineSearch;
+};
+
+/**
+ * @return {Object} Worker stand-in that records posted messages and fires events through emit()
+ */
+const createFakeWorker = () => {
+  const listeners = {};
+  return {
+    posted: [],
+    addEventListener: (type, listener) => { listeners[type] = listener; },
+    postMessage(message) { this.posted.push(message); },
+    emit: (type, event) => listeners[type](event)
+  };
+};
+
+/**
+ * @return {Promise<void>} Resolves once pending promise callbacks have run
+ */
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('offlineSearch', () => {
+  const originalWorker = global.Worker;
+
+  afterEach(() => {
+    global.Worker = originalWorker;
+  });
+
+  it('indexes and searches on the main thread when workers are unavailable', async () => {
+    delete global.Worker;
+    const offlineSearch = loadOfflineSearch();
+
+    offlineSearch.indexPosts([post]);
+    const results = await offlineSearch.searchOffline('salah');
+
+    expect(results.map(({ id }) => id)).toEqual(['p1']);
+    expect(createSearchIndexWorker).not.toHaveBeenCalled();
+  });
+
+  it('sends requests to the worker and resolves with its replies', async () => {
+    global.Worker = function Worker() {};
+    const offlineSearch = loadOfflineSearch();
+    const worker = createFakeWorker();
+    createSearchIndexWorker.mockReturnValue(worker);
+
+    offlineSearch.indexComments('p1', [{ id: 'c1', body: 'Great goal', replies: [] }]);
+    const search = offlineSearch.searchOffline('goal', { limit: 3 });
+    await flushPromises();
+
+    expect(worker.posted).toEqual([
+      { id: 1, type: 'index-comments', payload: { postId: 'p1', comments: [expect.objectContaining({ id: 'c1' })] } },
+      { id: 2, type: 'search', payload: { query: 'goal', options: { limit: 3 } } }
+    ]);
+
+    worker.emit('message', { data: { id: 2, result: ['found'] } });
+    await expect(search).resolves.toEqual(['found']);
+  });
+
+  it('rejects waiting requests and carries on in-thread when the worker fails', async () => {
+    global.Worker = function Worker() {};
+    const offlineSearch = loadOfflineSearch();
+    const worker = createFakeWorker();
+    createSearchIndexWorker.mockReturnValue(worker);
+
+    const search = offlineSearch.searchOffline('salah');
+    await flushPromises();
+    worker.emit('error', {});
+
+    await expect(search).rejects.toThrow('Search worker failed');
+    offlineSearch.indexPosts([post]);
+    expect((await offlineSearch.searchOffline('salah')).map(({ id }) => id)).toEqual(['p1']);
+  });
+
+  it('ignores empty batches', async () => {
+    global.Worker = function Worker() {};
+    const offlineSearch = loadOfflineSearch();
+
+    offlineSearch.indexPosts([]);
+    offlineSearch.indexComments('p1', []);
+    await flushPromises();
+
+    expect(createSearchIndexWorker).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for the IndexedDB-backed persistent cache.
+ *
+ * WHY these tests matter:
+ * - The offline tier is what fans see with no signal, so expiry and eviction must be right
+ * - Size limits stop a long session of match threads filling the browser's storage quota
+ * - Missing IndexedDB (jsdom, private browsing) must degrade to a silent no-op
+ */
+
+import { PersistentCache } from '../persistentCache';
+
+/**
+ * Minimal in-memory stand-in for the subset of IndexedDB used by PersistentCache
+ * WHY: jsdom ships without IndexedDB
+ */
+const createFakeIndexedDB = () => {
+  const records = new Map();
+  const scans = { count: 0 };
+
+  // WHY: Requests complete asynchronously, like the real API, and notify their transaction
+  const request = (compute, transaction) => {
+    const req = {};
+    if (transaction) transaction.pending += 1;
+    Promise.resolve().then(() => {
+      req.result = compute();
+      req.onsuccess && req.onsuccess();
+      if (transaction) transaction.settle();
+    });
+    return req;
+  };
+
+  const createTransaction = () => {
+    const transaction = {
+      pending: 0,
+      // Mirrors IndexedDB auto-commit once no requests are outstanding
+      settle() {
+        transaction.pending -= 1;
+        Promise.resolve().then(() => {
+          if (transaction.pending === 0 && transaction.oncomplete) transaction.oncomplete();
+        });
+      }
+    };
+    transaction.objectStore = () => ({
+      get: (key) => request(() => records.get(key), transaction),
+      put: (entry) => request(() => records.set(entry.key, { ...entry }), transaction),
+      delete: (key) => request(() => records.delete(key), transaction),
+      clear: () => request(() => records.clear(), transaction),
+      getAll: () => {
+        scans.count += 1;
+        return request(() => [...records.values()], transaction);
+      }
+    });
+    return transaction;
+  };
+
+  const db = {
+    objectStoreNames: { contains: () => true },
+    createObjectStore: jest.fn(),
+    transaction: createTransaction
+  };
+
+  return {
+    records,
+    scans,
+    open: () => request(() => db)
+  };
+};
+
+describe('PersistentCache', () => {
+  let idb;
+  let cache;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    idb = createFakeIndexedDB();
+    cache = new PersistentCache({ idbFactory: idb });
+  });
+
+  it('should store and retrieve values', async () => {
+    await cache.set('listing', { posts: [1, 2] });
+
+    expect(await cache.get('listing')).toEqual({ posts: [1, 2] });
+    expect(await cache.has('listing')).toBe(true);
+  });
+
+  it('should return null for missing keys', async () => {
+    expect(await cache.get('missing')).toBeNull();
+    expect(await cache.has('missing')).toBe(false);
+  });
+
+  it('should expire entries after their TTL', async () => {
+    const now = Date.now();
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    await cache.set('listing', 'value', 1000);
+
+    Date.now.mockReturnValue(now + 1001);
+
+    expect(await cache.get('listing')).toBeNull();
+    expect(idb.records.has('listing')).toBe(false);
+  });
+
+  it('should delete and clear entries', async () => {
+    await cache.set('a', 1);
+    await cache.set('b', 2);
+
+    expect(await cache.delete('a')).toBe(true);
+    expect(await cache.delete('a')).toBe(false);
+
+    await cache.clear();
+    expect(await cache.size()).toBe(0);
+  });
+
+  it('should evict least recently used entries beyond maxEntries', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new PersistentCache({ idbFactory: idb, maxEntries: 2 });
+
+    await cache.set('a', 1);
+    now += 1;
+    await cache.set('b', 2);
+    now += 1;
+    // Reading "a" makes "b" the least recently used
+    await cache.get('a');
+    now += 1;
+    await cache.set('c', 3);
+
+    expect(await cache.has('a')).toBe(true);
+    expect(await cache.has('b')).toBe(false);
+    expect(await cache.has('c')).toBe(true);
+  });
+
+  it('should evict oldest entries beyond maxBytes', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new PersistentCache({ idbFactory: idb, maxBytes: 20 });
+
+    await cache.set('old', 'x'.repeat(10));
+    now += 1;
+    await cache.set('new', 'y'.repeat(10));
+
+    expect(await cache.has('old')).toBe(false);
+    expect(await cache.has('new')).toBe(true);
+  });
+
+  it('should only scan the store on writes that may take it over a limit', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new PersistentCache({ idbFactory: idb, maxEntries: 3 });
+
+    await cache.set('a', 1);
+    expect(idb.scans.count).toBe(1);
+
+    now += 1;
+    await cache.set('b', 2);
+    now += 1;
+    await cache.set('a', 'overwritten');
+    now += 1;
+    await cache.set('c', 3);
+    expect(idb.scans.count).toBe(1);
+
+    now += 1;
+    await cache.set('d', 4);
+    expect(idb.scans.count).toBe(2);
+    expect(await cache.has('b')).toBe(false);
+    expect([...idb.records.keys()].sort()).toEqual(['a', 'c', 'd']);
+  });
+
+  it('should keep the size total across overwrites and deletes', async () => {
+    let now = 1000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    cache = new PersistentCache({ idbFactory: idb, maxBytes: 30 });
+
+    await cache.set('a', 'x'.repeat(10));
+    now += 1;
+    await cache.set('a', 'x'.repeat(20));
+    now += 1;
+    await cache.delete('a');
+    now += 1;
+    await cache.set('b', 'y'.repeat(20));
+
+    expect(idb.scans.count).toBe(1);
+    expect(await cache.has('b')).toBe(true);
+  });
+
+  it('should no-op when IndexedDB is unavailable', async () => {
+    cache = new PersistentCache({ idbFactory: null });
+
+    await cache.set('listing', 'value');
+
+    expect(await cache.get('listing')).toBeNull();
+    expect(await cache.has('listing')).toBe(false);
+    expect(await cache.size()).toBe(0);
+  });
+
+  it('should fall back to no-op when the database cannot be opened', async () => {
+    const failing = {
+      open: () => {
+        const req = {};
+        Promise.resolve().then(() => {
+          req.error = new Error('denied');
+          req.onerror();
+        });
+        return req;
+      }
+    };
+    cache = new PersistentCache({ idbFactory: failing });
+
+    await cache.set('listing', 'value');
+
+    expect(await cache.get('listing')).toBeNull();
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for pluggable Reddit data sources.
+ *
+ * WHY these tests matter:
+ * - The local source must hit the mock server with the same path/query Reddit would receive
+ * - A misconfigured source name must never leave the app without a working source
+ */
+
+import {
+  createDirectSource,
+  createLocalSource,
+  createProxiedSource,
+  createRedditSource,
+  getRedditSource,
+  setRedditSource
+} from '../redditSource';
+
+const jsonResponse = (data) => ({
+  ok: true,
+  status: 200,
+  headers: { get: () => 'application/json' },
+  json: () => Promise.resolve(data)
+});
+
+describe('redditSource', () => {
+  beforeEach(() => {
+    global.fetch = jest.fn();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  describe('createDirectSource', () => {
+    it('should fetch the Reddit URL unchanged', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({ kind: 'Listing' }));
+      const source = createDirectSource();
+
+      const data = await source.fetchJson('https://www.reddit.com/r/LiverpoolFC/hot.json');
+
+      expect(source.name).toBe('direct');
+      expect(data).toEqual({ kind: 'Listing' });
+      expect(global.fetch.mock.calls[0][0]).toBe('https://www.reddit.com/r/LiverpoolFC/hot.json');
+    });
+
+    it('should reject on non-ok responses', async () => {
+      global.fetch.mockResolvedValue({ ok: false, status: 503, headers: { get: () => null } });
+
+      await expect(createDirectSource().fetchJson('https://www.reddit.com/x.json'))
+        .rejects.toThrow('HTTP error! status: 503');
+    });
+  });
+
+  describe('createLocalSource', () => {
+    it('should rewrite the reddit.com origin to the mock server', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({}));
+
+      await createLocalSource('http://localhost:3001/reddit.com/')
+        .fetchJson('https://www.reddit.com/r/LiverpoolFC/search.json?q=salah&restrict_sr=1');
+
+      expect(global.fetch.mock.calls[0][0])
+        .toBe('http://localhost:3001/reddit.com/r/LiverpoolFC/search.json?q=salah&restrict_sr=1');
+    });
+
+    it('should default to localhost:3001', async () => {
+      global.fetch.mockResolvedValue(jsonResponse({}));
+
+      await createLocalSource().fetchJson('https://www.reddit.com/api/info.json?id=t3_abc');
+
+      expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:3001/api/info.json?id=t3_abc');
+    });
+  });
+
+  describe('createProxiedSource', () => {
+    it('should fall through to the next proxy when one fails', async () => {
+      global.fetch
+        .mockRejectedValueOnce(new Error('Network error'))
+        .mockResolvedValueOnce(jsonResponse({ ok: true }));
+      const source = createProxiedSource([
+        { name: 'first', url: 'https://first/?', format: 'direct', headers: {} },
+        { name: 'second', url: 'https://second/?', format: 'encoded', headers: {} }
+      ]);
+
+      const data = await source.fetchJson('https://www.reddit.com/r/LiverpoolFC/hot.json');
+
+      expect(data).toEqual({ ok: true });
+      expect(global.fetch.mock.calls[1][0])
+        .toBe(`https://second/?${encodeURIComponent('https://www.reddit.com/r/LiverpoolFC/hot.json')}`);
+    });
+  });
+
+  describe('createRedditSource', () => {
+    it('should build the named source', () => {
+      expect(createRedditSource('direct').name).toBe('direct');
+      expect(createRedditSource('local').name).toBe('local');
+      expect(createRedditSource('proxied').name).toBe('proxied');
+    });
+
+    it('should fall back to proxied for unknown names', () => {
+      expect(createRedditSource('carrier-pigeon').name).toBe('proxied');
+      expect(console.warn).toHaveBeenCalled();
+    });
+  });
+
+  describe('setRedditSource', () => {
+    it('should swap the active source', () => {
+      const original = getRedditSource();
+      const custom = { name: 'custom', fetchJson: jest.fn() };
+
+      setRedditSource(custom);
+      expect(getRedditSource()).toBe(custom);
+
+      setRedditSource(original);
+    });
+
+    it('should reject objects without fetchJson', () => {
+      expect(() => setRedditSource({ name: 'broken' }))
+        .toThrow('Reddit source must implement fetchJson(url)');
+    });
+  });
+});
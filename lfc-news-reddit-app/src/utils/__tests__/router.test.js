@@ -0,0 +1,100 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for URL <-> route translation.
+ *
+ * WHY these tests matter:
+ * - Shared links must reopen exactly the same post and filtered feed
+ * - Invalid query values from hand-edited URLs must fall back to safe defaults
+ */
+
+import { parseRoute, buildUrl, specifiesListing } from '../router';
+
+describe('router utils', () => {
+  describe('parseRoute', () => {
+    it('should return defaults for the root path', () => {
+      expect(parseRoute({ pathname: '/', search: '' })).toEqual({
+        postId: null,
+        sortBy: 'hot',
+        timeRange: 'day',
+        flairs: [],
+        media: null
+      });
+    });
+
+    it('should extract post id from /post/:id', () => {
+      expect(parseRoute({ pathname: '/post/abc123', search: '' }).postId).toBe('abc123');
+      expect(parseRoute({ pathname: '/post/abc123/', search: '' }).postId).toBe('abc123');
+    });
+
+    it('should parse sort, time range, flairs and media', () => {
+      const route = parseRoute({
+        pathname: '/',
+        search: '?sort=top&t=week&flair=Tier%201&flair=Highlights&media=videos'
+      });
+
+      expect(route.sortBy).toBe('top');
+      expect(route.timeRange).toBe('week');
+      expect(route.flairs).toEqual(['Tier 1', 'Highlights']);
+      expect(route.media).toBe('videos');
+    });
+
+    it('should ignore unknown sort, time and media values', () => {
+      const route = parseRoute({ pathname: '/', search: '?sort=best&t=decade&media=podcasts' });
+
+      expect(route.sortBy).toBe('hot');
+      expect(route.timeRange).toBe('day');
+      expect(route.media).toBeNull();
+    });
+
+    it('should not treat unrelated paths as posts', () => {
+      expect(parseRoute({ pathname: '/post/', search: '' }).postId).toBeNull();
+      expect(parseRoute({ pathname: '/user/someone', search: '' }).postId).toBeNull();
+    });
+  });
+
+  describe('buildUrl', () => {
+    it('should return / for default feed', () => {
+      expect(buildUrl({ postId: null, sortBy: 'hot', timeRange: 'day', flairs: [], media: null })).toBe('/');
+    });
+
+    it('should include post path and non-default filters', () => {
+      const url = buildUrl({
+        postId: 'abc123',
+        sortBy: 'top',
+        timeRange: 'week',
+        flairs: ['Tier 1'],
+        media: 'videos'
+      });
+
+      expect(url).toBe('/post/abc123?sort=top&t=week&flair=Tier+1&media=videos');
+    });
+
+    it('should omit time range for sorts that ignore it', () => {
+      expect(buildUrl({ sortBy: 'new', timeRange: 'week', flairs: [] })).toBe('/?sort=new');
+    });
+
+    it('should round-trip through parseRoute', () => {
+      const route = {
+        postId: 'xyz',
+        sortBy: 'controversial',
+        timeRange: 'month',
+        flairs: ['Tier 1', 'Tier 2'],
+        media: 'images'
+      };
+      const [pathname, query] = buildUrl(route).split('?');
+
+      expect(parseRoute({ pathname, search: `?${query}` })).toEqual(route);
+    });
+
+  });
+
+  describe('specifiesListing', () => {
+    it('should tell a URL naming a sort or time range from one leaving it to the reader', () => {
+      expect(specifiesListing({ pathname: '/', search: '?sort=top&t=week' })).toBe(true);
+      expect(specifiesListing({ pathname: '/', search: '?t=week' })).toBe(true);
+      expect(specifiesListing({ pathname: '/post/abc', search: '?flair=Tier+1' })).toBe(false);
+      expect(specifiesListing({ pathname: '/', search: '?sort=best' })).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,189 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the offline search index.
+ *              WHY: The index is the only way to find a comment again, so it must match the
+ *              query language Reddit search uses, rank the obvious hit first, and come back
+ *              intact after a reload without growing without bound.
+ */
+
+import {
+  SearchIndex,
+  createSearchIndexService,
+  tokenize,
+  SEARCH_INDEX_STORAGE_KEY
+} from '../searchIndex';
+
+const post = (overrides = {}) => ({
+  id: 'p1',
+  title: 'Salah scores again',
+  selftext: '',
+  author: 'RedMan',
+  subreddit: 'LiverpoolFC',
+  created: 100,
+  linkFlair: 'Tier 1',
+  isSelf: false,
+  url: 'https://www.bbc.co.uk/sport/football/1',
+  preview: { images: [] },
+  ...overrides
+});
+
+const comment = (id, body, overrides = {}) => ({ id, body, author: 'Kopite', created: 200, replies: [], ...overrides });
+
+/**
+ * @param {Object[]} segments - Highlight segments
+ * @return {string[]} The highlighted words
+ */
+const marked = (segments) => segments.filter(({ match }) => match).map(({ text }) => text);
+
+describe('tokenize', () => {
+  it('folds case and accents and drops single letters', () => {
+    expect(tokenize("Núñez's 2 goals: a BRACE")).toEqual(['nunez', '2', 'goals', 'brace']);
+  });
+});
+
+describe('SearchIndex', () => {
+  let index;
+
+  beforeEach(() => {
+    index = new SearchIndex();
+    index.addPost(post());
+    index.addPost(post({ id: 'p2', title: 'Match Thread: Liverpool vs Everton', author: 'MatchBot', linkFlair: 'Match Thread', created: 300 }));
+    index.addComments('p2', [
+      comment('c1', 'What a save from Alisson, unbelievable', {
+        replies: [comment('c2', 'Alisson is the best keeper in the world'), { id: 'more_c2', isMore: true, replies: [] }]
+      }),
+      comment('c3', '[deleted]')
+    ]);
+  });
+
+  it('finds posts by title and comments by body', () => {
+    expect(index.search('salah').map(({ type, id }) => [type, id])).toEqual([['post', 'p1']]);
+    expect(index.search('alisson').map(({ id }) => id).sort()).toEqual(['c1', 'c2']);
+  });
+
+  it('skips deleted comments and "more" stubs', () => {
+    expect(index.size).toBe(4);
+  });
+
+  it('requires every word and completes the last one being typed', () => {
+    expect(index.search('alisson keeper').map(({ id }) => id)).toEqual(['c2']);
+    expect(index.search('alisson kee').map(({ id }) => id)).toEqual(['c2']);
+    expect(index.search('alisson kee ')).toEqual([]);
+  });
+
+  it('ranks a title match above a body match', () => {
+    index.addPost(post({ id: 'p3', title: 'Team news', selftext: 'Salah starts on the bench', created: 999 }));
+
+    expect(index.search('salah').map(({ id }) => id)).toEqual(['p1', 'p3']);
+  });
+
+  it('applies phrases, operators and exclusions', () => {
+    expect(index.search('"best keeper"').map(({ id }) => id)).toEqual(['c2']);
+    expect(index.search('"keeper best"')).toEqual([]);
+    expect(index.search('alisson -unbelievable').map(({ id }) => id)).toEqual(['c2']);
+    expect(index.search('author:kopite save').map(({ id }) => id)).toEqual(['c1']);
+    expect(index.search('author:RedMan').map(({ id }) => id)).toEqual(['p1']);
+  });
+
+  it('matches comments on their thread for flair:, self: and site:', () => {
+    expect(index.search('alisson flair:"match thread"').map(({ id }) => id).sort()).toEqual(['c1', 'c2']);
+    expect(index.search('alisson -flair:"match thread"')).toEqual([]);
+  });
+
+  it('returns nothing without a positive term', () => {
+    expect(index.search('-salah')).toEqual([]);
+    expect(index.search('!!!')).toEqual([]);
+  });
+
+  it('returns the thread with each comment and highlights the match', () => {
+    const [result] = index.search('keeper');
+
+    expect(result).toMatchObject({ type: 'comment', id: 'c2', postId: 'p2', author: 'Kopite' });
+    expect(result.title).toEqual([{ text: 'Match Thread: Liverpool vs Everton', match: false }]);
+    expect(marked(result.snippet)).toEqual(['keeper']);
+    expect(result.post).toMatchObject({ id: 'p2', title: 'Match Thread: Liverpool vs Everton' });
+  });
+
+  it('stores posts without heavy media fields', () => {
+    expect(index.search('salah')[0].post).not.toHaveProperty('preview');
+  });
+
+  it('cuts long text to a snippet around the first match', () => {
+    const filler = 'lorem ipsum dolor sit amet '.repeat(20);
+    index.addComments('p2', [comment('c4', `${filler}Szoboszlai from range ${filler}`)]);
+
+    const { snippet } = index.search('szoboszlai')[0];
+    const text = snippet.map(segment => segment.text).join('');
+
+    expect(text.startsWith('…')).toBe(true);
+    expect(text.endsWith('…')).toBe(true);
+    expect(text.length).toBeLessThan(200);
+    expect(marked(snippet)).toEqual(['Szoboszlai']);
+  });
+
+  it('forgets the least recently seen documents beyond its limit', () => {
+    const small = new SearchIndex(2);
+    small.addPost(post({ id: 'a', title: 'Salah one' }));
+    small.addPost(post({ id: 'b', title: 'Salah two' }));
+    small.addPost(post({ id: 'a', title: 'Salah one' }));
+    small.addPost(post({ id: 'c', title: 'Salah three' }));
+
+    expect(small.search('salah').map(({ id }) => id).sort()).toEqual(['a', 'c']);
+    expect(small.search('two')).toEqual([]);
+  });
+
+  it('rebuilds the same results from its saved documents', () => {
+    const restored = new SearchIndex();
+    restored.load([...index.toJSON(), null, { key: 'p:x', type: 'post' }]);
+
+    expect(restored.size).toBe(index.size);
+    expect(restored.search('alisson')).toEqual(index.search('alisson'));
+  });
+});
+
+describe('createSearchIndexService', () => {
+  beforeEach(() => {
+    jest.useFakeTimers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('loads saved documents before answering', async () => {
+    const saved = new SearchIndex();
+    saved.addPost(post());
+    const storage = { get: jest.fn().mockResolvedValue(saved.toJSON()), set: jest.fn() };
+
+    const results = await createSearchIndexService(storage).handle({ type: 'search', payload: { query: 'salah' } });
+
+    expect(storage.get).toHaveBeenCalledWith(SEARCH_INDEX_STORAGE_KEY);
+    expect(results.map(({ id }) => id)).toEqual(['p1']);
+  });
+
+  it('saves once after a burst of additions', async () => {
+    const storage = { get: jest.fn().mockResolvedValue(null), set: jest.fn() };
+    const service = createSearchIndexService(storage);
+
+    await service.handle({ type: 'index-posts', payload: { posts: [post()] } });
+    await service.handle({ type: 'index-comments', payload: { postId: 'p1', comments: [comment('c1', 'Great goal')] } });
+    expect(storage.set).not.toHaveBeenCalled();
+
+    jest.runAllTimers();
+
+    expect(storage.set).toHaveBeenCalledTimes(1);
+    expect(storage.set.mock.calls[0][1].map(({ key }) => key)).toEqual(['p:p1', 'c:c1']);
+  });
+
+  it('still works when nothing can be loaded', async () => {
+    const storage = { get: jest.fn().mockRejectedValue(new Error('blocked')), set: jest.fn() };
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const service = createSearchIndexService(storage);
+
+    await service.handle({ type: 'index-posts', payload: { posts: [post()] } });
+
+    expect(await service.handle({ type: 'search', payload: { query: 'salah' } })).toHaveLength(1);
+    await expect(service.handle({ type: 'bogus' })).rejects.toThrow('Unknown search index request');
+  });
+});
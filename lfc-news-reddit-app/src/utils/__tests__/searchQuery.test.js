@@ -0,0 +1,115 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the search query language.
+ *              WHY: A misparsed operator is sent to Reddit as a plain word and quietly returns
+ *              the wrong posts, and a broken exclusion lets through exactly what was excluded.
+ */
+
+import {
+  parseSearchQuery,
+  hasSearchTerms,
+  toRedditQuery,
+  matchesSearchQuery
+} from '../searchQuery';
+
+const post = (overrides = {}) => ({
+  id: 'p1',
+  title: 'Salah scores again',
+  selftext: '',
+  author: 'RedMan',
+  linkFlair: 'Tier 1',
+  isSelf: false,
+  url: 'https://www.bbc.co.uk/sport/football/1',
+  ...overrides
+});
+
+describe('parseSearchQuery', () => {
+  it('splits words, phrases and operators', () => {
+    expect(parseSearchQuery('salah "hat trick" author:RedMan self:yes')).toEqual([
+      { field: null, value: 'salah', phrase: false, negated: false },
+      { field: null, value: 'hat trick', phrase: true, negated: false },
+      { field: 'author', value: 'RedMan', phrase: false, negated: false },
+      { field: 'self', value: 'yes', phrase: false, negated: false }
+    ]);
+  });
+
+  it('reads quoted operator values and negation', () => {
+    expect(parseSearchQuery('flair:"Tier 1" -site:https://www.thesun.co.uk/ -"transfer rumour"')).toEqual([
+      { field: 'flair', value: 'Tier 1', phrase: false, negated: false },
+      { field: 'site', value: 'thesun.co.uk', phrase: false, negated: true },
+      { field: null, value: 'transfer rumour', phrase: true, negated: true }
+    ]);
+  });
+
+  it('normalises author prefixes and self values', () => {
+    const [author, self] = parseSearchQuery('author:u/RedMan SELF:false');
+
+    expect(author.value).toBe('RedMan');
+    expect(self).toMatchObject({ field: 'self', value: 'no' });
+  });
+
+  it('keeps unknown prefixes and bad self values as words', () => {
+    expect(parseSearchQuery('kickoff 17:30 self:maybe').map(clause => [clause.field, clause.value])).toEqual([
+      [null, 'kickoff'],
+      [null, '17:30'],
+      [null, 'self:maybe']
+    ]);
+  });
+
+  it('ignores empty operators and an unterminated quote runs to the end', () => {
+    expect(parseSearchQuery('author: self: - "van dijk')).toEqual([
+      { field: null, value: 'van dijk', phrase: true, negated: false }
+    ]);
+  });
+
+  it('returns nothing for blank input', () => {
+    expect(parseSearchQuery('   ')).toEqual([]);
+    expect(parseSearchQuery(undefined)).toEqual([]);
+  });
+});
+
+describe('toRedditQuery', () => {
+  it('writes the positive clauses in Reddit syntax', () => {
+    const clauses = parseSearchQuery('salah "hat trick" flair:"Tier 1" author:RedMan site:bbc.co.uk self:no -rumour');
+
+    expect(toRedditQuery(clauses)).toBe('salah "hat trick" flair:"Tier 1" author:RedMan site:bbc.co.uk self:no');
+  });
+
+  it('is empty when there are only exclusions', () => {
+    const clauses = parseSearchQuery('-rumour -author:bot');
+
+    expect(toRedditQuery(clauses)).toBe('');
+    expect(hasSearchTerms(clauses)).toBe(false);
+  });
+});
+
+describe('matchesSearchQuery', () => {
+  it('keeps everything when nothing is excluded', () => {
+    expect(matchesSearchQuery(post(), parseSearchQuery('salah author:SomeoneElse'))).toBe(true);
+  });
+
+  it('drops posts containing an excluded word or phrase', () => {
+    expect(matchesSearchQuery(post(), parseSearchQuery('salah -SCORES'))).toBe(false);
+    expect(matchesSearchQuery(post({ selftext: 'a transfer rumour' }), parseSearchQuery('-"transfer rumour"'))).toBe(false);
+    expect(matchesSearchQuery(post(), parseSearchQuery('-"scores twice"'))).toBe(true);
+  });
+
+  it('drops posts by an excluded author or flair', () => {
+    expect(matchesSearchQuery(post(), parseSearchQuery('-author:redman'))).toBe(false);
+    expect(matchesSearchQuery(post(), parseSearchQuery('-flair:"tier 1"'))).toBe(false);
+    expect(matchesSearchQuery(post(), parseSearchQuery('-flair:"Tier 2"'))).toBe(true);
+  });
+
+  it('drops excluded sites including their subdomains', () => {
+    expect(matchesSearchQuery(post(), parseSearchQuery('-site:bbc.co.uk'))).toBe(false);
+    expect(matchesSearchQuery(post(), parseSearchQuery('-site:co.uk.example'))).toBe(true);
+    expect(matchesSearchQuery(post({ url: 'not a url' }), parseSearchQuery('-site:bbc.co.uk'))).toBe(true);
+  });
+
+  it('drops text or link posts by self:', () => {
+    expect(matchesSearchQuery(post(), parseSearchQuery('-self:no'))).toBe(false);
+    expect(matchesSearchQuery(post({ isSelf: true }), parseSearchQuery('-self:yes'))).toBe(false);
+    expect(matchesSearchQuery(post({ isSelf: true }), parseSearchQuery('-self:no'))).toBe(true);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for SearchBar suggestions.
+ *              WHY: Suggestions are only useful if the names people search for rise to the top,
+ *              and a completion must keep the rest of the query (operators included) intact.
+ */
+
+import { getFrequentTerms, getFlairCounts, getSearchSuggestions } from '../searchSuggestions';
+
+const posts = [
+  { id: '1', title: "Salah's winner against Everton", linkFlair: 'Tier 1' },
+  { id: '2', title: 'SALAH signs new deal - what it means', linkFlair: 'Tier 1' },
+  { id: '3', title: 'Salah and Szoboszlai start', linkFlair: 'Tier 2' },
+  { id: '4', title: 'Szoboszlai Szoboszlai Szoboszlai', linkFlair: null }
+];
+
+describe('getFrequentTerms', () => {
+  it('counts each title word once per post, most frequent first', () => {
+    const terms = getFrequentTerms(posts);
+
+    expect(terms[0]).toEqual({ term: 'Salah', count: 3 });
+    expect(terms[1]).toEqual({ term: 'Szoboszlai', count: 2 });
+  });
+
+  it('skips stop words and very short words', () => {
+    const words = getFrequentTerms(posts).map(({ term }) => term.toLowerCase());
+
+    expect(words).not.toContain('what');
+    expect(words).not.toContain('it');
+    expect(words).not.toContain('new');
+    expect(words).toContain('everton');
+  });
+});
+
+describe('getFlairCounts', () => {
+  it('lists distinct flairs, most common first', () => {
+    expect(getFlairCounts(posts)).toEqual([
+      { flair: 'Tier 1', count: 2 },
+      { flair: 'Tier 2', count: 1 }
+    ]);
+  });
+});
+
+describe('getSearchSuggestions', () => {
+  const sources = {
+    pinned: [{ query: 'flair:"Tier 1" Salah', sort: 'top', timeRange: 'week' }],
+    recent: ['Nunez', 'Salah contract', 'FLAIR:"TIER 1" SALAH'],
+    flairs: getFlairCounts(posts),
+    terms: getFrequentTerms(posts)
+  };
+
+  it('offers pinned then recent searches for an empty input', () => {
+    expect(getSearchSuggestions('', sources)).toEqual([
+      { type: 'pinned', value: 'flair:"Tier 1" Salah', label: 'flair:"Tier 1" Salah', sort: 'top', timeRange: 'week' },
+      { type: 'recent', value: 'Nunez', label: 'Nunez' },
+      { type: 'recent', value: 'Salah contract', label: 'Salah contract' }
+    ]);
+  });
+
+  it('filters history by what has been typed', () => {
+    const history = getSearchSuggestions('contr', sources).filter(({ type }) => type === 'recent');
+
+    expect(history.map(({ value }) => value)).toEqual(['Salah contract']);
+  });
+
+  it('completes the last word and keeps the rest of the query', () => {
+    const terms = getSearchSuggestions('author:bob -sz', sources).filter(({ type }) => type === 'term');
+
+    expect(terms).toEqual([{ type: 'term', value: 'author:bob -Szoboszlai ', label: 'Szoboszlai' }]);
+  });
+
+  it('completes flairs as flair: operators, including inside one', () => {
+    expect(getSearchSuggestions('salah tier', sources).filter(({ type }) => type === 'flair').map(({ value }) => value))
+      .toEqual(['salah flair:"Tier 1" ', 'salah flair:"Tier 2" ']);
+    expect(getSearchSuggestions('-flair:"ti', sources).filter(({ type }) => type !== 'pinned')).toEqual([
+      { type: 'flair', value: '-flair:"Tier 1" ', label: 'Tier 1' },
+      { type: 'flair', value: '-flair:"Tier 2" ', label: 'Tier 2' }
+    ]);
+  });
+
+  it('waits for two letters before completing', () => {
+    expect(getSearchSuggestions('s', sources).some(({ type }) => type === 'term')).toBe(false);
+  });
+
+  it('does not suggest exactly what is already typed', () => {
+    expect(getSearchSuggestions('Nunez', sources)).toEqual([]);
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the versioned settings schema.
+ *              WHY: Settings are read before the first render, so a stale or corrupt payload
+ *              must migrate or fall back to defaults rather than crash start-up.
+ */
+
+import { migrateSettings, sanitizeSettings, isValidSetting, DEFAULT_SETTINGS } from '../settingsSchema';
+
+describe('migrateSettings', () => {
+  it('upgrades the pre-schema theme and filters keys', () => {
+    const settings = migrateSettings({ version: 0, theme: 'green', filtersExpanded: 'true' });
+
+    expect(settings).toEqual({ ...DEFAULT_SETTINGS, theme: 'green', filtersExpanded: true });
+  });
+
+  it('returns defaults when nothing was stored', () => {
+    expect(migrateSettings({ version: 0, theme: null, filtersExpanded: null })).toEqual(DEFAULT_SETTINGS);
+    expect(migrateSettings(null)).toEqual(DEFAULT_SETTINGS);
+  });
+
+  it('keeps valid current-version settings', () => {
+    const stored = { ...DEFAULT_SETTINGS, version: 2, pageSize: 50, defaultSort: 'new' };
+
+    expect(migrateSettings(stored)).toEqual({ ...DEFAULT_SETTINGS, pageSize: 50, defaultSort: 'new' });
+  });
+
+  it('adds the default custom theme to version 1 settings', () => {
+    const stored = { version: 1, theme: 'green', customTheme: 'ignored' };
+
+    expect(migrateSettings(stored)).toEqual({ ...DEFAULT_SETTINGS, theme: 'green' });
+  });
+
+  it('keeps what still validates from a newer version', () => {
+    const stored = { version: 99, pageSize: 30, layout: 'cards' };
+
+    expect(migrateSettings(stored)).toEqual({ ...DEFAULT_SETTINGS, pageSize: 30 });
+  });
+});
+
+describe('sanitizeSettings', () => {
+  it('replaces out-of-range values with defaults', () => {
+    const settings = sanitizeSettings({ pageSize: 1000, commentDepth: '6', theme: 'blue', autoplayMedia: 'yes' });
+
+    expect(settings).toEqual(DEFAULT_SETTINGS);
+  });
+});
+
+describe('isValidSetting', () => {
+  it('accepts only known keys with allowed values', () => {
+    expect(isValidSetting('pageSize', 30)).toBe(true);
+    expect(isValidSetting('pageSize', 31)).toBe(false);
+    expect(isValidSetting('open', true)).toBe(false);
+  });
+
+  it('validates custom theme colours', () => {
+    expect(isValidSetting('customTheme', { primary: '#00a651', background: '#ffffff', text: '#000000' })).toBe(true);
+    expect(isValidSetting('customTheme', { primary: 'green', background: '#ffffff', text: '#000000' })).toBe(false);
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for keyboard shortcut matching.
+ *              WHY: Single letters are shortcuts, so typing in a field or holding a browser
+ *              modifier must never trigger one, and "g h" must work as a sequence.
+ */
+
+import { resolveShortcut, isShortcut, isTypingTarget } from '../shortcuts';
+
+const key = (value, extra = {}) => ({ key: value, target: document.body, ...extra });
+
+describe('resolveShortcut', () => {
+  const available = ['nextPost', 'goHome', 'showHelp'];
+
+  it('matches single keys among the available shortcuts', () => {
+    expect(resolveShortcut(key('j'), null, available).shortcut.id).toBe('nextPost');
+    expect(resolveShortcut(key('?'), null, available).shortcut.id).toBe('showHelp');
+  });
+
+  it('ignores shortcuts without a handler', () => {
+    expect(resolveShortcut(key('k'), null, available)).toEqual({ shortcut: null, pending: null });
+  });
+
+  it('waits for the rest of a sequence and then matches it', () => {
+    const first = resolveShortcut(key('g'), null, available);
+    expect(first).toEqual({ shortcut: null, pending: 'g' });
+
+    expect(resolveShortcut(key('h'), first.pending, available).shortcut.id).toBe('goHome');
+  });
+
+  it('falls back to the key alone when a sequence is broken', () => {
+    expect(resolveShortcut(key('j'), 'g', available).shortcut.id).toBe('nextPost');
+  });
+
+  it('ignores keys typed into fields or held with a modifier', () => {
+    const input = document.createElement('input');
+
+    expect(resolveShortcut(key('j', { target: input }), null, available).shortcut).toBeNull();
+    expect(resolveShortcut(key('j', { ctrlKey: true }), null, available).shortcut).toBeNull();
+  });
+});
+
+describe('isShortcut', () => {
+  it('matches any binding of a single-key shortcut without modifiers', () => {
+    expect(isShortcut(key('o'), 'openPost')).toBe(true);
+    expect(isShortcut(key('Enter'), 'openPost')).toBe(true);
+    expect(isShortcut(key('s', { metaKey: true }), 'savePost')).toBe(false);
+  });
+});
+
+describe('isTypingTarget', () => {
+  it('treats form fields as typing', () => {
+    expect(isTypingTarget(document.createElement('textarea'))).toBe(true);
+    expect(isTypingTarget(document.createElement('select'))).toBe(true);
+    expect(isTypingTarget(document.createElement('button'))).toBe(false);
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for spoiler detection.
+ *              WHY: Missing a scoreline spoils the match; over-matching (dates, seasons) blurs
+ *              half the feed for no reason.
+ */
+
+import { getSpoilerReason, SCORE_PATTERN } from '../spoilerGuard';
+
+const NOW = 1_700_000_000_000;
+const hoursAgo = (hours) => NOW / 1000 - hours * 3600;
+
+describe('SCORE_PATTERN', () => {
+  it.each([
+    '[Post-Match Thread] Liverpool 3-1 Everton',
+    'Liverpool 2 - 0 Arsenal',
+    'Full time: 1–1'
+  ])('matches scorelines in "%s"', (title) => {
+    expect(SCORE_PATTERN.test(title)).toBe(true);
+  });
+
+  it.each([
+    'Season review 2024-25',
+    'Salah signs new deal',
+    'Kick-off at 20:00'
+  ])('ignores "%s"', (title) => {
+    expect(SCORE_PATTERN.test(title)).toBe(false);
+  });
+});
+
+describe('getSpoilerReason', () => {
+  it('flags posts Reddit marks as spoilers', () => {
+    expect(getSpoilerReason({ title: 'Thoughts', spoiler: true, created: hoursAgo(1) }, 12, NOW)).toBe('flagged');
+  });
+
+  it('flags recent scoreline titles', () => {
+    expect(getSpoilerReason({ title: 'Liverpool 3-1 Everton', created: hoursAgo(2) }, 12, NOW)).toBe('score');
+  });
+
+  it('stops hiding once the window has passed', () => {
+    expect(getSpoilerReason({ title: 'Liverpool 3-1 Everton', spoiler: true, created: hoursAgo(13) }, 12, NOW)).toBeNull();
+  });
+
+  it('leaves ordinary posts alone', () => {
+    expect(getSpoilerReason({ title: 'Team news', created: hoursAgo(1) }, 12, NOW)).toBeNull();
+  });
+});
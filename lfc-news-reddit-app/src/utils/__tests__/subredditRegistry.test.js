@@ -0,0 +1,92 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Unit tests for the approved Liverpool subreddit registry.
+ *
+ * WHY these tests matter:
+ * - The registry is the allow-list for every Reddit request, so unknown names must resolve to nothing
+ * - 'all' must become the LFC multireddit and never Reddit's r/all
+ */
+
+import {
+  ALL_LFC,
+  DEFAULT_SUBREDDIT,
+  SUBREDDIT_REGISTRY,
+  buildRegistry,
+  findSubreddit,
+  getFeedKeys,
+  getSubredditLabel,
+  toRedditPath
+} from '../subredditRegistry';
+
+describe('subredditRegistry', () => {
+  it('should list r/LiverpoolFC first as the home feed', () => {
+    expect(SUBREDDIT_REGISTRY[0].name).toBe(DEFAULT_SUBREDDIT);
+    expect(SUBREDDIT_REGISTRY.map(entry => entry.name))
+      .toEqual(['LiverpoolFC', 'liverpoolfcmedia', 'LFCWomen', 'LFCAcademy']);
+  });
+
+  describe('findSubreddit', () => {
+    it('should match names case-insensitively', () => {
+      expect(findSubreddit('lfcwomen').name).toBe('LFCWomen');
+      expect(findSubreddit(' LiverpoolFC ').name).toBe('LiverpoolFC');
+    });
+
+    it('should return null for subreddits outside the registry', () => {
+      expect(findSubreddit('gambling')).toBeNull();
+      expect(findSubreddit('all')).toBeNull();
+      expect(findSubreddit(null)).toBeNull();
+    });
+  });
+
+  describe('toRedditPath', () => {
+    it('should resolve the All LFC key to a multireddit of every entry', () => {
+      expect(toRedditPath(ALL_LFC)).toBe('LiverpoolFC+liverpoolfcmedia+LFCWomen+LFCAcademy');
+    });
+
+    it('should return canonical names for approved subreddits', () => {
+      expect(toRedditPath('lfcacademy')).toBe('LFCAcademy');
+    });
+
+    it('should return null for anything else', () => {
+      expect(toRedditPath('soccer')).toBeNull();
+      expect(toRedditPath('LiverpoolFC+soccer')).toBeNull();
+    });
+  });
+
+  describe('labels and feed keys', () => {
+    it('should offer All LFC before the individual subreddits', () => {
+      expect(getFeedKeys()).toEqual([ALL_LFC, ...SUBREDDIT_REGISTRY.map(entry => entry.name)]);
+    });
+
+    it('should label the combined feed and fall back to r/<name>', () => {
+      expect(getSubredditLabel(ALL_LFC)).toBe('All LFC');
+      expect(getSubredditLabel('LFCWomen')).toBe('r/LFCWomen');
+      expect(getSubredditLabel('LFCTransferMarkt')).toBe('r/LFCTransferMarkt');
+    });
+  });
+
+  describe('buildRegistry', () => {
+    beforeEach(() => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    it('should use the curated list without an override', () => {
+      expect(buildRegistry(undefined)).toEqual(SUBREDDIT_REGISTRY);
+      expect(buildRegistry('  ')).toEqual(SUBREDDIT_REGISTRY);
+    });
+
+    it('should keep r/LiverpoolFC when an override leaves it out', () => {
+      const names = buildRegistry('LFCWomen,LFCTransferMarkt').map(entry => entry.name);
+      expect(names).toEqual(['LiverpoolFC', 'LFCWomen', 'LFCTransferMarkt']);
+    });
+
+    it('should reuse curated labels and drop invalid or duplicate names', () => {
+      const registry = buildRegistry('LiverpoolFC, lfcwomen, LFCWomen, ../all, a+b');
+
+      expect(registry.map(entry => entry.name)).toEqual(['LiverpoolFC', 'LFCWomen']);
+      expect(registry[1].description).toBe('Liverpool FC Women');
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
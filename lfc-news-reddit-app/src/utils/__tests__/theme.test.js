@@ -0,0 +1,143 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for the theme registry helpers.
+ *              WHY: Red is the stylesheet default, so a stale data-theme attribute (or stale
+ *              inline custom variables) would leave the app stuck on the previous theme.
+ */
+
+import {
+  applyTheme,
+  getNextTheme,
+  getTheme,
+  getSystemTheme,
+  watchSystemTheme,
+  buildCustomThemeProperties,
+  getContrastRatio,
+  isValidCustomTheme,
+  THEME_IDS,
+  DEFAULT_CUSTOM_THEME
+} from '../theme';
+
+/**
+ * @param {boolean} prefersLight - What the device reports
+ * @return {Object} The media query list returned to the code under test
+ */
+const mockColorScheme = (prefersLight) => {
+  const query = { matches: prefersLight, addEventListener: jest.fn(), removeEventListener: jest.fn() };
+  window.matchMedia = jest.fn(() => query);
+  return query;
+};
+
+afterEach(() => {
+  delete window.matchMedia;
+  document.documentElement.removeAttribute('data-theme');
+  document.documentElement.removeAttribute('style');
+});
+
+describe('applyTheme', () => {
+  it('sets the data attribute for non-default themes', () => {
+    applyTheme('green');
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('green');
+  });
+
+  it('removes the data attribute for red', () => {
+    document.documentElement.setAttribute('data-theme', 'white');
+
+    applyTheme('red');
+
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+
+  it('follows the device colour scheme for the system theme', () => {
+    mockColorScheme(true);
+    applyTheme('system');
+    expect(document.documentElement.getAttribute('data-theme')).toBe('white');
+
+    mockColorScheme(false);
+    applyTheme('system');
+    expect(document.documentElement.hasAttribute('data-theme')).toBe(false);
+  });
+
+  it('sets the generated variables for the custom theme and clears them afterwards', () => {
+    applyTheme('custom', { primary: '#123456', background: '#000000', text: '#ffffff' });
+
+    expect(document.documentElement.getAttribute('data-theme')).toBe('custom');
+    expect(document.documentElement.style.getPropertyValue('--accent')).toBe('#123456');
+
+    applyTheme('white');
+
+    expect(document.documentElement.style.getPropertyValue('--accent')).toBe('');
+  });
+});
+
+describe('getSystemTheme', () => {
+  it('uses the dark home kit when the browser cannot tell', () => {
+    expect(getSystemTheme()).toBe('red');
+  });
+});
+
+describe('watchSystemTheme', () => {
+  it('listens for colour scheme changes until stopped', () => {
+    const query = mockColorScheme(false);
+    const callback = jest.fn();
+
+    const stop = watchSystemTheme(callback);
+    expect(query.addEventListener).toHaveBeenCalledWith('change', callback);
+
+    stop();
+    expect(query.removeEventListener).toHaveBeenCalledWith('change', callback);
+  });
+});
+
+describe('getNextTheme', () => {
+  it('cycles red, white, green and on through the registry', () => {
+    expect(getNextTheme('red')).toBe('white');
+    expect(getNextTheme('white')).toBe('green');
+    expect(getNextTheme('green')).toBe(THEME_IDS[3]);
+  });
+
+  it('wraps from the last theme back to red', () => {
+    expect(getNextTheme(THEME_IDS[THEME_IDS.length - 1])).toBe('red');
+  });
+});
+
+describe('getTheme', () => {
+  it('falls back to the default theme for unknown ids', () => {
+    expect(getTheme('contrast').name).toBe('High Contrast');
+    expect(getTheme('blue').id).toBe('red');
+  });
+});
+
+describe('buildCustomThemeProperties', () => {
+  it('derives surfaces, text and accents from the three colours', () => {
+    const properties = buildCustomThemeProperties({ primary: '#ff0000', background: '#000000', text: '#ffffff' });
+
+    expect(properties['--bg-primary']).toBe('#000000');
+    expect(properties['--bg-secondary']).toBe('#0f0f0f');
+    expect(properties['--text-primary']).toBe('#ffffff');
+    expect(properties['--text-secondary']).toBe('#b3b3b3');
+    expect(properties['--accent']).toBe('#ff0000');
+    expect(properties['--accent-hover']).toBe('#cc0000');
+    expect(properties['--accent-light']).toBe('rgba(255, 0, 0, 0.15)');
+    expect(properties['--border-color']).toBe('rgba(255, 255, 255, 0.1)');
+  });
+});
+
+describe('getContrastRatio', () => {
+  it('matches the WCAG extremes and is order independent', () => {
+    expect(getContrastRatio('#000000', '#ffffff')).toBeCloseTo(21);
+    expect(getContrastRatio('#ffffff', '#000000')).toBeCloseTo(21);
+    expect(getContrastRatio('#777777', '#777777')).toBe(1);
+  });
+});
+
+describe('isValidCustomTheme', () => {
+  it('accepts exactly the three colours as #rrggbb', () => {
+    expect(isValidCustomTheme(DEFAULT_CUSTOM_THEME)).toBe(true);
+    expect(isValidCustomTheme({ ...DEFAULT_CUSTOM_THEME, text: 'white' })).toBe(false);
+    expect(isValidCustomTheme({ ...DEFAULT_CUSTOM_THEME, extra: '#000000' })).toBe(false);
+    expect(isValidCustomTheme(null)).toBe(false);
+  });
+});
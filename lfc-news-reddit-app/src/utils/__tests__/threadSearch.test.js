@@ -0,0 +1,91 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Tests for find-in-thread matching and highlighting.
+ *              WHY: A find must never reveal a muted comment, must treat what is typed as plain
+ *              text, and must highlight without breaking the rendered markdown.
+ */
+
+import {
+  createFindPattern,
+  findThreadMatches,
+  splitByPattern,
+  rehypeFindMatches
+} from '../threadSearch';
+
+const comments = [
+  {
+    id: 'c1',
+    author: 'Kopite',
+    body: 'Salah again!',
+    replies: [
+      { id: 'c2', author: 'RedMan', body: 'Not bad', replies: [{ id: 'c3', author: 'salah_fan', body: 'GOAT', replies: [] }] },
+      { id: 'more_c1', isMore: true, replies: [] }
+    ]
+  },
+  { id: 'c4', author: 'Muted', body: 'Salah is overrated', replies: [{ id: 'c5', author: 'x', body: 'salah', replies: [] }] }
+];
+
+describe('createFindPattern', () => {
+  it('matches what was typed literally, ignoring case', () => {
+    const pattern = createFindPattern(' (1+1) ');
+
+    expect('Score (1+1)'.match(pattern)).toEqual(['(1+1)']);
+    expect(createFindPattern('   ')).toBeNull();
+  });
+});
+
+describe('findThreadMatches', () => {
+  it('lists matching comments in reading order with the comments above them', () => {
+    expect(findThreadMatches(comments, 'SALAH')).toEqual([
+      { id: 'c1', ancestorIds: [] },
+      { id: 'c3', ancestorIds: ['c1', 'c2'] },
+      { id: 'c4', ancestorIds: [] },
+      { id: 'c5', ancestorIds: ['c4'] }
+    ]);
+  });
+
+  it('skips muted comments and their replies', () => {
+    const matches = findThreadMatches(comments, 'salah', new Map([['c4', 'user']]));
+
+    expect(matches.map(({ id }) => id)).toEqual(['c1', 'c3']);
+  });
+
+  it('finds nothing for a blank query', () => {
+    expect(findThreadMatches(comments, '')).toEqual([]);
+  });
+});
+
+describe('splitByPattern', () => {
+  it('splits text into plain and matching segments', () => {
+    expect(splitByPattern('Salah and salah', createFindPattern('salah'))).toEqual([
+      { text: 'Salah', match: true },
+      { text: ' and ', match: false },
+      { text: 'salah', match: true }
+    ]);
+    expect(splitByPattern('Kopite', null)).toEqual([{ text: 'Kopite', match: false }]);
+  });
+});
+
+describe('rehypeFindMatches', () => {
+  it('wraps hits in text nodes and leaves attributes alone', () => {
+    const tree = {
+      type: 'root',
+      children: [{
+        type: 'element',
+        tagName: 'a',
+        properties: { href: 'https://example.com/salah' },
+        children: [{ type: 'text', value: 'Salah scores' }]
+      }]
+    };
+
+    rehypeFindMatches({ pattern: createFindPattern('salah'), className: 'hit' })(tree);
+
+    const [link] = tree.children;
+    expect(link.properties.href).toBe('https://example.com/salah');
+    expect(link.children).toEqual([
+      { type: 'element', tagName: 'mark', properties: { className: ['hit'] }, children: [{ type: 'text', value: 'Salah' }] },
+      { type: 'text', value: ' scores' }
+    ]);
+  });
+});
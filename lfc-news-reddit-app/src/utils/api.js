@@ -1,73 +1,20 @@
 /**
  * @author Tom Butler
  * @date 2025-10-22
- * @description Reddit API integration with CORS proxy fallback system and rate limiting.
- *              Handles mobile device detection and proxy prioritisation for cross-platform support.
+ * @description Reddit API integration with rate limiting, caching and data normalisation.
+ *              Network access goes through the active RedditSource (proxied, direct or local).
+ *              Every normalised post and comment is also handed to the offline search index.
  */
 
 import { cache } from './cache';
-
-// CORS proxy fallback chain with mobile compatibility flags
-const CORS_PROXIES = [
-  {
-    name: 'corsproxy.io',
-    url: 'https://corsproxy.io/?',
-    format: 'direct',
-    wrapper: false,
-    headers: {},
-    mobileSupport: false
-  },
-  {
-    name: 'codetabs',
-    url: 'https://api.codetabs.com/v1/proxy/?quest=',
-    format: 'direct',
-    wrapper: false,
-    headers: {},
-    mobileSupport: true
-  },
-  {
-    name: 'corsproxy.org',
-    url: 'https://corsproxy.org/?',
-    format: 'direct',
-    wrapper: false,
-    headers: {},
-    mobileSupport: false
-  },
-  {
-    name: 'thingproxy',
-    url: 'https://thingproxy.freeboard.io/fetch/',
-    format: 'direct',
-    wrapper: false,
-    headers: {},
-    mobileSupport: false
-  },
-  {
-    name: 'allorigins-raw',
-    url: 'https://api.allorigins.win/raw?url=',
-    format: 'encoded',
-    wrapper: false,
-    headers: {},
-    mobileSupport: false
-  },
-  {
-    name: 'allorigins-get',
-    url: 'https://api.allorigins.win/get?url=',
-    format: 'encoded',
-    wrapper: true,
-    headers: {},
-    mobileSupport: false
-  }
-];
-
-/**
- * @return {boolean} True if user agent matches mobile device or viewport is narrow
- */
-const isMobile = () => {
-  return /iPhone|iPad|iPod|Android/i.test(navigator.userAgent) || 
-         window.innerWidth <= 768;
-};
-
-const BASE_URL = 'https://www.reddit.com';
+import { persistentCache } from './persistentCache';
+import { indexPosts, indexComments } from './offlineSearch';
+import { getRedditSource, REDDIT_BASE_URL } from './redditSource';
+import { DEFAULT_SUBREDDIT, toRedditPath, findSubreddit } from './subredditRegistry';
+import { isProfileUsername } from './authorProfile';
+import { SEARCH_SORTS, SEARCH_TIME_RANGES, DEFAULT_SEARCH_SORT, DEFAULT_SEARCH_TIME_RANGE } from './searchQuery';
+
+const BASE_URL = REDDIT_BASE_URL;
 const RATE_LIMIT_REQUESTS = 10;
 const RATE_LIMIT_WINDOW = 60000;
 const CACHE_TTL = 300000;
@@ -103,131 +50,71 @@ class RateLimiter {
 const rateLimiter = new RateLimiter(RATE_LIMIT_REQUESTS, RATE_LIMIT_WINDOW);
 
 /**
- * @param {Object} proxy - Proxy configuration object from CORS_PROXIES
+ * Fetches from the active source and stores the response in both cache tiers
  * @param {string} url - Reddit API URL to fetch
  * @return {Promise<Object>} JSON response from Reddit API
  */
-const tryProxy = async (proxy, url) => {
-  try {
-    const proxyUrl = proxy.format === 'encoded'
-      ? `${proxy.url}${encodeURIComponent(url)}`
-      : `${proxy.url}${url}`;
-
-    console.log(`Trying ${proxy.name}:`, proxyUrl);
-
-    // WHY: AbortController with 15-second timeout prevents indefinite hangs
-    // Allows moving to next proxy in fallback chain if request is too slow
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), 15000);
-
-    const fetchOptions = {
-      signal: controller.signal
-    };
-    if (proxy.headers && Object.keys(proxy.headers).length > 0) {
-      fetchOptions.headers = proxy.headers;
-    }
-
-    const response = await fetch(proxyUrl, fetchOptions);
-    clearTimeout(timeoutId);
-
-    if (response.status === 429) {
-      throw new Error('Rate limit exceeded');
-    }
-
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-
-    // Some proxies return HTML error pages instead of proper HTTP errors
-    const contentType = response.headers.get('content-type');
-    if (contentType && contentType.includes('text/html')) {
-      throw new Error('Proxy returned HTML error page');
-    }
-
-    let data;
-    if (proxy.wrapper) {
-      const wrappedData = await response.json();
-      if (wrappedData && wrappedData.contents) {
-        data = JSON.parse(wrappedData.contents);
-      } else {
-        throw new Error('Invalid wrapper format');
-      }
-    } else {
-      data = await response.json();
-    }
+const fetchAndCache = async (url) => {
+  const data = await getRedditSource().fetchJson(url);
+  cache.set(url, data, CACHE_TTL);
+  // WHY not awaited: persisting must not delay rendering fresh data
+  persistentCache.set(url, data);
+  return data;
+};
 
-    console.log(`Successfully fetched via ${proxy.name}`);
-    return data;
+/**
+ * Refreshes a cached response in the background
+ * WHY: Failures are only logged - the caller is already showing the cached copy
+ * @param {string} url - Reddit API URL to refetch
+ * @param {Function} onRevalidate - Called with the fresh JSON response
+ */
+const revalidate = async (url, onRevalidate) => {
+  try {
+    await rateLimiter.waitIfNeeded();
+    onRevalidate(await fetchAndCache(url));
   } catch (error) {
-    // WHY: Provide clear error message for timeout vs other failures
-    if (error.name === 'AbortError') {
-      console.log(`${proxy.name} timed out after 15 seconds`);
-      throw new Error('Request timeout');
-    }
-    console.log(`${proxy.name} failed:`, error.message);
-    throw error;
+    console.log('Background refresh failed for:', url, error.message);
   }
 };
 
 /**
+ * Two-tier caching: in-memory for the current session, IndexedDB for the last good
+ * response across reloads. Without onRevalidate the persistent tier is only read when
+ * the network fails; with it, any cached copy is returned immediately and refreshed in
+ * the background (stale-while-revalidate).
  * @param {string} url - Reddit API URL to fetch
+ * @param {Object} [options={}]
+ * @param {Function} [options.onRevalidate] - Receives fresh JSON after a cached copy was returned
+ * @param {boolean} [options.fresh=false] - Skip cached copies (still rate limited, still cached after)
  * @return {Promise<Object>} JSON response from Reddit API with caching
  */
-const fetchFromReddit = async (url) => {
-  await rateLimiter.waitIfNeeded();
-
+const fetchFromReddit = async (url, { onRevalidate, fresh = false } = {}) => {
   const cacheKey = url;
-  const cachedData = cache.get(cacheKey);
+  const cachedData = fresh
+    ? null
+    : cache.get(cacheKey) || (onRevalidate ? await persistentCache.get(cacheKey) : null);
 
   if (cachedData) {
     console.log('Using cached data for:', url);
+    if (onRevalidate) {
+      revalidate(url, onRevalidate);
+    }
     return cachedData;
   }
 
-  // Proxy selection strategy differs between mobile and desktop
-  // Heuristic 1: Detect device type to prioritise compatible proxies
-  const mobile = isMobile();
-  let proxies = [...CORS_PROXIES];
-
-  if (mobile) {
-    console.log('Mobile device detected, prioritising mobile-compatible proxies');
-    // Heuristic 2: Sort by mobile support flag, prioritising codetabs
-    proxies = proxies.sort((a, b) => {
-      if (a.mobileSupport && !b.mobileSupport) return -1;
-      if (!a.mobileSupport && b.mobileSupport) return 1;
-      if (a.name === 'codetabs') return -1;
-      if (b.name === 'codetabs') return 1;
-      return 0;
-    });
-  } else {
-    console.log('Desktop detected, using standard proxy order');
-    proxies = proxies.filter(p => p.name !== 'codetabs');
-  }
+  await rateLimiter.waitIfNeeded();
 
-  // Attempt each proxy until one succeeds
-  let lastError;
-  for (const proxy of proxies) {
-    try {
-      const data = await tryProxy(proxy, url);
-      cache.set(cacheKey, data, CACHE_TTL);
-      return data;
-    } catch (error) {
-      lastError = error;
-      continue;
+  try {
+    return await fetchAndCache(url);
+  } catch (error) {
+    // WHY: Offline or every proxy down - the last good copy beats an error screen
+    const offlineData = await persistentCache.get(cacheKey);
+    if (offlineData) {
+      console.log('Network failed, using offline copy for:', url);
+      return offlineData;
     }
+    throw error;
   }
-
-  console.error('All proxies failed for URL:', url);
-  console.error('Device info:', {
-    mobile,
-    userAgent: navigator.userAgent
-  });
-
-  if (mobile) {
-    throw new Error(`Mobile browsers cannot connect to Reddit through available proxies. Please try: 1) Using a desktop/laptop computer, 2) Enabling "Desktop Site" mode in your browser settings, or 3) Using the official Reddit app.`);
-  }
-
-  throw new Error(`Failed to fetch from Reddit. Last error: ${lastError?.message}`);
 };
 
 /**
@@ -272,12 +159,32 @@ const processPostData = (post) => {
   };
 };
 
+/**
+ * Reddit's "more" stubs stand in for replies left out of a response. A stub with child
+ * ids is loaded through api/morechildren; one without (count 0, id '_') is a
+ * "continue this thread" link for replies nested deeper than the requested depth.
+ * @param {Object} data - Raw 'more' data from the API
+ * @param {number} level - Thread nesting depth of the stub
+ * @return {Object} Normalised placeholder node
+ */
+const processMoreData = (data, level) => ({
+  // WHY: Continue-thread stubs all share id '_', but a parent has at most one stub
+  id: `more_${data.parent_id}`,
+  isMore: true,
+  parentId: data.parent_id,
+  count: data.count || 0,
+  children: data.children || [],
+  level,
+  replies: []
+});
+
 /**
  * @param {Object} comment - Raw Reddit comment object from API
  * @param {number} [level=0] - Thread nesting depth for rendering hierarchy
- * @return {Object|null} Normalised comment with nested replies, or null if invalid
+ * @return {Object|null} Normalised comment with nested replies, a "more" placeholder, or null if invalid
  */
 const processCommentData = (comment, level = 0) => {
+  if (comment.kind === 'more') return processMoreData(comment.data, level);
   if (comment.kind !== 't1') return null;
   
   const data = comment.data;
@@ -285,6 +192,7 @@ const processCommentData = (comment, level = 0) => {
   
   return {
     id: data.id,
+    parentId: data.parent_id,
     author: data.author,
     body: data.body,
     bodyHtml: data.body_html,
@@ -302,21 +210,73 @@ const processCommentData = (comment, level = 0) => {
 };
 
 /**
- * @param {string} [subreddit='all'] - Subreddit name or 'all' for combined Liverpool subreddits
+ * @param {Object} comment - Raw comment from a user's profile listing
+ * @return {Object} Normalised comment with the title and id of the thread it is in
+ */
+const processProfileCommentData = (comment) => {
+  const data = comment.data;
+  return {
+    id: data.id,
+    body: data.body,
+    score: data.score,
+    created: data.created_utc,
+    subreddit: data.subreddit,
+    permalink: data.permalink,
+    postId: (data.link_id || '').replace(/^t3_/, ''),
+    postTitle: data.link_title
+  };
+};
+
+/**
+ * Validates a feed key against the subreddit registry and resolves it to a URL path segment.
+ * This is a critical security measure to prevent fetching or searching outside Liverpool subreddits.
+ * @param {string} subreddit - Approved subreddit name (any case) or 'all' for the combined LFC feed
+ * @return {string} Canonical subreddit name or 'a+b+c' multireddit (defaults to LiverpoolFC if invalid)
+ */
+const validateSubreddit = (subreddit) => {
+  if (!subreddit || typeof subreddit !== 'string') {
+    return DEFAULT_SUBREDDIT;
+  }
+  const path = toRedditPath(subreddit.trim());
+  if (!path) {
+    console.warn(`Attempted to use unauthorized subreddit: ${subreddit}. Defaulting to ${DEFAULT_SUBREDDIT}`);
+    return DEFAULT_SUBREDDIT;
+  }
+  return path;
+};
+
+/**
+ * @param {string} [subreddit='LiverpoolFC'] - Approved subreddit name or 'all' for the combined LFC feed
  * @param {string} [sortBy='hot'] - Sort method: 'hot', 'new', 'top', or 'controversial'
  * @param {string} [timeRange='day'] - Time filter for 'top' and 'controversial': 'day', 'week', 'month', 'year'
- * @return {Promise<Object[]>} Array of normalised post objects
+ * @param {string|null} [after=null] - Reddit fullname cursor (e.g. 't3_abc123') to fetch the page after
+ * @param {Object} [options={}]
+ * @param {Function} [options.onRevalidate] - Receives { posts, after } when a cached listing is refreshed
+ * @return {Promise<{posts: Object[], after: string|null}>} Normalised posts and the cursor for the next page
  */
-export const fetchPosts = async (subreddit = 'LiverpoolFC', sortBy = 'hot', timeRange = 'day') => {
-  let url = `${BASE_URL}/r/${subreddit}/${sortBy}.json?limit=50`;
+export const fetchPosts = async (subreddit = DEFAULT_SUBREDDIT, sortBy = 'hot', timeRange = 'day', after = null, options = {}) => {
+  let url = `${BASE_URL}/r/${validateSubreddit(subreddit)}/${sortBy}.json?limit=50`;
   
   if (sortBy === 'top' || sortBy === 'controversial') {
     url += `&t=${timeRange}`;
   }
+
+  // WHY: Reddit's listing cursor - each page returns the fullname of its last item
+  if (after) {
+    url += `&after=${encodeURIComponent(after)}`;
+  }
   
+  const toPage = (data) => {
+    const posts = data.data.children.map(processPostData);
+    indexPosts(posts);
+    return { posts, after: data.data.after || null };
+  };
+
   try {
-    const data = await fetchFromReddit(url);
-    return data.data.children.map(processPostData);
+    const data = await fetchFromReddit(url, {
+      onRevalidate: options.onRevalidate && (fresh => options.onRevalidate(toPage(fresh)))
+    });
+    return toPage(data);
   } catch (error) {
     console.error('Error fetching posts:', error);
     throw error;
@@ -333,7 +293,9 @@ export const fetchPostDetails = async (postId) => {
   try {
     const data = await fetchFromReddit(url);
     if (data.data.children.length > 0) {
-      return processPostData(data.data.children[0]);
+      const post = processPostData(data.data.children[0]);
+      indexPosts([post]);
+      return post;
     }
     throw new Error('Post not found');
   } catch (error) {
@@ -344,70 +306,209 @@ export const fetchPostDetails = async (postId) => {
 
 /**
  * @param {string} postId - Reddit post ID (without t3_ prefix)
- * @param {string} [subreddit='LiverpoolFC'] - Subreddit containing the post
+ * @param {string|null} [subreddit] - Subreddit containing the post
+ * @return {string} Thread path; Reddit resolves /comments/:id on its own when the subreddit is unknown
+ */
+const threadPath = (postId, subreddit) => (
+  subreddit ? `/r/${subreddit}/comments/${postId}` : `/comments/${postId}`
+);
+
+/**
+ * @param {string} postId - Reddit post ID (without t3_ prefix)
+ * @param {string|null} [subreddit=null] - Subreddit containing the post (e.g. a crosspost's
+ *                                         home); null for deep links where it isn't known yet
+ * @param {Object} [options={}]
+ * @param {string} [options.sort] - Reddit comment sort (e.g. 'new'); Reddit's default when omitted
+ * @param {boolean} [options.fresh=false] - Bypass the cache, used by live match-thread polling
  * @return {Promise<Object[]>} Array of normalised comment objects with nested replies
  */
-export const fetchComments = async (postId, subreddit = 'LiverpoolFC') => {
-  const url = `${BASE_URL}/r/${subreddit}/comments/${postId}.json?limit=500&depth=10`;
+export const fetchComments = async (postId, subreddit = null, options = {}) => {
+  let url = `${BASE_URL}${threadPath(postId, subreddit)}.json?limit=500&depth=10`;
+
+  if (options.sort) {
+    url += `&sort=${options.sort}`;
+  }
   
   try {
-    const data = await fetchFromReddit(url);
+    const data = await fetchFromReddit(url, { fresh: options.fresh });
     
     if (data.length < 2) {
       return [];
     }
     
-    const comments = data[1].data.children;
-    return comments
+    // WHY the post too: comment results are shown and opened by their thread
+    const post = data[0]?.data?.children?.[0];
+    if (post) {
+      indexPosts([processPostData(post)]);
+    }
+
+    const comments = data[1].data.children
       .map(comment => processCommentData(comment))
       .filter(Boolean);
+    indexComments(postId, comments);
+    return comments;
   } catch (error) {
     console.error('Error fetching comments:', error);
     throw error;
   }
 };
 
-// Allowed subreddits for this app - only LiverpoolFC content
-const ALLOWED_SUBREDDITS = ['LiverpoolFC'];
-const DEFAULT_SUBREDDIT = 'LiverpoolFC';
+// WHY: Reddit rejects api/morechildren requests for more than 100 ids
+export const MORE_CHILDREN_LIMIT = 100;
 
 /**
- * Validates and sanitizes subreddit parameter to ensure only allowed subreddits are used.
- * This is a critical security measure to prevent searching outside of r/LiverpoolFC.
- * @param {string} subreddit - Subreddit name to validate
- * @return {string} Validated subreddit name (defaults to LiverpoolFC if invalid)
+ * Nests a flat api/morechildren result by parent id
+ * @param {Object[]} things - Raw t1/more things, parents always before their replies
+ * @return {Object[]} Normalised nodes whose parent wasn't in the batch (the stub's siblings)
  */
-const validateSubreddit = (subreddit) => {
-  if (!subreddit || typeof subreddit !== 'string') {
-    return DEFAULT_SUBREDDIT;
+const buildCommentTree = (things) => {
+  const byFullname = new Map();
+  const roots = [];
+
+  things.forEach(thing => {
+    const parent = byFullname.get(thing.data.parent_id);
+    // WHY: morechildren returns replies as separate things, never nested
+    const node = processCommentData(
+      { ...thing, data: { ...thing.data, replies: '' } },
+      parent ? parent.level + 1 : 0
+    );
+    if (!node) return;
+
+    (parent ? parent.replies : roots).push(node);
+    if (!node.isMore) {
+      byFullname.set(`t1_${node.id}`, node);
+    }
+  });
+
+  return roots;
+};
+
+/**
+ * Loads the comments behind a "more" stub
+ * @param {string} postId - Reddit post ID (without t3_ prefix)
+ * @param {string[]} childIds - Comment ids from the stub (at most MORE_CHILDREN_LIMIT)
+ * @param {Object} [options={}]
+ * @param {string} [options.sort] - Comment sort, so loaded replies match the rest of the thread
+ * @return {Promise<Object[]>} Normalised comments with nested replies, levels relative to the stub
+ */
+export const fetchMoreComments = async (postId, childIds, options = {}) => {
+  let url = `${BASE_URL}/api/morechildren.json?api_type=json&link_id=t3_${postId}` +
+    `&children=${childIds.slice(0, MORE_CHILDREN_LIMIT).join(',')}&limit_children=false`;
+
+  if (options.sort) {
+    url += `&sort=${options.sort}`;
   }
-  const normalized = subreddit.trim();
-  if (!ALLOWED_SUBREDDITS.includes(normalized)) {
-    console.warn(`Attempted to search in unauthorized subreddit: ${subreddit}. Defaulting to ${DEFAULT_SUBREDDIT}`);
-    return DEFAULT_SUBREDDIT;
+
+  try {
+    const data = await fetchFromReddit(url);
+    const comments = buildCommentTree(data.json?.data?.things || []);
+    indexComments(postId, comments);
+    return comments;
+  } catch (error) {
+    console.error('Error fetching more comments:', error);
+    throw error;
   }
-  return normalized;
 };
 
 /**
- * @param {string} searchTerm - Search query string
- * @param {string} [subreddit='LiverpoolFC'] - Subreddit to search within (only LiverpoolFC is allowed)
+ * Loads the replies behind a "continue this thread" stub via the parent comment's permalink
+ * @param {string} postId - Reddit post ID (without t3_ prefix)
+ * @param {string} commentId - Parent comment ID (without t1_ prefix)
+ * @param {string|null} [subreddit=null] - Subreddit containing the post, if known
+ * @param {Object} [options={}]
+ * @param {string} [options.sort] - Comment sort
+ * @return {Promise<Object[]>} Normalised replies of the parent comment, levels relative to the stub
+ */
+export const fetchCommentThread = async (postId, commentId, subreddit = null, options = {}) => {
+  let url = `${BASE_URL}${threadPath(postId, subreddit)}/_/${commentId}.json?limit=500&depth=10`;
+
+  if (options.sort) {
+    url += `&sort=${options.sort}`;
+  }
+
+  try {
+    const data = await fetchFromReddit(url);
+    const parent = data[1]?.data?.children?.[0];
+    // WHY -1: the parent is already on screen, so its replies start at level 0 like a morechildren batch
+    const replies = parent ? processCommentData(parent, -1)?.replies || [] : [];
+    indexComments(postId, replies);
+    return replies;
+  } catch (error) {
+    console.error('Error fetching comment thread:', error);
+    throw error;
+  }
+};
+
+/**
+ * @param {string} searchTerm - Search query in Reddit syntax (see utils/searchQuery)
+ * @param {string} [subreddit='LiverpoolFC'] - Approved subreddit or 'all' to search every LFC subreddit
+ * @param {Object} [options={}]
+ * @param {string} [options.sort='relevance'] - One of SEARCH_SORTS
+ * @param {string} [options.timeRange='all'] - One of SEARCH_TIME_RANGES
  * @return {Promise<Object[]>} Array of normalised post objects matching search query
  */
-export const searchPosts = async (searchTerm, subreddit = DEFAULT_SUBREDDIT) => {
+export const searchPosts = async (searchTerm, subreddit = DEFAULT_SUBREDDIT, options = {}) => {
   if (!searchTerm.trim()) {
     return [];
   }
 
-  // CRITICAL: Always validate subreddit to prevent searching outside r/LiverpoolFC
+  // CRITICAL: Always validate subreddit to prevent searching outside the LFC registry
   const validatedSubreddit = validateSubreddit(subreddit);
-  let url = `${BASE_URL}/r/${validatedSubreddit}/search.json?q=${encodeURIComponent(searchTerm)}&restrict_sr=on&limit=50&sort=relevance`;
+  // WHY: Unknown values fall back rather than reaching Reddit, which ignores them silently
+  const sort = SEARCH_SORTS.includes(options.sort) ? options.sort : DEFAULT_SEARCH_SORT;
+  const timeRange = SEARCH_TIME_RANGES.includes(options.timeRange) ? options.timeRange : DEFAULT_SEARCH_TIME_RANGE;
+  let url = `${BASE_URL}/r/${validatedSubreddit}/search.json?q=${encodeURIComponent(searchTerm)}&restrict_sr=on&limit=50&sort=${sort}&t=${timeRange}`;
   
   try {
     const data = await fetchFromReddit(url);
-    return data.data.children.map(processPostData);
+    const posts = data.data.children.map(processPostData);
+    indexPosts(posts);
+    return posts;
   } catch (error) {
     console.error('Error searching posts:', error);
     throw error;
   }
-};
\ No newline at end of file
+};
+
+/**
+ * Recent activity of one author in the approved LFC subreddits, for the author profile panel
+ * WHY filtered here: like search, nothing from outside the LFC registry reaches the UI
+ * @param {string} username - Reddit username (see isProfileUsername)
+ * @return {Promise<Object>} { username, created, posts, comments } - created is null when Reddit
+ *                           hides the account's details (suspended or shadowbanned)
+ */
+export const fetchAuthorProfile = async (username) => {
+  // CRITICAL: The name is part of the URL path, so only well-formed names are requested
+  if (!isProfileUsername(username)) {
+    throw new Error(`Invalid username: ${username}`);
+  }
+
+  const userUrl = `${BASE_URL}/user/${username}`;
+
+  try {
+    const [about, submitted, comments] = await Promise.all([
+      // WHY optional: Reddit refuses about.json for suspended accounts that still have a history
+      fetchFromReddit(`${userUrl}/about.json`).catch(() => null),
+      fetchFromReddit(`${userUrl}/submitted.json?limit=100`),
+      fetchFromReddit(`${userUrl}/comments.json?limit=100`)
+    ]);
+
+    const posts = submitted.data.children
+      .map(processPostData)
+      .filter(post => findSubreddit(post.subreddit));
+    indexPosts(posts);
+
+    return {
+      username: about?.data?.name || username,
+      created: about?.data?.created_utc || null,
+      posts,
+      comments: comments.data.children
+        .filter(comment => comment.kind === 't1')
+        .map(processProfileCommentData)
+        .filter(comment => findSubreddit(comment.subreddit))
+    };
+  } catch (error) {
+    console.error('Error fetching author profile:', error);
+    throw error;
+  }
+};
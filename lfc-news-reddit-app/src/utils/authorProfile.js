@@ -0,0 +1,53 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Helpers for the author profile panel: which names have a profile to open, and
+ *              how much karma an author has earned in the approved LFC subreddits.
+ *              WHY LFC karma: during the transfer window the useful question about an "ITK"
+ *              poster is their track record here, not their karma across the whole of Reddit.
+ */
+
+import { findSubreddit } from './subredditRegistry';
+
+// Reddit usernames: 3-20 letters, digits, underscores or hyphens
+const USERNAME_PATTERN = /^[A-Za-z0-9_-]{3,20}$/;
+
+/**
+ * @param {string} username - Author name as Reddit returns it
+ * @return {boolean} Whether the name belongs to an account with a profile to open
+ *                   ([deleted] authors and malformed names have none)
+ */
+export const isProfileUsername = (username) => (
+  typeof username === 'string' && USERNAME_PATTERN.test(username)
+);
+
+/**
+ * Adds up the score of an author's posts and comments per approved subreddit
+ * WHY only what was fetched: Reddit doesn't report karma per subreddit, so this covers the
+ * author's recent activity rather than their whole history
+ * @param {Object[]} posts - Normalised posts, already limited to approved subreddits
+ * @param {Object[]} comments - Normalised profile comments, already limited to approved subreddits
+ * @return {Object} { total, bySubreddit: [{ name, label, karma, posts, comments }] } - highest karma first
+ */
+export const summariseLfcKarma = (posts, comments) => {
+  const bySubreddit = new Map();
+
+  const add = (item, field) => {
+    const entry = findSubreddit(item.subreddit);
+    if (!entry) return;
+    const summary = bySubreddit.get(entry.name) ||
+      { name: entry.name, label: entry.label, karma: 0, posts: 0, comments: 0 };
+    summary.karma += item.score || 0;
+    summary[field] += 1;
+    bySubreddit.set(entry.name, summary);
+  };
+
+  posts.forEach(post => add(post, 'posts'));
+  comments.forEach(comment => add(comment, 'comments'));
+
+  const summaries = [...bySubreddit.values()].sort((a, b) => b.karma - a.karma);
+  return {
+    total: summaries.reduce((sum, { karma }) => sum + karma, 0),
+    bySubreddit: summaries
+  };
+};
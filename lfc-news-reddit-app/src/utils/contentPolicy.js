@@ -0,0 +1,18 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description NSFW content policy: how media from posts Reddit marks `over18` is shown.
+ *              'hide' never loads it, 'blur' loads it blurred behind a tap-to-show, 'show' is as normal.
+ */
+
+export const NSFW_POLICIES = ['hide', 'blur', 'show'];
+
+// WHY blur: the app is used on work screens, so NSFW media must never appear unasked
+export const DEFAULT_NSFW_POLICY = 'blur';
+
+/**
+ * @param {Object} post - Normalised post
+ * @param {string} policy - One of NSFW_POLICIES
+ * @return {string} Policy to apply to the post's media ('show' for non-NSFW posts)
+ */
+export const getMediaPolicy = (post, policy) => (post?.over18 ? policy : 'show');
@@ -0,0 +1,13 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Starts the search index worker.
+ *              WHY its own module: webpack only bundles a worker from new URL(..., import.meta.url),
+ *              which Jest can't parse, so utils/offlineSearch imports this lazily and only when
+ *              Worker exists.
+ */
+
+/**
+ * @return {Worker} Worker running utils/searchIndex.worker.js
+ */
+export const createSearchIndexWorker = () => new Worker(new URL('./searchIndex.worker.js', import.meta.url));
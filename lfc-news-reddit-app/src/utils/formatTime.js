@@ -48,3 +48,24 @@ export const formatRelativeTime = (timestamp) => {
 export const formatDateTime = (timestamp) => {
   return new Date(timestamp * 1000).toLocaleString();
 };
+
+/**
+ * Format an account's creation time as its age
+ * Displays: "12 days", "1 month", "3 years"
+ *
+ * WHY whole units: "how long has this account been around" only needs a rough answer
+ *
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @return {string} Age of the account in the largest whole unit
+ */
+export const formatAccountAge = (timestamp) => {
+  const days = Math.max(0, Math.floor((Date.now() / 1000 - timestamp) / 86400));
+  const plural = (count, unit) => `${count} ${unit}${count === 1 ? '' : 's'}`;
+
+  if (days >= 365) {
+    return plural(Math.floor(days / 365), 'year');
+  } else if (days >= 30) {
+    return plural(Math.floor(days / 30), 'month');
+  }
+  return plural(days, 'day');
+};
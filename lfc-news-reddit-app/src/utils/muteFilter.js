@@ -0,0 +1,206 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Matching for the user's mute list (keywords, regex patterns, authors, domains, flairs).
+ *              Muted posts and comments aren't removed - lists render them as collapsed placeholders
+ *              that can be revealed, so a mute never silently hides something the user needs.
+ */
+
+// Mute list types, in the order the editor offers them
+export const MUTE_TYPES = ['keywords', 'patterns', 'authors', 'domains', 'flairs'];
+
+// WHY: Patterns run against every title and comment body on screen, so they are kept short
+export const MAX_MUTE_PATTERN_LENGTH = 100;
+
+/**
+ * Finds a repeated group holding a quantifier or an alternation at any depth, e.g. (a+)+,
+ * ((a+))+, (x(a+))+ or (a|aa)+
+ * WHY: These backtrack exponentially on near-misses, freezing the tab while a list renders
+ * @param {string} source - Regex source entered by the user
+ * @return {boolean} True when the pattern has such a group
+ */
+const hasNestedRepetition = (source) => {
+  // WHY a stack: each open group records whether anything inside it, however deep, repeats or branches
+  const groups = [];
+  let closedGroupRepeats = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    const followsRepeatingGroup = closedGroupRepeats;
+    closedGroupRepeats = false;
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      // Character classes can't nest groups or quantifiers, so skip to the closing bracket
+      for (i++; i < source.length && source[i] !== ']'; i++) {
+        if (source[i] === '\\') i++;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+      // WHY: The ? of (?:, (?= or (?<name> is group syntax, not a quantifier
+      if (source[i + 1] === '?') i++;
+    } else if (char === ')') {
+      closedGroupRepeats = Boolean(groups.pop());
+      if (closedGroupRepeats && groups.length) groups[groups.length - 1] = true;
+    } else if ('*+?{'.includes(char)) {
+      // WHY not ?: an optional group runs at most once, so it can't multiply backtracking
+      if (followsRepeatingGroup && char !== '?') return true;
+      if (groups.length) groups[groups.length - 1] = true;
+    } else if (char === '|' && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Compiles a user pattern, refusing anything that could stall matching
+ * @param {string} source - Regex source entered by the user
+ * @return {RegExp|null} Case-insensitive regex, or null when too long, too slow or invalid
+ */
+export const compileMutePattern = (source) => {
+  if (typeof source !== 'string' || source.length > MAX_MUTE_PATTERN_LENGTH || hasNestedRepetition(source)) {
+    return null;
+  }
+  try {
+    return new RegExp(source, 'i');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {string} source - Regex source entered by the user
+ * @return {boolean} Whether the pattern compiles and is safe to run
+ */
+export const isValidMutePattern = (source) => compileMutePattern(source) !== null;
+
+/**
+ * Normalises a value the way it is stored and matched
+ * @param {string} type - One of MUTE_TYPES
+ * @param {string} value - Raw user input
+ * @return {string} Normalised value ('' when nothing usable is left)
+ */
+export const normaliseMuteValue = (type, value) => {
+  const trimmed = (value || '').trim();
+  switch (type) {
+    case 'authors':
+      return trimmed.replace(/^\/?u\//i, '');
+    case 'domains':
+      return trimmed.toLowerCase().replace(/^https?:\/\//, '').replace(/^www\./, '').replace(/\/.*$/, '');
+    case 'patterns':
+      return trimmed;
+    default:
+      return trimmed.toLowerCase();
+  }
+};
+
+/**
+ * Precompiles a mute list so matching hundreds of comments stays cheap
+ * @param {Object} mutes - { keywords, patterns, authors, domains, flairs } string arrays
+ * @return {Object|null} Compiled rules, or null when nothing is muted
+ */
+export const compileMuteRules = (mutes) => {
+  if (!mutes || MUTE_TYPES.every(type => !mutes[type]?.length)) return null;
+
+  return {
+    keywords: (mutes.keywords || []).map(keyword => keyword.toLowerCase()),
+    // WHY filter: a pattern saved by an older build might not compile, or be refused, any more
+    patterns: (mutes.patterns || [])
+      .map(source => ({ source, regex: compileMutePattern(source) }))
+      .filter(pattern => pattern.regex),
+    authors: new Set((mutes.authors || []).map(author => author.toLowerCase())),
+    domains: (mutes.domains || []).map(domain => domain.toLowerCase()),
+    flairs: new Set((mutes.flairs || []).map(flair => flair.toLowerCase()))
+  };
+};
+
+/**
+ * @param {string} url - Post link
+ * @return {string|null} Hostname without www., or null for unparseable URLs
+ */
+export const getDomain = (url) => {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {string} text - Text to search
+ * @param {Object} rules - Compiled rules
+ * @return {string|null} Reason for the first matching keyword or pattern
+ */
+const matchText = (text, rules) => {
+  const lower = text.toLowerCase();
+  const keyword = rules.keywords.find(k => lower.includes(k));
+  if (keyword) return `keyword "${keyword}"`;
+
+  const pattern = rules.patterns.find(p => p.regex.test(text));
+  return pattern ? `pattern /${pattern.source}/` : null;
+};
+
+/**
+ * @param {Object} post - Normalised post
+ * @param {Object|null} rules - Compiled rules from compileMuteRules
+ * @return {string|null} Why the post is muted, or null
+ */
+export const getPostMuteReason = (post, rules) => {
+  if (!rules) return null;
+
+  if (post.author && rules.authors.has(post.author.toLowerCase())) return `u/${post.author}`;
+  if (post.linkFlair && rules.flairs.has(post.linkFlair.toLowerCase())) return `flair "${post.linkFlair}"`;
+
+  const domain = post.url && getDomain(post.url);
+  if (domain) {
+    const muted = rules.domains.find(d => domain === d || domain.endsWith(`.${d}`));
+    if (muted) return `domain ${muted}`;
+  }
+
+  return matchText(`${post.title || ''}\n${post.selftext || ''}`, rules);
+};
+
+/**
+ * @param {Object} comment - Normalised comment
+ * @param {Object|null} rules - Compiled rules from compileMuteRules
+ * @return {string|null} Why the comment is muted, or null
+ */
+export const getCommentMuteReason = (comment, rules) => {
+  if (!rules || comment.isMore) return null;
+
+  if (comment.author && rules.authors.has(comment.author.toLowerCase())) return `u/${comment.author}`;
+  return matchText(comment.body || '', rules);
+};
+
+/**
+ * @param {Object[]} posts - Posts to check
+ * @param {Object|null} rules - Compiled rules
+ * @return {Map<string, string>} Muted post ids mapped to their reason
+ */
+export const findMutedPosts = (posts, rules) => {
+  const muted = new Map();
+  if (!rules) return muted;
+  posts.forEach(post => {
+    const reason = getPostMuteReason(post, rules);
+    if (reason) muted.set(post.id, reason);
+  });
+  return muted;
+};
+
+/**
+ * @param {Object[]} comments - Comment tree
+ * @param {Object|null} rules - Compiled rules
+ * @param {Map<string, string>} [muted=new Map()] - Accumulator
+ * @return {Map<string, string>} Muted comment ids (at any depth) mapped to their reason
+ */
+export const findMutedComments = (comments, rules, muted = new Map()) => {
+  if (!rules) return muted;
+  comments.forEach(comment => {
+    const reason = getCommentMuteReason(comment, rules);
+    if (reason) muted.set(comment.id, reason);
+    if (comment.replies?.length) findMutedComments(comment.replies, rules, muted);
+  });
+  return muted;
+};
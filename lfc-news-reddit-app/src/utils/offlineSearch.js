@@ -0,0 +1,108 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Client for the offline search index. utils/api hands every normalised post and
+ *              comment to indexPosts/indexComments as it arrives, and SearchBar asks searchOffline
+ *              for instant results that work with no signal and include comments.
+ *              The index lives in a web worker; where Worker is missing (old browsers, jsdom) the
+ *              same service runs on the main thread instead.
+ */
+
+import { createSearchIndexService, createSearchIndexStorage } from './searchIndex';
+
+let backendPromise = null;
+
+/**
+ * @return {Object} { request(message) } running the index service on this thread
+ */
+const createInlineBackend = () => {
+  const service = createSearchIndexService(createSearchIndexStorage());
+  return { request: (message) => service.handle(message) };
+};
+
+/**
+ * @param {Worker} worker - Worker running utils/searchIndex.worker.js
+ * @return {Object} { request(message) } resolving with the worker's reply
+ */
+const createWorkerBackend = (worker) => {
+  const pending = new Map();
+  let nextId = 0;
+
+  worker.addEventListener('message', ({ data }) => {
+    const callbacks = pending.get(data.id);
+    if (!callbacks) return;
+    pending.delete(data.id);
+    if (data.error) {
+      callbacks.reject(new Error(data.error));
+    } else {
+      callbacks.resolve(data.result);
+    }
+  });
+
+  // WHY: A worker that fails to start never replies - fail what's waiting and index in-thread from now on
+  worker.addEventListener('error', () => {
+    pending.forEach(({ reject }) => reject(new Error('Search worker failed')));
+    pending.clear();
+    backendPromise = Promise.resolve(createInlineBackend());
+  });
+
+  return {
+    request: (message) => new Promise((resolve, reject) => {
+      nextId += 1;
+      pending.set(nextId, { resolve, reject });
+      worker.postMessage({ ...message, id: nextId });
+    })
+  };
+};
+
+/**
+ * @return {Promise<Object>} The worker backend, or the inline one when workers are unavailable
+ */
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = typeof Worker === 'undefined'
+      ? Promise.resolve(createInlineBackend())
+      : import('./createSearchIndexWorker')
+        .then(({ createSearchIndexWorker }) => createWorkerBackend(createSearchIndexWorker()))
+        .catch(error => {
+          console.log('Search worker unavailable:', error?.message);
+          return createInlineBackend();
+        });
+  }
+  return backendPromise;
+};
+
+/**
+ * @param {string} type - Request type understood by createSearchIndexService
+ * @param {Object} payload - Request data
+ * @return {Promise<*>} The service's result
+ */
+const request = async (type, payload) => (await getBackend()).request({ type, payload });
+
+/**
+ * Adds posts to the index in the background. Never throws - indexing is an optimisation.
+ * @param {Object[]} posts - Normalised posts
+ */
+export const indexPosts = (posts) => {
+  if (!posts?.length) return;
+  request('index-posts', { posts }).catch(error => console.log('Could not index posts:', error?.message));
+};
+
+/**
+ * Adds a thread's comments to the index in the background. Never throws.
+ * @param {string} postId - Post the comments belong to
+ * @param {Object[]} comments - Normalised comment tree
+ */
+export const indexComments = (postId, comments) => {
+  if (!postId || !comments?.length) return;
+  request('index-comments', { postId, comments })
+    .catch(error => console.log('Could not index comments:', error?.message));
+};
+
+/**
+ * @param {string} query - Query as typed, operators included (see utils/searchQuery)
+ * @param {Object} [options={}]
+ * @param {number} [options.limit] - Maximum results
+ * @return {Promise<Object[]>} Matching posts and comments (see SearchIndex.search)
+ */
+export const searchOffline = (query, options = {}) => request('search', { query, options });
@@ -0,0 +1,270 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description IndexedDB-backed second cache tier for Reddit API responses.
+ *              Mirrors the in-memory Cache API (get/set/has/delete/clear/size) but every
+ *              method is async, entries survive reloads, and total size is bounded with
+ *              least-recently-used eviction. Entry count and size are kept as running totals so
+ *              a write only scans the store when it takes the cache over a limit.
+ *              WHY: Lets the app show the last good listing and comment trees when it is
+ *              opened with no signal and every proxy fails.
+ */
+
+const DB_NAME = 'lfc-reddit-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+
+// WHY 7 days: old enough to cover a weekend away, recent enough that threads are still relevant
+const DEFAULT_TTL = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_MAX_ENTRIES = 200;
+// WHY 5MB: a hot listing is ~100KB and a big match thread ~1MB, well under browser quotas
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+
+/**
+ * @param {IDBRequest} request - IndexedDB request
+ * @return {Promise<*>} Resolves with request.result
+ */
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * @param {IDBTransaction} transaction - IndexedDB transaction
+ * @return {Promise<void>} Resolves when the transaction commits
+ */
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error);
+});
+
+/**
+ * Persistent TTL cache with size limits and LRU eviction.
+ * All failures are logged and swallowed - the cache is an optimisation and must never
+ * turn a successful network response into an error.
+ */
+export class PersistentCache {
+  /**
+   * @param {Object} [options={}]
+   * @param {IDBFactory} [options.idbFactory] - IndexedDB implementation (defaults to window.indexedDB)
+   * @param {string} [options.dbName] - Database name
+   * @param {number} [options.maxEntries=200] - Maximum number of stored responses
+   * @param {number} [options.maxBytes=5MB] - Maximum approximate size of all stored responses
+   */
+  constructor(options = {}) {
+    this.idbFactory = options.idbFactory !== undefined
+      ? options.idbFactory
+      : (typeof indexedDB !== 'undefined' ? indexedDB : null);
+    this.dbName = options.dbName || DB_NAME;
+    this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+    this.maxBytes = options.maxBytes || DEFAULT_MAX_BYTES;
+    this.dbPromise = null;
+    // WHY null: unknown until the first eviction measures the store (it may hold a previous
+    // session's entries); each eviction re-measures, correcting drift from other tabs
+    this.usage = null;
+  }
+
+  /**
+   * @param {number} entries - Change in entry count
+   * @param {number} bytes - Change in approximate stored size
+   */
+  adjustUsage(entries, bytes) {
+    if (this.usage) {
+      this.usage = { entries: this.usage.entries + entries, bytes: this.usage.bytes + bytes };
+    }
+  }
+
+  /**
+   * @return {boolean} True when the store may be over a limit, or hasn't been measured yet
+   */
+  needsEviction() {
+    return !this.usage || this.usage.entries > this.maxEntries || this.usage.bytes > this.maxBytes;
+  }
+
+  /**
+   * @return {Promise<IDBDatabase|null>} Open database, or null if IndexedDB is unavailable
+   */
+  openDb() {
+    if (!this.dbPromise) {
+      if (!this.idbFactory) {
+        this.dbPromise = Promise.resolve(null);
+      } else {
+        const request = this.idbFactory.open(this.dbName, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+          }
+        };
+        // WHY: Private browsing modes can refuse IndexedDB - fall back to memory-only caching
+        this.dbPromise = requestToPromise(request).catch(error => {
+          console.log('Persistent cache unavailable:', error?.message);
+          return null;
+        });
+      }
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * Runs an operation against the object store, swallowing failures
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} operation - Receives the object store, returns a promise
+   * @param {*} fallback - Value returned if the cache is unavailable or errors
+   * @return {Promise<*>} Operation result or fallback
+   */
+  async withStore(mode, operation, fallback) {
+    try {
+      const db = await this.openDb();
+      if (!db) return fallback;
+
+      const transaction = db.transaction(STORE_NAME, mode);
+      const done = transactionDone(transaction);
+      // WHY: If the operation throws first, the abort must not surface as an unhandled rejection
+      done.catch(() => {});
+      const result = await operation(transaction.objectStore(STORE_NAME));
+      await done;
+      return result;
+    } catch (error) {
+      console.log('Persistent cache error:', error?.message);
+      return fallback;
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key
+   * @param {*} value - JSON-serialisable value to store
+   * @param {number} [ttl=DEFAULT_TTL] - Time to live in milliseconds (default 7 days)
+   * @return {Promise<void>}
+   */
+  async set(key, value, ttl = DEFAULT_TTL) {
+    const now = Date.now();
+    const entry = {
+      key,
+      value,
+      expiry: now + ttl,
+      lastAccessed: now,
+      // WHY string length: cheap approximation of stored size, good enough for a budget
+      size: JSON.stringify(value)?.length || 0
+    };
+
+    // WHY the previous entry: overwriting a key (every live poll does) replaces its size
+    const previous = await this.withStore('readwrite', async store => {
+      const existing = await requestToPromise(store.get(key));
+      await requestToPromise(store.put(entry));
+      return existing || null;
+    }, undefined);
+    if (previous !== undefined) {
+      this.adjustUsage(previous ? 0 : 1, entry.size - (previous?.size || 0));
+    }
+
+    if (this.needsEviction()) {
+      await this.evict();
+    }
+  }
+
+  /**
+   * @param {string} key - Cache key to retrieve
+   * @return {Promise<*|null>} Cached value if present and not expired, otherwise null
+   */
+  async get(key) {
+    return this.withStore('readwrite', async store => {
+      const entry = await requestToPromise(store.get(key));
+
+      if (!entry) {
+        return null;
+      }
+
+      if (Date.now() > entry.expiry) {
+        await requestToPromise(store.delete(key));
+        this.adjustUsage(-1, -entry.size);
+        return null;
+      }
+
+      // WHY: Reads refresh recency so frequently opened threads survive eviction
+      await requestToPromise(store.put({ ...entry, lastAccessed: Date.now() }));
+      return entry.value;
+    }, null);
+  }
+
+  /**
+   * @param {string} key - Cache key to check
+   * @return {Promise<boolean>} True if key exists and has not expired
+   */
+  async has(key) {
+    return this.withStore('readonly', async store => {
+      const entry = await requestToPromise(store.get(key));
+      return Boolean(entry) && Date.now() <= entry.expiry;
+    }, false);
+  }
+
+  /**
+   * @param {string} key - Cache key to delete
+   * @return {Promise<boolean>} True if key existed and was deleted
+   */
+  async delete(key) {
+    const deleted = await this.withStore('readwrite', async store => {
+      const entry = await requestToPromise(store.get(key));
+      if (!entry) return null;
+      await requestToPromise(store.delete(key));
+      return entry;
+    }, null);
+    if (deleted) this.adjustUsage(-1, -deleted.size);
+    return Boolean(deleted);
+  }
+
+  /**
+   * Removes all cached entries
+   * @return {Promise<void>}
+   */
+  async clear() {
+    const cleared = await this.withStore('readwrite', async store => {
+      await requestToPromise(store.clear());
+      return true;
+    }, false);
+    if (cleared) this.usage = { entries: 0, bytes: 0 };
+  }
+
+  /**
+   * @return {Promise<number>} Count of valid (non-expired) cache entries
+   */
+  async size() {
+    await this.evict();
+    return this.withStore('readonly', async store => {
+      const entries = await requestToPromise(store.getAll());
+      return entries.length;
+    }, 0);
+  }
+
+  /**
+   * Removes expired entries, then least recently used entries until within
+   * maxEntries and maxBytes
+   * @return {Promise<void>}
+   */
+  async evict() {
+    await this.withStore('readwrite', async store => {
+      const now = Date.now();
+      const entries = await requestToPromise(store.getAll());
+      const expired = entries.filter(entry => now > entry.expiry);
+      const live = entries
+        .filter(entry => now <= entry.expiry)
+        .sort((a, b) => a.lastAccessed - b.lastAccessed);
+
+      let totalBytes = live.reduce((sum, entry) => sum + entry.size, 0);
+      const evicted = [];
+      while (live.length > 0 && (live.length > this.maxEntries || totalBytes > this.maxBytes)) {
+        const oldest = live.shift();
+        totalBytes -= oldest.size;
+        evicted.push(oldest);
+      }
+
+      await Promise.all(
+        [...expired, ...evicted].map(entry => requestToPromise(store.delete(entry.key)))
+      );
+      this.usage = { entries: live.length, bytes: totalBytes };
+    });
+  }
+}
+
+export const persistentCache = new PersistentCache();
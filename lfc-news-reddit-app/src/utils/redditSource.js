@@ -0,0 +1,304 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Pluggable data sources for Reddit JSON requests.
+ *              - direct: fetches reddit.com straight from the browser
+ *              - proxied: walks the public CORS proxy fallback chain (production default)
+ *              - local: rewrites reddit.com URLs to a local mock server serving recorded fixtures
+ *              WHY: Lets the app and the Playwright suites run offline and deterministically
+ *              instead of depending on third-party proxies being up.
+ */
+
+/**
+ * @interface RedditSource
+ * Every source receives a full https://www.reddit.com URL and resolves with parsed JSON.
+ * Rate limiting and caching stay in api.js so they apply to every source equally.
+ */
+/**
+ * @function
+ * @name RedditSource#fetchJson
+ * @param {string} url - Full Reddit API URL (https://www.reddit.com/...)
+ * @return {Promise<Object>} Parsed JSON response
+ */
+/**
+ * @member {string} RedditSource#name - Identifier used in logs ('direct', 'proxied', 'local')
+ */
+
+export const REDDIT_BASE_URL = 'https://www.reddit.com';
+
+// WHY 15 seconds: long enough for slow mobile networks, short enough to move on to the next proxy
+const REQUEST_TIMEOUT = 15000;
+
+// CORS proxy fallback chain with mobile compatibility flags
+const CORS_PROXIES = [
+  {
+    name: 'corsproxy.io',
+    url: 'https://corsproxy.io/?',
+    format: 'direct',
+    wrapper: false,
+    headers: {},
+    mobileSupport: false
+  },
+  {
+    name: 'codetabs',
+    url: 'https://api.codetabs.com/v1/proxy/?quest=',
+    format: 'direct',
+    wrapper: false,
+    headers: {},
+    mobileSupport: true
+  },
+  {
+    name: 'corsproxy.org',
+    url: 'https://corsproxy.org/?',
+    format: 'direct',
+    wrapper: false,
+    headers: {},
+    mobileSupport: false
+  },
+  {
+    name: 'thingproxy',
+    url: 'https://thingproxy.freeboard.io/fetch/',
+    format: 'direct',
+    wrapper: false,
+    headers: {},
+    mobileSupport: false
+  },
+  {
+    name: 'allorigins-raw',
+    url: 'https://api.allorigins.win/raw?url=',
+    format: 'encoded',
+    wrapper: false,
+    headers: {},
+    mobileSupport: false
+  },
+  {
+    name: 'allorigins-get',
+    url: 'https://api.allorigins.win/get?url=',
+    format: 'encoded',
+    wrapper: true,
+    headers: {},
+    mobileSupport: false
+  }
+];
+
+/**
+ * @return {boolean} True if user agent matches mobile device or viewport is narrow
+ */
+const isMobile = () => {
+  return /iPhone|iPad|iPod|Android/i.test(navigator.userAgent) ||
+         window.innerWidth <= 768;
+};
+
+/**
+ * Fetches a URL and validates the response is usable JSON
+ * @param {string} requestUrl - URL to fetch
+ * @param {Object} [headers={}] - Optional request headers
+ * @return {Promise<Response>} Successful fetch response
+ */
+const fetchWithTimeout = async (requestUrl, headers = {}) => {
+  // WHY: AbortController with timeout prevents indefinite hangs
+  // Allows moving to next proxy in fallback chain if request is too slow
+  const controller = new AbortController();
+  const timeoutId = setTimeout(() => controller.abort(), REQUEST_TIMEOUT);
+
+  const fetchOptions = {
+    signal: controller.signal
+  };
+  if (headers && Object.keys(headers).length > 0) {
+    fetchOptions.headers = headers;
+  }
+
+  try {
+    const response = await fetch(requestUrl, fetchOptions);
+
+    if (response.status === 429) {
+      throw new Error('Rate limit exceeded');
+    }
+
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    // Some proxies return HTML error pages instead of proper HTTP errors
+    const contentType = response.headers.get('content-type');
+    if (contentType && contentType.includes('text/html')) {
+      throw new Error('Proxy returned HTML error page');
+    }
+
+    return response;
+  } catch (error) {
+    // WHY: Provide clear error message for timeout vs other failures
+    if (error.name === 'AbortError') {
+      throw new Error('Request timeout');
+    }
+    throw error;
+  } finally {
+    clearTimeout(timeoutId);
+  }
+};
+
+/**
+ * @param {Object} proxy - Proxy configuration object from CORS_PROXIES
+ * @param {string} url - Reddit API URL to fetch
+ * @return {Promise<Object>} JSON response from Reddit API
+ */
+const tryProxy = async (proxy, url) => {
+  try {
+    const proxyUrl = proxy.format === 'encoded'
+      ? `${proxy.url}${encodeURIComponent(url)}`
+      : `${proxy.url}${url}`;
+
+    console.log(`Trying ${proxy.name}:`, proxyUrl);
+
+    const response = await fetchWithTimeout(proxyUrl, proxy.headers);
+
+    let data;
+    if (proxy.wrapper) {
+      const wrappedData = await response.json();
+      if (wrappedData && wrappedData.contents) {
+        data = JSON.parse(wrappedData.contents);
+      } else {
+        throw new Error('Invalid wrapper format');
+      }
+    } else {
+      data = await response.json();
+    }
+
+    console.log(`Successfully fetched via ${proxy.name}`);
+    return data;
+  } catch (error) {
+    if (error.message === 'Request timeout') {
+      console.log(`${proxy.name} timed out after ${REQUEST_TIMEOUT / 1000} seconds`);
+    } else {
+      console.log(`${proxy.name} failed:`, error.message);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Source that requests reddit.com directly
+ * WHY: Works wherever Reddit's CORS policy allows it (extensions, native wrappers, dev proxies)
+ * @return {RedditSource}
+ */
+export const createDirectSource = () => ({
+  name: 'direct',
+  fetchJson: async (url) => {
+    const response = await fetchWithTimeout(url);
+    return response.json();
+  }
+});
+
+/**
+ * Source that walks the public CORS proxy fallback chain
+ * @param {Object[]} [proxies=CORS_PROXIES] - Proxy configurations to try in order
+ * @return {RedditSource}
+ */
+export const createProxiedSource = (proxies = CORS_PROXIES) => ({
+  name: 'proxied',
+  fetchJson: async (url) => {
+    // Proxy selection strategy differs between mobile and desktop
+    // Heuristic 1: Detect device type to prioritise compatible proxies
+    const mobile = isMobile();
+    let orderedProxies = [...proxies];
+
+    if (mobile) {
+      console.log('Mobile device detected, prioritising mobile-compatible proxies');
+      // Heuristic 2: Sort by mobile support flag, prioritising codetabs
+      orderedProxies = orderedProxies.sort((a, b) => {
+        if (a.mobileSupport && !b.mobileSupport) return -1;
+        if (!a.mobileSupport && b.mobileSupport) return 1;
+        if (a.name === 'codetabs') return -1;
+        if (b.name === 'codetabs') return 1;
+        return 0;
+      });
+    } else {
+      console.log('Desktop detected, using standard proxy order');
+      orderedProxies = orderedProxies.filter(p => p.name !== 'codetabs');
+    }
+
+    // Attempt each proxy until one succeeds
+    let lastError;
+    for (const proxy of orderedProxies) {
+      try {
+        return await tryProxy(proxy, url);
+      } catch (error) {
+        lastError = error;
+        continue;
+      }
+    }
+
+    console.error('All proxies failed for URL:', url);
+    console.error('Device info:', {
+      mobile,
+      userAgent: navigator.userAgent
+    });
+
+    if (mobile) {
+      throw new Error(`Mobile browsers cannot connect to Reddit through available proxies. Please try: 1) Using a desktop/laptop computer, 2) Enabling "Desktop Site" mode in your browser settings, or 3) Using the official Reddit app.`);
+    }
+
+    throw new Error(`Failed to fetch from Reddit. Last error: ${lastError?.message}`);
+  }
+});
+
+/**
+ * Source backed by the local mock Reddit server (e2e/mock-reddit/server.js)
+ * WHY: The server replays recorded listings, api/info, comments and search fixtures, so
+ * rewriting the origin is all the browser side needs to do
+ * @param {string} [baseUrl='http://localhost:3001'] - Mock server origin (may include a path prefix)
+ * @return {RedditSource}
+ */
+export const createLocalSource = (baseUrl = 'http://localhost:3001') => ({
+  name: 'local',
+  fetchJson: async (url) => {
+    const localUrl = url.startsWith(REDDIT_BASE_URL)
+      ? `${baseUrl.replace(/\/$/, '')}${url.slice(REDDIT_BASE_URL.length)}`
+      : url;
+    const response = await fetchWithTimeout(localUrl);
+    return response.json();
+  }
+});
+
+/**
+ * Builds the source named by configuration
+ * @param {string} [name='proxied'] - 'direct', 'proxied' or 'local'
+ * @param {Object} [options={}] - Options: { localUrl } for the local source
+ * @return {RedditSource}
+ */
+export const createRedditSource = (name = 'proxied', options = {}) => {
+  switch (name) {
+    case 'direct':
+      return createDirectSource();
+    case 'local':
+      return createLocalSource(options.localUrl);
+    case 'proxied':
+      return createProxiedSource();
+    default:
+      console.warn(`Unknown Reddit source "${name}", falling back to proxied`);
+      return createProxiedSource();
+  }
+};
+
+// WHY env vars: CRA inlines REACT_APP_* at build time, so `npm run start:offline` and the
+// Playwright web server can pick the local source without code changes
+let activeSource = createRedditSource(
+  process.env.REACT_APP_REDDIT_SOURCE || 'proxied',
+  { localUrl: process.env.REACT_APP_REDDIT_LOCAL_URL }
+);
+
+/**
+ * @return {RedditSource} Source currently used by api.js
+ */
+export const getRedditSource = () => activeSource;
+
+/**
+ * Swaps the active source (e.g. in tests or a future settings toggle)
+ * @param {RedditSource} source - Object implementing fetchJson(url)
+ */
+export const setRedditSource = (source) => {
+  if (!source || typeof source.fetchJson !== 'function') {
+    throw new Error('Reddit source must implement fetchJson(url)');
+  }
+  activeSource = source;
+};
@@ -0,0 +1,76 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Minimal History API router translating between URLs and feed/post state.
+ *              Routes: "/" for the feed and "/post/:id" for an open post, both sharing the
+ *              same query string (?sort=top&t=week&flair=Tier%201&media=videos).
+ *              WHY no router library: only two route shapes exist and all state already
+ *              lives in Redux, so the URL is just another view of that state.
+ */
+
+const POST_PATH_PATTERN = /^\/post\/([a-z0-9]+)\/?$/i;
+
+export const VALID_SORTS = ['hot', 'new', 'top', 'rising', 'controversial', 'viral'];
+export const VALID_TIME_RANGES = ['hour', 'day', 'week', 'month', 'year', 'all'];
+const VALID_MEDIA = ['images', 'videos', 'articles', 'discussions'];
+
+// Defaults are omitted from generated URLs to keep shared links short
+// WHY fixed: a link must open the same listing for everyone, whatever their own default sort
+export const DEFAULT_SORT = 'hot';
+export const DEFAULT_TIME_RANGE = 'day';
+
+/**
+ * @param {Object} location - Object with pathname and search (window.location or similar)
+ * @return {boolean} Whether the URL names a sort or time range, rather than leaving it to the reader
+ */
+export const specifiesListing = (location) => {
+  const params = new URLSearchParams(location?.search || '');
+  return VALID_SORTS.includes(params.get('sort')) || VALID_TIME_RANGES.includes(params.get('t'));
+};
+
+/**
+ * @param {Object} location - Object with pathname and search (window.location or similar)
+ * @return {Object} Route: { postId, sortBy, timeRange, flairs, media }
+ */
+export const parseRoute = (location) => {
+  const pathname = location?.pathname || '/';
+  const params = new URLSearchParams(location?.search || '');
+
+  const postMatch = pathname.match(POST_PATH_PATTERN);
+  const sort = params.get('sort');
+  const time = params.get('t');
+  const media = params.get('media');
+
+  return {
+    postId: postMatch ? postMatch[1] : null,
+    sortBy: VALID_SORTS.includes(sort) ? sort : DEFAULT_SORT,
+    timeRange: VALID_TIME_RANGES.includes(time) ? time : DEFAULT_TIME_RANGE,
+    // WHY getAll: multi-select flairs are encoded as repeated ?flair= params
+    flairs: params.getAll('flair').map(f => f.trim()).filter(Boolean),
+    media: VALID_MEDIA.includes(media) ? media : null
+  };
+};
+
+/**
+ * @param {Object} route - Route object as returned by parseRoute
+ * @return {string} Path and query string for the route (e.g. "/post/abc?sort=new")
+ */
+export const buildUrl = ({ postId, sortBy, timeRange, flairs, media }) => {
+  const params = new URLSearchParams();
+
+  if (sortBy && sortBy !== DEFAULT_SORT) {
+    params.set('sort', sortBy);
+  }
+  // WHY: Time range only affects top/controversial, so omit it otherwise
+  if ((sortBy === 'top' || sortBy === 'controversial') && timeRange && timeRange !== DEFAULT_TIME_RANGE) {
+    params.set('t', timeRange);
+  }
+  (flairs || []).forEach(flair => params.append('flair', flair));
+  if (media) {
+    params.set('media', media);
+  }
+
+  const path = postId ? `/post/${postId}` : '/';
+  const query = params.toString();
+  return query ? `${path}?${query}` : path;
+};
@@ -0,0 +1,389 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Offline full-text index over every post and comment the API has returned.
+ *              An inverted index (folded term -> document -> weight) answers the same query
+ *              language as Reddit search (utils/searchQuery) without the network, and results
+ *              carry highlighted snippets. Runs inside the search worker (searchIndex.worker.js);
+ *              utils/offlineSearch is the client the rest of the app talks to.
+ *              WHY documents are persisted, not postings: the postings are rebuilt from them in
+ *              a few milliseconds on load and would double the stored size.
+ */
+
+import { parseSearchQuery, hasSearchTerms, matchesSearchClause } from './searchQuery';
+import { PersistentCache } from './persistentCache';
+
+// WHY 4000: several days of browsing (50-post pages plus a few big threads) in ~4MB
+export const MAX_INDEXED_DOCUMENTS = 4000;
+const MAX_TEXT_LENGTH = 2000;
+const DEFAULT_RESULT_LIMIT = 8;
+
+// WHY: A word in a post title says more about the post than the same word in its body
+const TITLE_WEIGHT = 3;
+
+const SNIPPET_LENGTH = 160;
+// Characters of context kept before the first match in a snippet
+const SNIPPET_LEAD = 50;
+
+// WHY: Heavy media fields are refetched when the post is opened online and can't load offline
+const OMITTED_POST_FIELDS = ['preview', 'media', 'mediaEmbed', 'mediaMetadata', 'galleryData', 'crosspostParent', 'selftextHtml'];
+const DELETED_BODIES = ['[deleted]', '[removed]'];
+
+const WORD = /[\p{L}\p{N}]+/gu;
+
+/**
+ * @param {string} text - Any text
+ * @return {string} Lower case without accents, so "Núñez" is found by typing "nunez"
+ */
+export const foldText = (text) => (text || '').normalize('NFD').replace(/\p{M}/gu, '').toLowerCase();
+
+/**
+ * @param {string} text - Any text
+ * @return {string[]} Folded words worth indexing (single letters only when they are digits)
+ */
+export const tokenize = (text) => {
+  return (foldText(text).match(WORD) || []).filter(term => term.length > 1 || /\d/.test(term));
+};
+
+/**
+ * @param {string} text - Post body or comment
+ * @return {string} Text capped at MAX_TEXT_LENGTH
+ */
+const truncate = (text) => (text || '').slice(0, MAX_TEXT_LENGTH);
+
+/**
+ * @param {Object} post - Normalised post from api.processPostData
+ * @return {Object} Post without the fields listed in OMITTED_POST_FIELDS, enough to open it offline
+ */
+const toPostSnapshot = (post) => {
+  const snapshot = { ...post, selftext: truncate(post.selftext) };
+  OMITTED_POST_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+};
+
+/**
+ * @param {Object[]} comments - Normalised comment tree
+ * @return {Object[]} Every real comment in the tree, "more" stubs and deleted bodies left out
+ */
+const flattenComments = (comments) => comments.flatMap(comment => (
+  comment.isMore ? [] : [
+    ...(DELETED_BODIES.includes(comment.body) ? [] : [comment]),
+    ...flattenComments(comment.replies || [])
+  ]
+));
+
+/**
+ * @param {Object} document - Indexed document
+ * @return {Map<string, number>} Term to weight within the document
+ */
+const termWeights = (document) => {
+  const weights = new Map();
+  const add = (terms, weight) => terms.forEach(term => weights.set(term, (weights.get(term) || 0) + weight));
+  if (document.type === 'post') add(tokenize(document.post.title), TITLE_WEIGHT);
+  add(tokenize(document.text), 1);
+  return weights;
+};
+
+/**
+ * Splits text into plain and highlighted segments
+ * @param {string} text - Text to show
+ * @param {Function} isMatch - Receives a folded word, returns whether to highlight it
+ * @param {number} [maxLength] - Cut to a window this long around the first match (whole text when omitted)
+ * @return {Object[]} Segments: { text, match }
+ */
+const highlight = (text, isMatch, maxLength) => {
+  const flat = (text || '').replace(/\s+/g, ' ').trim();
+  const matches = [...flat.matchAll(WORD)].filter(word => isMatch(foldText(word[0])));
+
+  let start = 0;
+  let end = flat.length;
+  if (maxLength && flat.length > maxLength) {
+    const first = matches[0] ? matches[0].index : 0;
+    // WHY word boundaries: a snippet starting mid-word reads like a typo
+    start = first > SNIPPET_LEAD ? flat.lastIndexOf(' ', first - SNIPPET_LEAD) + 1 : 0;
+    end = Math.min(flat.length, start + maxLength);
+    const space = flat.lastIndexOf(' ', end);
+    if (end < flat.length && space > start) end = space;
+  }
+
+  const segments = [];
+  const push = (segmentText, match) => {
+    if (!segmentText) return;
+    const last = segments[segments.length - 1];
+    if (last && last.match === match) last.text += segmentText;
+    else segments.push({ text: segmentText, match });
+  };
+
+  if (start > 0) push('…', false);
+  let position = start;
+  matches
+    .filter(word => word.index >= start && word.index + word[0].length <= end)
+    .forEach(word => {
+      push(flat.slice(position, word.index), false);
+      push(word[0], true);
+      position = word.index + word[0].length;
+    });
+  push(flat.slice(position, end), false);
+  if (end < flat.length) push('…', false);
+  return segments;
+};
+
+/**
+ * Inverted index of posts and comments with least-recently-seen eviction
+ */
+export class SearchIndex {
+  /**
+   * @param {number} [maxDocuments=MAX_INDEXED_DOCUMENTS] - Documents kept before the oldest are dropped
+   */
+  constructor(maxDocuments = MAX_INDEXED_DOCUMENTS) {
+    this.maxDocuments = maxDocuments;
+    // WHY a Map: insertion order doubles as "last seen" order for eviction
+    this.documents = new Map();
+    this.postings = new Map();
+  }
+
+  /**
+   * @return {number} Number of indexed posts and comments
+   */
+  get size() {
+    return this.documents.size;
+  }
+
+  /**
+   * @param {Object} post - Normalised post from api.processPostData
+   */
+  addPost(post) {
+    if (!post?.id) return;
+    this.addDocument({
+      key: `p:${post.id}`,
+      type: 'post',
+      id: post.id,
+      postId: post.id,
+      author: post.author,
+      created: post.created,
+      text: truncate(post.selftext),
+      post: toPostSnapshot(post)
+    });
+  }
+
+  /**
+   * @param {string} postId - Thread the comments belong to
+   * @param {Object[]} comments - Normalised comment tree from api.processCommentData
+   */
+  addComments(postId, comments) {
+    // WHY stored per comment: the thread title must survive its post being evicted first
+    const threadTitle = this.documents.get(`p:${postId}`)?.post.title || null;
+    flattenComments(comments || []).forEach(comment => this.addDocument({
+      key: `c:${comment.id}`,
+      type: 'comment',
+      id: comment.id,
+      postId,
+      author: comment.author,
+      created: comment.created,
+      text: truncate(comment.body),
+      threadTitle
+    }));
+  }
+
+  /**
+   * Adds or refreshes a document, evicting the least recently seen beyond maxDocuments
+   * @param {Object} document - Document as built by addPost/addComments
+   */
+  addDocument(document) {
+    this.removeDocument(document.key);
+    this.documents.set(document.key, document);
+    termWeights(document).forEach((weight, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(document.key, weight);
+    });
+
+    while (this.documents.size > this.maxDocuments) {
+      this.removeDocument(this.documents.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} key - Document key
+   */
+  removeDocument(key) {
+    const document = this.documents.get(key);
+    if (!document) return;
+    termWeights(document).forEach((weight, term) => {
+      const posting = this.postings.get(term);
+      posting.delete(key);
+      if (!posting.size) this.postings.delete(term);
+    });
+    this.documents.delete(key);
+  }
+
+  /**
+   * @param {Object} term - { term, prefix }
+   * @return {Map<string, number>} Document key to weight; a prefix takes the best completion per document
+   */
+  lookup({ term, prefix }) {
+    if (!prefix) return this.postings.get(term) || new Map();
+    const merged = new Map();
+    this.postings.forEach((posting, candidate) => {
+      if (!candidate.startsWith(term)) return;
+      posting.forEach((weight, key) => merged.set(key, Math.max(merged.get(key) || 0, weight)));
+    });
+    return merged;
+  }
+
+  /**
+   * @param {Object} document - Indexed document
+   * @param {Object} clause - Clause from parseSearchQuery
+   * @return {boolean} Whether the document matches the clause, ignoring its negation
+   */
+  matchesClause(document, clause) {
+    if (clause.field === 'flair' || clause.field === 'self' || clause.field === 'site') {
+      // WHY: A comment is in a flair (or on a site) through its thread
+      const threadPost = this.documents.get(`p:${document.postId}`)?.post;
+      return Boolean(threadPost) && matchesSearchClause(threadPost, clause);
+    }
+    const title = document.type === 'post' ? document.post.title : '';
+    if (clause.phrase && !clause.negated) {
+      return foldText(`${title}\n${document.text}`).replace(/\s+/g, ' ').includes(foldText(clause.value));
+    }
+    return matchesSearchClause({ title, selftext: document.text, author: document.author }, clause);
+  }
+
+  /**
+   * @param {string} query - Query as typed, operators included (see utils/searchQuery)
+   * @param {Object} [options={}]
+   * @param {number} [options.limit=8] - Maximum results
+   * @return {Object[]} Best matches first: { type ('post' or 'comment'), id, postId, author, created,
+   *                    title (segments), snippet (segments), post (thread snapshot or null) }.
+   *                    Segments are { text, match } so callers can highlight without parsing HTML.
+   */
+  search(query, { limit = DEFAULT_RESULT_LIMIT } = {}) {
+    const clauses = parseSearchQuery(query);
+    if (!hasSearchTerms(clauses)) return [];
+
+    const textClauses = clauses.filter(clause => !clause.field && !clause.negated);
+    // WHY prefix: results update on every keystroke, so the word being typed is unfinished
+    const lastClause = clauses[clauses.length - 1];
+    const completing = !/[\s"]$/.test(query) && textClauses.includes(lastClause) && !lastClause.phrase;
+    const terms = textClauses.flatMap(clause => tokenize(clause.value).map(term => ({ term, prefix: false })));
+    // WHY: Punctuation alone ("!!!") has no words, and must not match everything
+    if (textClauses.length && !terms.length) return [];
+    if (completing && terms.length) terms[terms.length - 1].prefix = true;
+
+    let scores;
+    if (terms.length) {
+      const postingsByTerm = terms.map(term => this.lookup(term));
+      scores = new Map();
+      const [first, ...rest] = postingsByTerm;
+      first.forEach((weight, key) => {
+        if (rest.every(posting => posting.has(key))) scores.set(key, 0);
+      });
+      postingsByTerm.forEach(posting => {
+        const idf = Math.log(1 + this.documents.size / posting.size);
+        scores.forEach((score, key) => scores.set(key, score + posting.get(key) * idf));
+      });
+    } else {
+      // WHY: "author:name" alone has nothing to look up, so every document is a candidate
+      scores = new Map([...this.documents.keys()].map(key => [key, 0]));
+    }
+
+    const filters = clauses.filter(clause => clause.field || clause.negated || clause.phrase);
+    const isMatch = (word) => terms.some(({ term, prefix }) => (prefix ? word.startsWith(term) : word === term));
+
+    return [...scores.entries()]
+      .map(([key, score]) => ({ document: this.documents.get(key), score }))
+      .filter(({ document }) => filters.every(clause => this.matchesClause(document, clause) !== clause.negated))
+      .sort((a, b) => b.score - a.score || (b.document.created || 0) - (a.document.created || 0))
+      .slice(0, limit)
+      .map(({ document }) => {
+        const post = this.documents.get(`p:${document.postId}`)?.post || null;
+        const threadTitle = post?.title || document.threadTitle;
+        return {
+          type: document.type,
+          id: document.id,
+          postId: document.postId,
+          author: document.author,
+          created: document.created,
+          title: document.type === 'post'
+            ? highlight(threadTitle, isMatch)
+            : (threadTitle ? [{ text: threadTitle, match: false }] : []),
+          snippet: highlight(document.text, isMatch, SNIPPET_LENGTH),
+          post
+        };
+      });
+  }
+
+  /**
+   * @return {Object[]} Documents, least recently seen first, for persisting
+   */
+  toJSON() {
+    return [...this.documents.values()];
+  }
+
+  /**
+   * @param {Object[]} documents - From toJSON; anything malformed is skipped
+   */
+  load(documents) {
+    documents
+      .filter(document => document && typeof document.key === 'string' &&
+        (document.type === 'comment' || (document.type === 'post' && document.post)))
+      .forEach(document => this.addDocument(document));
+  }
+}
+
+export const SEARCH_INDEX_DB_NAME = 'lfc-search-index';
+export const SEARCH_INDEX_STORAGE_KEY = 'documents';
+// WHY 30 days: long enough to find last month's match thread, and every visit rewrites it
+const INDEX_TTL = 30 * 24 * 60 * 60 * 1000;
+// WHY: Adding a 500-comment thread arrives as several batches; saving once after them is enough
+const SAVE_DELAY = 2000;
+
+/**
+ * @return {PersistentCache} IndexedDB store for the index, separate from the response cache so
+ *                           neither evicts the other
+ */
+export const createSearchIndexStorage = () => new PersistentCache({
+  dbName: SEARCH_INDEX_DB_NAME,
+  maxEntries: 1,
+  maxBytes: 10 * 1024 * 1024
+});
+
+/**
+ * Answers index requests, loading the persisted documents first and saving after changes
+ * @param {Object} storage - { get(key), set(key, value, ttl) }, normally createSearchIndexStorage()
+ * @param {SearchIndex} [index] - Index to serve (a new one by default)
+ * @return {Object} { handle(message) } - message is { type, payload }; resolves with the result
+ */
+export const createSearchIndexService = (storage, index = new SearchIndex()) => {
+  let saveTimer = null;
+  const ready = Promise.resolve()
+    .then(() => storage.get(SEARCH_INDEX_STORAGE_KEY))
+    .then(documents => {
+      if (Array.isArray(documents)) index.load(documents);
+    })
+    .catch(error => console.log('Could not load search index:', error?.message));
+
+  const scheduleSave = () => {
+    clearTimeout(saveTimer);
+    saveTimer = setTimeout(() => storage.set(SEARCH_INDEX_STORAGE_KEY, index.toJSON(), INDEX_TTL), SAVE_DELAY);
+  };
+
+  return {
+    async handle({ type, payload }) {
+      await ready;
+      switch (type) {
+        case 'index-posts':
+          payload.posts.forEach(post => index.addPost(post));
+          scheduleSave();
+          return null;
+        case 'index-comments':
+          index.addComments(payload.postId, payload.comments);
+          scheduleSave();
+          return null;
+        case 'search':
+          return index.search(payload.query, payload.options);
+        default:
+          throw new Error(`Unknown search index request: ${type}`);
+      }
+    }
+  };
+};
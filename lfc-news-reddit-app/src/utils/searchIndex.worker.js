@@ -0,0 +1,23 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Web worker hosting the offline search index (utils/searchIndex).
+ *              Messages are { id, type, payload }; replies are { id, result } or { id, error }.
+ *              WHY a worker: tokenising a 500-comment match thread takes long enough to drop
+ *              frames if it runs next to the UI.
+ */
+
+// WHY: Here self is the worker's global scope, not the window alias the rule guards against
+/* eslint-disable no-restricted-globals */
+
+import { createSearchIndexService, createSearchIndexStorage } from './searchIndex';
+
+const service = createSearchIndexService(createSearchIndexStorage());
+
+self.addEventListener('message', async ({ data }) => {
+  try {
+    self.postMessage({ id: data.id, result: await service.handle(data) });
+  } catch (error) {
+    self.postMessage({ id: data.id, error: error.message });
+  }
+});
@@ -0,0 +1,131 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Search query language for SearchBar: plain words, "quoted phrases", author:, flair:,
+ *              self:yes/no, site: and -negation of any of them (e.g. salah flair:"Tier 1" -rumour).
+ *              Positive clauses are sent to Reddit in its own search syntax. Negated clauses are
+ *              applied to the results here instead, because Reddit drops NOT clauses on fields and
+ *              returns nothing when a query has no positive term.
+ */
+
+import { getDomain, normaliseMuteValue } from './muteFilter';
+
+// Reddit search sorts and time ranges, in the order SearchBar offers them
+export const SEARCH_SORTS = ['relevance', 'new', 'top', 'comments'];
+export const SEARCH_TIME_RANGES = ['hour', 'day', 'week', 'month', 'year', 'all'];
+
+export const DEFAULT_SEARCH_SORT = 'relevance';
+export const DEFAULT_SEARCH_TIME_RANGE = 'all';
+
+const OPERATORS = ['author', 'flair', 'self', 'site'];
+
+// Optional "-", optional "word:" prefix, then a quoted (possibly unterminated) or bare value
+// WHY: Any prefix is captured and the value may be empty ("author: " or a lone "-");
+// parseClause decides whether it is an operator and drops clauses with nothing in them
+const TOKEN = /(-?)(?:(\w+):)?(?:"([^"]*)"?|(\S*))/g;
+
+const SELF_VALUES = { yes: 'yes', true: 'yes', no: 'no', false: 'no' };
+
+/**
+ * @param {string} negation - '-' or ''
+ * @param {string} [field] - Text before the colon
+ * @param {string} value - Unquoted value
+ * @param {boolean} quoted - Whether the value was in quotes
+ * @param {string} raw - The token as typed, without the negation
+ * @return {Object|null} { field, value, phrase, negated }, or null when nothing is left to search
+ */
+const parseClause = (negation, field, value, quoted, raw) => {
+  const negated = negation === '-';
+  const operator = field && OPERATORS.includes(field.toLowerCase()) ? field.toLowerCase() : null;
+
+  if (!operator) {
+    // WHY raw: an unknown "field:" is part of the word (times, URLs), not an operator
+    const text = field ? raw : value;
+    return text.trim() ? { field: null, value: text.trim(), phrase: quoted && !field, negated } : null;
+  }
+
+  let normalised = value.trim();
+  if (!normalised) return null;
+  if (operator === 'author') normalised = normaliseMuteValue('authors', normalised);
+  if (operator === 'site') normalised = normaliseMuteValue('domains', normalised);
+  if (operator === 'self') {
+    normalised = SELF_VALUES[normalised.toLowerCase()];
+    // WHY: "self:maybe" is more likely a typo'd word than a filter nobody can satisfy
+    if (!normalised) return { field: null, value: raw, phrase: false, negated };
+  }
+
+  return normalised ? { field: operator, value: normalised, phrase: false, negated } : null;
+};
+
+/**
+ * @param {string} input - Query as typed
+ * @return {Object[]} Clauses: { field (operator or null for text), value, phrase, negated }
+ */
+export const parseSearchQuery = (input) => {
+  const clauses = [];
+  for (const [token, negation, field, quotedValue, bareValue] of (input || '').matchAll(TOKEN)) {
+    const quoted = quotedValue !== undefined;
+    const raw = token.slice(negation.length);
+    const clause = parseClause(negation, field, quoted ? quotedValue : bareValue, quoted, raw);
+    if (clause) clauses.push(clause);
+  }
+  return clauses;
+};
+
+/**
+ * @param {Object[]} clauses - From parseSearchQuery
+ * @return {boolean} Whether there is anything to send to Reddit (exclusions alone only narrow)
+ */
+export const hasSearchTerms = (clauses) => clauses.some(clause => !clause.negated);
+
+/**
+ * @param {Object} clause - Positive clause
+ * @return {string} The clause in Reddit search syntax
+ */
+const toRedditClause = ({ field, value, phrase }) => {
+  if (!field) return phrase ? `"${value}"` : value;
+  // WHY always quoted: flairs like "Tier 1" contain spaces
+  if (field === 'flair') return `flair:"${value}"`;
+  return `${field}:${value}`;
+};
+
+/**
+ * @param {Object[]} clauses - From parseSearchQuery
+ * @return {string} The positive clauses as a Reddit search query ('' when there are none)
+ */
+export const toRedditQuery = (clauses) => {
+  return clauses.filter(clause => !clause.negated).map(toRedditClause).join(' ');
+};
+
+/**
+ * @param {Object} post - Normalised post
+ * @param {Object} clause - Clause from parseSearchQuery
+ * @return {boolean} Whether the post matches the clause, ignoring its negation
+ */
+export const matchesSearchClause = (post, { field, value }) => {
+  const lower = value.toLowerCase();
+  switch (field) {
+    case 'author':
+      return (post.author || '').toLowerCase() === lower;
+    case 'flair':
+      return (post.linkFlair || '').toLowerCase() === lower;
+    case 'self':
+      return Boolean(post.isSelf) === (value === 'yes');
+    case 'site': {
+      const domain = post.url && getDomain(post.url);
+      return Boolean(domain) && (domain === lower || domain.endsWith(`.${lower}`));
+    }
+    default:
+      return `${post.title || ''}\n${post.selftext || ''}`.toLowerCase().includes(lower);
+  }
+};
+
+/**
+ * Applies the clauses Reddit could not (see the module description) to a search result
+ * @param {Object} post - Normalised post
+ * @param {Object[]} clauses - From parseSearchQuery
+ * @return {boolean} Whether the post should stay in the results
+ */
+export const matchesSearchQuery = (post, clauses) => {
+  return clauses.every(clause => !clause.negated || !matchesSearchClause(post, clause));
+};
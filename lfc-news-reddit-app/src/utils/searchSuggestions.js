@@ -0,0 +1,127 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Suggestions for the SearchBar dropdown: pinned and recent searches, then typeahead
+ *              completions for the word being typed, drawn from the flairs and the most frequent
+ *              title words of the posts already loaded.
+ *              WHY loaded posts only: suggestions appear on every keystroke, so they must not cost
+ *              API requests, and the current feed is what the user is most likely to search for.
+ */
+
+// WHY: Common English and Reddit title words that would crowd out player and club names
+const STOP_WORDS = new Set([
+  'about', 'after', 'again', 'against', 'also', 'and', 'are', 'been', 'before', 'being', 'but',
+  'can', 'could', 'did', 'does', 'for', 'from', 'had', 'has', 'have', 'his', 'how', 'into',
+  'its', 'just', 'more', 'most', 'new', 'not', 'now', 'off', 'one', 'only', 'our', 'out', 'over',
+  'says', 'she', 'should', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'they',
+  'this', 'thread', 'very', 'was', 'were', 'what', 'when', 'where', 'which', 'who', 'why',
+  'will', 'with', 'would', 'you', 'your'
+]);
+
+const MAX_HISTORY_SUGGESTIONS = 5;
+const MAX_FLAIR_SUGGESTIONS = 3;
+const MAX_TERM_SUGGESTIONS = 5;
+
+// WHY 2: A single letter matches most of the feed
+const MIN_TYPEAHEAD_LENGTH = 2;
+
+/**
+ * @param {Map} spellings - Spelling to how often it was used
+ * @return {string} The most used spelling
+ */
+const mostUsed = (spellings) => [...spellings.entries()].reduce((best, next) => (next[1] > best[1] ? next : best))[0];
+
+/**
+ * Counts title words across posts
+ * @param {Object[]} posts - Normalised posts
+ * @return {Object[]} { term, count }, most frequent first; term is the most used spelling
+ *                    (e.g. "Salah" when titles also say "SALAH")
+ */
+export const getFrequentTerms = (posts) => {
+  const counts = new Map();
+  posts.forEach(post => {
+    // WHY a set per post: a word repeated in one title shouldn't outrank one used across the feed
+    const words = new Set((post.title || '').match(/\p{L}[\p{L}'-]*\p{L}/gu) || []);
+    words.forEach(word => {
+      const spelling = word.replace(/'s$/i, '');
+      const key = spelling.toLowerCase();
+      if (key.length < 3 || STOP_WORDS.has(key)) return;
+
+      const entry = counts.get(key) || { count: 0, spellings: new Map() };
+      entry.count += 1;
+      entry.spellings.set(spelling, (entry.spellings.get(spelling) || 0) + 1);
+      counts.set(key, entry);
+    });
+  });
+  return [...counts.values()]
+    .map(({ count, spellings }) => ({ term: mostUsed(spellings), count }))
+    .sort((a, b) => b.count - a.count || a.term.localeCompare(b.term));
+};
+
+/**
+ * @param {Object[]} posts - Normalised posts
+ * @return {Object[]} { flair, count } for each distinct flair, most common first
+ */
+export const getFlairCounts = (posts) => {
+  const counts = new Map();
+  posts.forEach(post => {
+    if (post.linkFlair) counts.set(post.linkFlair, (counts.get(post.linkFlair) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([flair, count]) => ({ flair, count }))
+    .sort((a, b) => b.count - a.count || a.flair.localeCompare(b.flair));
+};
+
+/**
+ * @param {string} input - Query being typed
+ * @return {Object} { head, negation, partial } - Everything before the last word, a leading "-"
+ *                  on the last word, and the rest of it
+ */
+const splitLastWord = (input) => {
+  const [, head, negation, partial] = input.match(/^(.*?)(-?)([^\s-][^\s]*)?$/s);
+  return { head, negation, partial: partial || '' };
+};
+
+/**
+ * @param {string} input - Query as typed so far
+ * @param {Object} sources
+ * @param {Object[]} sources.pinned - Pinned searches ({ query, sort, timeRange })
+ * @param {string[]} sources.recent - Recent searches, newest first
+ * @param {Object[]} sources.flairs - From getFlairCounts
+ * @param {Object[]} sources.terms - From getFrequentTerms
+ * @return {Object[]} Suggestions: { type ('pinned', 'recent', 'flair' or 'term'), value, label }.
+ *                    value is the whole query to put in the input; pinned ones also carry the
+ *                    sort and timeRange to run it with.
+ */
+export const getSearchSuggestions = (input, { pinned = [], recent = [], flairs = [], terms = [] }) => {
+  const query = input.trim().toLowerCase();
+  const pinnedKeys = new Set(pinned.map(pin => pin.query.toLowerCase()));
+  const isMatch = (item) => item.toLowerCase().includes(query) && item.toLowerCase() !== query;
+
+  const history = [
+    ...pinned.filter(pin => isMatch(pin.query))
+      .map(({ query, sort, timeRange }) => ({ type: 'pinned', value: query, label: query, sort, timeRange })),
+    // WHY: A pinned search is already listed above its recent entry
+    ...recent.filter(item => isMatch(item) && !pinnedKeys.has(item.toLowerCase()))
+      .slice(0, MAX_HISTORY_SUGGESTIONS)
+      .map(value => ({ type: 'recent', value, label: value }))
+  ];
+
+  const { head, negation, partial } = splitLastWord(input);
+  const flairPrefix = /^flair:"?/i.test(partial) ? partial.replace(/^flair:"?/i, '') : null;
+  const typed = (flairPrefix ?? partial).toLowerCase();
+  if (typed.length < MIN_TYPEAHEAD_LENGTH && flairPrefix === null) return history;
+
+  const flairSuggestions = flairs
+    .filter(({ flair }) => flair.toLowerCase().includes(typed))
+    .slice(0, MAX_FLAIR_SUGGESTIONS)
+    .map(({ flair }) => ({ type: 'flair', value: `${head}${negation}flair:"${flair}" `, label: flair }));
+
+  // WHY: Inside flair:"..." only flairs make sense
+  const termSuggestions = flairPrefix !== null || partial.includes(':') ? [] : terms
+    .filter(({ term }) => term.toLowerCase().startsWith(typed) && term.toLowerCase() !== typed)
+    .slice(0, MAX_TERM_SUGGESTIONS)
+    .map(({ term }) => ({ type: 'term', value: `${head}${negation}${term} `, label: term }));
+
+  return [...history, ...flairSuggestions, ...termSuggestions];
+};
@@ -0,0 +1,93 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Versioned schema for persisted user preferences.
+ *              Stored as { version, ...settings } under one key. Older payloads are upgraded by
+ *              running each migration in turn; anything unknown or out of range falls back to
+ *              the default, so a bad payload can never break start-up.
+ */
+
+import { VALID_SORTS, VALID_TIME_RANGES, DEFAULT_SORT, DEFAULT_TIME_RANGE } from './router';
+import { THEME_IDS, DEFAULT_THEME, DEFAULT_CUSTOM_THEME, isValidCustomTheme } from './theme';
+
+export const SETTINGS_VERSION = 2;
+
+export const PAGE_SIZE_OPTIONS = [10, 20, 30, 50];
+export const COMMENT_DEPTH_OPTIONS = [3, 4, 6, 8, 10];
+
+export const DEFAULT_SETTINGS = {
+  defaultSort: DEFAULT_SORT,
+  defaultTimeRange: DEFAULT_TIME_RANGE,
+  // WHY 20: Provides good initial content without overwhelming the page
+  pageSize: 20,
+  // WHY 6: Deeper threads are still readable on a phone before the indent runs out
+  commentDepth: 6,
+  autoplayMedia: false,
+  theme: DEFAULT_THEME,
+  customTheme: DEFAULT_CUSTOM_THEME,
+  filtersExpanded: false
+};
+
+// Allowed values (or a validator) per setting; anything else is replaced by the default
+const ALLOWED_VALUES = {
+  defaultSort: VALID_SORTS,
+  defaultTimeRange: VALID_TIME_RANGES,
+  pageSize: PAGE_SIZE_OPTIONS,
+  commentDepth: COMMENT_DEPTH_OPTIONS,
+  autoplayMedia: [true, false],
+  theme: THEME_IDS,
+  customTheme: isValidCustomTheme,
+  filtersExpanded: [true, false]
+};
+
+/**
+ * Migrations keyed by the version they produce. Each receives the previous version's payload.
+ * Version 0 is the pre-schema layout: separate lfc-theme and lfc-filters-expanded strings.
+ */
+const MIGRATIONS = {
+  1: ({ theme, filtersExpanded }) => ({
+    theme,
+    filtersExpanded: filtersExpanded === 'true'
+  }),
+  // WHY: Version 2 added the custom kit colours
+  2: (settings) => ({ ...settings, customTheme: DEFAULT_CUSTOM_THEME })
+};
+
+/**
+ * @param {Object} values - Candidate settings
+ * @return {Object} Every known setting, with invalid or missing values set to the default
+ */
+export const sanitizeSettings = (values) => {
+  return Object.keys(DEFAULT_SETTINGS).reduce((settings, key) => {
+    settings[key] = isValidSetting(key, values?.[key]) ? values[key] : DEFAULT_SETTINGS[key];
+    return settings;
+  }, {});
+};
+
+/**
+ * @param {Object} payload - Stored payload with a numeric version (0 for the pre-schema keys)
+ * @return {Object} Current settings
+ */
+export const migrateSettings = (payload) => {
+  let data = payload || {};
+  let version = Number.isInteger(data.version) ? data.version : 0;
+
+  // WHY no downgrade path: a payload from a newer build keeps whatever fields still validate
+  while (version < SETTINGS_VERSION) {
+    version += 1;
+    data = MIGRATIONS[version](data);
+  }
+
+  return sanitizeSettings(data);
+};
+
+/**
+ * @param {string} key - A settings key
+ * @param {*} value - Candidate value
+ * @return {boolean} Whether the value is allowed for that setting
+ */
+export const isValidSetting = (key, value) => {
+  const allowed = ALLOWED_VALUES[key];
+  if (!allowed) return false;
+  return typeof allowed === 'function' ? allowed(value) : allowed.includes(value);
+};
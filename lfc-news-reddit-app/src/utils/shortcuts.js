@@ -0,0 +1,83 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Keyboard shortcut registry and key matching.
+ *              WHY one list: the shortcut manager, PostItem and the "?" overlay all read the same
+ *              bindings, so the help can never drift from what the keys actually do.
+ *              Multi-key sequences are written space-separated ("g h" = g, then h).
+ */
+
+// WHY: Long enough to type a sequence deliberately, short enough that a stray "g" is forgotten
+export const SEQUENCE_TIMEOUT = 1000;
+
+export const SHORTCUT_SCOPES = [
+  { id: 'feed', label: 'Feed' },
+  { id: 'post', label: 'Open post' },
+  { id: 'global', label: 'Anywhere' }
+];
+
+export const SHORTCUTS = [
+  { id: 'nextPost', keys: ['j'], description: 'Move to the next post', scope: 'feed' },
+  { id: 'previousPost', keys: ['k'], description: 'Move to the previous post', scope: 'feed' },
+  { id: 'openPost', keys: ['o', 'Enter'], description: 'Open the focused post', scope: 'feed' },
+  { id: 'savePost', keys: ['s'], description: 'Save or unsave the focused post', scope: 'feed' },
+  { id: 'focusSearch', keys: ['/'], description: 'Search posts', scope: 'feed' },
+  { id: 'nextInDetail', keys: ['n'], description: 'Next post', scope: 'post' },
+  { id: 'previousInDetail', keys: ['p'], description: 'Previous post', scope: 'post' },
+  // Handled by PostDetail itself; listed so the overlay is complete
+  { id: 'adjacentPost', keys: ['ArrowLeft', 'ArrowRight'], description: 'Previous or next post (gallery image in galleries)', scope: 'post' },
+  { id: 'toggleReadingMode', keys: ['r'], description: 'Toggle reading mode', scope: 'post' },
+  { id: 'findInThread', keys: ['f'], description: 'Find in comments', scope: 'post' },
+  { id: 'closePost', keys: ['Escape'], description: 'Close the post', scope: 'post' },
+  { id: 'goHome', keys: ['g h'], description: 'Go home to r/LiverpoolFC', scope: 'global' },
+  { id: 'showHelp', keys: ['?'], description: 'Show keyboard shortcuts', scope: 'global' }
+];
+
+/**
+ * @param {EventTarget} target - Where the key was pressed
+ * @return {boolean} Whether the user is typing, so letters must not trigger shortcuts
+ */
+export const isTypingTarget = (target) => {
+  if (!target || !target.tagName) return false;
+  return ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || Boolean(target.isContentEditable);
+};
+
+/**
+ * @param {KeyboardEvent} e - Key event
+ * @return {boolean} Whether a browser/OS modifier is held (Ctrl+S must still save the page)
+ */
+const hasModifier = (e) => e.ctrlKey || e.metaKey || e.altKey;
+
+/**
+ * @param {KeyboardEvent} e - Key event
+ * @param {string} id - Shortcut id from SHORTCUTS (single-key bindings only)
+ * @return {boolean} Whether the event is that shortcut
+ */
+export const isShortcut = (e, id) => {
+  const shortcut = SHORTCUTS.find(s => s.id === id);
+  return Boolean(shortcut) && !hasModifier(e) && shortcut.keys.includes(e.key);
+};
+
+/**
+ * Matches a key press against the shortcuts currently available, continuing any pending sequence
+ * @param {KeyboardEvent} e - Key event
+ * @param {string|null} pending - Keys of an unfinished sequence, e.g. "g"
+ * @param {string[]} availableIds - Shortcut ids that have a handler right now
+ * @return {Object} { shortcut, pending } - The matched shortcut (or null) and the new pending sequence
+ */
+export const resolveShortcut = (e, pending, availableIds) => {
+  if (hasModifier(e) || isTypingTarget(e.target)) {
+    return { shortcut: null, pending: null };
+  }
+  const available = SHORTCUTS.filter(s => availableIds.includes(s.id));
+
+  const match = (sequence) => {
+    const shortcut = available.find(s => s.keys.includes(sequence));
+    if (shortcut) return { shortcut, pending: null };
+    const isPrefix = available.some(s => s.keys.some(key => key.startsWith(`${sequence} `)));
+    return isPrefix ? { shortcut: null, pending: sequence } : null;
+  };
+
+  // WHY fall back to the key alone: "g" then "j" should still move to the next post
+  return (pending && match(`${pending} ${e.key}`)) || match(e.key) || { shortcut: null, pending: null };
+};
@@ -0,0 +1,31 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Detects posts that could give away a match result, for spoiler-safe mode.
+ *              WHY post age: Reddit doesn't know the fixture list, so how long ago a post was made
+ *              stands in for "time since kick-off" - result threads appear during and just after
+ *              the game, which is exactly when fans watching a recording need them hidden.
+ */
+
+// Window lengths offered in the settings, in hours
+export const SPOILER_WINDOW_OPTIONS = [3, 6, 12, 24, 48];
+
+export const DEFAULT_SPOILER_WINDOW_HOURS = 12;
+
+// Scorelines such as "3-1", "2 - 0" or "1–1"; the \b stops "2024-25" (season) from matching
+export const SCORE_PATTERN = /\b\d{1,2}\s*[-–]\s*\d{1,2}\b/;
+
+/**
+ * @param {Object} post - Normalised post
+ * @param {number} windowHours - How long after posting to keep it hidden
+ * @param {number} [now=Date.now()] - Current time in ms
+ * @return {string|null} 'flagged' for Reddit spoiler tags, 'score' for scoreline titles, or null
+ */
+export const getSpoilerReason = (post, windowHours, now = Date.now()) => {
+  const ageHours = (now / 1000 - (post.created || 0)) / 3600;
+  if (ageHours > windowHours) return null;
+
+  if (post.spoiler) return 'flagged';
+  if (SCORE_PATTERN.test(post.title || '')) return 'score';
+  return null;
+};
@@ -0,0 +1,94 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Curated registry of approved Liverpool subreddits.
+ *              Drives subreddit validation in api.js, the SubredditFilter picker and the
+ *              combined "All LFC" feed, which Reddit serves as a multireddit (r/a+b+c).
+ *              WHY a registry: the allow-list is a safety boundary (no r/all, no arbitrary
+ *              subreddits), so every place that accepts a subreddit reads from one list.
+ *
+ *              Deployments can replace the list with REACT_APP_LFC_SUBREDDITS, a comma
+ *              separated list of names. r/LiverpoolFC is always kept as the home feed.
+ */
+
+// Selection key for the combined feed. WHY 'all': existing state and links already use it,
+// and it is never sent to Reddit as-is (see toRedditPath), so it can't reach r/all.
+export const ALL_LFC = 'all';
+
+export const DEFAULT_SUBREDDIT = 'LiverpoolFC';
+
+// Reddit subreddit names: 3-21 letters, digits or underscores
+const SUBREDDIT_NAME_PATTERN = /^[A-Za-z0-9_]{3,21}$/;
+
+const DEFAULT_REGISTRY = [
+  { name: 'LiverpoolFC', label: 'r/LiverpoolFC', description: 'News, match threads and discussion' },
+  { name: 'liverpoolfcmedia', label: 'r/liverpoolfcmedia', description: 'Goals, highlights and club media' },
+  { name: 'LFCWomen', label: 'r/LFCWomen', description: 'Liverpool FC Women' },
+  { name: 'LFCAcademy', label: 'r/LFCAcademy', description: 'Academy and youth teams' }
+];
+
+/**
+ * Builds the registry from a comma separated override, keeping known entries' labels
+ * @param {string|undefined} override - e.g. 'LiverpoolFC,LFCWomen'
+ * @return {Object[]} Registry entries: { name, label, description }
+ */
+export const buildRegistry = (override) => {
+  if (!override || !override.trim()) {
+    return DEFAULT_REGISTRY;
+  }
+
+  const entries = [];
+  override.split(',').map(name => name.trim()).forEach(name => {
+    if (!SUBREDDIT_NAME_PATTERN.test(name)) {
+      console.warn(`Ignoring invalid subreddit name in registry: ${name}`);
+      return;
+    }
+    if (entries.some(entry => entry.name.toLowerCase() === name.toLowerCase())) return;
+    const known = DEFAULT_REGISTRY.find(entry => entry.name.toLowerCase() === name.toLowerCase());
+    entries.push(known || { name, label: `r/${name}`, description: '' });
+  });
+
+  if (!entries.some(entry => entry.name === DEFAULT_SUBREDDIT)) {
+    entries.unshift(DEFAULT_REGISTRY[0]);
+  }
+  return entries;
+};
+
+export const SUBREDDIT_REGISTRY = buildRegistry(process.env.REACT_APP_LFC_SUBREDDITS);
+
+/**
+ * @param {string} name - Subreddit name (any case)
+ * @return {Object|null} Registry entry, or null when the subreddit isn't approved
+ */
+export const findSubreddit = (name) => {
+  if (!name || typeof name !== 'string') return null;
+  const normalized = name.trim().toLowerCase();
+  return SUBREDDIT_REGISTRY.find(entry => entry.name.toLowerCase() === normalized) || null;
+};
+
+/**
+ * Feed keys offered in the picker: the combined feed first, then each approved subreddit
+ * @return {string[]}
+ */
+export const getFeedKeys = () => [ALL_LFC, ...SUBREDDIT_REGISTRY.map(entry => entry.name)];
+
+/**
+ * @param {string} key - Feed key (ALL_LFC or a subreddit name)
+ * @return {string} Display label, e.g. 'All LFC' or 'r/LFCWomen'
+ */
+export const getSubredditLabel = (key) => {
+  if (key === ALL_LFC) return 'All LFC';
+  return findSubreddit(key)?.label || `r/${key}`;
+};
+
+/**
+ * Resolves a feed key to the path segment used in /r/<segment>/ URLs
+ * @param {string} key - Feed key (ALL_LFC or a subreddit name, any case)
+ * @return {string|null} Canonical name, 'a+b+c' multireddit for ALL_LFC, or null if not approved
+ */
+export const toRedditPath = (key) => {
+  if (key === ALL_LFC) {
+    return SUBREDDIT_REGISTRY.map(entry => entry.name).join('+');
+  }
+  return findSubreddit(key)?.name || null;
+};
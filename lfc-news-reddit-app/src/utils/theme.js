@@ -0,0 +1,203 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Theme registry and how the chosen theme is applied to the document.
+ *              WHY here: ThemeSwitcher, BottomNav and the Settings screen all offer the same themes,
+ *              and App is the only place that applies the chosen one.
+ *              Palettes live in styles/variables.css as [data-theme] blocks, except "system", which
+ *              resolves to a kit from prefers-color-scheme, and "custom", whose variables are
+ *              generated here from a few user-picked colours.
+ */
+
+export const SYSTEM_THEME = 'system';
+export const CUSTOM_THEME = 'custom';
+
+// WHY: LFC-branded theme names connect with fans emotionally (kit references)
+// group decides where a theme is listed; scheme is what it looks like (for the system match)
+export const THEMES = [
+  { id: 'red', name: 'Anfield Red', shortName: 'Home', color: '#C8102E', description: 'Home Kit', group: 'kit', scheme: 'dark' },
+  { id: 'white', name: 'Away Day', shortName: 'Away', color: '#f5f0e8', description: 'Away Kit', group: 'kit', scheme: 'light' },
+  { id: 'green', name: 'Keeper Kit', shortName: 'Keeper', color: '#00A651', description: 'Goalkeeper', group: 'kit', scheme: 'dark' },
+  { id: SYSTEM_THEME, name: 'Match Device', shortName: 'Auto', color: '#1a1a1a', description: 'Home at night, Away by day, following your device', group: 'kit', scheme: null },
+  { id: 'istanbul', name: "Istanbul '05", shortName: "'05", color: '#D00027', description: '2005 Champions League final kit', group: 'historic', scheme: 'dark' },
+  { id: 'ecru', name: "Ecru '96", shortName: "'96", color: '#e6dcc3', description: '1996 ecru and green away kit', group: 'historic', scheme: 'light' },
+  { id: 'contrast', name: 'High Contrast', shortName: 'Contrast', color: '#000000', description: 'WCAG AAA contrast for all text', group: 'accessibility', scheme: 'light' },
+  { id: CUSTOM_THEME, name: 'Custom Kit', shortName: 'Custom', color: '#C8102E', description: 'Your own colours', group: 'custom', scheme: null }
+];
+
+export const THEME_IDS = THEMES.map(theme => theme.id);
+
+// WHY: Default to red (home kit) as the primary LFC theme
+export const DEFAULT_THEME = 'red';
+
+// WHY: Starts from the home kit so switching to Custom is not a jarring change
+export const DEFAULT_CUSTOM_THEME = {
+  primary: '#c8102e',
+  background: '#0f0f0f',
+  text: '#ffffff'
+};
+
+export const CUSTOM_THEME_COLORS = Object.keys(DEFAULT_CUSTOM_THEME);
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @param {*} colors - Candidate custom theme
+ * @return {boolean} Whether it has exactly the custom theme colours, each as #rrggbb
+ */
+export const isValidCustomTheme = (colors) => {
+  if (!colors || typeof colors !== 'object') return false;
+  const keys = Object.keys(colors);
+  return keys.length === CUSTOM_THEME_COLORS.length &&
+    CUSTOM_THEME_COLORS.every(key => typeof colors[key] === 'string' && HEX_COLOR.test(colors[key]));
+};
+
+/**
+ * @param {string} themeId - A theme id
+ * @return {Object} Its registry entry, or the default theme's for unknown ids
+ */
+export const getTheme = (themeId) => {
+  return THEMES.find(theme => theme.id === themeId) || THEMES.find(theme => theme.id === DEFAULT_THEME);
+};
+
+/**
+ * @param {string} hex - #rrggbb
+ * @return {number[]} Red, green and blue channels (0-255)
+ */
+const toChannels = (hex) => [1, 3, 5].map(start => parseInt(hex.slice(start, start + 2), 16));
+
+/**
+ * @param {string} hex - #rrggbb
+ * @param {number} alpha - Opacity 0-1
+ * @return {string} rgba() colour
+ */
+const toRgba = (hex, alpha) => `rgba(${toChannels(hex).join(', ')}, ${alpha})`;
+
+/**
+ * @param {string} from - #rrggbb
+ * @param {string} to - #rrggbb
+ * @param {number} amount - How far towards `to`, 0-1
+ * @return {string} The blended #rrggbb
+ */
+const mixColors = (from, to, amount) => {
+  const target = toChannels(to);
+  return '#' + toChannels(from)
+    .map((channel, i) => Math.round(channel + (target[i] - channel) * amount).toString(16).padStart(2, '0'))
+    .join('');
+};
+
+/**
+ * @param {string} hex - #rrggbb
+ * @return {number} WCAG relative luminance, 0 (black) to 1 (white)
+ */
+const getLuminance = (hex) => {
+  const [r, g, b] = toChannels(hex).map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+};
+
+/**
+ * @param {string} foreground - #rrggbb
+ * @param {string} background - #rrggbb
+ * @return {number} WCAG contrast ratio, 1 to 21
+ */
+export const getContrastRatio = (foreground, background) => {
+  const [lighter, darker] = [getLuminance(foreground), getLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+/**
+ * Derives the theme variables from styles/variables.css from three picked colours, the same way
+ * the hand-written palettes relate to each other (raised surfaces lean towards the text colour,
+ * secondary text leans towards the background, borders and glass are translucent text).
+ * @param {Object} colors - { primary, background, text } as #rrggbb
+ * @return {Object} CSS custom property name to value
+ */
+export const buildCustomThemeProperties = ({ primary, background, text }) => {
+  const hover = mixColors(primary, '#000000', 0.2);
+  const surface = mixColors(background, text, 0.06);
+  const raised = mixColors(background, text, 0.12);
+
+  return {
+    '--theme-primary': primary,
+    '--theme-secondary': hover,
+    '--bg-primary': background,
+    '--bg-secondary': surface,
+    '--bg-tertiary': raised,
+    '--bg-glass': toRgba(surface, 0.8),
+    '--bg-gradient': `linear-gradient(135deg, ${primary} 0%, ${hover} 100%)`,
+    '--text-primary': text,
+    '--text-secondary': mixColors(text, background, 0.3),
+    '--text-muted': mixColors(text, background, 0.45),
+    '--text-accent': primary,
+    '--accent': primary,
+    '--accent-hover': hover,
+    '--accent-light': toRgba(primary, 0.15),
+    '--accent-ultra-light': toRgba(primary, 0.05),
+    '--glass-bg': toRgba(text, 0.05),
+    '--glass-border': toRgba(text, 0.1),
+    '--shadow-theme': `0 8px 25px ${toRgba(primary, 0.3)}`,
+    '--border-color': toRgba(text, 0.1),
+    '--border-hover': toRgba(text, 0.2),
+    '--skeleton-base': surface,
+    '--skeleton-highlight': raised
+  };
+};
+
+const CUSTOM_PROPERTY_NAMES = Object.keys(buildCustomThemeProperties(DEFAULT_CUSTOM_THEME));
+
+const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)';
+
+/**
+ * @return {string} The kit matching the device colour scheme
+ */
+export const getSystemTheme = () => {
+  // WHY dark unless asked for light: the app was dark-first, and older browsers report neither
+  const prefersLight = typeof window.matchMedia === 'function' && window.matchMedia(LIGHT_SCHEME_QUERY).matches;
+  return prefersLight ? 'white' : 'red';
+};
+
+/**
+ * @param {Function} callback - Called when the device switches between light and dark
+ * @return {Function} Stops watching
+ */
+export const watchSystemTheme = (callback) => {
+  if (typeof window.matchMedia !== 'function') return () => {};
+  const query = window.matchMedia(LIGHT_SCHEME_QUERY);
+  query.addEventListener('change', callback);
+  return () => query.removeEventListener('change', callback);
+};
+
+/**
+ * @param {string} themeId - One of THEME_IDS
+ * @param {Object} [customTheme] - Colours for the custom theme
+ */
+export const applyTheme = (themeId, customTheme = DEFAULT_CUSTOM_THEME) => {
+  const root = document.documentElement;
+  const resolved = themeId === SYSTEM_THEME ? getSystemTheme() : themeId;
+
+  // WHY: Inline variables beat every stylesheet rule, so they must go when leaving Custom
+  CUSTOM_PROPERTY_NAMES.forEach(name => root.style.removeProperty(name));
+  if (resolved === CUSTOM_THEME) {
+    Object.entries(buildCustomThemeProperties(customTheme)).forEach(([name, value]) => {
+      root.style.setProperty(name, value);
+    });
+  }
+
+  // WHY: Red is the stylesheet's :root palette, so it needs no data attribute
+  if (resolved === DEFAULT_THEME) {
+    root.removeAttribute('data-theme');
+  } else {
+    root.setAttribute('data-theme', resolved);
+  }
+};
+
+/**
+ * @param {string} themeId - Current theme
+ * @return {string} The theme after it, wrapping back to the first
+ */
+export const getNextTheme = (themeId) => {
+  return THEME_IDS[(THEME_IDS.indexOf(themeId) + 1) % THEME_IDS.length];
+};
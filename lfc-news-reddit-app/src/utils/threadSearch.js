@@ -0,0 +1,101 @@
+/**
+ * @author Tom Butler
+ * @date 2026-10-19
+ * @description Find-in-thread for PostDetail: which loaded comments match a query (body or author,
+ *              ignoring case), the collapsed ancestors CommentList must open to show each one, and
+ *              highlighting of the hits in plain text and rendered markdown.
+ *              WHY one match per comment: the raw markdown (link targets, formatting characters)
+ *              doesn't line up with what is rendered, so hits can only be counted reliably per comment.
+ */
+
+/**
+ * @param {string} query - Text typed in the find bar
+ * @return {RegExp|null} Case-insensitive global pattern for the literal query, or null when blank
+ */
+export const createFindPattern = (query) => {
+  const trimmed = (query || '').trim();
+  return trimmed ? new RegExp(trimmed.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'gi') : null;
+};
+
+/**
+ * @param {Object[]} comments - Normalised comment tree
+ * @param {string} query - Text typed in the find bar
+ * @param {Map<string, string>} [hidden=new Map()] - Muted comment ids; they and their replies are skipped
+ * @return {Object[]} Matches in reading order: { id, ancestorIds (outermost first) }
+ */
+export const findThreadMatches = (comments, query, hidden = new Map()) => {
+  const pattern = createFindPattern(query);
+  const matches = [];
+  if (!pattern) return matches;
+
+  const isMatch = (text) => {
+    pattern.lastIndex = 0;
+    return pattern.test(text || '');
+  };
+
+  const traverse = (commentList, ancestorIds) => {
+    (commentList || []).forEach(comment => {
+      // WHY: Finding must not undo a mute by opening it
+      if (comment.isMore || hidden.has(comment.id)) return;
+      if (isMatch(comment.body) || isMatch(comment.author)) {
+        matches.push({ id: comment.id, ancestorIds });
+      }
+      traverse(comment.replies, [...ancestorIds, comment.id]);
+    });
+  };
+
+  traverse(comments, []);
+  return matches;
+};
+
+/**
+ * @param {string} text - Plain text
+ * @param {RegExp|null} pattern - From createFindPattern
+ * @return {Object[]} Segments: { text, match }
+ */
+export const splitByPattern = (text, pattern) => {
+  if (!pattern || !text) return text ? [{ text, match: false }] : [];
+
+  const segments = [];
+  let position = 0;
+  for (const found of text.matchAll(pattern)) {
+    if (found.index > position) segments.push({ text: text.slice(position, found.index), match: false });
+    segments.push({ text: found[0], match: true });
+    position = found.index + found[0].length;
+  }
+  if (position < text.length) segments.push({ text: text.slice(position), match: false });
+  return segments;
+};
+
+/**
+ * Rehype plugin wrapping every hit in the rendered markdown in <mark>
+ * WHY on the HTML tree: hits split across formatting ("**Sa**lah") are left alone rather than
+ * breaking the markup, and link targets are never touched
+ * @param {Object} options
+ * @param {RegExp|null} options.pattern - From createFindPattern
+ * @param {string} [options.className] - Class for the <mark> elements
+ * @return {Function} Transformer for react-markdown's rehypePlugins
+ */
+export const rehypeFindMatches = ({ pattern, className }) => (tree) => {
+  if (!pattern) return;
+
+  const visit = (node) => {
+    if (!node.children) return;
+    node.children = node.children.flatMap(child => {
+      if (child.type !== 'text') {
+        visit(child);
+        return [child];
+      }
+      return splitByPattern(child.value, pattern).map(segment => (segment.match
+        ? {
+          type: 'element',
+          tagName: 'mark',
+          properties: className ? { className: [className] } : {},
+          children: [{ type: 'text', value: segment.text }]
+        }
+        : { type: 'text', value: segment.text }));
+    });
+  };
+
+  visit(tree);
+};